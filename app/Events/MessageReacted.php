@@ -0,0 +1,89 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Events;
+
+use App\Http\Resources\MessageResource;
+use App\Models\Customer;
+use App\Models\Message;
+use Illuminate\Broadcasting\Channel;
+use Illuminate\Broadcasting\InteractsWithSockets;
+use Illuminate\Broadcasting\PrivateChannel;
+use Illuminate\Contracts\Broadcasting\ShouldBroadcast;
+use Illuminate\Foundation\Events\Dispatchable;
+use Illuminate\Queue\SerializesModels;
+
+/**
+ * Message Reacted Event
+ *
+ * Broadcasts when a customer adds or removes an emoji reaction.
+ * This event is broadcast to all other participants in the channel, with
+ * the message and its reactions after the change.
+ *
+ * @package App\Events
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class MessageReacted implements ShouldBroadcast
+{
+    use Dispatchable, InteractsWithSockets, SerializesModels;
+
+    /**
+     * Create a new event instance.
+     *
+     * @param Message $message The message that was reacted to
+     * @param Customer $customer The customer who reacted
+     * @param string $emoji The emoji
+     * @param string $action 'added' or 'removed'
+     */
+    public function __construct(
+        public readonly Message $message,
+        public readonly Customer $customer,
+        public readonly string $emoji,
+        public readonly string $action
+    ) {}
+
+    /**
+     * Get the channels the event should broadcast on.
+     *
+     * @return array<int, Channel>
+     */
+    public function broadcastOn(): array
+    {
+        return [
+            new PrivateChannel("channel.{$this->message->channel->uuid}"),
+        ];
+    }
+
+    /**
+     * Get the data to broadcast.
+     *
+     * @return array<string, mixed>
+     */
+    public function broadcastWith(): array
+    {
+        return [
+            'reaction' => [
+                'user' => [
+                    'id' => $this->customer->uuid,
+                    'name' => $this->customer->name,
+                ],
+                'message_id' => $this->message->uuid,
+                'emoji' => $this->emoji,
+                'action' => $this->action,
+            ],
+            'message' => new MessageResource($this->message),
+        ];
+    }
+
+    /**
+     * The event's broadcast name.
+     *
+     * @return string
+     */
+    public function broadcastAs(): string
+    {
+        return 'message.reaction';
+    }
+}
@@ -0,0 +1,89 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Events;
+
+use App\Models\Channel as ChannelModel;
+use App\Models\Customer;
+use App\Models\Message;
+use Illuminate\Broadcasting\Channel;
+use Illuminate\Broadcasting\InteractsWithSockets;
+use Illuminate\Broadcasting\PrivateChannel;
+use Illuminate\Contracts\Broadcasting\ShouldBroadcast;
+use Illuminate\Foundation\Events\Dispatchable;
+use Illuminate\Queue\SerializesModels;
+
+/**
+ * Message Read Event
+ *
+ * Broadcasts when a customer's read position in a channel moves forward.
+ * This event is broadcast to all other participants in the channel, which
+ * mark the messages up to `message_id` as seen by the customer.
+ *
+ * @package App\Events
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class MessageRead implements ShouldBroadcast
+{
+    use Dispatchable, InteractsWithSockets, SerializesModels;
+
+    /**
+     * Create a new event instance.
+     *
+     * @param Customer $customer The customer who read the channel
+     * @param ChannelModel $channel The channel that was read
+     * @param Message $message The newest message the customer has seen
+     */
+    public function __construct(
+        public readonly Customer $customer,
+        public readonly ChannelModel $channel,
+        public readonly Message $message
+    ) {}
+
+    /**
+     * Get the channels the event should broadcast on.
+     *
+     * @return array<int, Channel>
+     */
+    public function broadcastOn(): array
+    {
+        return [
+            new PrivateChannel("channel.{$this->channel->uuid}"),
+        ];
+    }
+
+    /**
+     * Get the data to broadcast.
+     *
+     * @return array<string, mixed>
+     */
+    public function broadcastWith(): array
+    {
+        return [
+            'read' => [
+                'user' => [
+                    'id' => $this->customer->uuid,
+                    'name' => $this->customer->name,
+                ],
+                'channel' => [
+                    'id' => $this->channel->uuid,
+                    'name' => $this->channel->name,
+                ],
+                'message_id' => $this->message->uuid,
+                'read_at' => now()->toISOString(),
+            ],
+        ];
+    }
+
+    /**
+     * The event's broadcast name.
+     *
+     * @return string
+     */
+    public function broadcastAs(): string
+    {
+        return 'message.read';
+    }
+}
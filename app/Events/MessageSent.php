@@ -40,12 +40,17 @@ public function __construct(
     /**
      * Get the channels the event should broadcast on.
      *
+     * Broadcasts on the private `private-channel.{uuid}` channel that clients
+     * subscribe to, like the other message events. It used to return the bare
+     * name `channel.{uuid}`, a public channel no client listens on, so
+     * `message.sent` never reached subscribers.
+     *
      * @return array<int, Channel>
      */
     public function broadcastOn(): array
     {
         return [
-            "channel.{$this->message->channel->uuid}",
+            new PrivateChannel("channel.{$this->message->channel->uuid}"),
         ];
     }
 
@@ -0,0 +1,74 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Events;
+
+use App\Http\Resources\MessageResource;
+use App\Models\Message;
+use Illuminate\Broadcasting\Channel;
+use Illuminate\Broadcasting\InteractsWithSockets;
+use Illuminate\Broadcasting\PrivateChannel;
+use Illuminate\Contracts\Broadcasting\ShouldBroadcast;
+use Illuminate\Foundation\Events\Dispatchable;
+use Illuminate\Queue\SerializesModels;
+
+/**
+ * Message Updated Event
+ *
+ * Broadcasts when the sender edits a message.
+ * Participants replace the message they show with the new version, which
+ * carries the time of the edit in `edited`.
+ * This event is broadcast to all participants in the channel.
+ *
+ * @package App\Events
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class MessageUpdated implements ShouldBroadcast
+{
+    use Dispatchable, InteractsWithSockets, SerializesModels;
+
+    /**
+     * Create a new event instance.
+     *
+     * @param Message $message The message that was edited
+     */
+    public function __construct(
+        public readonly Message $message
+    ) {}
+
+    /**
+     * Get the channels the event should broadcast on.
+     *
+     * @return array<int, Channel>
+     */
+    public function broadcastOn(): array
+    {
+        return [
+            new PrivateChannel("channel.{$this->message->channel->uuid}"),
+        ];
+    }
+
+    /**
+     * Get the data to broadcast.
+     *
+     * @return array<string, mixed>
+     */
+    public function broadcastWith(): array
+    {
+        return [
+            'message' => new MessageResource($this->message),
+        ];
+    }
+
+    /**
+     * The event's broadcast name.
+     *
+     * @return string
+     */
+    public function broadcastAs(): string
+    {
+        return 'message.updated';
+    }
+}
\ No newline at end of file
@@ -0,0 +1,76 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Events;
+
+use App\Http\Resources\MessageResource;
+use App\Models\Message;
+use Illuminate\Broadcasting\Channel;
+use Illuminate\Broadcasting\InteractsWithSockets;
+use Illuminate\Broadcasting\PrivateChannel;
+use Illuminate\Contracts\Broadcasting\ShouldBroadcast;
+use Illuminate\Foundation\Events\Dispatchable;
+use Illuminate\Queue\SerializesModels;
+
+/**
+ * Thread Reply Sent Event
+ *
+ * Broadcasts when a reply is sent in a thread, instead of message.sent.
+ * Carries the message that started the thread too, so clients can update
+ * its reply count. This event is broadcast to all participants in the channel.
+ *
+ * @package App\Events
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class ThreadReplySent implements ShouldBroadcast
+{
+    use Dispatchable, InteractsWithSockets, SerializesModels;
+
+    /**
+     * Create a new event instance.
+     *
+     * @param Message $message The reply that was sent
+     * @param Message $parent The message that started the thread
+     */
+    public function __construct(
+        public readonly Message $message,
+        public readonly Message $parent
+    ) {}
+
+    /**
+     * Get the channels the event should broadcast on.
+     *
+     * @return array<int, Channel>
+     */
+    public function broadcastOn(): array
+    {
+        return [
+            new PrivateChannel("channel.{$this->message->channel->uuid}"),
+        ];
+    }
+
+    /**
+     * Get the data to broadcast.
+     *
+     * @return array<string, mixed>
+     */
+    public function broadcastWith(): array
+    {
+        return [
+            'message' => new MessageResource($this->message),
+            'parent' => new MessageResource($this->parent),
+        ];
+    }
+
+    /**
+     * The event's broadcast name.
+     *
+     * @return string
+     */
+    public function broadcastAs(): string
+    {
+        return 'thread.reply';
+    }
+}
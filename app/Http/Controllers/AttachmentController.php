@@ -0,0 +1,231 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\AttachmentChunkRequest;
+use App\Http\Requests\StartAttachmentUploadRequest;
+use App\Http\Requests\UploadAttachmentRequest;
+use App\Http\Resources\AttachmentResource;
+use App\Services\AttachmentServiceInterface;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Validation\ValidationException;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Attachment Controller
+ *
+ * Handles HTTP requests for file uploads. Uploaded files are sent with a
+ * message by passing their IDs as `attachment_uuids`, and downloaded from
+ * the signed `url` every attachment response carries.
+ *
+ * @package App\Http\Controllers
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ *
+ * @example
+ * // Upload a large file in chunks
+ * POST /api/v1/attachments/uploads
+ * {
+ *     "customer_uuid": "customer-uuid",
+ *     "filename": "report.pdf",
+ *     "mime_type": "application/pdf",
+ *     "size": 7340032
+ * }
+ *
+ * // Then, as multipart form data, for every chunk in order
+ * POST /api/v1/attachments/{attachmentUuid}/chunks
+ * customer_uuid=customer-uuid, offset=0, chunk=<bytes>
+ */
+class AttachmentController extends Controller
+{
+    /**
+     * Create a new AttachmentController instance.
+     *
+     * @param AttachmentServiceInterface $attachmentService Attachment service
+     */
+    public function __construct(
+        private readonly AttachmentServiceInterface $attachmentService
+    ) {}
+
+    /**
+     * Upload a whole file in one request.
+     *
+     * @param UploadAttachmentRequest $request The validated request
+     * @return JsonResponse The ready attachment
+     *
+     * @throws ValidationException If the customer does not belong to the client
+     */
+    public function store(UploadAttachmentRequest $request): JsonResponse
+    {
+        try {
+            $client = auth('sanctum')->user();
+
+            $attachment = $this->attachmentService->upload(
+                $request->validated(),
+                $request->file('file'),
+                $client->id
+            );
+
+            return response()->json(new AttachmentResource($attachment), 201);
+
+        } catch (ValidationException $e) {
+            throw $e;
+        } catch (\Exception $e) {
+            Log::error('Failed to upload attachment', [
+                'error' => $e->getMessage(),
+                'customer_uuid' => $request->input('customer_uuid'),
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to upload attachment. Please try again.',
+            ], 500);
+        }
+    }
+
+    /**
+     * Start a chunked upload.
+     *
+     * @param StartAttachmentUploadRequest $request The validated request
+     * @return JsonResponse The pending attachment
+     *
+     * @throws ValidationException If the customer does not belong to the client
+     */
+    public function startUpload(StartAttachmentUploadRequest $request): JsonResponse
+    {
+        try {
+            $client = auth('sanctum')->user();
+            $attachment = $this->attachmentService->startUpload($request->validated(), $client->id);
+
+            return response()->json(new AttachmentResource($attachment), 201);
+
+        } catch (ValidationException $e) {
+            throw $e;
+        } catch (\Exception $e) {
+            Log::error('Failed to start attachment upload', [
+                'error' => $e->getMessage(),
+                'customer_uuid' => $request->input('customer_uuid'),
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to start upload. Please try again.',
+            ], 500);
+        }
+    }
+
+    /**
+     * Append the next chunk to a chunked upload.
+     *
+     * @param string $attachmentUuid Attachment UUID
+     * @param AttachmentChunkRequest $request The validated request
+     * @return JsonResponse The attachment with the bytes received so far
+     *
+     * @throws ValidationException If the chunk does not continue the upload
+     */
+    public function uploadChunk(string $attachmentUuid, AttachmentChunkRequest $request): JsonResponse
+    {
+        try {
+            $client = auth('sanctum')->user();
+
+            $attachment = $this->attachmentService->uploadChunk(
+                $attachmentUuid,
+                $request->validated(),
+                $request->file('chunk'),
+                $client->id
+            );
+
+            return response()->json(new AttachmentResource($attachment));
+
+        } catch (\Illuminate\Database\Eloquent\ModelNotFoundException $e) {
+            return response()->json([
+                'error' => 'Attachment not found',
+            ], 404);
+        } catch (ValidationException $e) {
+            throw $e;
+        } catch (\Exception $e) {
+            Log::error('Failed to upload attachment chunk', [
+                'error' => $e->getMessage(),
+                'attachment_uuid' => $attachmentUuid,
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to upload chunk. Please try again.',
+            ], 500);
+        }
+    }
+
+    /**
+     * Get an attachment with a freshly signed download URL.
+     *
+     * @param string $attachmentUuid Attachment UUID
+     * @return JsonResponse The attachment
+     */
+    public function show(string $attachmentUuid): JsonResponse
+    {
+        try {
+            $client = auth('sanctum')->user();
+            $attachment = $this->attachmentService->getAttachment($attachmentUuid, $client->id);
+
+            return response()->json(new AttachmentResource($attachment));
+
+        } catch (\Illuminate\Database\Eloquent\ModelNotFoundException $e) {
+            return response()->json([
+                'error' => 'Attachment not found',
+            ], 404);
+        } catch (\Exception $e) {
+            Log::error('Failed to retrieve attachment', [
+                'error' => $e->getMessage(),
+                'attachment_uuid' => $attachmentUuid,
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to retrieve attachment. Please try again.',
+            ], 500);
+        }
+    }
+
+    /**
+     * Download the file of an attachment.
+     *
+     * Reached through a signed URL, so it works from `<img>` tags and links
+     * that cannot send credentials. Images are shown inline; every other
+     * type is downloaded, and browsers are told not to guess a type.
+     *
+     * @param string $attachmentUuid Attachment UUID
+     * @return Response The file, or a JSON error
+     */
+    public function download(string $attachmentUuid): Response
+    {
+        try {
+            $attachment = $this->attachmentService->getDownload($attachmentUuid);
+
+            return Storage::disk($attachment->disk)->response(
+                $attachment->path,
+                $attachment->filename,
+                [
+                    'Content-Type' => $attachment->mime_type,
+                    'X-Content-Type-Options' => 'nosniff',
+                    'Cache-Control' => 'private, max-age=3600',
+                ],
+                $attachment->isImage() ? 'inline' : 'attachment'
+            );
+
+        } catch (\Illuminate\Database\Eloquent\ModelNotFoundException $e) {
+            return response()->json([
+                'error' => 'Attachment not found',
+            ], 404);
+        } catch (\Exception $e) {
+            Log::error('Failed to download attachment', [
+                'error' => $e->getMessage(),
+                'attachment_uuid' => $attachmentUuid,
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to download attachment. Please try again.',
+            ], 500);
+        }
+    }
+}
@@ -240,7 +240,8 @@ public function getCustomerChannels(string $customerUuid): JsonResponse
      *                     "email": "jane@example.com"
      *                 },
      *                 "channels": [...],
-     *                 "latest_message_at": 1640995200
+     *                 "latest_message_at": 1640995200,
+     *                 "unread_count": 3
      *             }
      *         ]
      *     },
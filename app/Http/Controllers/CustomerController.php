@@ -183,11 +183,14 @@ public function show(string $uuid): JsonResponse
      * messaging interfaces where you want to show the most active
      * customers first.
      *
+     * Pass `email` to add each customer's `unread_count`: how many of their
+     * messages that customer has not read yet.
+     *
      * @param Request $request The HTTP request
      * @return JsonResponse JSON response with active customers
      *
      * @example
-     * GET /api/v1/customers/active?limit=20
+     * GET /api/v1/customers/active?limit=20&email=jane@example.com
      *
      * Response (200):
      * {
@@ -199,6 +202,7 @@ public function show(string $uuid): JsonResponse
      *             "name": "John Doe",
      *             "email": "john@example.com",
      *             "latest_message_at": 1640995200,
+     *             "unread_count": 2,
      *             "created": 1640995100,
      *             "livemode": false
      *         }
@@ -214,11 +218,13 @@ public function getActiveCustomers(Request $request): JsonResponse
             
             $limit = (int) $request->get('limit', 20);
             $startingAfter = $request->get('starting_after');
+            $readerEmail = $request->get('email');
 
             $result = $this->customerService->getActiveCustomers(
                 $client,
                 $limit,
-                $startingAfter
+                $startingAfter,
+                is_string($readerEmail) ? strtolower(trim($readerEmail)) : null
             );
 
             return response()->json([
@@ -258,6 +264,7 @@ public function getActiveCustomers(Request $request): JsonResponse
      *             "name": "John Doe",
      *             "email": "john@example.com",
      *             "latest_message_at": 1640995200,
+     *             "unread_count": 0,
      *             "created": 1640995100,
      *             "livemode": false
      *         }
@@ -5,6 +5,9 @@
 namespace App\Http\Controllers;
 
 use App\Http\Requests\CreateMessageRequest;
+use App\Http\Requests\DeleteMessageRequest;
+use App\Http\Requests\ReplyMessageRequest;
+use App\Http\Requests\UpdateMessageRequest;
 use App\Http\Resources\MessageResource;
 use App\Services\MessageServiceInterface;
 use Illuminate\Http\JsonResponse;
@@ -16,7 +19,8 @@
  * Message Controller
  *
  * Handles HTTP requests for message management.
- * Provides endpoints for sending messages in channels.
+ * Provides endpoints for sending, editing and deleting messages in channels,
+ * and for listing the replies in a message's thread.
  *
  * @package App\Http\Controllers
  * @author Laravel Slime Talks
@@ -37,7 +41,9 @@ public function __construct(
      * Send a message to a channel.
      *
      * Creates a new message in the specified channel.
-     * Validates that the sender is a participant in the channel.
+     * Validates that the sender is a participant in the channel, and that
+     * quoted (reply_to) and forwarded (forwarded_from) messages are visible to it
+     * and that attachments (attachment_uuids) were uploaded by it.
      *
      * @param CreateMessageRequest $request The validated request
      * @return JsonResponse The message response
@@ -67,11 +73,93 @@ public function store(CreateMessageRequest $request): JsonResponse
         }
     }
 
+    /**
+     * Edit a message.
+     *
+     * Replaces the content, and the metadata when given, of a message.
+     * Only the sender may edit a message.
+     *
+     * @param string $messageUuid Message UUID
+     * @param UpdateMessageRequest $request The validated request
+     * @return JsonResponse The updated message
+     *
+     * @throws ValidationException If the editor is not the sender or the message is deleted
+     */
+    public function update(string $messageUuid, UpdateMessageRequest $request): JsonResponse
+    {
+        try {
+            $client = auth('sanctum')->user();
+            $message = $this->messageService->updateMessage($messageUuid, $request->validated(), $client->id);
+
+            return response()->json(new MessageResource($message));
+
+        } catch (\Illuminate\Database\Eloquent\ModelNotFoundException $e) {
+            return response()->json([
+                'error' => 'Message not found',
+            ], 404);
+        } catch (ValidationException $e) {
+            throw $e;
+        } catch (\Exception $e) {
+            Log::error('Failed to update message', [
+                'error' => $e->getMessage(),
+                'message_uuid' => $messageUuid,
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to update message. Please try again.',
+            ], 500);
+        }
+    }
+
+    /**
+     * Delete a message.
+     *
+     * Removes the content of a message and leaves a tombstone in its place,
+     * which message lists keep returning with `deleted` set.
+     * Only the sender may delete a message.
+     *
+     * @param string $messageUuid Message UUID
+     * @param DeleteMessageRequest $request The validated request
+     * @return JsonResponse The tombstone
+     *
+     * @throws ValidationException If the customer is not the sender
+     */
+    public function destroy(string $messageUuid, DeleteMessageRequest $request): JsonResponse
+    {
+        try {
+            $client = auth('sanctum')->user();
+            $message = $this->messageService->deleteMessage(
+                $messageUuid,
+                $request->validated()['sender_uuid'],
+                $client->id
+            );
+
+            return response()->json(new MessageResource($message));
+
+        } catch (\Illuminate\Database\Eloquent\ModelNotFoundException $e) {
+            return response()->json([
+                'error' => 'Message not found',
+            ], 404);
+        } catch (ValidationException $e) {
+            throw $e;
+        } catch (\Exception $e) {
+            Log::error('Failed to delete message', [
+                'error' => $e->getMessage(),
+                'message_uuid' => $messageUuid,
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to delete message. Please try again.',
+            ], 500);
+        }
+    }
+
     /**
      * Get messages for a channel.
      *
      * Retrieves paginated messages from a specific channel.
-     * Messages are ordered by creation time (oldest first).
+     * Messages are ordered by creation time (oldest first), or newest
+     * first with `order=desc`, where `starting_after` loads older pages.
      *
      * @param string $channelUuid Channel UUID
      * @param Request $request The HTTP request
@@ -84,12 +172,20 @@ public function getChannelMessages(string $channelUuid, Request $request): JsonR
             
             $limit = (int) $request->get('limit', 10);
             $startingAfter = $request->get('starting_after');
+            $order = $request->get('order', 'asc');
+
+            if (!in_array($order, ['asc', 'desc'], true)) {
+                return response()->json([
+                    'error' => 'The order parameter must be asc or desc.',
+                ], 422);
+            }
 
             $result = $this->messageService->getChannelMessages(
                 $channelUuid,
                 $client->id,
                 $limit,
-                $startingAfter
+                $startingAfter,
+                $order
             );
 
             return response()->json([
@@ -115,6 +211,88 @@ public function getChannelMessages(string $channelUuid, Request $request): JsonR
         }
     }
 
+    /**
+     * Reply to a message in its thread.
+     *
+     * Sends the reply to the channel of the message and broadcasts it as
+     * thread.reply. Replies cannot be replied to.
+     *
+     * @param string $messageUuid UUID of the message to reply to
+     * @param ReplyMessageRequest $request The validated request
+     * @return JsonResponse The reply
+     *
+     * @throws ValidationException If validation fails
+     */
+    public function reply(string $messageUuid, ReplyMessageRequest $request): JsonResponse
+    {
+        try {
+            $client = auth('sanctum')->user();
+            $message = $this->messageService->replyToMessage($messageUuid, $request->validated(), $client->id);
+
+            return response()->json(new MessageResource($message), 201);
+
+        } catch (\Illuminate\Database\Eloquent\ModelNotFoundException $e) {
+            return response()->json([
+                'error' => 'Message not found',
+            ], 404);
+        } catch (ValidationException $e) {
+            throw $e;
+        } catch (\Exception $e) {
+            Log::error('Failed to send reply', [
+                'error' => $e->getMessage(),
+                'message_uuid' => $messageUuid,
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to send reply. Please try again.',
+            ], 500);
+        }
+    }
+
+    /**
+     * Get the replies in the thread of a message.
+     *
+     * Retrieves paginated replies, oldest first.
+     *
+     * @param string $messageUuid UUID of the message that started the thread
+     * @param Request $request The HTTP request
+     * @return JsonResponse The replies response
+     */
+    public function getReplies(string $messageUuid, Request $request): JsonResponse
+    {
+        try {
+            $client = auth('sanctum')->user();
+
+            $result = $this->messageService->getReplies(
+                $messageUuid,
+                $client->id,
+                (int) $request->get('limit', 10),
+                $request->get('starting_after')
+            );
+
+            return response()->json([
+                'object' => 'list',
+                'data' => MessageResource::collection($result['data']),
+                'has_more' => $result['has_more'],
+                'total_count' => $result['total_count'],
+            ]);
+
+        } catch (\Illuminate\Database\Eloquent\ModelNotFoundException $e) {
+            return response()->json([
+                'error' => 'Message not found',
+            ], 404);
+        } catch (\Exception $e) {
+            Log::error('Failed to retrieve replies', [
+                'error' => $e->getMessage(),
+                'message_uuid' => $messageUuid,
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to retrieve replies. Please try again.',
+            ], 500);
+        }
+    }
+
     /**
      * Get messages for a customer.
      *
@@ -246,9 +424,13 @@ public function sendToCustomer(Request $request): JsonResponse
             $validatedData = $request->validate([
                 'sender_email' => 'required|email',
                 'recipient_email' => 'required|email',
-                'type' => 'required|string|in:text,image,file,system',
-                'content' => 'required|string',
+                'type' => 'required_without_all:forwarded_from,attachment_uuids|string|in:text,image,file,system',
+                'content' => 'required_without_all:forwarded_from,attachment_uuids|string',
                 'metadata' => 'sometimes|array',
+                'reply_to' => 'nullable|string',
+                'forwarded_from' => 'nullable|string',
+                'attachment_uuids' => 'nullable|array|max:10',
+                'attachment_uuids.*' => 'string',
             ]);
 
             $message = $this->messageService->sendToCustomer(
@@ -0,0 +1,127 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\ReactionRequest;
+use App\Http\Resources\MessageResource;
+use App\Services\ReactionServiceInterface;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Validation\ValidationException;
+
+/**
+ * Reaction Controller
+ *
+ * Handles HTTP requests for emoji reactions to messages. Every change is
+ * broadcast as `message.reaction` to the other participants of the
+ * channel on `private-channel.{uuid}`.
+ *
+ * @package App\Http\Controllers
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ *
+ * @example
+ * // React to a message
+ * POST /api/v1/messages/{messageUuid}/reactions
+ * {
+ *     "customer_uuid": "customer-uuid",
+ *     "emoji": "👍"
+ * }
+ */
+class ReactionController extends Controller
+{
+    /**
+     * Create a new ReactionController instance.
+     *
+     * @param ReactionServiceInterface $reactionService Reaction service
+     */
+    public function __construct(
+        private readonly ReactionServiceInterface $reactionService
+    ) {}
+
+    /**
+     * Add a customer's reaction to a message.
+     *
+     * @param string $messageUuid Message UUID
+     * @param ReactionRequest $request The validated request
+     * @return JsonResponse The message with its reactions
+     *
+     * @throws ValidationException If the customer is not in the channel or the message is deleted
+     */
+    public function store(string $messageUuid, ReactionRequest $request): JsonResponse
+    {
+        try {
+            $client = auth('sanctum')->user();
+            $validatedData = $request->validated();
+
+            $message = $this->reactionService->addReaction(
+                $messageUuid,
+                $validatedData['customer_uuid'],
+                $validatedData['emoji'],
+                $client->id
+            );
+
+            return response()->json(new MessageResource($message));
+
+        } catch (\Illuminate\Database\Eloquent\ModelNotFoundException $e) {
+            return response()->json([
+                'error' => 'Message not found',
+            ], 404);
+        } catch (ValidationException $e) {
+            throw $e;
+        } catch (\Exception $e) {
+            Log::error('Failed to add reaction', [
+                'error' => $e->getMessage(),
+                'message_uuid' => $messageUuid,
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to add reaction. Please try again.',
+            ], 500);
+        }
+    }
+
+    /**
+     * Remove a customer's reaction from a message.
+     *
+     * @param string $messageUuid Message UUID
+     * @param ReactionRequest $request The validated request
+     * @return JsonResponse The message with its reactions
+     *
+     * @throws ValidationException If the customer is not in the channel
+     */
+    public function destroy(string $messageUuid, ReactionRequest $request): JsonResponse
+    {
+        try {
+            $client = auth('sanctum')->user();
+            $validatedData = $request->validated();
+
+            $message = $this->reactionService->removeReaction(
+                $messageUuid,
+                $validatedData['customer_uuid'],
+                $validatedData['emoji'],
+                $client->id
+            );
+
+            return response()->json(new MessageResource($message));
+
+        } catch (\Illuminate\Database\Eloquent\ModelNotFoundException $e) {
+            return response()->json([
+                'error' => 'Message not found',
+            ], 404);
+        } catch (ValidationException $e) {
+            throw $e;
+        } catch (\Exception $e) {
+            Log::error('Failed to remove reaction', [
+                'error' => $e->getMessage(),
+                'message_uuid' => $messageUuid,
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to remove reaction. Please try again.',
+            ], 500);
+        }
+    }
+}
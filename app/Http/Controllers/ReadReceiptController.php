@@ -0,0 +1,136 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\MarkChannelReadRequest;
+use App\Services\ReadReceiptServiceInterface;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Validation\ValidationException;
+
+/**
+ * Read Receipt Controller
+ *
+ * Handles HTTP requests for read receipts. When a customer's read position
+ * moves forward, `message.read` is broadcast to the other participants of
+ * the channel on `private-channel.{uuid}`.
+ *
+ * @package App\Http\Controllers
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ *
+ * @example
+ * // Mark a channel read up to a message
+ * POST /api/v1/channels/{channelUuid}/read
+ * {
+ *     "customer_uuid": "customer-uuid",
+ *     "message_id": "message-uuid"
+ * }
+ */
+class ReadReceiptController extends Controller
+{
+    /**
+     * Create a new ReadReceiptController instance.
+     *
+     * @param ReadReceiptServiceInterface $readReceiptService Read receipt service
+     */
+    public function __construct(
+        private readonly ReadReceiptServiceInterface $readReceiptService
+    ) {}
+
+    /**
+     * List the read receipts of every participant of a channel.
+     *
+     * @param string $channelUuid Channel UUID
+     * @return JsonResponse The list of read receipts
+     *
+     * @response 200 {
+     *     "object": "list",
+     *     "data": [
+     *         {
+     *             "object": "read_receipt",
+     *             "channel_id": "ch_1234567890",
+     *             "customer_id": "cus_1234567890",
+     *             "message_id": "msg_1234567890",
+     *             "read_at": 1640995200,
+     *             "unread_count": 0
+     *         }
+     *     ],
+     *     "has_more": false,
+     *     "total_count": 1
+     * }
+     */
+    public function index(string $channelUuid): JsonResponse
+    {
+        try {
+            $client = auth('sanctum')->user();
+
+            $receipts = $this->readReceiptService->getReadReceipts($channelUuid, $client->id);
+
+            return response()->json([
+                'object' => 'list',
+                'data' => $receipts,
+                'has_more' => false,
+                'total_count' => count($receipts),
+            ]);
+
+        } catch (\Illuminate\Database\Eloquent\ModelNotFoundException $e) {
+            return response()->json([
+                'error' => 'Channel not found',
+            ], 404);
+        } catch (\Exception $e) {
+            Log::error('Failed to retrieve read receipts', [
+                'error' => $e->getMessage(),
+                'channel_uuid' => $channelUuid,
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to retrieve read receipts. Please try again.',
+            ], 500);
+        }
+    }
+
+    /**
+     * Mark a channel read up to a message.
+     *
+     * @param string $channelUuid Channel UUID
+     * @param MarkChannelReadRequest $request The validated request
+     * @return JsonResponse The customer's read receipt
+     *
+     * @throws ValidationException If the customer or message is not in the channel
+     */
+    public function store(string $channelUuid, MarkChannelReadRequest $request): JsonResponse
+    {
+        try {
+            $client = auth('sanctum')->user();
+            $validatedData = $request->validated();
+
+            $receipt = $this->readReceiptService->markRead(
+                $channelUuid,
+                $validatedData['customer_uuid'],
+                $validatedData['message_id'],
+                $client->id
+            );
+
+            return response()->json($receipt);
+
+        } catch (\Illuminate\Database\Eloquent\ModelNotFoundException $e) {
+            return response()->json([
+                'error' => 'Channel not found',
+            ], 404);
+        } catch (ValidationException $e) {
+            throw $e;
+        } catch (\Exception $e) {
+            Log::error('Failed to mark channel read', [
+                'error' => $e->getMessage(),
+                'channel_uuid' => $channelUuid,
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to mark channel read. Please try again.',
+            ], 500);
+        }
+    }
+}
@@ -0,0 +1,93 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\RealtimePollRequest;
+use App\Http\Resources\MessageResource;
+use App\Models\Message;
+use App\Services\RealtimeServiceInterface;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Validation\ValidationException;
+
+/**
+ * Realtime Controller
+ *
+ * Handles HTTP long-polling for clients that cannot connect over WebSockets.
+ * Each poll returns the `message.sent` events of the requested channels in
+ * the same shape they are broadcast on `private-channel.{uuid}`.
+ *
+ * @package App\Http\Controllers
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ *
+ * @example
+ * // Get a cursor, then wait up to 20 seconds for messages after it
+ * GET /api/v1/realtime/poll?channels=ch_1,ch_2
+ * GET /api/v1/realtime/poll?channels=ch_1,ch_2&cursor=1042&wait=20
+ */
+class RealtimeController extends Controller
+{
+    /**
+     * Create a new RealtimeController instance.
+     *
+     * @param RealtimeServiceInterface $realtimeService Realtime service
+     */
+    public function __construct(
+        private readonly RealtimeServiceInterface $realtimeService
+    ) {}
+
+    /**
+     * Poll channels for new messages.
+     *
+     * @param RealtimePollRequest $request The validated request
+     * @return JsonResponse The events sent after the cursor and the next cursor
+     *
+     * @throws ValidationException If the request is invalid
+     */
+    public function poll(RealtimePollRequest $request): JsonResponse
+    {
+        try {
+            $client = auth('sanctum')->user();
+            $validatedData = $request->validated();
+
+            $result = $this->realtimeService->poll(
+                $request->channelUuids(),
+                isset($validatedData['cursor']) ? (string) $validatedData['cursor'] : null,
+                $client->id,
+                (int) ($validatedData['wait'] ?? 0)
+            );
+
+            return response()->json([
+                'object' => 'list',
+                'data' => $result['data']->map(fn (Message $message): array => [
+                    'object' => 'event',
+                    'type' => 'message.sent',
+                    'channel_id' => $message->channel->uuid,
+                    'data' => [
+                        'message' => (new MessageResource($message))->resolve($request),
+                    ],
+                ])->values(),
+                'cursor' => $result['cursor'],
+            ]);
+
+        } catch (\Illuminate\Database\Eloquent\ModelNotFoundException $e) {
+            return response()->json([
+                'error' => 'Channel not found',
+            ], 404);
+        } catch (ValidationException $e) {
+            throw $e;
+        } catch (\Exception $e) {
+            Log::error('Failed to poll realtime events', [
+                'error' => $e->getMessage(),
+                'channels' => $request->query('channels'),
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to poll for messages. Please try again.',
+            ], 500);
+        }
+    }
+}
@@ -0,0 +1,68 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\CreateSessionRequest;
+use App\Http\Resources\SessionResource;
+use App\Services\SessionServiceInterface;
+use Illuminate\Http\JsonResponse;
+
+/**
+ * Session Controller
+ *
+ * Handles HTTP requests for customer session tokens.
+ * Your backend calls this endpoint with its secret key and hands the returned
+ * short-lived token to the browser, so the secret key never leaves the server.
+ *
+ * @package App\Http\Controllers
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ *
+ * @example
+ * // Create a session token for a customer
+ * POST /api/v1/sessions
+ * {
+ *     "customer_uuid": "customer-uuid",
+ *     "ttl": 900
+ * }
+ */
+class SessionController extends Controller
+{
+    /**
+     * Create a new SessionController instance.
+     *
+     * @param SessionServiceInterface $sessionService Session service
+     */
+    public function __construct(
+        private readonly SessionServiceInterface $sessionService
+    ) {}
+
+    /**
+     * Create a session token for a customer.
+     *
+     * @param CreateSessionRequest $request The validated request
+     * @return JsonResponse The session response
+     */
+    public function store(CreateSessionRequest $request): JsonResponse
+    {
+        try {
+            $client = auth('sanctum')->user();
+            $validatedData = $request->validated();
+
+            $session = $this->sessionService->create(
+                $client,
+                $validatedData['customer_uuid'],
+                (int) ($validatedData['ttl'] ?? CreateSessionRequest::DEFAULT_TTL)
+            );
+
+            return response()->json(new SessionResource($session), 201);
+
+        } catch (\Illuminate\Database\Eloquent\ModelNotFoundException $e) {
+            return response()->json([
+                'error' => 'Customer not found',
+            ], 404);
+        }
+    }
+}
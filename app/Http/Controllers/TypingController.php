@@ -0,0 +1,85 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\TypingIndicatorRequest;
+use App\Services\TypingServiceInterface;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Validation\ValidationException;
+
+/**
+ * Typing Controller
+ *
+ * Handles HTTP requests for typing indicators. The indicator is broadcast to
+ * the other participants of the channel as `typing.started` or
+ * `typing.stopped` on `private-channel.{uuid}`.
+ *
+ * @package App\Http\Controllers
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ *
+ * @example
+ * // Tell the channel a customer is typing
+ * POST /api/v1/channels/{channelUuid}/typing
+ * {
+ *     "sender_uuid": "customer-uuid",
+ *     "typing": true
+ * }
+ */
+class TypingController extends Controller
+{
+    /**
+     * Create a new TypingController instance.
+     *
+     * @param TypingServiceInterface $typingService Typing service
+     */
+    public function __construct(
+        private readonly TypingServiceInterface $typingService
+    ) {}
+
+    /**
+     * Broadcast a typing indicator.
+     *
+     * @param string $channelUuid Channel UUID
+     * @param TypingIndicatorRequest $request The validated request
+     * @return JsonResponse The typing indicator response
+     *
+     * @throws ValidationException If the sender may not type in the channel
+     */
+    public function store(string $channelUuid, TypingIndicatorRequest $request): JsonResponse
+    {
+        try {
+            $client = auth('sanctum')->user();
+            $validatedData = $request->validated();
+            $typing = (bool) $validatedData['typing'];
+
+            $this->typingService->setTyping($channelUuid, $validatedData['sender_uuid'], $typing, $client->id);
+
+            return response()->json([
+                'object' => 'typing_indicator',
+                'channel_id' => $channelUuid,
+                'sender_id' => $validatedData['sender_uuid'],
+                'typing' => $typing,
+            ], 202);
+
+        } catch (\Illuminate\Database\Eloquent\ModelNotFoundException $e) {
+            return response()->json([
+                'error' => 'Channel not found',
+            ], 404);
+        } catch (ValidationException $e) {
+            throw $e;
+        } catch (\Exception $e) {
+            Log::error('Failed to broadcast typing indicator', [
+                'error' => $e->getMessage(),
+                'channel_uuid' => $channelUuid,
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to send typing indicator. Please try again.',
+            ], 500);
+        }
+    }
+}
@@ -5,6 +5,8 @@
 namespace App\Http\Middleware;
 
 use App\Models\Client;
+use App\Models\Customer;
+use App\Services\SessionService;
 use Closure;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Auth;
@@ -28,6 +30,9 @@
  * Authorization: Bearer your_api_token_here
  * X-Public-Key: pk_your_public_key_here
  * Origin: yourdomain.com
+ *
+ * // Session tokens (see SessionController) are accepted the same way; the
+ * // customer they act as is exposed as the `session_customer` request attribute.
  */
 class ClientAuthMiddleware
 {
@@ -116,7 +121,26 @@ public function handle(Request $request, Closure $next): Response
             return response()->json(['error' => 'Unauthorized - Token expired'], 401);
         }
 
+        // Resolve the customer a session token acts as. The ability is checked
+        // literally: can() is also true for client keys, which carry `*`
+        if (in_array(SessionService::SESSION_ABILITY, $tokenRecord->abilities ?? [], true)) {
+            $customer = $this->resolveSessionCustomer($client, $tokenRecord);
+            if (!$customer) {
+                Log::warning('Authentication failed - Session customer not found', [
+                    'client_id' => $client->id,
+                    'client_uuid' => $client->uuid,
+                    'url' => $request->url(),
+                    'method' => $request->method(),
+                    'ip' => $request->ip(),
+                ]);
+                return response()->json(['error' => 'Unauthorized - Invalid session token'], 401);
+            }
+
+            $request->attributes->set('session_customer', $customer);
+        }
+
         // Set the authenticated client using Sanctum's proper authentication
+        $client->withAccessToken($tokenRecord);
         Auth::guard('sanctum')->setUser($client);
         $request->setUserResolver(function () use ($client) {
             return $client;
@@ -128,5 +152,23 @@ public function handle(Request $request, Closure $next): Response
         return $next($request);
     }
 
+    /**
+     * Resolve the customer named by a session token's abilities.
+     *
+     * @param Client $client The authenticated client
+     * @param PersonalAccessToken $tokenRecord The session token
+     * @return Customer|null The customer, or null if it no longer exists
+     */
+    private function resolveSessionCustomer(Client $client, PersonalAccessToken $tokenRecord): ?Customer
+    {
+        foreach ($tokenRecord->abilities ?? [] as $ability) {
+            if (str_starts_with($ability, SessionService::CUSTOMER_ABILITY_PREFIX)) {
+                return Customer::where('client_id', $client->id)
+                    ->where('uuid', substr($ability, strlen(SessionService::CUSTOMER_ABILITY_PREFIX)))
+                    ->first();
+            }
+        }
 
+        return null;
+    }
 }
@@ -0,0 +1,157 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Middleware;
+
+use Closure;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Arr;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Log;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Idempotency Middleware
+ *
+ * Makes POST requests safe to retry. When a request carries an Idempotency-Key
+ * header, the first response for that key is stored per client and replayed for
+ * every repeated request within the retention window, so a retried create call
+ * never produces a duplicate customer, channel or message.
+ *
+ * Must run after ClientAuthMiddleware, since keys are scoped to the authenticated client.
+ *
+ * @package App\Http\Middleware
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ *
+ * @example
+ * // Required header for idempotent requests:
+ * Idempotency-Key: 5d7f1c9e-8a1b-4c3e-9f5a-2b6d8e0c4a71
+ */
+class IdempotencyMiddleware
+{
+    /**
+     * Name of the request header carrying the idempotency key.
+     */
+    public const HEADER = 'Idempotency-Key';
+
+    /**
+     * How long stored responses are replayed, in seconds (24 hours).
+     */
+    public const TTL_SECONDS = 86400;
+
+    /**
+     * Maximum accepted key length.
+     */
+    private const MAX_KEY_LENGTH = 255;
+
+    /**
+     * Handle an incoming request.
+     *
+     * Replays the stored response when the key was already used with the same
+     * payload, rejects reuse of a key with a different payload, and stores the
+     * response of a first-time request unless it failed transiently.
+     *
+     * @param Request $request The incoming HTTP request
+     * @param Closure $next The next middleware in the pipeline
+     * @return Response The replayed, rejected or freshly generated response
+     */
+    public function handle(Request $request, Closure $next): Response
+    {
+        $key = $request->header(self::HEADER);
+
+        if (!$request->isMethod('POST') || $key === null) {
+            return $next($request);
+        }
+
+        if ($key === '' || strlen($key) > self::MAX_KEY_LENGTH) {
+            return response()->json([
+                'error' => 'The Idempotency-Key header must be between 1 and ' . self::MAX_KEY_LENGTH . ' characters.',
+            ], 400);
+        }
+
+        $client = auth('sanctum')->user();
+        $cacheKey = 'idempotency:' . $client->id . ':' . hash('sha256', $key);
+        $fingerprint = $this->fingerprint($request);
+
+        $lock = Cache::lock($cacheKey . ':lock', 30);
+        if (!$lock->get()) {
+            return response()->json([
+                'error' => 'A request with this Idempotency-Key is already in progress.',
+            ], 409);
+        }
+
+        try {
+            $stored = Cache::get($cacheKey);
+
+            if ($stored !== null) {
+                if ($stored['fingerprint'] !== $fingerprint) {
+                    Log::warning('Idempotency key reused with different parameters', [
+                        'client_id' => $client->id,
+                        'url' => $request->url(),
+                    ]);
+
+                    return response()->json([
+                        'error' => 'This Idempotency-Key was already used with different request parameters.',
+                    ], 422);
+                }
+
+                return (new JsonResponse($stored['body'], $stored['status'], [], 0, true))
+                    ->header('Idempotent-Replayed', 'true');
+            }
+
+            $response = $next($request);
+
+            if ($this->shouldStore($response)) {
+                Cache::put($cacheKey, [
+                    'fingerprint' => $fingerprint,
+                    'status' => $response->getStatusCode(),
+                    'body' => $response->getContent(),
+                ], self::TTL_SECONDS);
+            }
+
+            return $response;
+
+        } finally {
+            $lock->release();
+        }
+    }
+
+    /**
+     * Build a fingerprint of the request target and payload.
+     *
+     * Uploaded files count by their contents, so reusing a key for a
+     * different file is caught like any other change of parameters.
+     *
+     * @param Request $request The incoming HTTP request
+     * @return string SHA-256 fingerprint
+     */
+    private function fingerprint(Request $request): string
+    {
+        $files = array_map(
+            fn (UploadedFile $file): string => hash_file('sha256', $file->getRealPath()),
+            Arr::dot($request->allFiles())
+        );
+
+        return hash('sha256', $request->method() . ' ' . $request->path() . ' ' . json_encode([...$request->all(), ...$files]));
+    }
+
+    /**
+     * Determine whether a response is final and may be replayed.
+     *
+     * Server errors and rate limiting are transient, so the caller must be able
+     * to retry them with the same key.
+     *
+     * @param Response $response The generated response
+     * @return bool True if the response should be stored
+     */
+    private function shouldStore(Response $response): bool
+    {
+        $status = $response->getStatusCode();
+
+        return $status < 500 && $status !== 429;
+    }
+}
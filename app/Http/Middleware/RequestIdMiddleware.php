@@ -0,0 +1,58 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Middleware;
+
+use Closure;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Str;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Request ID Middleware
+ *
+ * Tags every API request with an id that is echoed in the X-Request-Id response
+ * header and added to the log context, so a failed request reported by an SDK
+ * can be found in the logs. A well-formed id sent by the caller is reused.
+ *
+ * @package App\Http\Middleware
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ *
+ * @example
+ * // Response header:
+ * X-Request-Id: 5d7f1c9e-8a1b-4c3e-9f5a-2b6d8e0c4a71
+ */
+class RequestIdMiddleware
+{
+    /**
+     * Name of the request and response header carrying the id.
+     */
+    public const HEADER = 'X-Request-Id';
+
+    /**
+     * Handle an incoming request.
+     *
+     * @param Request $request The incoming HTTP request
+     * @param Closure $next The next middleware in the pipeline
+     * @return Response The response, with the X-Request-Id header set
+     */
+    public function handle(Request $request, Closure $next): Response
+    {
+        $requestId = $request->header(self::HEADER);
+
+        if (!is_string($requestId) || !preg_match('/^[A-Za-z0-9._-]{1,128}$/', $requestId)) {
+            $requestId = (string) Str::uuid();
+        }
+
+        $request->attributes->set('request_id', $requestId);
+        Log::withContext(['request_id' => $requestId]);
+
+        $response = $next($request);
+        $response->headers->set(self::HEADER, $requestId);
+
+        return $response;
+    }
+}
@@ -0,0 +1,206 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Middleware;
+
+use App\Http\Controllers\AttachmentController;
+use App\Http\Controllers\ChannelController;
+use App\Http\Controllers\CustomerController;
+use App\Http\Controllers\MessageController;
+use App\Http\Controllers\ReactionController;
+use App\Http\Controllers\ReadReceiptController;
+use App\Http\Controllers\RealtimeController;
+use App\Http\Controllers\TypingController;
+use App\Http\Requests\RealtimePollRequest;
+use App\Models\Attachment;
+use App\Models\Channel;
+use App\Models\Customer;
+use App\Models\Message;
+use Closure;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Log;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Session Scope Middleware
+ *
+ * Restricts customer session tokens to the actions that customer may perform:
+ * reading their own channels and messages, sending messages as themselves,
+ * broadcasting their own typing indicators and read receipts, uploading
+ * files as themselves, and polling their own channels.
+ * Requests made with the client's secret token pass through untouched.
+ *
+ * Endpoints are denied to session tokens unless listed in scopeChecks(), so a
+ * new endpoint must be added there before browsers can reach it.
+ *
+ * Must run after ClientAuthMiddleware, which resolves the session customer.
+ *
+ * @package App\Http\Middleware
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class SessionScopeMiddleware
+{
+    /**
+     * Handle an incoming request.
+     *
+     * @param Request $request The incoming HTTP request
+     * @param Closure $next The next middleware in the pipeline
+     * @return Response The response from the next middleware or an error response
+     */
+    public function handle(Request $request, Closure $next): Response
+    {
+        $customer = $request->attributes->get('session_customer');
+
+        if (!$customer instanceof Customer) {
+            return $next($request);
+        }
+
+        $check = $this->scopeChecks()[$request->route()?->getActionName()] ?? null;
+
+        if ($check === null || !$check($request, $customer)) {
+            Log::warning('Session token used outside its scope', [
+                'client_id' => $customer->client_id,
+                'customer_uuid' => $customer->uuid,
+                'url' => $request->url(),
+                'method' => $request->method(),
+            ]);
+
+            return response()->json([
+                'error' => 'Forbidden - This session token is not allowed to perform this request',
+            ], 403);
+        }
+
+        return $next($request);
+    }
+
+    /**
+     * Map of controller actions reachable with a session token to the check
+     * deciding whether the session customer may perform the request.
+     *
+     * @return array<string, Closure(Request, Customer): bool>
+     */
+    private function scopeChecks(): array
+    {
+        $isSelf = fn (?string $uuid, Customer $customer): bool => $uuid === $customer->uuid;
+        $isOwnEmail = fn (mixed $email, Customer $customer): bool =>
+            is_string($email) && strtolower(trim($email)) === strtolower($customer->email);
+
+        return [
+            MessageController::class . '@store' => fn (Request $request, Customer $customer): bool =>
+                $isSelf($request->input('sender_uuid'), $customer),
+            MessageController::class . '@update' => fn (Request $request, Customer $customer): bool =>
+                $isSelf($request->input('sender_uuid'), $customer),
+            MessageController::class . '@destroy' => fn (Request $request, Customer $customer): bool =>
+                $isSelf($request->input('sender_uuid'), $customer),
+            MessageController::class . '@sendToCustomer' => fn (Request $request, Customer $customer): bool =>
+                $isOwnEmail($request->input('sender_email'), $customer),
+            MessageController::class . '@getChannelMessages' => fn (Request $request, Customer $customer): bool =>
+                $this->isParticipant($request->route('channelUuid'), $customer),
+            MessageController::class . '@reply' => fn (Request $request, Customer $customer): bool =>
+                $isSelf($request->input('sender_uuid'), $customer),
+            MessageController::class . '@getReplies' => fn (Request $request, Customer $customer): bool =>
+                $this->isMessageParticipant($request->route('messageUuid'), $customer),
+            MessageController::class . '@getCustomerMessages' => fn (Request $request, Customer $customer): bool =>
+                $isSelf($request->route('customerUuid'), $customer),
+            MessageController::class . '@getMessagesBetweenCustomers' => fn (Request $request, Customer $customer): bool =>
+                $isOwnEmail($request->query('email1'), $customer) || $isOwnEmail($request->query('email2'), $customer),
+            ChannelController::class . '@show' => fn (Request $request, Customer $customer): bool =>
+                $this->isParticipant($request->route('channel'), $customer),
+            ChannelController::class . '@getCustomerChannels' => fn (Request $request, Customer $customer): bool =>
+                $isSelf($request->route('customerUuid'), $customer),
+            ChannelController::class . '@getChannelsByEmail' => fn (Request $request, Customer $customer): bool =>
+                $isOwnEmail($request->query('email'), $customer),
+            TypingController::class . '@store' => fn (Request $request, Customer $customer): bool =>
+                $isSelf($request->input('sender_uuid'), $customer),
+            ReactionController::class . '@store' => fn (Request $request, Customer $customer): bool =>
+                $isSelf($request->input('customer_uuid'), $customer),
+            ReactionController::class . '@destroy' => fn (Request $request, Customer $customer): bool =>
+                $isSelf($request->input('customer_uuid'), $customer),
+            AttachmentController::class . '@store' => fn (Request $request, Customer $customer): bool =>
+                $isSelf($request->input('customer_uuid'), $customer),
+            AttachmentController::class . '@startUpload' => fn (Request $request, Customer $customer): bool =>
+                $isSelf($request->input('customer_uuid'), $customer),
+            AttachmentController::class . '@uploadChunk' => fn (Request $request, Customer $customer): bool =>
+                $isSelf($request->input('customer_uuid'), $customer),
+            AttachmentController::class . '@show' => fn (Request $request, Customer $customer): bool =>
+                $this->canSeeAttachment($request->route('attachmentUuid'), $customer),
+            ReadReceiptController::class . '@index' => fn (Request $request, Customer $customer): bool =>
+                $this->isParticipant($request->route('channelUuid'), $customer),
+            ReadReceiptController::class . '@store' => fn (Request $request, Customer $customer): bool =>
+                $isSelf($request->input('customer_uuid'), $customer),
+            RealtimeController::class . '@poll' => function (Request $request, Customer $customer): bool {
+                $channelUuids = RealtimePollRequest::parseChannels($request->query('channels'));
+
+                return $channelUuids !== []
+                    && collect($channelUuids)->every(fn (string $uuid): bool => $this->isParticipant($uuid, $customer));
+            },
+            CustomerController::class . '@show' => fn (Request $request, Customer $customer): bool =>
+                $isSelf($request->route('customer'), $customer),
+            CustomerController::class . '@getActiveCustomersForSender' => fn (Request $request, Customer $customer): bool =>
+                $isOwnEmail($request->query('email'), $customer),
+        ];
+    }
+
+    /**
+     * Determine whether the customer participates in a channel.
+     *
+     * @param mixed $channelUuid UUID of the channel
+     * @param Customer $customer The session customer
+     * @return bool True if the customer is a member of the channel
+     */
+    private function isParticipant(mixed $channelUuid, Customer $customer): bool
+    {
+        if (!is_string($channelUuid)) {
+            return false;
+        }
+
+        return Channel::where('uuid', $channelUuid)
+            ->where('client_id', $customer->client_id)
+            ->whereHas('customers', fn ($query) => $query->where('customers.id', $customer->id))
+            ->exists();
+    }
+
+    /**
+     * Determine whether the customer participates in the channel of a message.
+     *
+     * @param mixed $messageUuid UUID of the message
+     * @param Customer $customer The session customer
+     * @return bool True if the customer is a member of the message's channel
+     */
+    private function isMessageParticipant(mixed $messageUuid, Customer $customer): bool
+    {
+        if (!is_string($messageUuid)) {
+            return false;
+        }
+
+        return Message::where('uuid', $messageUuid)
+            ->where('client_id', $customer->client_id)
+            ->whereHas('channel.customers', fn ($query) => $query->where('customers.id', $customer->id))
+            ->exists();
+    }
+
+    /**
+     * Determine whether the customer uploaded an attachment or participates
+     * in the channel of the message it was sent with.
+     *
+     * @param mixed $attachmentUuid UUID of the attachment
+     * @param Customer $customer The session customer
+     * @return bool True if the customer may see the attachment
+     */
+    private function canSeeAttachment(mixed $attachmentUuid, Customer $customer): bool
+    {
+        if (!is_string($attachmentUuid)) {
+            return false;
+        }
+
+        return Attachment::where('uuid', $attachmentUuid)
+            ->where('client_id', $customer->client_id)
+            ->where(function ($query) use ($customer) {
+                $query->where('customer_id', $customer->id)
+                    ->orWhereHas('message.channel.customers', fn ($q) => $q->where('customers.id', $customer->id));
+            })
+            ->exists();
+    }
+}
@@ -0,0 +1,60 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use App\Models\Attachment;
+use Illuminate\Foundation\Http\FormRequest;
+
+/**
+ * Attachment Chunk Request
+ *
+ * Validates a chunk of a chunked upload, sent as multipart form data with
+ * the offset it starts at.
+ *
+ * @package App\Http\Requests
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class AttachmentChunkRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     *
+     * @return bool True if authorized
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'customer_uuid' => 'required|string',
+            'offset' => 'required|integer|min:0',
+            'chunk' => 'required|file|max:' . intdiv(Attachment::MAX_CHUNK_SIZE, 1024),
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'customer_uuid.required' => 'Customer UUID is required',
+            'offset.required' => 'Offset is required',
+            'chunk.required' => 'Chunk is required',
+            'chunk.max' => 'Chunk may not be larger than ' . intdiv(Attachment::MAX_CHUNK_SIZE, 1024 * 1024) . ' MB',
+        ];
+    }
+}
@@ -11,6 +11,8 @@
  *
  * Validates incoming message creation requests.
  * Ensures all required fields are present and properly formatted.
+ * Forwards may leave out the type and content of the forwarded message,
+ * and messages with attachments may leave out both as well.
  *
  * @package App\Http\Requests
  * @author Laravel Slime Talks
@@ -38,9 +40,14 @@ public function rules(): array
         return [
             'channel_uuid' => 'required|string|exists:channels,uuid',
             'sender_uuid' => 'required|string|exists:customers,uuid',
-            'type' => 'required|string|in:text,image,file',
-            'content' => 'required|string|min:1',
+            'type' => 'required_without_all:forwarded_from,attachment_uuids|string|in:text,image,file',
+            'content' => 'required_without_all:forwarded_from,attachment_uuids|string|min:1',
             'metadata' => 'nullable|array',
+            'parent_uuid' => 'nullable|string',
+            'reply_to' => 'nullable|string',
+            'forwarded_from' => 'nullable|string',
+            'attachment_uuids' => 'nullable|array|max:10',
+            'attachment_uuids.*' => 'string',
         ];
     }
 
@@ -56,9 +63,10 @@ public function messages(): array
             'channel_uuid.exists' => 'Channel does not exist',
             'sender_uuid.required' => 'Sender UUID is required',
             'sender_uuid.exists' => 'Sender does not exist',
-            'type.required' => 'Message type is required',
+            'type.required_without_all' => 'Message type is required',
             'type.in' => 'Message type must be text, image, or file',
-            'content.required' => 'Message content is required',
+            'content.required_without_all' => 'Message content is required',
+            'attachment_uuids.max' => 'A message may have at most 10 attachments',
             'content.min' => 'Message content cannot be empty',
         ];
     }
@@ -0,0 +1,71 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+
+/**
+ * Create Session Request
+ *
+ * Validates incoming session token requests.
+ *
+ * @package App\Http\Requests
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class CreateSessionRequest extends FormRequest
+{
+    /**
+     * Shortest allowed session lifetime in seconds.
+     */
+    public const MIN_TTL = 60;
+
+    /**
+     * Longest allowed session lifetime in seconds.
+     */
+    public const MAX_TTL = 3600;
+
+    /**
+     * Default session lifetime in seconds.
+     */
+    public const DEFAULT_TTL = 900;
+
+    /**
+     * Determine if the user is authorized to make this request.
+     *
+     * @return bool True if authorized
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'customer_uuid' => 'required|string',
+            'ttl' => 'sometimes|integer|min:' . self::MIN_TTL . '|max:' . self::MAX_TTL,
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'customer_uuid.required' => 'Customer UUID is required',
+            'ttl.min' => 'Session lifetime must be at least ' . self::MIN_TTL . ' seconds',
+            'ttl.max' => 'Session lifetime cannot exceed ' . self::MAX_TTL . ' seconds',
+        ];
+    }
+}
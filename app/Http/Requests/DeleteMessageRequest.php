@@ -0,0 +1,54 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+
+/**
+ * Delete Message Request
+ *
+ * Validates message deletions. The sender UUID identifies the customer
+ * deleting the message, which must be its sender.
+ *
+ * @package App\Http\Requests
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class DeleteMessageRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     *
+     * @return bool True if authorized
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'sender_uuid' => 'required|string',
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'sender_uuid.required' => 'Sender UUID is required',
+        ];
+    }
+}
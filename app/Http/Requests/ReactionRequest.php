@@ -0,0 +1,58 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+
+/**
+ * Reaction Request
+ *
+ * Validates adding and removing emoji reactions. The customer must
+ * participate in the channel of the message.
+ *
+ * @package App\Http\Requests
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class ReactionRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     *
+     * @return bool True if authorized
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'customer_uuid' => 'required|string',
+            'emoji' => ['required', 'string', 'max:32', 'not_regex:/\s/u'],
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'customer_uuid.required' => 'Customer UUID is required',
+            'emoji.required' => 'Emoji is required',
+            'emoji.max' => 'Emoji may not be longer than 32 characters',
+            'emoji.not_regex' => 'Emoji may not contain whitespace',
+        ];
+    }
+}
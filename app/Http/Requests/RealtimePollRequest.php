@@ -0,0 +1,106 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use Closure;
+use Illuminate\Foundation\Http\FormRequest;
+
+/**
+ * Realtime Poll Request
+ *
+ * Validates incoming long-polling requests. Channels are passed as a
+ * comma-separated list of channel UUIDs.
+ *
+ * @package App\Http\Requests
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class RealtimePollRequest extends FormRequest
+{
+    /**
+     * Maximum number of channels polled by one request.
+     */
+    public const MAX_CHANNELS = 50;
+
+    /**
+     * Maximum number of seconds a poll may wait for a new message.
+     */
+    public const MAX_WAIT_SECONDS = 25;
+
+    /**
+     * Determine if the user is authorized to make this request.
+     *
+     * @return bool True if authorized
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'channels' => [
+                'required',
+                'string',
+                function (string $attribute, mixed $value, Closure $fail): void {
+                    $count = count(self::parseChannels($value));
+
+                    if ($count === 0) {
+                        $fail('Channels are required');
+                    } elseif ($count > self::MAX_CHANNELS) {
+                        $fail('No more than ' . self::MAX_CHANNELS . ' channels can be polled at once');
+                    }
+                },
+            ],
+            'cursor' => 'nullable|integer|min:0',
+            'wait' => 'nullable|integer|min:0|max:' . self::MAX_WAIT_SECONDS,
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'channels.required' => 'Channels are required',
+            'cursor.integer' => 'Cursor must be a cursor returned by a previous poll',
+            'wait.max' => 'Wait cannot be longer than ' . self::MAX_WAIT_SECONDS . ' seconds',
+        ];
+    }
+
+    /**
+     * Get the unique channel UUIDs of the request.
+     *
+     * @return array<int, string> Channel UUIDs
+     */
+    public function channelUuids(): array
+    {
+        return self::parseChannels($this->query('channels'));
+    }
+
+    /**
+     * Split a comma-separated channel list into unique channel UUIDs.
+     *
+     * @param mixed $channels Comma-separated channel UUIDs
+     * @return array<int, string> Channel UUIDs
+     */
+    public static function parseChannels(mixed $channels): array
+    {
+        if (!is_string($channels)) {
+            return [];
+        }
+
+        return array_values(array_unique(array_filter(array_map('trim', explode(',', $channels)))));
+    }
+}
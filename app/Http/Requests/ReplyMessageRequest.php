@@ -0,0 +1,62 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+
+/**
+ * Reply Message Request
+ *
+ * Validates replies sent in the thread of a message. The channel is the
+ * one of the message being replied to.
+ *
+ * @package App\Http\Requests
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class ReplyMessageRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     *
+     * @return bool True if authorized
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'sender_uuid' => 'required|string|exists:customers,uuid',
+            'type' => 'required|string|in:text,image,file',
+            'content' => 'required|string|min:1',
+            'metadata' => 'nullable|array',
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'sender_uuid.required' => 'Sender UUID is required',
+            'sender_uuid.exists' => 'Sender does not exist',
+            'type.required' => 'Message type is required',
+            'type.in' => 'Message type must be text, image, or file',
+            'content.required' => 'Message content is required',
+            'content.min' => 'Message content cannot be empty',
+        ];
+    }
+}
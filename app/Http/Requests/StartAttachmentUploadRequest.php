@@ -0,0 +1,63 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use App\Models\Attachment;
+use Illuminate\Foundation\Http\FormRequest;
+
+/**
+ * Start Attachment Upload Request
+ *
+ * Validates starting a chunked upload. The size is declared up front and
+ * the upload completes once that many bytes have arrived.
+ *
+ * @package App\Http\Requests
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class StartAttachmentUploadRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     *
+     * @return bool True if authorized
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'customer_uuid' => 'required|string',
+            'filename' => 'required|string|max:255',
+            'mime_type' => ['required', 'string', 'max:255', 'regex:/^[\w.+-]+\/[\w.+-]+$/'],
+            'size' => 'required|integer|min:1|max:' . Attachment::MAX_SIZE,
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'customer_uuid.required' => 'Customer UUID is required',
+            'filename.required' => 'Filename is required',
+            'mime_type.required' => 'MIME type is required',
+            'mime_type.regex' => 'MIME type must look like type/subtype',
+            'size.required' => 'Size is required',
+            'size.max' => 'File may not be larger than ' . intdiv(Attachment::MAX_SIZE, 1024 * 1024) . ' MB',
+        ];
+    }
+}
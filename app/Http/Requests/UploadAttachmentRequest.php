@@ -0,0 +1,59 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use App\Models\Attachment;
+use Illuminate\Foundation\Http\FormRequest;
+
+/**
+ * Upload Attachment Request
+ *
+ * Validates uploading a whole file in one multipart request. Files larger
+ * than the server accepts in one request are uploaded in chunks instead.
+ *
+ * @package App\Http\Requests
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class UploadAttachmentRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     *
+     * @return bool True if authorized
+     */
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'customer_uuid' => 'required|string',
+            'file' => 'required|file|max:' . intdiv(Attachment::MAX_SIZE, 1024),
+            'filename' => 'nullable|string|max:255',
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'customer_uuid.required' => 'Customer UUID is required',
+            'file.required' => 'File is required',
+            'file.max' => 'File may not be larger than ' . intdiv(Attachment::MAX_SIZE, 1024 * 1024) . ' MB',
+        ];
+    }
+}
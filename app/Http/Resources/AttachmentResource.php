@@ -0,0 +1,69 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Resources;
+
+use App\Models\Attachment;
+use Illuminate\Http\Request;
+use Illuminate\Http\Resources\Json\JsonResource;
+
+/**
+ * Attachment Resource
+ *
+ * Transforms Attachment model data into consistent API responses.
+ * Every response carries a freshly signed download URL, so clients holding
+ * an expired one fetch the attachment again to get a new URL.
+ *
+ * @package App\Http\Resources
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class AttachmentResource extends JsonResource
+{
+    /**
+     * Transform the resource into an array.
+     *
+     * Pending uploads have no URL yet and report how many bytes have arrived.
+     *
+     * @param Request $request The HTTP request
+     * @return array<string, mixed> Formatted attachment data
+     *
+     * @example
+     * // Response format:
+     * {
+     *     "object": "attachment",
+     *     "id": "attachment_uuid",
+     *     "customer_id": "customer_uuid",
+     *     "message_id": null,
+     *     "filename": "photo.png",
+     *     "mime_type": "image/png",
+     *     "size": 48213,
+     *     "received": 48213,
+     *     "status": "ready",
+     *     "url": "https://api.example.com/api/v1/attachments/attachment_uuid/download?expires=1640998800&signature=...",
+     *     "url_expires": 1640998800,
+     *     "created": 1640995200
+     * }
+     */
+    public function toArray(Request $request): array
+    {
+        $expiresAt = now()->addMinutes(Attachment::URL_TTL_MINUTES);
+        $ready = $this->isReady();
+
+        return [
+            'object' => 'attachment',
+            'id' => $this->uuid,
+            'customer_id' => $this->customer->uuid,
+            'message_id' => $this->message?->uuid,
+            'filename' => $this->filename,
+            'mime_type' => $this->mime_type,
+            'size' => $this->size,
+            'received' => $this->received,
+            'status' => $ready ? 'ready' : 'pending',
+            'url' => $this->downloadUrl($expiresAt),
+            'url_expires' => $ready ? $expiresAt->timestamp : null,
+            'created' => $this->created_at?->timestamp,
+        ];
+    }
+}
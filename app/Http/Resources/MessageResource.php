@@ -24,6 +24,11 @@ class MessageResource extends JsonResource
      *
      * Formats the message data for API responses following Stripe patterns.
      * Includes all necessary message information with proper timestamps and sender details.
+     * Deleted messages are returned as tombstones with empty content.
+     * Reactions are summarized per emoji, with the customers who reacted.
+     * Thread replies name their parent message; other messages count their replies.
+     * Quoted and forwarded messages are embedded as compact snapshots.
+     * Attachments come with signed download URLs.
      *
      * @param Request $request The HTTP request
      * @return array<string, mixed> Formatted message data
@@ -35,10 +40,18 @@ class MessageResource extends JsonResource
      *     "id": "message_uuid",
      *     "channel_id": "channel_uuid",
      *     "sender_id": "customer_uuid",
+     *     "parent_id": null,
+     *     "reply_to": {"id": "message_uuid", "channel_id": "channel_uuid", "sender_id": "customer_uuid", "sender_name": "Jane Doe", "type": "text", "content": "Hi!", "created": 1640995100, "deleted": false},
+     *     "forwarded_from": null,
      *     "type": "text",
      *     "content": "Hello world!",
      *     "metadata": {"priority": "high"},
+     *     "attachments": [],
+     *     "reactions": [{"emoji": "👍", "count": 1, "customer_ids": ["customer_uuid"]}],
+     *     "reply_count": 2,
      *     "created": 1640995200,
+     *     "edited": null,
+     *     "deleted": false,
      *     "livemode": false
      * }
      */
@@ -49,10 +62,18 @@ public function toArray(Request $request): array
             'id' => $this->uuid,
             'channel_id' => $this->channel->uuid,
             'sender_id' => $this->sender->uuid,
+            'parent_id' => $this->parent_id ? $this->parent->uuid : null,
+            'reply_to' => $this->replyTo?->snapshot(),
+            'forwarded_from' => $this->forwardedFrom?->snapshot(),
             'type' => $this->type,
             'content' => $this->content,
             'metadata' => $this->metadata,
+            'attachments' => AttachmentResource::collection($this->attachments),
+            'reactions' => $this->reactionSummary(),
+            'reply_count' => $this->parent_id ? 0 : $this->replyCount(),
             'created' => $this->created_at?->timestamp,
+            'edited' => $this->edited_at?->timestamp,
+            'deleted' => $this->isDeleted(),
             'livemode' => false, // TODO: Implement livemode logic
         ];
     }
@@ -0,0 +1,48 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Resources;
+
+use Illuminate\Http\Request;
+use Illuminate\Http\Resources\Json\JsonResource;
+
+/**
+ * Session Resource
+ *
+ * Transforms a freshly minted session token into an API response.
+ * The plain-text token is only ever returned here, at creation time.
+ *
+ * @package App\Http\Resources
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class SessionResource extends JsonResource
+{
+    /**
+     * Transform the resource into an array.
+     *
+     * @param Request $request The HTTP request
+     * @return array<string, mixed> Formatted session data
+     *
+     * @example
+     * // Response format:
+     * {
+     *     "object": "session",
+     *     "token": "12|Jx8...",
+     *     "customer_id": "customer_uuid",
+     *     "scopes": ["session", "customer:customer_uuid"],
+     *     "expires_at": 1640996100
+     * }
+     */
+    public function toArray(Request $request): array
+    {
+        return [
+            'object' => 'session',
+            'token' => $this->resource['token'],
+            'customer_id' => $this->resource['customer']->uuid,
+            'scopes' => $this->resource['abilities'],
+            'expires_at' => $this->resource['expires_at']->timestamp,
+        ];
+    }
+}
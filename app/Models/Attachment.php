@@ -0,0 +1,180 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Support\Facades\URL;
+use Illuminate\Support\Str;
+
+/**
+ * Attachment Model
+ *
+ * Represents a file uploaded by a customer, stored on one of the
+ * application's filesystem disks. Small files are uploaded in one request;
+ * larger ones are uploaded in chunks and stay pending until every byte has
+ * arrived. Ready attachments are linked to the message they are sent with
+ * and downloaded through short-lived signed URLs.
+ *
+ * @package App\Models
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ *
+ * @property int $id
+ * @property string $uuid
+ * @property int $client_id
+ * @property int $customer_id
+ * @property int|null $message_id
+ * @property string $disk
+ * @property string $path
+ * @property string $filename
+ * @property string $mime_type
+ * @property int $size
+ * @property int $received
+ * @property \Carbon\Carbon|null $completed_at
+ * @property \Carbon\Carbon $created_at
+ * @property \Carbon\Carbon $updated_at
+ *
+ * @property-read Client $client
+ * @property-read Customer $customer
+ * @property-read Message|null $message
+ */
+class Attachment extends Model
+{
+    /**
+     * Largest file that can be attached, in bytes.
+     */
+    public const MAX_SIZE = 25 * 1024 * 1024;
+
+    /**
+     * Largest chunk of a chunked upload, in bytes.
+     */
+    public const MAX_CHUNK_SIZE = 5 * 1024 * 1024;
+
+    /**
+     * Minutes a signed download URL stays valid.
+     */
+    public const URL_TTL_MINUTES = 60;
+
+    /**
+     * Image types shown inline; every other type is downloaded as a file.
+     *
+     * SVG is left out on purpose, as it can carry scripts.
+     *
+     * @var array<int, string>
+     */
+    public const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var array<int, string>
+     */
+    protected $fillable = [
+        'uuid',
+        'client_id',
+        'customer_id',
+        'message_id',
+        'disk',
+        'path',
+        'filename',
+        'mime_type',
+        'size',
+        'received',
+        'completed_at',
+    ];
+
+    /**
+     * The attributes that should be cast.
+     *
+     * @var array<string, string>
+     */
+    protected $casts = [
+        'size' => 'integer',
+        'received' => 'integer',
+        'completed_at' => 'datetime',
+    ];
+
+    /**
+     * Boot the model.
+     *
+     * Generates UUID for new attachments automatically.
+     */
+    protected static function boot(): void
+    {
+        parent::boot();
+
+        static::creating(function (Attachment $attachment) {
+            if (empty($attachment->uuid)) {
+                $attachment->uuid = Str::uuid();
+            }
+        });
+    }
+
+    /**
+     * Get the client that owns the attachment.
+     *
+     * @return BelongsTo
+     */
+    public function client(): BelongsTo
+    {
+        return $this->belongsTo(Client::class);
+    }
+
+    /**
+     * Get the customer who uploaded the attachment.
+     *
+     * @return BelongsTo
+     */
+    public function customer(): BelongsTo
+    {
+        return $this->belongsTo(Customer::class);
+    }
+
+    /**
+     * Get the message the attachment was sent with.
+     *
+     * @return BelongsTo
+     */
+    public function message(): BelongsTo
+    {
+        return $this->belongsTo(Message::class);
+    }
+
+    /**
+     * Determine whether every byte of the file has been uploaded.
+     *
+     * @return bool True once the upload is complete
+     */
+    public function isReady(): bool
+    {
+        return $this->completed_at !== null;
+    }
+
+    /**
+     * Determine whether the file is an image that can be shown inline.
+     *
+     * @return bool True for the types in IMAGE_TYPES
+     */
+    public function isImage(): bool
+    {
+        return in_array($this->mime_type, self::IMAGE_TYPES, true);
+    }
+
+    /**
+     * Build a signed URL the file can be downloaded from without credentials.
+     *
+     * @param \DateTimeInterface $expiresAt When the URL stops working
+     * @return string|null The URL, or null while the upload is pending
+     */
+    public function downloadUrl(\DateTimeInterface $expiresAt): ?string
+    {
+        if (!$this->isReady()) {
+            return null;
+        }
+
+        return URL::temporarySignedRoute('attachments.download', $expiresAt, ['attachmentUuid' => $this->uuid]);
+    }
+}
@@ -134,7 +134,8 @@ public function client(): BelongsTo
      */
     public function customers(): BelongsToMany
     {
-        return $this->belongsToMany(Customer::class, 'channel_customer');
+        return $this->belongsToMany(Customer::class, 'channel_customer')
+            ->withPivot('last_read_message_id', 'last_read_at');
     }
 
     /**
@@ -136,7 +136,8 @@ public function client(): BelongsTo
      */
     public function channels(): BelongsToMany
     {
-        return $this->belongsToMany(Channel::class, 'channel_customer');
+        return $this->belongsToMany(Channel::class, 'channel_customer')
+            ->withPivot('last_read_message_id', 'last_read_at');
     }
 
     /**
@@ -4,9 +4,11 @@
 
 namespace App\Models;
 
+use Illuminate\Database\Eloquent\Builder;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\HasMany;
 use Illuminate\Support\Str;
 
 /**
@@ -15,6 +17,12 @@
  * Represents a message sent in a channel by a customer.
  * Messages support different types (text, image, file) and can contain metadata.
  * All messages are scoped to a specific client for data isolation.
+ * Deleted messages are kept as tombstones without content, so history and
+ * paging cursors keep their place. Replies in a thread point at the message
+ * that started it and are left out of the channel's own message list.
+ * A message may also quote an earlier message of its channel (reply_to) or
+ * forward a message from another channel (forwarded_from), and carry files
+ * uploaded beforehand as attachments.
  *
  * @package App\Models
  * @author Laravel Slime Talks
@@ -25,20 +33,37 @@
  * @property int $client_id
  * @property int $channel_id
  * @property int $sender_id
+ * @property int|null $parent_id
+ * @property int|null $reply_to_id
+ * @property int|null $forwarded_from_id
  * @property string $type
  * @property string $content
  * @property array|null $metadata
+ * @property \Carbon\Carbon|null $edited_at
+ * @property \Carbon\Carbon|null $deleted_at
  * @property \Carbon\Carbon $created_at
  * @property \Carbon\Carbon $updated_at
  *
  * @property-read Client $client
  * @property-read Channel $channel
  * @property-read Customer $sender
+ * @property-read Message|null $parent
+ * @property-read Message|null $replyTo
+ * @property-read Message|null $forwardedFrom
+ * @property-read \Illuminate\Database\Eloquent\Collection|Message[] $replies
+ * @property-read int|null $replies_count
+ * @property-read \Illuminate\Database\Eloquent\Collection|MessageReaction[] $reactions
+ * @property-read \Illuminate\Database\Eloquent\Collection|Attachment[] $attachments
  */
 class Message extends Model
 {
     use HasFactory;
 
+    /**
+     * Maximum length of the content in a snapshot of a referenced message.
+     */
+    public const SNAPSHOT_CONTENT_LENGTH = 200;
+
     /**
      * The attributes that are mass assignable.
      *
@@ -49,9 +74,13 @@ class Message extends Model
         'client_id',
         'channel_id',
         'sender_id',
+        'parent_id',
+        'reply_to_id',
+        'forwarded_from_id',
         'type',
         'content',
         'metadata',
+        'edited_at',
     ];
 
     /**
@@ -61,6 +90,8 @@ class Message extends Model
      */
     protected $casts = [
         'metadata' => 'array',
+        'edited_at' => 'datetime',
+        'deleted_at' => 'datetime',
     ];
 
     /**
@@ -108,4 +139,165 @@ public function sender(): BelongsTo
     {
         return $this->belongsTo(Customer::class, 'sender_id');
     }
+
+    /**
+     * Get the message that started the thread this message replies to.
+     *
+     * @return BelongsTo
+     */
+    public function parent(): BelongsTo
+    {
+        return $this->belongsTo(Message::class, 'parent_id');
+    }
+
+    /**
+     * Get the message this message quotes.
+     *
+     * @return BelongsTo
+     */
+    public function replyTo(): BelongsTo
+    {
+        return $this->belongsTo(Message::class, 'reply_to_id');
+    }
+
+    /**
+     * Get the message this message forwards.
+     *
+     * @return BelongsTo
+     */
+    public function forwardedFrom(): BelongsTo
+    {
+        return $this->belongsTo(Message::class, 'forwarded_from_id');
+    }
+
+    /**
+     * Get the replies in the thread started by the message.
+     *
+     * @return HasMany
+     */
+    public function replies(): HasMany
+    {
+        return $this->hasMany(Message::class, 'parent_id');
+    }
+
+    /**
+     * Get the reactions to the message, oldest first.
+     *
+     * @return HasMany
+     */
+    public function reactions(): HasMany
+    {
+        return $this->hasMany(MessageReaction::class)->orderBy('id');
+    }
+
+    /**
+     * Get the files sent with the message, in the order they were uploaded.
+     *
+     * @return HasMany
+     */
+    public function attachments(): HasMany
+    {
+        return $this->hasMany(Attachment::class)->orderBy('id');
+    }
+
+    /**
+     * Summarize the reactions per emoji.
+     *
+     * Emojis are listed in the order they were first used.
+     *
+     * @return array<int, array{emoji: string, count: int, customer_ids: array<int, string>}>
+     */
+    public function reactionSummary(): array
+    {
+        return $this->reactions
+            ->groupBy('emoji')
+            ->map(fn ($reactions, $emoji) => [
+                'emoji' => (string) $emoji,
+                'count' => $reactions->count(),
+                'customer_ids' => $reactions->map(fn (MessageReaction $reaction) => $reaction->customer->uuid)->values()->all(),
+            ])
+            ->values()
+            ->all();
+    }
+
+    /**
+     * Build the compact copy of the message embedded in messages that quote or forward it.
+     *
+     * Long content is shortened, and deleted messages keep no content.
+     *
+     * @return array{id: string, channel_id: string, sender_id: string, sender_name: string, type: string, content: string, created: int|null, deleted: bool}
+     */
+    public function snapshot(): array
+    {
+        return [
+            'id' => $this->uuid,
+            'channel_id' => $this->channel->uuid,
+            'sender_id' => $this->sender->uuid,
+            'sender_name' => $this->sender->name,
+            'type' => $this->type,
+            'content' => Str::limit($this->content, self::SNAPSHOT_CONTENT_LENGTH),
+            'created' => $this->created_at?->timestamp,
+            'deleted' => $this->isDeleted(),
+        ];
+    }
+
+    /**
+     * Count the replies in the thread started by the message.
+     *
+     * Uses the count loaded with withCount('replies') when there is one.
+     *
+     * @return int Number of replies, including deleted ones
+     */
+    public function replyCount(): int
+    {
+        return $this->replies_count ?? $this->replies()->count();
+    }
+
+    /**
+     * Determine whether the message has been deleted.
+     *
+     * @return bool True if only the tombstone is left
+     */
+    public function isDeleted(): bool
+    {
+        return $this->deleted_at !== null;
+    }
+
+    /**
+     * Scope to messages that are not replies in a thread.
+     *
+     * @param Builder $query The query
+     * @return Builder
+     */
+    public function scopeTopLevel(Builder $query): Builder
+    {
+        return $query->whereNull('messages.parent_id');
+    }
+
+    /**
+     * Scope to messages a customer has not read yet.
+     *
+     * Only covers channels the customer participates in, and never counts
+     * the customer's own messages, deleted ones or thread replies, which
+     * the channel's read position does not cover.
+     *
+     * @param Builder $query The query
+     * @param int $customerId ID of the reading customer
+     * @return Builder
+     */
+    public function scopeUnreadBy(Builder $query, int $customerId): Builder
+    {
+        return $query
+            ->join('channel_customer as reader', function ($join) use ($customerId) {
+                $join->on('reader.channel_id', '=', 'messages.channel_id')
+                    ->where('reader.customer_id', '=', $customerId);
+            })
+            ->where('messages.sender_id', '!=', $customerId)
+            ->whereNull('messages.deleted_at')
+            ->whereNull('messages.parent_id')
+            ->where(function ($q) {
+                $q->whereNull('reader.last_read_message_id')
+                    ->orWhereColumn('messages.id', '>', 'reader.last_read_message_id');
+            });
+    }
 }
@@ -0,0 +1,62 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * Message Reaction Model
+ *
+ * Represents one customer reacting to a message with an emoji.
+ * Reactions are aggregated per emoji when messages are returned.
+ *
+ * @package App\Models
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ *
+ * @property int $id
+ * @property int $message_id
+ * @property int $customer_id
+ * @property string $emoji
+ * @property \Carbon\Carbon $created_at
+ * @property \Carbon\Carbon $updated_at
+ *
+ * @property-read Message $message
+ * @property-read Customer $customer
+ */
+class MessageReaction extends Model
+{
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var array<int, string>
+     */
+    protected $fillable = [
+        'message_id',
+        'customer_id',
+        'emoji',
+    ];
+
+    /**
+     * Get the message that was reacted to.
+     *
+     * @return BelongsTo
+     */
+    public function message(): BelongsTo
+    {
+        return $this->belongsTo(Message::class);
+    }
+
+    /**
+     * Get the customer who reacted.
+     *
+     * @return BelongsTo
+     */
+    public function customer(): BelongsTo
+    {
+        return $this->belongsTo(Customer::class);
+    }
+}
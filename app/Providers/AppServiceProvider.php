@@ -4,18 +4,32 @@
 
 namespace App\Providers;
 
+use App\Repositories\AttachmentRepository;
+use App\Repositories\AttachmentRepositoryInterface;
 use App\Repositories\ChannelRepository;
 use App\Repositories\ChannelRepositoryInterface;
 use App\Repositories\CustomerRepository;
 use App\Repositories\CustomerRepositoryInterface;
 use App\Repositories\MessageRepository;
 use App\Repositories\MessageRepositoryInterface;
+use App\Services\AttachmentService;
+use App\Services\AttachmentServiceInterface;
 use App\Services\ChannelService;
 use App\Services\ChannelServiceInterface;
 use App\Services\CustomerService;
 use App\Services\CustomerServiceInterface;
 use App\Services\MessageService;
 use App\Services\MessageServiceInterface;
+use App\Services\ReactionService;
+use App\Services\ReactionServiceInterface;
+use App\Services\ReadReceiptService;
+use App\Services\ReadReceiptServiceInterface;
+use App\Services\RealtimeService;
+use App\Services\RealtimeServiceInterface;
+use App\Services\SessionService;
+use App\Services\SessionServiceInterface;
+use App\Services\TypingService;
+use App\Services\TypingServiceInterface;
 use Illuminate\Support\ServiceProvider;
 
 class AppServiceProvider extends ServiceProvider
@@ -29,11 +43,18 @@ public function register(): void
         $this->app->bind(CustomerRepositoryInterface::class, CustomerRepository::class);
         $this->app->bind(ChannelRepositoryInterface::class, ChannelRepository::class);
         $this->app->bind(MessageRepositoryInterface::class, MessageRepository::class);
+        $this->app->bind(AttachmentRepositoryInterface::class, AttachmentRepository::class);
         
         // Service bindings
         $this->app->bind(CustomerServiceInterface::class, CustomerService::class);
         $this->app->bind(ChannelServiceInterface::class, ChannelService::class);
         $this->app->bind(MessageServiceInterface::class, MessageService::class);
+        $this->app->bind(SessionServiceInterface::class, SessionService::class);
+        $this->app->bind(TypingServiceInterface::class, TypingService::class);
+        $this->app->bind(RealtimeServiceInterface::class, RealtimeService::class);
+        $this->app->bind(ReadReceiptServiceInterface::class, ReadReceiptService::class);
+        $this->app->bind(ReactionServiceInterface::class, ReactionService::class);
+        $this->app->bind(AttachmentServiceInterface::class, AttachmentService::class);
     }
 
     /**
@@ -0,0 +1,123 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Repositories;
+
+use App\Models\Attachment;
+use App\Models\Message;
+use Illuminate\Database\Eloquent\Collection;
+
+/**
+ * Attachment Repository
+ *
+ * Handles all database operations for attachment management.
+ * Implements the AttachmentRepositoryInterface contract.
+ *
+ * @package App\Repositories
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class AttachmentRepository implements AttachmentRepositoryInterface
+{
+    /**
+     * Create a new attachment.
+     *
+     * @param array<string, mixed> $data Attachment data
+     * @return Attachment The created attachment
+     */
+    public function create(array $data): Attachment
+    {
+        return Attachment::create($data);
+    }
+
+    /**
+     * Update an attachment.
+     *
+     * @param Attachment $attachment The attachment to update
+     * @param array<string, mixed> $data Attributes to change
+     * @return Attachment The updated attachment
+     */
+    public function update(Attachment $attachment, array $data): Attachment
+    {
+        $attachment->update($data);
+
+        return $attachment;
+    }
+
+    /**
+     * Find an attachment by UUID and client.
+     *
+     * @param string $uuid Attachment UUID
+     * @param int $clientId Client ID
+     * @return Attachment|null The attachment or null if not found
+     */
+    public function findByUuidAndClient(string $uuid, int $clientId): ?Attachment
+    {
+        return Attachment::where('uuid', $uuid)
+            ->where('client_id', $clientId)
+            ->first();
+    }
+
+    /**
+     * Find an attachment by UUID, whatever client it belongs to.
+     *
+     * @param string $uuid Attachment UUID
+     * @return Attachment|null The attachment or null if not found
+     */
+    public function findByUuid(string $uuid): ?Attachment
+    {
+        return Attachment::where('uuid', $uuid)->first();
+    }
+
+    /**
+     * Find attachments of a client by UUID.
+     *
+     * @param array<int, string> $uuids Attachment UUIDs
+     * @param int $clientId Client ID
+     * @param bool $lock Lock the rows until the current transaction ends
+     * @return Collection<int, Attachment> The attachments found, keyed by UUID
+     */
+    public function findManyByUuidAndClient(array $uuids, int $clientId, bool $lock = false): Collection
+    {
+        return Attachment::whereIn('uuid', $uuids)
+            ->where('client_id', $clientId)
+            ->when($lock, fn ($query) => $query->lockForUpdate())
+            ->get()
+            ->keyBy('uuid');
+    }
+
+    /**
+     * Lock an attachment until the current transaction ends.
+     *
+     * Chunks of one upload may arrive concurrently; locking the row makes
+     * them wait for each other, so every chunk sees the bytes received so far.
+     *
+     * @param Attachment $attachment The attachment
+     * @return Attachment The attachment as currently stored
+     */
+    public function lockForUpdate(Attachment $attachment): Attachment
+    {
+        return Attachment::whereKey($attachment->id)
+            ->lockForUpdate()
+            ->firstOrFail();
+    }
+
+    /**
+     * Link attachments to the message they were sent with.
+     *
+     * @param Collection<int, Attachment> $attachments The attachments
+     * @param Message $message The message
+     * @return int Number of attachments linked; those already sent are skipped
+     */
+    public function attachToMessage(Collection $attachments, Message $message): int
+    {
+        $linked = Attachment::whereIn('id', $attachments->modelKeys())
+            ->whereNull('message_id')
+            ->update(['message_id' => $message->id]);
+
+        $message->unsetRelation('attachments');
+
+        return $linked;
+    }
+}
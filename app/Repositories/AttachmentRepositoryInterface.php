@@ -0,0 +1,86 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Repositories;
+
+use App\Models\Attachment;
+use App\Models\Message;
+use Illuminate\Database\Eloquent\Collection;
+
+/**
+ * Attachment Repository Interface
+ *
+ * Defines the contract for attachment data access operations.
+ * The files themselves live on a filesystem disk; only their records are
+ * handled here.
+ *
+ * @package App\Repositories
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+interface AttachmentRepositoryInterface
+{
+    /**
+     * Create a new attachment.
+     *
+     * @param array<string, mixed> $data Attachment data
+     * @return Attachment The created attachment
+     */
+    public function create(array $data): Attachment;
+
+    /**
+     * Update an attachment.
+     *
+     * @param Attachment $attachment The attachment to update
+     * @param array<string, mixed> $data Attributes to change
+     * @return Attachment The updated attachment
+     */
+    public function update(Attachment $attachment, array $data): Attachment;
+
+    /**
+     * Find an attachment by UUID and client.
+     *
+     * @param string $uuid Attachment UUID
+     * @param int $clientId Client ID
+     * @return Attachment|null The attachment or null if not found
+     */
+    public function findByUuidAndClient(string $uuid, int $clientId): ?Attachment;
+
+    /**
+     * Find an attachment by UUID, whatever client it belongs to.
+     *
+     * Only for requests whose signature already proves access.
+     *
+     * @param string $uuid Attachment UUID
+     * @return Attachment|null The attachment or null if not found
+     */
+    public function findByUuid(string $uuid): ?Attachment;
+
+    /**
+     * Find attachments of a client by UUID.
+     *
+     * @param array<int, string> $uuids Attachment UUIDs
+     * @param int $clientId Client ID
+     * @param bool $lock Lock the rows until the current transaction ends
+     * @return Collection<int, Attachment> The attachments found, keyed by UUID
+     */
+    public function findManyByUuidAndClient(array $uuids, int $clientId, bool $lock = false): Collection;
+
+    /**
+     * Lock an attachment until the current transaction ends.
+     *
+     * @param Attachment $attachment The attachment
+     * @return Attachment The attachment as currently stored
+     */
+    public function lockForUpdate(Attachment $attachment): Attachment;
+
+    /**
+     * Link attachments to the message they were sent with.
+     *
+     * @param Collection<int, Attachment> $attachments The attachments
+     * @param Message $message The message
+     * @return int Number of attachments linked; those already sent are skipped
+     */
+    public function attachToMessage(Collection $attachments, Message $message): int;
+}
@@ -6,6 +6,7 @@
 
 use App\Models\Channel;
 use App\Models\Client;
+use App\Models\Message;
 use Illuminate\Database\Eloquent\Collection;
 
 /**
@@ -261,6 +262,9 @@ public function findExistingCustomChannel(string $name, Client $client): ?Channe
      * grouped by the other participants (recipients). Results are ordered
      * by the latest message activity within each conversation.
      *
+     * Every channel carries an `unread_count` of the messages the customer
+     * has not read yet, and every conversation the sum over its channels.
+     *
      * @param Client $client Client instance to get channels for
      * @param string $email Customer email to get channels for
      * @return array{data: array, total_count: int} Grouped channels data
@@ -290,6 +294,12 @@ public function getChannelsByEmail(Client $client, string $email): array
             ->orderBy('id', 'desc')
             ->get();
 
+        $unreadCounts = Message::unreadBy($customer->id)
+            ->whereIn('messages.channel_id', $channels->pluck('id'))
+            ->groupBy('messages.channel_id')
+            ->selectRaw('messages.channel_id, COUNT(*) as unread_count')
+            ->pluck('unread_count', 'channel_id');
+
         // Group channels by recipient
         $conversations = [];
         $recipientMap = [];
@@ -308,16 +318,21 @@ public function getChannelsByEmail(Client $client, string $email): array
                         ],
                         'channels' => [],
                         'latest_message_at' => $channel->updated_at->timestamp,
+                        'unread_count' => 0,
                     ];
                 }
 
+                $unreadCount = (int) ($unreadCounts[$channel->id] ?? 0);
+
                 $recipientMap[$recipientKey]['channels'][] = [
                     'object' => 'channel',
                     'id' => $channel->uuid,
                     'type' => $channel->type,
                     'name' => $channel->name,
                     'updated_at' => $channel->updated_at->timestamp,
+                    'unread_count' => $unreadCount,
                 ];
+                $recipientMap[$recipientKey]['unread_count'] += $unreadCount;
 
                 // Update latest message time if this channel is more recent
                 if ($channel->updated_at->timestamp > $recipientMap[$recipientKey]['latest_message_at']) {
@@ -6,6 +6,7 @@
 
 use App\Models\Client;
 use App\Models\Customer;
+use App\Models\Message;
 use Illuminate\Database\Eloquent\Collection;
 
 /**
@@ -205,9 +206,13 @@ public function delete(Customer $customer): bool
      * messaging interfaces where you want to show the most active
      * customers first.
      *
+     * When a reader email is given, every customer also carries an
+     * `unread_count` of their messages that reader has not read yet.
+     *
      * @param Client $client Client instance to get customers for
      * @param int $limit Number of customers per page
      * @param string|null $startingAfter Customer UUID to start after
+     * @param string|null $readerEmail Email of a customer to count unread messages for
      * @return array{data: array, has_more: bool, total_count: int} Active customers data
      *
      * @example
@@ -216,7 +221,7 @@ public function delete(Customer $customer): bool
      * $hasMore = $result['has_more']; // Boolean indicating if more results exist
      * $totalCount = $result['total_count']; // Total number of active customers
      */
-    public function getActiveCustomers(Client $client, int $limit = 20, ?string $startingAfter = null): array
+    public function getActiveCustomers(Client $client, int $limit = 20, ?string $startingAfter = null, ?string $readerEmail = null): array
     {
         // Get customers who have sent messages, ordered by their latest message time
         $query = Customer::where('client_id', $client->id)
@@ -246,11 +251,23 @@ public function getActiveCustomers(Client $client, int $limit = 20, ?string $sta
             $customers->pop();
         }
 
+        $unreadCounts = null;
+
+        if ($readerEmail !== null) {
+            $reader = Customer::where('email', $readerEmail)
+                ->where('client_id', $client->id)
+                ->first();
+
+            $unreadCounts = $reader
+                ? $this->countUnreadBySender($reader->id, $customers->pluck('id')->all())
+                : [];
+        }
+
         // Format the response data
-        $data = $customers->map(function ($customer) {
+        $data = $customers->map(function ($customer) use ($unreadCounts) {
             $latestMessage = $customer->sentMessages()->latest()->first();
             
-            return [
+            $item = [
                 'object' => 'customer',
                 'id' => $customer->uuid,
                 'name' => $customer->name,
@@ -260,6 +277,12 @@ public function getActiveCustomers(Client $client, int $limit = 20, ?string $sta
                 'created' => $customer->created_at?->timestamp,
                 'livemode' => false,
             ];
+
+            if ($unreadCounts !== null) {
+                $item['unread_count'] = $unreadCounts[$customer->id] ?? 0;
+            }
+
+            return $item;
         })->toArray();
 
         return [
@@ -276,7 +299,9 @@ public function getActiveCustomers(Client $client, int $limit = 20, ?string $sta
      *
      * Returns customers who have exchanged messages with the specified sender,
      * ordered by the latest message activity between them. This finds all customers
-     * that share channels with the sender and have exchanged messages.
+     * that share channels with the sender and have exchanged messages. Each
+     * customer carries an `unread_count` of their messages the sender has not
+     * read yet.
      *
      * @param Client $client Client instance to get customers for
      * @param string $senderEmail Email of the sender to filter by
@@ -366,8 +391,10 @@ public function getActiveCustomersForSender(Client $client, string $senderEmail,
             $customers->pop();
         }
 
+        $unreadCounts = $this->countUnreadBySender($sender->id, $customers->pluck('id')->all());
+
         // Format the response data
-        $data = $customers->map(function ($customer) use ($senderChannelIds, $sender) {
+        $data = $customers->map(function ($customer) use ($senderChannelIds, $sender, $unreadCounts) {
             // Get the latest message in the conversation
             $latestMessage = \DB::table('messages')
                 ->whereIn('channel_id', $senderChannelIds)
@@ -385,6 +412,7 @@ public function getActiveCustomersForSender(Client $client, string $senderEmail,
                 'email' => $customer->email,
                 'metadata' => $customer->metadata,
                 'latest_message_at' => $latestMessage ? strtotime($latestMessage->created_at) : null,
+                'unread_count' => $unreadCounts[$customer->id] ?? 0,
                 'created' => $customer->created_at?->timestamp,
                 'livemode' => false,
             ];
@@ -407,4 +435,22 @@ public function getActiveCustomersForSender(Client $client, string $senderEmail,
             'total_count' => $totalCount,
         ];
     }
+
+    /**
+     * Count the messages of each sender a reader has not read yet.
+     *
+     * @param int $readerId ID of the reading customer
+     * @param array<int, int> $senderIds IDs of the senders
+     * @return array<int, int> Unread counts keyed by sender ID, senders without unread messages left out
+     */
+    private function countUnreadBySender(int $readerId, array $senderIds): array
+    {
+        return Message::unreadBy($readerId)
+            ->whereIn('messages.sender_id', $senderIds)
+            ->groupBy('messages.sender_id')
+            ->selectRaw('messages.sender_id, COUNT(*) as unread_count')
+            ->pluck('unread_count', 'sender_id')
+            ->map(fn ($count) => (int) $count)
+            ->all();
+    }
 }
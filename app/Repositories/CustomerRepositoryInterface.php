@@ -72,9 +72,10 @@ public function findByEmailAndClient(string $email, Client $client): Customer;
      * @param Client $client Client instance to get customers for
      * @param int $limit Number of customers per page
      * @param string|null $startingAfter Customer UUID to start after
+     * @param string|null $readerEmail Email of a customer to count unread messages for
      * @return array{data: array, has_more: bool, total_count: int} Active customers data
      */
-    public function getActiveCustomers(Client $client, int $limit = 20, ?string $startingAfter = null): array;
+    public function getActiveCustomers(Client $client, int $limit = 20, ?string $startingAfter = null, ?string $readerEmail = null): array;
 
     /**
      * Get active customers for a specific sender.
@@ -4,10 +4,13 @@
 
 namespace App\Repositories;
 
+use App\Models\Attachment;
 use App\Models\Channel;
 use App\Models\Customer;
 use App\Models\Message;
+use App\Models\MessageReaction;
 use Illuminate\Database\Eloquent\Model;
+use Illuminate\Support\Facades\Storage;
 
 /**
  * Message Repository
@@ -21,6 +24,28 @@
  */
 class MessageRepository implements MessageRepositoryInterface
 {
+    /**
+     * Relations the snapshots of quoted and forwarded messages are built from.
+     *
+     * @var array<int, string>
+     */
+    private const REFERENCE_RELATIONS = [
+        'replyTo.channel',
+        'replyTo.sender',
+        'forwardedFrom.channel',
+        'forwardedFrom.sender',
+    ];
+
+    /**
+     * Relations the attachments of a message are returned with.
+     *
+     * @var array<int, string>
+     */
+    private const ATTACHMENT_RELATIONS = [
+        'attachments.customer',
+        'attachments.message',
+    ];
+
     /**
      * Create a new message.
      *
@@ -32,6 +57,50 @@ public function create(array $data): Message
         return Message::create($data);
     }
 
+    /**
+     * Update a message.
+     *
+     * @param Message $message The message to update
+     * @param array<string, mixed> $data Attributes to change
+     * @return Message The updated message
+     */
+    public function update(Message $message, array $data): Message
+    {
+        $message->update($data);
+
+        return $message;
+    }
+
+    /**
+     * Delete a message, leaving a tombstone without content in its place.
+     *
+     * The row is kept so paging cursors and read positions pointing at the
+     * message stay valid. Its reactions are removed, and so are its
+     * attachments along with their files.
+     *
+     * @param Message $message The message to delete
+     * @return Message The tombstone
+     */
+    public function softDelete(Message $message): Message
+    {
+        $message->forceFill([
+            'content' => '',
+            'metadata' => null,
+            'deleted_at' => now(),
+        ])->save();
+
+        $message->reactions()->delete();
+        $message->unsetRelation('reactions');
+
+        $message->attachments->each(function (Attachment $attachment) {
+            Storage::disk($attachment->disk)->delete($attachment->path);
+        });
+        $message->attachments()->delete();
+        $message->unsetRelation('attachments');
+
+        return $message;
+    }
+
     /**
      * Find a message by UUID and client.
      *
@@ -92,27 +161,37 @@ public function findCustomerByUuidAndClient(string $uuid, int $clientId): ?Custo
     /**
      * Get messages for a channel with pagination.
      *
+     * In descending order `starting_after` pages towards older messages,
+     * which is how chat views load history above the newest page.
+     * Thread replies are left out; they are listed with getReplies().
+     *
      * @param int $channelId Channel ID
      * @param int $clientId Client ID
      * @param int $limit Number of messages per page
      * @param string|null $startingAfter Message UUID to start after
+     * @param string $order 'asc' for oldest first, 'desc' for newest first
      * @return array{data: \Illuminate\Database\Eloquent\Collection, has_more: bool, total_count: int}
      */
-    public function getMessagesForChannel(int $channelId, int $clientId, int $limit = 10, ?string $startingAfter = null): array
+    public function getMessagesForChannel(int $channelId, int $clientId, int $limit = 10, ?string $startingAfter = null, string $order = 'asc'): array
     {
+        $operator = $order === 'desc' ? '<' : '>';
+
         $query = Message::where('channel_id', $channelId)
             ->where('client_id', $clientId)
-            ->orderBy('created_at', 'asc')
-            ->orderBy('id', 'asc');
+            ->topLevel()
+            ->with(['reactions.customer', ...self::REFERENCE_RELATIONS, ...self::ATTACHMENT_RELATIONS])
+            ->withCount('replies')
+            ->orderBy('created_at', $order)
+            ->orderBy('id', $order);
 
         if ($startingAfter) {
             $startingMessage = Message::where('uuid', $startingAfter)->first();
             if ($startingMessage) {
-                $query->where(function ($q) use ($startingMessage) {
-                    $q->where('created_at', '>', $startingMessage->created_at)
-                        ->orWhere(function ($subQ) use ($startingMessage) {
+                $query->where(function ($q) use ($startingMessage, $operator) {
+                    $q->where('created_at', $operator, $startingMessage->created_at)
+                        ->orWhere(function ($subQ) use ($startingMessage, $operator) {
                             $subQ->where('created_at', $startingMessage->created_at)
-                                ->where('id', '>', $startingMessage->id);
+                                ->where('id', $operator, $startingMessage->id);
                         });
                 });
             }
@@ -130,6 +209,7 @@ public function getMessagesForChannel(int $channelId, int $clientId, int $limit
             'has_more' => $hasMore,
             'total_count' => Message::where('channel_id', $channelId)
                 ->where('client_id', $clientId)
+                ->topLevel()
                 ->count(),
         ];
     }
@@ -147,6 +227,8 @@ public function getMessagesForCustomer(int $customerId, int $clientId, int $limi
     {
         $query = Message::where('sender_id', $customerId)
             ->where('client_id', $clientId)
+            ->with(['parent', 'reactions.customer', ...self::REFERENCE_RELATIONS, ...self::ATTACHMENT_RELATIONS])
+            ->withCount('replies')
             ->orderBy('created_at', 'desc')
             ->orderBy('id', 'desc');
 
@@ -193,6 +275,27 @@ public function findCustomerByEmailAndClient(string $email, int $clientId): ?\Ap
             ->first();
     }
 
+    /**
+     * Find the general channel between two customers.
+     *
+     * @param int $customer1Id First customer ID
+     * @param int $customer2Id Second customer ID
+     * @param int $clientId Client ID
+     * @return Channel|null The channel or null if the customers have none
+     */
+    public function findGeneralChannelBetweenCustomers(int $customer1Id, int $customer2Id, int $clientId): ?Channel
+    {
+        return Channel::where('client_id', $clientId)
+            ->where('type', 'general')
+            ->whereHas('customers', function ($query) use ($customer1Id) {
+                $query->where('customers.id', $customer1Id);
+            })
+            ->whereHas('customers', function ($query) use ($customer2Id) {
+                $query->where('customers.id', $customer2Id);
+            })
+            ->first();
+    }
+
     /**
      * Get messages between two customers with pagination.
      *
@@ -238,7 +341,9 @@ public function getMessagesBetweenCustomers(int $customer1Id, int $customer2Id,
         $query = Message::where('client_id', $clientId)
             ->whereIn('channel_id', $channelIds)
             ->whereIn('sender_id', [$customer1Id, $customer2Id]) // Only messages from either customer
-            ->with(['channel', 'sender'])
+            ->topLevel()
+            ->with(['channel', 'sender', 'reactions.customer', ...self::REFERENCE_RELATIONS, ...self::ATTACHMENT_RELATIONS])
+            ->withCount('replies')
             ->orderBy('created_at', 'asc'); // Newest first
 
         if ($startingAfter) {
@@ -261,7 +366,223 @@ public function getMessagesBetweenCustomers(int $customer1Id, int $customer2Id,
             'total_count' => Message::where('client_id', $clientId)
                 ->whereIn('channel_id', $channelIds)
                 ->whereIn('sender_id', [$customer1Id, $customer2Id])
+                ->topLevel()
                 ->count(),
         ];
     }
+
+    /**
+     * Get messages created after a message ID in any of the given channels.
+     *
+     * Thread replies are left out, as they are not delivered as message.sent.
+     *
+     * @param array<int, int> $channelIds Channel IDs
+     * @param int $clientId Client ID
+     * @param int $afterId Only return messages with a greater ID
+     * @param int $limit Maximum number of messages
+     * @return \Illuminate\Database\Eloquent\Collection<int, Message> Messages in insertion order
+     */
+    public function getMessagesAfterId(array $channelIds, int $clientId, int $afterId, int $limit): \Illuminate\Database\Eloquent\Collection
+    {
+        return Message::where('client_id', $clientId)
+            ->whereIn('channel_id', $channelIds)
+            ->where('id', '>', $afterId)
+            ->topLevel()
+            ->with(['channel', 'sender', 'reactions.customer', ...self::REFERENCE_RELATIONS, ...self::ATTACHMENT_RELATIONS])
+            ->withCount('replies')
+            ->orderBy('id', 'asc')
+            ->limit($limit)
+            ->get();
+    }
+
+    /**
+     * Get the replies in a thread with pagination, oldest first.
+     *
+     * @param Message $parent The message that started the thread
+     * @param int $limit Number of replies per page
+     * @param string|null $startingAfter Reply UUID to start after
+     * @return array{data: \Illuminate\Database\Eloquent\Collection, has_more: bool, total_count: int}
+     */
+    public function getReplies(Message $parent, int $limit = 10, ?string $startingAfter = null): array
+    {
+        $query = $parent->replies()
+            ->with(['channel', 'sender', 'reactions.customer', ...self::REFERENCE_RELATIONS, ...self::ATTACHMENT_RELATIONS])
+            ->orderBy('created_at')
+            ->orderBy('id');
+
+        if ($startingAfter) {
+            $startingReply = $parent->replies()->where('uuid', $startingAfter)->first();
+            if ($startingReply) {
+                $query->where(function ($q) use ($startingReply) {
+                    $q->where('created_at', '>', $startingReply->created_at)
+                        ->orWhere(function ($subQ) use ($startingReply) {
+                            $subQ->where('created_at', $startingReply->created_at)
+                                ->where('id', '>', $startingReply->id);
+                        });
+                });
+            }
+        }
+
+        $replies = $query->limit($limit + 1)->get();
+        $hasMore = $replies->count() > $limit;
+
+        if ($hasMore) {
+            $replies->pop();
+        }
+
+        $replies->each(fn (Message $reply) => $reply->setRelation('parent', $parent));
+
+        return [
+            'data' => $replies,
+            'has_more' => $hasMore,
+            'total_count' => $parent->replies()->count(),
+        ];
+    }
+
+    /**
+     * Get the ID of the newest message of a client.
+     *
+     * @param int $clientId Client ID
+     * @return int The newest message ID, or 0 if the client has no messages
+     */
+    public function getLatestMessageId(int $clientId): int
+    {
+        return (int) Message::where('client_id', $clientId)->max('id');
+    }
+
+    /**
+     * Find a message of a channel by UUID.
+     *
+     * @param string $uuid Message UUID
+     * @param int $channelId Channel ID
+     * @return Message|null The message or null if it is not in the channel
+     */
+    public function findMessageInChannel(string $uuid, int $channelId): ?Message
+    {
+        return Message::where('uuid', $uuid)
+            ->where('channel_id', $channelId)
+            ->first();
+    }
+
+    /**
+     * Move a customer's read position in a channel forward to a message.
+     *
+     * Message IDs grow with every message, so the position only moves when
+     * the message is newer than the one read last.
+     *
+     * @param int $channelId Channel ID
+     * @param int $customerId Customer ID
+     * @param Message $message Newest message the customer has seen
+     * @return bool True if the position moved, false if it was already at or past the message
+     */
+    public function markChannelRead(int $channelId, int $customerId, Message $message): bool
+    {
+        return \DB::table('channel_customer')
+            ->where('channel_id', $channelId)
+            ->where('customer_id', $customerId)
+            ->where(function ($q) use ($message) {
+                $q->whereNull('last_read_message_id')
+                    ->orWhere('last_read_message_id', '<', $message->id);
+            })
+            ->update([
+                'last_read_message_id' => $message->id,
+                'last_read_at' => now(),
+                'updated_at' => now(),
+            ]) > 0;
+    }
+
+    /**
+     * Get the read positions of a channel's participants.
+     *
+     * Unread counts are taken for every participant in one grouped query,
+     * following the same rules as Message::unreadBy().
+     *
+     * @param int $channelId Channel ID
+     * @param int|null $customerId Only return the position of this customer
+     * @return array<int, array<string, mixed>> Read receipts in the order customers joined
+     */
+    public function getReadReceipts(int $channelId, ?int $customerId = null): array
+    {
+        $rows = \DB::table('channel_customer')
+            ->join('channels', 'channels.id', '=', 'channel_customer.channel_id')
+            ->join('customers', 'customers.id', '=', 'channel_customer.customer_id')
+            ->leftJoin('messages', 'messages.id', '=', 'channel_customer.last_read_message_id')
+            ->where('channel_customer.channel_id', $channelId)
+            ->when($customerId, fn ($q) => $q->where('channel_customer.customer_id', $customerId))
+            ->orderBy('channel_customer.id')
+            ->get([
+                'channels.uuid as channel_uuid',
+                'customers.id as customer_id',
+                'customers.uuid as customer_uuid',
+                'messages.uuid as message_uuid',
+                'channel_customer.last_read_at',
+            ]);
+
+        $unreadCounts = \DB::table('channel_customer as reader')
+            ->join('messages', 'messages.channel_id', '=', 'reader.channel_id')
+            ->where('reader.channel_id', $channelId)
+            ->when($customerId, fn ($q) => $q->where('reader.customer_id', $customerId))
+            ->whereColumn('messages.sender_id', '!=', 'reader.customer_id')
+            ->whereNull('messages.deleted_at')
+            ->whereNull('messages.parent_id')
+            ->where(function ($q) {
+                $q->whereNull('reader.last_read_message_id')
+                    ->orWhereColumn('messages.id', '>', 'reader.last_read_message_id');
+            })
+            ->groupBy('reader.customer_id')
+            ->selectRaw('reader.customer_id, count(*) as unread_count')
+            ->pluck('unread_count', 'customer_id');
+
+        return $rows->map(fn ($row) => [
+            'object' => 'read_receipt',
+            'channel_id' => $row->channel_uuid,
+            'customer_id' => $row->customer_uuid,
+            'message_id' => $row->message_uuid,
+            'read_at' => $row->last_read_at ? strtotime($row->last_read_at) : null,
+            'unread_count' => (int) ($unreadCounts[$row->customer_id] ?? 0),
+        ])->all();
+    }
+
+    /**
+     * Add a customer's reaction to a message.
+     *
+     * @param Message $message The message
+     * @param int $customerId ID of the reacting customer
+     * @param string $emoji The emoji
+     * @return bool True if added, false if the customer already reacted with the emoji
+     */
+    public function addReaction(Message $message, int $customerId, string $emoji): bool
+    {
+        $added = MessageReaction::insertOrIgnore([
+            'message_id' => $message->id,
+            'customer_id' => $customerId,
+            'emoji' => $emoji,
+            'created_at' => now(),
+            'updated_at' => now(),
+        ]) > 0;
+
+        $message->unsetRelation('reactions');
+
+        return $added;
+    }
+
+    /**
+     * Remove a customer's reaction from a message.
+     *
+     * @param Message $message The message
+     * @param int $customerId ID of the reacting customer
+     * @param string $emoji The emoji
+     * @return bool True if removed, false if the customer had not reacted with the emoji
+     */
+    public function removeReaction(Message $message, int $customerId, string $emoji): bool
+    {
+        $removed = MessageReaction::where('message_id', $message->id)
+            ->where('customer_id', $customerId)
+            ->where('emoji', $emoji)
+            ->delete() > 0;
+
+        $message->unsetRelation('reactions');
+
+        return $removed;
+    }
 }
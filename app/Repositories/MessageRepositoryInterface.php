@@ -26,6 +26,23 @@ interface MessageRepositoryInterface
      */
     public function create(array $data): Message;
 
+    /**
+     * Update a message.
+     *
+     * @param Message $message The message to update
+     * @param array<string, mixed> $data Attributes to change
+     * @return Message The updated message
+     */
+    public function update(Message $message, array $data): Message;
+
+    /**
+     * Delete a message, leaving a tombstone without content in its place.
+     *
+     * @param Message $message The message to delete
+     * @return Message The tombstone
+     */
+    public function softDelete(Message $message): Message;
+
     /**
      * Find a message by UUID and client.
      *
@@ -69,9 +86,10 @@ public function findCustomerByUuidAndClient(string $uuid, int $clientId): ?\App\
      * @param int $clientId Client ID
      * @param int $limit Number of messages per page
      * @param string|null $startingAfter Message UUID to start after
+     * @param string $order 'asc' for oldest first, 'desc' for newest first
      * @return array{data: \Illuminate\Database\Eloquent\Collection, has_more: bool, total_count: int}
      */
-    public function getMessagesForChannel(int $channelId, int $clientId, int $limit = 10, ?string $startingAfter = null): array;
+    public function getMessagesForChannel(int $channelId, int $clientId, int $limit = 10, ?string $startingAfter = null, string $order = 'asc'): array;
 
     /**
      * Get messages for a customer with pagination.
@@ -93,6 +111,16 @@ public function getMessagesForCustomer(int $customerId, int $clientId, int $limi
      */
     public function findCustomerByEmailAndClient(string $email, int $clientId): ?\App\Models\Customer;
 
+    /**
+     * Find the general channel between two customers.
+     *
+     * @param int $customer1Id First customer ID
+     * @param int $customer2Id Second customer ID
+     * @param int $clientId Client ID
+     * @return \App\Models\Channel|null The channel or null if the customers have none
+     */
+    public function findGeneralChannelBetweenCustomers(int $customer1Id, int $customer2Id, int $clientId): ?\App\Models\Channel;
+
     /**
      * Get messages between two customers with pagination.
      *
@@ -104,4 +132,81 @@ public function findCustomerByEmailAndClient(string $email, int $clientId): ?\Ap
      * @return array{data: \Illuminate\Database\Eloquent\Collection, has_more: bool, total_count: int}
      */
     public function getMessagesBetweenCustomers(int $customer1Id, int $customer2Id, int $clientId, int $limit = 10, ?string $startingAfter = null): array;
+
+    /**
+     * Get messages created after a message ID in any of the given channels.
+     *
+     * @param array<int, int> $channelIds Channel IDs
+     * @param int $clientId Client ID
+     * @param int $afterId Only return messages with a greater ID
+     * @param int $limit Maximum number of messages
+     * @return \Illuminate\Database\Eloquent\Collection<int, Message> Messages in insertion order
+     */
+    public function getMessagesAfterId(array $channelIds, int $clientId, int $afterId, int $limit): \Illuminate\Database\Eloquent\Collection;
+
+    /**
+     * Get the replies in a thread with pagination, oldest first.
+     *
+     * @param Message $parent The message that started the thread
+     * @param int $limit Number of replies per page
+     * @param string|null $startingAfter Reply UUID to start after
+     * @return array{data: \Illuminate\Database\Eloquent\Collection, has_more: bool, total_count: int}
+     */
+    public function getReplies(Message $parent, int $limit = 10, ?string $startingAfter = null): array;
+
+    /**
+     * Get the ID of the newest message of a client.
+     *
+     * @param int $clientId Client ID
+     * @return int The newest message ID, or 0 if the client has no messages
+     */
+    public function getLatestMessageId(int $clientId): int;
+
+    /**
+     * Find a message of a channel by UUID.
+     *
+     * @param string $uuid Message UUID
+     * @param int $channelId Channel ID
+     * @return Message|null The message or null if it is not in the channel
+     */
+    public function findMessageInChannel(string $uuid, int $channelId): ?Message;
+
+    /**
+     * Move a customer's read position in a channel forward to a message.
+     *
+     * @param int $channelId Channel ID
+     * @param int $customerId Customer ID
+     * @param Message $message Newest message the customer has seen
+     * @return bool True if the position moved, false if it was already at or past the message
+     */
+    public function markChannelRead(int $channelId, int $customerId, Message $message): bool;
+
+    /**
+     * Get the read positions of a channel's participants.
+     *
+     * @param int $channelId Channel ID
+     * @param int|null $customerId Only return the position of this customer
+     * @return array<int, array<string, mixed>> Read receipts in the order customers joined
+     */
+    public function getReadReceipts(int $channelId, ?int $customerId = null): array;
+
+    /**
+     * Add a customer's reaction to a message.
+     *
+     * @param Message $message The message
+     * @param int $customerId ID of the reacting customer
+     * @param string $emoji The emoji
+     * @return bool True if added, false if the customer already reacted with the emoji
+     */
+    public function addReaction(Message $message, int $customerId, string $emoji): bool;
+
+    /**
+     * Remove a customer's reaction from a message.
+     *
+     * @param Message $message The message
+     * @param int $customerId ID of the reacting customer
+     * @param string $emoji The emoji
+     * @return bool True if removed, false if the customer had not reacted with the emoji
+     */
+    public function removeReaction(Message $message, int $customerId, string $emoji): bool;
 }
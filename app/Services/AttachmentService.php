@@ -0,0 +1,249 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Attachment;
+use App\Models\Customer;
+use App\Repositories\AttachmentRepositoryInterface;
+use App\Repositories\MessageRepositoryInterface;
+use Illuminate\Database\Eloquent\ModelNotFoundException;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+use Illuminate\Validation\ValidationException;
+
+/**
+ * Attachment Service
+ *
+ * Stores uploaded files on the default filesystem disk. Files up to the
+ * server's upload limit can be sent in one request; larger ones are
+ * uploaded in chunks, in order, and become ready once the declared size
+ * has arrived. Implements the AttachmentServiceInterface contract.
+ *
+ * @package App\Services
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class AttachmentService implements AttachmentServiceInterface
+{
+    /**
+     * Create a new AttachmentService instance.
+     *
+     * @param AttachmentRepositoryInterface $attachmentRepository Attachment repository
+     * @param MessageRepositoryInterface $messageRepository Message repository
+     */
+    public function __construct(
+        private readonly AttachmentRepositoryInterface $attachmentRepository,
+        private readonly MessageRepositoryInterface $messageRepository
+    ) {}
+
+    /**
+     * Upload a whole file in one request.
+     *
+     * The type is detected from the contents of the file.
+     *
+     * @param array<string, mixed> $data Upload data with customer_uuid and an optional filename
+     * @param UploadedFile $file The uploaded file
+     * @param int $clientId Client ID
+     * @return Attachment The ready attachment
+     * @throws ValidationException When the customer does not belong to the client
+     */
+    public function upload(array $data, UploadedFile $file, int $clientId): Attachment
+    {
+        $customer = $this->findCustomer($data['customer_uuid'], $clientId);
+        $uuid = (string) Str::uuid();
+        $disk = config('filesystems.default');
+        $path = $file->storeAs($this->directory($clientId), $uuid, $disk);
+
+        return $this->attachmentRepository->create([
+            'uuid' => $uuid,
+            'client_id' => $clientId,
+            'customer_id' => $customer->id,
+            'disk' => $disk,
+            'path' => $path,
+            'filename' => $this->cleanFilename($data['filename'] ?? $file->getClientOriginalName()),
+            'mime_type' => $file->getMimeType() ?: 'application/octet-stream',
+            'size' => $file->getSize(),
+            'received' => $file->getSize(),
+            'completed_at' => now(),
+        ]);
+    }
+
+    /**
+     * Start a chunked upload.
+     *
+     * @param array<string, mixed> $data Upload data with customer_uuid, filename, mime_type and size
+     * @param int $clientId Client ID
+     * @return Attachment The pending attachment
+     * @throws ValidationException When the customer does not belong to the client
+     */
+    public function startUpload(array $data, int $clientId): Attachment
+    {
+        $customer = $this->findCustomer($data['customer_uuid'], $clientId);
+        $uuid = (string) Str::uuid();
+        $disk = config('filesystems.default');
+        $path = $this->directory($clientId) . '/' . $uuid;
+
+        Storage::disk($disk)->put($path, '');
+
+        return $this->attachmentRepository->create([
+            'uuid' => $uuid,
+            'client_id' => $clientId,
+            'customer_id' => $customer->id,
+            'disk' => $disk,
+            'path' => $path,
+            'filename' => $this->cleanFilename($data['filename']),
+            'mime_type' => strtolower($data['mime_type']),
+            'size' => (int) $data['size'],
+            'received' => 0,
+        ]);
+    }
+
+    /**
+     * Append the next chunk to a chunked upload.
+     *
+     * Chunks must arrive in order: the offset of each one is the number of
+     * bytes received so far, which clients resuming an interrupted upload
+     * read from the attachment.
+     *
+     * @param string $attachmentUuid Attachment UUID
+     * @param array<string, mixed> $data Chunk data with customer_uuid and offset
+     * @param UploadedFile $chunk The uploaded chunk
+     * @param int $clientId Client ID
+     * @return Attachment The attachment, ready once the last chunk arrived
+     * @throws ModelNotFoundException When attachment not found
+     * @throws ValidationException When the chunk does not continue the upload
+     */
+    public function uploadChunk(string $attachmentUuid, array $data, UploadedFile $chunk, int $clientId): Attachment
+    {
+        $attachment = $this->getAttachment($attachmentUuid, $clientId);
+
+        if ($attachment->customer->uuid !== $data['customer_uuid']) {
+            throw ValidationException::withMessages([
+                'customer_uuid' => ['Only the customer who started the upload can continue it.'],
+            ]);
+        }
+
+        return DB::transaction(function () use ($attachment, $data, $chunk) {
+            $attachment = $this->attachmentRepository->lockForUpdate($attachment);
+
+            if ($attachment->isReady()) {
+                throw ValidationException::withMessages([
+                    'chunk' => ['The upload is already complete.'],
+                ]);
+            }
+
+            if ((int) $data['offset'] !== $attachment->received) {
+                throw ValidationException::withMessages([
+                    'offset' => ["The upload continues at offset {$attachment->received}."],
+                ]);
+            }
+
+            $received = $attachment->received + $chunk->getSize();
+
+            if ($received > $attachment->size) {
+                throw ValidationException::withMessages([
+                    'chunk' => ['The chunk goes past the size declared when the upload started.'],
+                ]);
+            }
+
+            Storage::disk($attachment->disk)->append($attachment->path, $chunk->get(), '');
+
+            return $this->attachmentRepository->update($attachment, [
+                'received' => $received,
+                'completed_at' => $received === $attachment->size ? now() : null,
+            ]);
+        });
+    }
+
+    /**
+     * Get an attachment of the client.
+     *
+     * @param string $attachmentUuid Attachment UUID
+     * @param int $clientId Client ID
+     * @return Attachment The attachment
+     * @throws ModelNotFoundException When attachment not found
+     */
+    public function getAttachment(string $attachmentUuid, int $clientId): Attachment
+    {
+        $attachment = $this->attachmentRepository->findByUuidAndClient($attachmentUuid, $clientId);
+
+        if (!$attachment) {
+            throw new ModelNotFoundException('Attachment not found');
+        }
+
+        return $attachment;
+    }
+
+    /**
+     * Get an attachment for a download whose URL signature was verified.
+     *
+     * @param string $attachmentUuid Attachment UUID
+     * @return Attachment The ready attachment
+     * @throws ModelNotFoundException When attachment not found or not ready
+     */
+    public function getDownload(string $attachmentUuid): Attachment
+    {
+        $attachment = $this->attachmentRepository->findByUuid($attachmentUuid);
+
+        if (!$attachment || !$attachment->isReady()) {
+            throw new ModelNotFoundException('Attachment not found');
+        }
+
+        return $attachment;
+    }
+
+    /**
+     * Find the customer uploading a file.
+     *
+     * @param string $customerUuid Customer UUID
+     * @param int $clientId Client ID
+     * @return Customer The customer
+     * @throws ValidationException When the customer does not belong to the client
+     */
+    private function findCustomer(string $customerUuid, int $clientId): Customer
+    {
+        $customer = $this->messageRepository->findCustomerByUuidAndClient($customerUuid, $clientId);
+
+        if (!$customer) {
+            Log::warning('Attachment upload failed: Customer not found or does not belong to client', [
+                'customer_uuid' => $customerUuid,
+                'client_id' => $clientId,
+            ]);
+
+            throw ValidationException::withMessages([
+                'customer_uuid' => ['Customer does not exist or does not belong to your client.'],
+            ]);
+        }
+
+        return $customer;
+    }
+
+    /**
+     * Directory a client's files are stored in.
+     *
+     * @param int $clientId Client ID
+     * @return string Path relative to the disk root
+     */
+    private function directory(int $clientId): string
+    {
+        return "attachments/{$clientId}";
+    }
+
+    /**
+     * Strip path separators and control characters from a filename.
+     *
+     * @param string $filename Filename as sent by the client
+     * @return string Filename safe to send back in a Content-Disposition header
+     */
+    private function cleanFilename(string $filename): string
+    {
+        $filename = trim(preg_replace('/[\x00-\x1F\x7F\/\\\\]+/u', '', $filename) ?? '');
+
+        return $filename === '' ? 'attachment' : Str::limit($filename, 255, '');
+    }
+}
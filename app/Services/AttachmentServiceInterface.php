@@ -0,0 +1,73 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Attachment;
+use Illuminate\Http\UploadedFile;
+
+/**
+ * Attachment Service Interface
+ *
+ * Defines the contract for uploading files and handing them out again.
+ *
+ * @package App\Services
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+interface AttachmentServiceInterface
+{
+    /**
+     * Upload a whole file in one request.
+     *
+     * @param array<string, mixed> $data Upload data with customer_uuid and an optional filename
+     * @param UploadedFile $file The uploaded file
+     * @param int $clientId Client ID
+     * @return Attachment The ready attachment
+     * @throws \Illuminate\Validation\ValidationException When the customer does not belong to the client
+     */
+    public function upload(array $data, UploadedFile $file, int $clientId): Attachment;
+
+    /**
+     * Start a chunked upload.
+     *
+     * @param array<string, mixed> $data Upload data with customer_uuid, filename, mime_type and size
+     * @param int $clientId Client ID
+     * @return Attachment The pending attachment
+     * @throws \Illuminate\Validation\ValidationException When the customer does not belong to the client
+     */
+    public function startUpload(array $data, int $clientId): Attachment;
+
+    /**
+     * Append the next chunk to a chunked upload.
+     *
+     * @param string $attachmentUuid Attachment UUID
+     * @param array<string, mixed> $data Chunk data with customer_uuid and offset
+     * @param UploadedFile $chunk The uploaded chunk
+     * @param int $clientId Client ID
+     * @return Attachment The attachment, ready once the last chunk arrived
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException When attachment not found
+     * @throws \Illuminate\Validation\ValidationException When the chunk does not continue the upload
+     */
+    public function uploadChunk(string $attachmentUuid, array $data, UploadedFile $chunk, int $clientId): Attachment;
+
+    /**
+     * Get an attachment of the client.
+     *
+     * @param string $attachmentUuid Attachment UUID
+     * @param int $clientId Client ID
+     * @return Attachment The attachment
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException When attachment not found
+     */
+    public function getAttachment(string $attachmentUuid, int $clientId): Attachment;
+
+    /**
+     * Get an attachment for a download whose URL signature was verified.
+     *
+     * @param string $attachmentUuid Attachment UUID
+     * @return Attachment The ready attachment
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException When attachment not found or not ready
+     */
+    public function getDownload(string $attachmentUuid): Attachment;
+}
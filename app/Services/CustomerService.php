@@ -229,9 +229,13 @@ private function ensureEmailUniqueness(Client $client, string $email, bool $rais
      * messaging interfaces where you want to show the most active
      * customers first.
      *
+     * When a reader email is given, every customer also carries the number
+     * of their messages that reader has not read yet.
+     *
      * @param Client $client The client requesting the customers
      * @param int $limit Number of customers per page
      * @param string|null $startingAfter Customer UUID to start after
+     * @param string|null $readerEmail Email of a customer to count unread messages for
      * @return array{data: array, has_more: bool, total_count: int} Active customers data
      *
      * @example
@@ -240,9 +244,9 @@ private function ensureEmailUniqueness(Client $client, string $email, bool $rais
      * $hasMore = $result['has_more']; // Boolean indicating if more results exist
      * $totalCount = $result['total_count']; // Total number of active customers
      */
-    public function getActiveCustomers(Client $client, int $limit = 20, ?string $startingAfter = null): array
+    public function getActiveCustomers(Client $client, int $limit = 20, ?string $startingAfter = null, ?string $readerEmail = null): array
     {
-        return $this->customerRepository->getActiveCustomers($client, $limit, $startingAfter);
+        return $this->customerRepository->getActiveCustomers($client, $limit, $startingAfter, $readerEmail);
     }
 
     /**
@@ -46,9 +46,10 @@ public function list(Client $client, int $limit = 10, ?string $startingAfter = n
      * @param Client $client The client requesting customers
      * @param int $limit Number of customers per page
      * @param string|null $startingAfter UUID to start after
+     * @param string|null $readerEmail Email of a customer to count unread messages for
      * @return array{data: array, has_more: bool, total_count: int}
      */
-    public function getActiveCustomers(Client $client, int $limit = 20, ?string $startingAfter = null): array;
+    public function getActiveCustomers(Client $client, int $limit = 20, ?string $startingAfter = null, ?string $readerEmail = null): array;
 
     /**
      * Get active customers for a specific sender
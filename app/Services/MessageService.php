@@ -4,9 +4,16 @@
 
 namespace App\Services;
 
+use App\Events\MessageDeleted;
 use App\Events\MessageSent;
+use App\Events\MessageUpdated;
+use App\Events\ThreadReplySent;
+use App\Models\Attachment;
 use App\Models\Message;
+use App\Repositories\AttachmentRepositoryInterface;
 use App\Repositories\MessageRepositoryInterface;
+use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Support\Facades\DB;
 use Illuminate\Support\Facades\Log;
 use Illuminate\Validation\ValidationException;
 
@@ -27,10 +34,12 @@ class MessageService implements MessageServiceInterface
      *
      * @param MessageRepositoryInterface $messageRepository Message repository
      * @param ChannelServiceInterface $channelService Channel service
+     * @param AttachmentRepositoryInterface $attachmentRepository Attachment repository
      */
     public function __construct(
         private readonly MessageRepositoryInterface $messageRepository,
-        private readonly ChannelServiceInterface $channelService
+        private readonly ChannelServiceInterface $channelService,
+        private readonly AttachmentRepositoryInterface $attachmentRepository
     ) {}
 
     /**
@@ -38,6 +47,14 @@ public function __construct(
      *
      * Validates that the sender is a participant in the channel
      * and that both channel and sender belong to the authenticated client.
+     * With a parent_uuid the message is a reply in the thread of that
+     * message and is broadcast as thread.reply instead of message.sent.
+     * A reply_to quotes an earlier message of the same channel, and a
+     * forwarded_from forwards a message from a channel the sender is in;
+     * forwards copy the type, content and metadata they leave out.
+     * Files uploaded by the sender are sent along as attachment_uuids; a
+     * message with attachments may leave out its content, and its type
+     * defaults to image when every attachment is an image and file otherwise.
      *
      * @param array<string, mixed> $data Message data
      * @param int $clientId Client ID
@@ -93,24 +110,77 @@ public function sendMessage(array $data, int $clientId): Message
                 ]);
             }
 
-            // Create message
-            $messageData = [
-                'uuid' => \Illuminate\Support\Str::uuid(),
-                'client_id' => $clientId,
-                'channel_id' => $channel->id,
-                'sender_id' => $sender->id,
-                'type' => $data['type'],
-                'content' => $data['content'],
-                'metadata' => $data['metadata'] ?? null,
-            ];
+            $parent = null;
+
+            if (!empty($data['parent_uuid'])) {
+                $parent = $this->findThreadParent($data['parent_uuid'], $channel->id);
+            }
+
+            $replyTo = null;
+
+            if (!empty($data['reply_to'])) {
+                $replyTo = $this->findQuotedMessage($data['reply_to'], $channel->id);
+            }
+
+            $forwardedFrom = null;
+
+            if (!empty($data['forwarded_from'])) {
+                $forwardedFrom = $this->findForwardedMessage($data['forwarded_from'], $sender->id, $clientId);
+
+                // Whatever the forward leaves out is taken from the forwarded message
+                $data['type'] = $data['type'] ?? $forwardedFrom->type;
+                $data['content'] = $data['content'] ?? $forwardedFrom->content;
+                $data['metadata'] = $data['metadata'] ?? $forwardedFrom->metadata;
+            }
 
-            $message = $this->messageRepository->create($messageData);
+            // The attachments stay locked until the message is stored, so a
+            // concurrent send of the same attachments waits and then fails
+            $message = DB::transaction(function () use ($data, $clientId, $channel, $sender, $parent, $replyTo, $forwardedFrom) {
+                $attachments = new Collection();
 
-            // Update channel's updated_at timestamp to reflect latest activity
-            $channel->touch();
+                if (!empty($data['attachment_uuids'])) {
+                    $attachments = $this->findUnsentAttachments($data['attachment_uuids'], $sender->id, $clientId);
+
+                    $data['type'] = $data['type']
+                        ?? ($attachments->every(fn (Attachment $attachment) => $attachment->isImage()) ? 'image' : 'file');
+                    $data['content'] = $data['content'] ?? '';
+                }
+
+                // Create message
+                $messageData = [
+                    'uuid' => \Illuminate\Support\Str::uuid(),
+                    'client_id' => $clientId,
+                    'channel_id' => $channel->id,
+                    'sender_id' => $sender->id,
+                    'parent_id' => $parent?->id,
+                    'reply_to_id' => $replyTo?->id,
+                    'forwarded_from_id' => $forwardedFrom?->id,
+                    'type' => $data['type'],
+                    'content' => $data['content'],
+                    'metadata' => $data['metadata'] ?? null,
+                ];
+
+                $message = $this->messageRepository->create($messageData);
+
+                if ($attachments->isNotEmpty()
+                    && $this->attachmentRepository->attachToMessage($attachments, $message) < $attachments->count()) {
+                    throw ValidationException::withMessages([
+                        'attachment_uuids' => ['Attachment was already sent with another message.'],
+                    ]);
+                }
+
+                // Update channel's updated_at timestamp to reflect latest activity
+                $channel->touch();
+
+                return $message;
+            });
 
             // Broadcast the message to channel participants
-            broadcast(new MessageSent($message));
+            if ($parent) {
+                broadcast(new ThreadReplySent($message, $parent));
+            } else {
+                broadcast(new MessageSent($message));
+            }
 
             return $message;
 
@@ -139,10 +209,11 @@ public function sendMessage(array $data, int $clientId): Message
      * @param int $clientId Client ID
      * @param int $limit Number of messages per page
      * @param string|null $startingAfter Message UUID to start after
+     * @param string $order 'asc' for oldest first, 'desc' for newest first
      * @return array{data: \Illuminate\Database\Eloquent\Collection, has_more: bool, total_count: int}
      * @throws \Illuminate\Database\Eloquent\ModelNotFoundException If channel not found
      */
-    public function getChannelMessages(string $channelUuid, int $clientId, int $limit = 10, ?string $startingAfter = null): array
+    public function getChannelMessages(string $channelUuid, int $clientId, int $limit = 10, ?string $startingAfter = null, string $order = 'asc'): array
     {
         try {
             // Find channel and validate it belongs to client
@@ -158,7 +229,7 @@ public function getChannelMessages(string $channelUuid, int $clientId, int $limi
             }
 
             // Get messages for the channel
-            return $this->messageRepository->getMessagesForChannel($channel->id, $clientId, $limit, $startingAfter);
+            return $this->messageRepository->getMessagesForChannel($channel->id, $clientId, $limit, $startingAfter, $order);
 
         } catch (\Illuminate\Database\Eloquent\ModelNotFoundException $e) {
             throw $e;
@@ -265,12 +336,61 @@ public function getMessagesBetweenCustomers(string $email1, string $email2, int
         }
     }
 
+    /**
+     * Reply to a message in its thread.
+     *
+     * The reply is sent to the channel of the message being replied to.
+     *
+     * @param string $messageUuid UUID of the message to reply to
+     * @param array<string, mixed> $data Reply data with sender_uuid, type, content and metadata
+     * @param int $clientId Client ID
+     * @return Message The reply
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException If message not found
+     * @throws ValidationException If validation fails
+     */
+    public function replyToMessage(string $messageUuid, array $data, int $clientId): Message
+    {
+        $parent = $this->messageRepository->findByUuidAndClient($messageUuid, $clientId);
+
+        if (!$parent) {
+            throw new \Illuminate\Database\Eloquent\ModelNotFoundException('Message not found');
+        }
+
+        return $this->sendMessage([
+            ...$data,
+            'channel_uuid' => $parent->channel->uuid,
+            'parent_uuid' => $parent->uuid,
+        ], $clientId);
+    }
+
+    /**
+     * Get the replies in the thread of a message.
+     *
+     * @param string $messageUuid UUID of the message that started the thread
+     * @param int $clientId Client ID
+     * @param int $limit Number of replies per page
+     * @param string|null $startingAfter Reply UUID to start after
+     * @return array{data: \Illuminate\Database\Eloquent\Collection, has_more: bool, total_count: int}
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException If message not found
+     */
+    public function getReplies(string $messageUuid, int $clientId, int $limit = 10, ?string $startingAfter = null): array
+    {
+        $message = $this->messageRepository->findByUuidAndClient($messageUuid, $clientId);
+
+        if (!$message) {
+            throw new \Illuminate\Database\Eloquent\ModelNotFoundException('Message not found');
+        }
+
+        return $this->messageRepository->getReplies($message, $limit, $startingAfter);
+    }
+
     /**
      * Send a message to a customer (uses general channel between sender and recipient).
      *
      * Creates or finds the general channel between the sender and recipient,
      * then sends the message to that channel. This is useful for customer-centric
      * messaging interfaces where you want to send messages directly to customers.
+     * Quotes, forwards and attachments are validated as in sendMessage().
      *
      * @param array<string, mixed> $data Message data with sender_email, recipient_email, etc.
      * @param int $clientId Client ID
@@ -295,23 +415,26 @@ public function sendToCustomer(array $data, int $clientId): Message
                 throw new \Illuminate\Database\Eloquent\ModelNotFoundException('One or both customers not found');
             }
 
-            // Create or find the general channel between the two customers
-            $client = \App\Models\Client::find($clientId);
-            $channel = $this->channelService->create($client, [
-                'type' => 'general',
-                'customer_uuids' => [$sender->uuid, $recipient->uuid],
-            ]);
+            // Find or create the general channel between the two customers
+            $channel = $this->messageRepository->findGeneralChannelBetweenCustomers($sender->id, $recipient->id, $clientId)
+                ?? $this->channelService->create(\App\Models\Client::find($clientId), [
+                    'type' => 'general',
+                    'customer_uuids' => [$sender->uuid, $recipient->uuid],
+                ]);
 
             // Send the message to the general channel
             return $this->sendMessage([
                 'channel_uuid' => $channel->uuid,
                 'sender_uuid' => $sender->uuid,
-                'type' => $data['type'],
-                'content' => $data['content'],
+                'type' => $data['type'] ?? null,
+                'content' => $data['content'] ?? null,
                 'metadata' => $data['metadata'] ?? null,
+                'reply_to' => $data['reply_to'] ?? null,
+                'forwarded_from' => $data['forwarded_from'] ?? null,
+                'attachment_uuids' => $data['attachment_uuids'] ?? null,
             ], $clientId);
 
-        } catch (\Illuminate\Database\Eloquent\ModelNotFoundException $e) {
+        } catch (\Illuminate\Database\Eloquent\ModelNotFoundException | ValidationException $e) {
             throw $e;
         } catch (\Exception $e) {
             Log::error('Unexpected error sending message to customer', [
@@ -325,4 +448,247 @@ public function sendToCustomer(array $data, int $clientId): Message
             ]);
         }
     }
+
+    /**
+     * Edit the content of a message.
+     *
+     * Only the sender may edit a message, and deleted messages cannot be
+     * edited. Participants are only notified when something changed.
+     *
+     * @param string $messageUuid Message UUID
+     * @param array<string, mixed> $data New content and metadata, with the sender_uuid of the editor
+     * @param int $clientId Client ID
+     * @return Message The updated message
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException If message not found
+     * @throws ValidationException If the editor is not the sender or the message is deleted
+     */
+    public function updateMessage(string $messageUuid, array $data, int $clientId): Message
+    {
+        $message = $this->findOwnMessage($messageUuid, $data['sender_uuid'], $clientId);
+
+        if ($message->isDeleted()) {
+            throw ValidationException::withMessages([
+                'content' => ['Deleted messages cannot be edited.'],
+            ]);
+        }
+
+        $changes = ['content' => $data['content']];
+
+        if (array_key_exists('metadata', $data)) {
+            $changes['metadata'] = $data['metadata'];
+        }
+
+        $message->fill($changes);
+
+        if (!$message->isDirty()) {
+            return $message;
+        }
+
+        $message = $this->messageRepository->update($message, [
+            ...$changes,
+            'edited_at' => now(),
+        ]);
+
+        broadcast(new MessageUpdated($message));
+
+        return $message;
+    }
+
+    /**
+     * Delete a message, leaving a tombstone in its place.
+     *
+     * Only the sender may delete a message. Deleting it again returns the
+     * tombstone without notifying participants a second time.
+     *
+     * @param string $messageUuid Message UUID
+     * @param string $senderUuid UUID of the customer deleting the message
+     * @param int $clientId Client ID
+     * @return Message The tombstone
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException If message not found
+     * @throws ValidationException If the customer is not the sender
+     */
+    public function deleteMessage(string $messageUuid, string $senderUuid, int $clientId): Message
+    {
+        $message = $this->findOwnMessage($messageUuid, $senderUuid, $clientId);
+
+        if ($message->isDeleted()) {
+            return $message;
+        }
+
+        $message = $this->messageRepository->softDelete($message);
+
+        broadcast(new MessageDeleted($message));
+
+        return $message;
+    }
+
+    /**
+     * Find the message a reply starts or continues the thread of.
+     *
+     * Threads are one level deep, so replies cannot be replied to.
+     *
+     * @param string $parentUuid UUID of the message being replied to
+     * @param int $channelId ID of the channel the reply is sent to
+     * @return Message The parent message
+     * @throws ValidationException If the parent is not in the channel, is a reply or is deleted
+     */
+    private function findThreadParent(string $parentUuid, int $channelId): Message
+    {
+        $parent = $this->messageRepository->findMessageInChannel($parentUuid, $channelId);
+
+        if (!$parent) {
+            throw ValidationException::withMessages([
+                'parent_uuid' => ['Parent message does not exist in this channel.'],
+            ]);
+        }
+
+        if ($parent->parent_id !== null) {
+            throw ValidationException::withMessages([
+                'parent_uuid' => ['Replies cannot be replied to; reply to the message that started the thread.'],
+            ]);
+        }
+
+        if ($parent->isDeleted()) {
+            throw ValidationException::withMessages([
+                'parent_uuid' => ['Deleted messages cannot be replied to.'],
+            ]);
+        }
+
+        return $parent;
+    }
+
+    /**
+     * Find the message quoted by a new message.
+     *
+     * @param string $messageUuid UUID of the quoted message
+     * @param int $channelId ID of the channel the new message is sent to
+     * @return Message The quoted message
+     * @throws ValidationException If the message is not in the channel or is deleted
+     */
+    private function findQuotedMessage(string $messageUuid, int $channelId): Message
+    {
+        $message = $this->messageRepository->findMessageInChannel($messageUuid, $channelId);
+
+        if (!$message) {
+            throw ValidationException::withMessages([
+                'reply_to' => ['Quoted message does not exist in this channel.'],
+            ]);
+        }
+
+        if ($message->isDeleted()) {
+            throw ValidationException::withMessages([
+                'reply_to' => ['Deleted messages cannot be quoted.'],
+            ]);
+        }
+
+        return $message;
+    }
+
+    /**
+     * Find the message forwarded by a new message.
+     *
+     * Senders can only forward messages of channels they participate in.
+     *
+     * @param string $messageUuid UUID of the forwarded message
+     * @param int $senderId ID of the customer forwarding it
+     * @param int $clientId Client ID
+     * @return Message The forwarded message
+     * @throws ValidationException If the sender cannot see the message or it is deleted
+     */
+    private function findForwardedMessage(string $messageUuid, int $senderId, int $clientId): Message
+    {
+        $message = $this->messageRepository->findByUuidAndClient($messageUuid, $clientId);
+
+        if (!$message || !$this->messageRepository->isCustomerInChannel($senderId, $message->channel_id)) {
+            throw ValidationException::withMessages([
+                'forwarded_from' => ['Forwarded message does not exist in a channel of the sender.'],
+            ]);
+        }
+
+        if ($message->isDeleted()) {
+            throw ValidationException::withMessages([
+                'forwarded_from' => ['Deleted messages cannot be forwarded.'],
+            ]);
+        }
+
+        return $message;
+    }
+
+    /**
+     * Find the attachments a new message is sent with.
+     *
+     * Only the sender's own uploads can be attached, once they are complete,
+     * and each file goes out with a single message. The attachments are
+     * locked until the current transaction ends.
+     *
+     * @param array<int, string> $attachmentUuids UUIDs of the attachments, in the order given
+     * @param int $senderId ID of the customer sending the message
+     * @param int $clientId Client ID
+     * @return Collection<int, Attachment> The attachments
+     * @throws ValidationException If an attachment cannot be sent with the message
+     */
+    private function findUnsentAttachments(array $attachmentUuids, int $senderId, int $clientId): Collection
+    {
+        $found = $this->attachmentRepository->findManyByUuidAndClient($attachmentUuids, $clientId, true);
+        $attachments = new Collection();
+
+        foreach (array_unique($attachmentUuids) as $uuid) {
+            $attachment = $found->get($uuid);
+
+            if (!$attachment || (int) $attachment->customer_id !== $senderId) {
+                throw ValidationException::withMessages([
+                    'attachment_uuids' => ['Attachment does not exist or was not uploaded by the sender.'],
+                ]);
+            }
+
+            if (!$attachment->isReady()) {
+                throw ValidationException::withMessages([
+                    'attachment_uuids' => ['Attachment upload is not complete.'],
+                ]);
+            }
+
+            if ($attachment->message_id !== null) {
+                throw ValidationException::withMessages([
+                    'attachment_uuids' => ['Attachment was already sent with another message.'],
+                ]);
+            }
+
+            $attachments->push($attachment);
+        }
+
+        return $attachments;
+    }
+
+    /**
+     * Find a message and make sure it was sent by a customer.
+     *
+     * @param string $messageUuid Message UUID
+     * @param string $senderUuid UUID of the customer acting on the message
+     * @param int $clientId Client ID
+     * @return Message The message
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException If message not found
+     * @throws ValidationException If the customer is not the sender
+     */
+    private function findOwnMessage(string $messageUuid, string $senderUuid, int $clientId): Message
+    {
+        $message = $this->messageRepository->findByUuidAndClient($messageUuid, $clientId);
+
+        if (!$message) {
+            throw new \Illuminate\Database\Eloquent\ModelNotFoundException('Message not found');
+        }
+
+        if ($message->sender->uuid !== $senderUuid) {
+            Log::warning('Message change rejected: Customer is not the sender', [
+                'message_uuid' => $messageUuid,
+                'sender_uuid' => $senderUuid,
+                'client_id' => $clientId,
+            ]);
+
+            throw ValidationException::withMessages([
+                'sender_uuid' => ['Only the sender can change this message.'],
+            ]);
+        }
+
+        return $message;
+    }
 }
@@ -35,10 +35,11 @@ public function sendMessage(array $data, int $clientId): Message;
      * @param int $clientId Client ID
      * @param int $limit Number of messages per page
      * @param string|null $startingAfter Message UUID to start after
+     * @param string $order 'asc' for oldest first, 'desc' for newest first
      * @return array{data: \Illuminate\Database\Eloquent\Collection, has_more: bool, total_count: int}
      * @throws \Illuminate\Database\Eloquent\ModelNotFoundException If channel not found
      */
-    public function getChannelMessages(string $channelUuid, int $clientId, int $limit = 10, ?string $startingAfter = null): array;
+    public function getChannelMessages(string $channelUuid, int $clientId, int $limit = 10, ?string $startingAfter = null, string $order = 'asc'): array;
 
     /**
      * Get messages for a customer.
@@ -65,6 +66,30 @@ public function getCustomerMessages(string $customerUuid, int $clientId, int $li
      */
     public function getMessagesBetweenCustomers(string $email1, string $email2, int $clientId, int $limit = 10, ?string $startingAfter = null): array;
 
+    /**
+     * Reply to a message in its thread.
+     *
+     * @param string $messageUuid UUID of the message to reply to
+     * @param array<string, mixed> $data Reply data with sender_uuid, type, content and metadata
+     * @param int $clientId Client ID
+     * @return Message The reply
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException If message not found
+     * @throws \Illuminate\Validation\ValidationException If validation fails
+     */
+    public function replyToMessage(string $messageUuid, array $data, int $clientId): Message;
+
+    /**
+     * Get the replies in the thread of a message.
+     *
+     * @param string $messageUuid UUID of the message that started the thread
+     * @param int $clientId Client ID
+     * @param int $limit Number of replies per page
+     * @param string|null $startingAfter Reply UUID to start after
+     * @return array{data: \Illuminate\Database\Eloquent\Collection, has_more: bool, total_count: int}
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException If message not found
+     */
+    public function getReplies(string $messageUuid, int $clientId, int $limit = 10, ?string $startingAfter = null): array;
+
     /**
      * Send a message to a customer (uses general channel between sender and recipient).
      *
@@ -75,4 +100,28 @@ public function getMessagesBetweenCustomers(string $email1, string $email2, int
      * @throws \Illuminate\Database\Eloquent\ModelNotFoundException If customers not found
      */
     public function sendToCustomer(array $data, int $clientId): Message;
+
+    /**
+     * Edit the content of a message.
+     *
+     * @param string $messageUuid Message UUID
+     * @param array<string, mixed> $data New content and metadata, with the sender_uuid of the editor
+     * @param int $clientId Client ID
+     * @return Message The updated message
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException If message not found
+     * @throws \Illuminate\Validation\ValidationException If the editor is not the sender or the message is deleted
+     */
+    public function updateMessage(string $messageUuid, array $data, int $clientId): Message;
+
+    /**
+     * Delete a message, leaving a tombstone in its place.
+     *
+     * @param string $messageUuid Message UUID
+     * @param string $senderUuid UUID of the customer deleting the message
+     * @param int $clientId Client ID
+     * @return Message The tombstone
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException If message not found
+     * @throws \Illuminate\Validation\ValidationException If the customer is not the sender
+     */
+    public function deleteMessage(string $messageUuid, string $senderUuid, int $clientId): Message;
 }
@@ -0,0 +1,122 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Events\MessageReacted;
+use App\Models\Customer;
+use App\Models\Message;
+use App\Repositories\MessageRepositoryInterface;
+use Illuminate\Database\Eloquent\ModelNotFoundException;
+use Illuminate\Validation\ValidationException;
+
+/**
+ * Reaction Service
+ *
+ * Adds and removes emoji reactions to messages and notifies the channel.
+ * Implements the ReactionServiceInterface contract.
+ *
+ * @package App\Services
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class ReactionService implements ReactionServiceInterface
+{
+    /**
+     * Create a new ReactionService instance.
+     *
+     * @param MessageRepositoryInterface $messageRepository Message repository
+     */
+    public function __construct(
+        private readonly MessageRepositoryInterface $messageRepository
+    ) {}
+
+    /**
+     * Add a customer's reaction to a message.
+     *
+     * Reacting twice with the same emoji changes nothing and is not
+     * broadcast again.
+     *
+     * @param string $messageUuid Message UUID
+     * @param string $customerUuid UUID of the reacting customer
+     * @param string $emoji The emoji
+     * @param int $clientId Client ID
+     * @return Message The message with its reactions
+     * @throws ModelNotFoundException When message not found
+     * @throws ValidationException When the customer is not in the channel or the message is deleted
+     */
+    public function addReaction(string $messageUuid, string $customerUuid, string $emoji, int $clientId): Message
+    {
+        [$message, $customer] = $this->findMessageAndParticipant($messageUuid, $customerUuid, $clientId);
+
+        if ($message->isDeleted()) {
+            throw ValidationException::withMessages([
+                'emoji' => ['Deleted messages cannot be reacted to.'],
+            ]);
+        }
+
+        if ($this->messageRepository->addReaction($message, $customer->id, $emoji)) {
+            broadcast(new MessageReacted($message, $customer, $emoji, 'added'))->toOthers();
+        }
+
+        return $message;
+    }
+
+    /**
+     * Remove a customer's reaction from a message.
+     *
+     * @param string $messageUuid Message UUID
+     * @param string $customerUuid UUID of the reacting customer
+     * @param string $emoji The emoji
+     * @param int $clientId Client ID
+     * @return Message The message with its reactions
+     * @throws ModelNotFoundException When message not found
+     * @throws ValidationException When the customer is not in the channel
+     */
+    public function removeReaction(string $messageUuid, string $customerUuid, string $emoji, int $clientId): Message
+    {
+        [$message, $customer] = $this->findMessageAndParticipant($messageUuid, $customerUuid, $clientId);
+
+        if ($this->messageRepository->removeReaction($message, $customer->id, $emoji)) {
+            broadcast(new MessageReacted($message, $customer, $emoji, 'removed'))->toOthers();
+        }
+
+        return $message;
+    }
+
+    /**
+     * Find a message and a customer participating in its channel.
+     *
+     * @param string $messageUuid Message UUID
+     * @param string $customerUuid Customer UUID
+     * @param int $clientId Client ID
+     * @return array{0: Message, 1: Customer} The message and the customer
+     * @throws ModelNotFoundException When message not found
+     * @throws ValidationException When the customer is not in the channel
+     */
+    private function findMessageAndParticipant(string $messageUuid, string $customerUuid, int $clientId): array
+    {
+        $message = $this->messageRepository->findByUuidAndClient($messageUuid, $clientId);
+
+        if (!$message) {
+            throw new ModelNotFoundException('Message not found');
+        }
+
+        $customer = $this->messageRepository->findCustomerByUuidAndClient($customerUuid, $clientId);
+
+        if (!$customer) {
+            throw ValidationException::withMessages([
+                'customer_uuid' => ['Customer does not exist or does not belong to your client.'],
+            ]);
+        }
+
+        if (!$this->messageRepository->isCustomerInChannel($customer->id, $message->channel_id)) {
+            throw ValidationException::withMessages([
+                'customer_uuid' => ['Customer is not a participant in this channel.'],
+            ]);
+        }
+
+        return [$message, $customer];
+    }
+}
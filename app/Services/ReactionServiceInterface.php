@@ -0,0 +1,45 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Message;
+
+/**
+ * Reaction Service Interface
+ *
+ * Defines the contract for customers reacting to messages with emojis.
+ *
+ * @package App\Services
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+interface ReactionServiceInterface
+{
+    /**
+     * Add a customer's reaction to a message.
+     *
+     * @param string $messageUuid Message UUID
+     * @param string $customerUuid UUID of the reacting customer
+     * @param string $emoji The emoji
+     * @param int $clientId Client ID
+     * @return Message The message with its reactions
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException When message not found
+     * @throws \Illuminate\Validation\ValidationException When the customer is not in the channel or the message is deleted
+     */
+    public function addReaction(string $messageUuid, string $customerUuid, string $emoji, int $clientId): Message;
+
+    /**
+     * Remove a customer's reaction from a message.
+     *
+     * @param string $messageUuid Message UUID
+     * @param string $customerUuid UUID of the reacting customer
+     * @param string $emoji The emoji
+     * @param int $clientId Client ID
+     * @return Message The message with its reactions
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException When message not found
+     * @throws \Illuminate\Validation\ValidationException When the customer is not in the channel
+     */
+    public function removeReaction(string $messageUuid, string $customerUuid, string $emoji, int $clientId): Message;
+}
@@ -0,0 +1,104 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Events\MessageRead;
+use App\Repositories\MessageRepositoryInterface;
+use Illuminate\Database\Eloquent\ModelNotFoundException;
+use Illuminate\Validation\ValidationException;
+
+/**
+ * Read Receipt Service
+ *
+ * Keeps the read position of every channel participant and broadcasts
+ * MessageRead when it moves. Positions only move forward, so clients can
+ * mark a channel read whenever messages scroll into view without
+ * checking what they reported before.
+ *
+ * @package App\Services
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class ReadReceiptService implements ReadReceiptServiceInterface
+{
+    /**
+     * Create a new ReadReceiptService instance.
+     *
+     * @param MessageRepositoryInterface $messageRepository Message repository
+     */
+    public function __construct(
+        private readonly MessageRepositoryInterface $messageRepository
+    ) {}
+
+    /**
+     * Mark a channel read up to a message for a customer.
+     *
+     * @param string $channelUuid Channel UUID
+     * @param string $customerUuid UUID of the reading customer
+     * @param string $messageUuid UUID of the newest message the customer has seen
+     * @param int $clientId Client ID
+     * @return array<string, mixed> The customer's read receipt after the update
+     * @throws ModelNotFoundException When channel not found
+     * @throws ValidationException When the customer or message is not in the channel
+     */
+    public function markRead(string $channelUuid, string $customerUuid, string $messageUuid, int $clientId): array
+    {
+        $channel = $this->messageRepository->findChannelByUuidAndClient($channelUuid, $clientId);
+
+        if (!$channel) {
+            throw new ModelNotFoundException('Channel not found');
+        }
+
+        $customer = $this->messageRepository->findCustomerByUuidAndClient($customerUuid, $clientId);
+
+        if (!$customer) {
+            throw ValidationException::withMessages([
+                'customer_uuid' => ['Customer does not exist or does not belong to your client.'],
+            ]);
+        }
+
+        if (!$this->messageRepository->isCustomerInChannel($customer->id, $channel->id)) {
+            throw ValidationException::withMessages([
+                'customer_uuid' => ['Customer is not a participant in this channel.'],
+            ]);
+        }
+
+        $message = $this->messageRepository->findMessageInChannel($messageUuid, $channel->id);
+
+        if (!$message) {
+            throw ValidationException::withMessages([
+                'message_id' => ['Message does not exist in this channel.'],
+            ]);
+        }
+
+        $moved = $this->messageRepository->markChannelRead($channel->id, $customer->id, $message);
+        $receipt = $this->messageRepository->getReadReceipts($channel->id, $customer->id)[0];
+
+        if ($moved) {
+            broadcast(new MessageRead($customer, $channel, $message))->toOthers();
+        }
+
+        return $receipt;
+    }
+
+    /**
+     * Get the read receipts of every participant of a channel.
+     *
+     * @param string $channelUuid Channel UUID
+     * @param int $clientId Client ID
+     * @return array<int, array<string, mixed>> Read receipts
+     * @throws ModelNotFoundException When channel not found
+     */
+    public function getReadReceipts(string $channelUuid, int $clientId): array
+    {
+        $channel = $this->messageRepository->findChannelByUuidAndClient($channelUuid, $clientId);
+
+        if (!$channel) {
+            throw new ModelNotFoundException('Channel not found');
+        }
+
+        return $this->messageRepository->getReadReceipts($channel->id);
+    }
+}
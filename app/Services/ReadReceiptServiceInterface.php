@@ -0,0 +1,41 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+/**
+ * Read Receipt Service Interface
+ *
+ * Defines the contract for tracking how far each participant of a channel
+ * has read.
+ *
+ * @package App\Services
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+interface ReadReceiptServiceInterface
+{
+    /**
+     * Mark a channel read up to a message for a customer.
+     *
+     * @param string $channelUuid Channel UUID
+     * @param string $customerUuid UUID of the reading customer
+     * @param string $messageUuid UUID of the newest message the customer has seen
+     * @param int $clientId Client ID
+     * @return array<string, mixed> The customer's read receipt after the update
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException When channel not found
+     * @throws \Illuminate\Validation\ValidationException When the customer or message is not in the channel
+     */
+    public function markRead(string $channelUuid, string $customerUuid, string $messageUuid, int $clientId): array;
+
+    /**
+     * Get the read receipts of every participant of a channel.
+     *
+     * @param string $channelUuid Channel UUID
+     * @param int $clientId Client ID
+     * @return array<int, array<string, mixed>> Read receipts
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException When channel not found
+     */
+    public function getReadReceipts(string $channelUuid, int $clientId): array;
+}
@@ -0,0 +1,88 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Repositories\MessageRepositoryInterface;
+use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Database\Eloquent\ModelNotFoundException;
+use Illuminate\Support\Sleep;
+
+/**
+ * Realtime Service
+ *
+ * Long-polling counterpart of the MessageSent broadcast, used by clients whose
+ * network blocks WebSockets. The cursor is the ID of the last message the
+ * client received, so a poll returns every message it missed since, across
+ * all of its channels, in the order they were sent.
+ *
+ * @package App\Services
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class RealtimeService implements RealtimeServiceInterface
+{
+    /**
+     * Maximum number of messages returned by one poll.
+     */
+    public const EVENT_LIMIT = 100;
+
+    /**
+     * Create a new RealtimeService instance.
+     *
+     * @param MessageRepositoryInterface $messageRepository Message repository
+     */
+    public function __construct(
+        private readonly MessageRepositoryInterface $messageRepository
+    ) {}
+
+    /**
+     * Get the messages sent to the given channels after a cursor.
+     *
+     * @param array<int, string> $channelUuids Channel UUIDs
+     * @param string|null $cursor Cursor returned by the previous poll
+     * @param int $clientId Client ID
+     * @param int $wait Seconds to wait for a new message
+     * @return array{data: Collection<int, \App\Models\Message>, cursor: string}
+     * @throws ModelNotFoundException When a channel is not found
+     */
+    public function poll(array $channelUuids, ?string $cursor, int $clientId, int $wait = 0): array
+    {
+        $channelIds = [];
+
+        foreach ($channelUuids as $channelUuid) {
+            $channel = $this->messageRepository->findChannelByUuidAndClient($channelUuid, $clientId);
+
+            if (!$channel) {
+                throw new ModelNotFoundException('Channel not found');
+            }
+
+            $channelIds[] = $channel->id;
+        }
+
+        if ($cursor === null) {
+            return [
+                'data' => new Collection(),
+                'cursor' => (string) $this->messageRepository->getLatestMessageId($clientId),
+            ];
+        }
+
+        $afterId = (int) $cursor;
+
+        for ($attempt = 0; ; $attempt++) {
+            $messages = $this->messageRepository->getMessagesAfterId($channelIds, $clientId, $afterId, self::EVENT_LIMIT);
+
+            if ($messages->isNotEmpty() || $attempt >= $wait) {
+                break;
+            }
+
+            Sleep::for(1)->second();
+        }
+
+        return [
+            'data' => $messages,
+            'cursor' => (string) ($messages->last()?->id ?? $afterId),
+        ];
+    }
+}
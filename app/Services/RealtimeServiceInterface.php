@@ -0,0 +1,37 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Message;
+use Illuminate\Database\Eloquent\Collection;
+
+/**
+ * Realtime Service Interface
+ *
+ * Defines the contract for delivering channel messages over HTTP long-polling
+ * to clients that cannot hold a WebSocket connection.
+ *
+ * @package App\Services
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+interface RealtimeServiceInterface
+{
+    /**
+     * Get the messages sent to the given channels after a cursor.
+     *
+     * Without a cursor no messages are returned, only the cursor to start
+     * polling from. Otherwise the call waits up to $wait seconds for a new
+     * message before returning an empty result.
+     *
+     * @param array<int, string> $channelUuids Channel UUIDs
+     * @param string|null $cursor Cursor returned by the previous poll
+     * @param int $clientId Client ID
+     * @param int $wait Seconds to wait for a new message
+     * @return array{data: Collection<int, Message>, cursor: string}
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException When a channel is not found
+     */
+    public function poll(array $channelUuids, ?string $cursor, int $clientId, int $wait = 0): array;
+}
@@ -0,0 +1,76 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Client;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Session Service
+ *
+ * Mints short-lived Sanctum tokens scoped to a single customer.
+ * Session tokens carry the `session` ability plus `customer:{uuid}` and are
+ * restricted by SessionScopeMiddleware to what that customer may see and do.
+ *
+ * @package App\Services
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class SessionService implements SessionServiceInterface
+{
+    /**
+     * Ability marking a token as a customer session token.
+     */
+    public const SESSION_ABILITY = 'session';
+
+    /**
+     * Prefix of the ability naming the customer a session token acts as.
+     */
+    public const CUSTOMER_ABILITY_PREFIX = 'customer:';
+
+    /**
+     * Create a new SessionService instance.
+     *
+     * @param CustomerServiceInterface $customerService Customer service
+     */
+    public function __construct(
+        private readonly CustomerServiceInterface $customerService
+    ) {}
+
+    /**
+     * Create a session token for a customer.
+     *
+     * @param Client $client The client minting the token
+     * @param string $customerUuid UUID of the customer the token acts as
+     * @param int $ttl Token lifetime in seconds
+     * @return array{token: string, customer: \App\Models\Customer, expires_at: \Carbon\Carbon, abilities: array<int, string>}
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException When customer not found
+     */
+    public function create(Client $client, string $customerUuid, int $ttl): array
+    {
+        $customer = $this->customerService->getByUuid($client, $customerUuid);
+
+        $abilities = [
+            self::SESSION_ABILITY,
+            self::CUSTOMER_ABILITY_PREFIX . $customer->uuid,
+        ];
+        $expiresAt = now()->addSeconds($ttl);
+
+        $token = $client->createToken("session:{$customer->uuid}", $abilities, $expiresAt);
+
+        Log::info('Session token created', [
+            'client_id' => $client->id,
+            'customer_uuid' => $customer->uuid,
+            'expires_at' => $expiresAt->toISOString(),
+        ]);
+
+        return [
+            'token' => $token->plainTextToken,
+            'customer' => $customer,
+            'expires_at' => $expiresAt,
+            'abilities' => $abilities,
+        ];
+    }
+}
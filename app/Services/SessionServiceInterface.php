@@ -0,0 +1,31 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Client;
+
+/**
+ * Session Service Interface
+ *
+ * Defines the contract for minting short-lived, customer-scoped session tokens
+ * that can be handed to browsers instead of the client's secret key.
+ *
+ * @package App\Services
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+interface SessionServiceInterface
+{
+    /**
+     * Create a session token for a customer.
+     *
+     * @param Client $client The client minting the token
+     * @param string $customerUuid UUID of the customer the token acts as
+     * @param int $ttl Token lifetime in seconds
+     * @return array{token: string, customer: \App\Models\Customer, expires_at: \Carbon\Carbon, abilities: array<int, string>}
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException When customer not found
+     */
+    public function create(Client $client, string $customerUuid, int $ttl): array;
+}
@@ -0,0 +1,92 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Events\TypingStarted;
+use App\Events\TypingStopped;
+use App\Repositories\MessageRepositoryInterface;
+use Illuminate\Database\Eloquent\ModelNotFoundException;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Validation\ValidationException;
+
+/**
+ * Typing Service
+ *
+ * Broadcasts TypingStarted and TypingStopped to the other participants of a
+ * channel. Clients call the endpoint on every keystroke burst, so repeated
+ * "started" calls from the same customer are only broadcast once per
+ * throttle window; "stopped" is always broadcast and resets the window.
+ *
+ * @package App\Services
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+class TypingService implements TypingServiceInterface
+{
+    /**
+     * Seconds during which repeated "started" calls are not rebroadcast.
+     */
+    public const THROTTLE_SECONDS = 2;
+
+    /**
+     * Create a new TypingService instance.
+     *
+     * @param MessageRepositoryInterface $messageRepository Message repository
+     */
+    public function __construct(
+        private readonly MessageRepositoryInterface $messageRepository
+    ) {}
+
+    /**
+     * Broadcast that a customer started or stopped typing in a channel.
+     *
+     * @param string $channelUuid Channel UUID
+     * @param string $senderUuid UUID of the typing customer
+     * @param bool $typing True when typing started, false when it stopped
+     * @param int $clientId Client ID
+     * @return bool True if an event was broadcast, false if it was throttled
+     * @throws ModelNotFoundException When channel not found
+     * @throws ValidationException When the sender may not type in the channel
+     */
+    public function setTyping(string $channelUuid, string $senderUuid, bool $typing, int $clientId): bool
+    {
+        $channel = $this->messageRepository->findChannelByUuidAndClient($channelUuid, $clientId);
+
+        if (!$channel) {
+            throw new ModelNotFoundException('Channel not found');
+        }
+
+        $sender = $this->messageRepository->findCustomerByUuidAndClient($senderUuid, $clientId);
+
+        if (!$sender) {
+            throw ValidationException::withMessages([
+                'sender_uuid' => ['Sender does not exist or does not belong to your client.'],
+            ]);
+        }
+
+        if (!$this->messageRepository->isCustomerInChannel($sender->id, $channel->id)) {
+            throw ValidationException::withMessages([
+                'sender_uuid' => ['Sender is not a participant in this channel.'],
+            ]);
+        }
+
+        $throttleKey = "typing:{$channel->id}:{$sender->id}";
+
+        if (!$typing) {
+            Cache::forget($throttleKey);
+            broadcast(new TypingStopped($sender, $channel))->toOthers();
+
+            return true;
+        }
+
+        if (!Cache::add($throttleKey, true, self::THROTTLE_SECONDS)) {
+            return false;
+        }
+
+        broadcast(new TypingStarted($sender, $channel))->toOthers();
+
+        return true;
+    }
+}
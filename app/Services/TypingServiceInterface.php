@@ -0,0 +1,31 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+/**
+ * Typing Service Interface
+ *
+ * Defines the contract for broadcasting typing indicators to the other
+ * participants of a channel.
+ *
+ * @package App\Services
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+interface TypingServiceInterface
+{
+    /**
+     * Broadcast that a customer started or stopped typing in a channel.
+     *
+     * @param string $channelUuid Channel UUID
+     * @param string $senderUuid UUID of the typing customer
+     * @param bool $typing True when typing started, false when it stopped
+     * @param int $clientId Client ID
+     * @return bool True if an event was broadcast, false if it was throttled
+     * @throws \Illuminate\Database\Eloquent\ModelNotFoundException When channel not found
+     * @throws \Illuminate\Validation\ValidationException When the sender may not type in the channel
+     */
+    public function setTyping(string $channelUuid, string $senderUuid, bool $typing, int $clientId): bool;
+}
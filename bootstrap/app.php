@@ -9,12 +9,21 @@
         web: __DIR__.'/../routes/web.php',
         api: __DIR__.'/../routes/api.php',
         commands: __DIR__.'/../routes/console.php',
-        channels: __DIR__.'/../routes/channels.php',
         health: '/up',
     )
+    ->withBroadcasting(
+        __DIR__.'/../routes/channels.php',
+        ['middleware' => ['client.auth']],
+    )
     ->withMiddleware(function (Middleware $middleware): void {
+        $middleware->api(append: [
+            \App\Http\Middleware\RequestIdMiddleware::class,
+        ]);
+
         $middleware->alias([
             'client.auth' => \App\Http\Middleware\ClientAuthMiddleware::class,
+            'session.scope' => \App\Http\Middleware\SessionScopeMiddleware::class,
+            'idempotent' => \App\Http\Middleware\IdempotencyMiddleware::class,
         ]);
     })
     ->withExceptions(function (Exceptions $exceptions): void {
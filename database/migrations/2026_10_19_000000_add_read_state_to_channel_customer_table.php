@@ -0,0 +1,31 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('channel_customer', function (Blueprint $table) {
+            // Newest message the customer has seen in the channel
+            $table->foreignId('last_read_message_id')->nullable()->constrained('messages')->nullOnDelete();
+            $table->timestamp('last_read_at')->nullable();
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('channel_customer', function (Blueprint $table) {
+            $table->dropConstrainedForeignId('last_read_message_id');
+            $table->dropColumn('last_read_at');
+        });
+    }
+};
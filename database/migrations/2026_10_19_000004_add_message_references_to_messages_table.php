@@ -0,0 +1,31 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('messages', function (Blueprint $table) {
+            // The message a message quotes, and the one it forwards
+            $table->foreignId('reply_to_id')->nullable()->after('parent_id')->constrained('messages')->nullOnDelete();
+            $table->foreignId('forwarded_from_id')->nullable()->after('reply_to_id')->constrained('messages')->nullOnDelete();
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('messages', function (Blueprint $table) {
+            $table->dropConstrainedForeignId('forwarded_from_id');
+            $table->dropConstrainedForeignId('reply_to_id');
+        });
+    }
+};
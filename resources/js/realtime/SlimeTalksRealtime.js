@@ -9,19 +9,609 @@
  * @version 1.0.0
  */
 
-class SlimeTalksRealtime {
+/**
+ * Slime Talks Emitter
+ * 
+ * Minimal event emitter shared by the realtime client and its channel handles.
+ * Any number of listeners may be registered per event. A listener that throws
+ * (or returns a rejected promise) does not stop the others: the error is
+ * emitted as `error` with `{ event }`, or logged when nobody listens for it.
+ */
+class SlimeTalksEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Register a listener
+     * 
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event arguments
+     * @returns {this} The emitter, for chaining
+     */
+    on(event, listener) {
+        return this._addListener(event, listener, false);
+    }
+
+    /**
+     * Register a listener that is removed after its first call
+     * 
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event arguments
+     * @returns {this} The emitter, for chaining
+     */
+    once(event, listener) {
+        return this._addListener(event, listener, true);
+    }
+
+    /**
+     * Remove listeners
+     * 
+     * Without a listener, removes every listener of the event; without
+     * arguments, removes every listener of every event.
+     * 
+     * @param {string} [event] - Event name
+     * @param {Function} [listener] - Listener passed to on() or once()
+     * @returns {this} The emitter, for chaining
+     */
+    off(event, listener) {
+        if (event === undefined) {
+            this.listeners.clear();
+            return this;
+        }
+
+        if (listener === undefined) {
+            this.listeners.delete(event);
+            return this;
+        }
+
+        const entries = this.listeners.get(event) || [];
+        const index = entries.findIndex(entry => entry.listener === listener);
+
+        if (index !== -1) {
+            entries.splice(index, 1);
+        }
+
+        if (entries.length === 0) {
+            this.listeners.delete(event);
+        }
+
+        return this;
+    }
+
+    /**
+     * Call every listener of an event
+     * 
+     * @param {string} event - Event name
+     * @param {...*} args - Arguments passed to the listeners
+     * @returns {boolean} Whether any listener was called
+     */
+    emit(event, ...args) {
+        const entries = this.listeners.get(event);
+
+        if (!entries || entries.length === 0) {
+            return false;
+        }
+
+        for (const entry of [...entries]) {
+            if (entry.once) {
+                this.off(event, entry.listener);
+            }
+
+            try {
+                const result = entry.listener.apply(this, args);
+
+                if (result && typeof result.then === 'function') {
+                    result.then(null, error => this._listenerError(event, error));
+                }
+            } catch (error) {
+                this._listenerError(event, error);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Count the listeners of an event
+     * 
+     * @param {string} event - Event name
+     * @returns {number} Number of listeners
+     */
+    listenerCount(event) {
+        return (this.listeners.get(event) || []).length;
+    }
+
+    /**
+     * @private
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener
+     * @param {boolean} once - Remove after the first call
+     * @returns {this} The emitter
+     */
+    _addListener(event, listener, once) {
+        if (typeof listener !== 'function') {
+            throw new TypeError(`Listener for "${event}" must be a function`);
+        }
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+
+        this.listeners.get(event).push({ listener, once });
+        return this;
+    }
+
+    /**
+     * Report an error thrown by a listener without interrupting the others
+     * 
+     * @private
+     * @param {string} event - Event whose listener failed
+     * @param {*} error - Thrown error
+     */
+    _listenerError(event, error) {
+        if (event !== 'error' && this.listenerCount('error') > 0) {
+            this.emit('error', error, { event });
+            return;
+        }
+
+        console.error(`Error in "${event}" listener:`, error);
+    }
+}
+
+/**
+ * Slime Talks Channel
+ * 
+ * Handle returned by joinChannel() and joinPresenceChannel(). Emits the events
+ * of one channel; the realtime client emits the same events for every channel.
+ */
+class SlimeTalksChannel extends SlimeTalksEmitter {
+    /**
+     * @param {SlimeTalksRealtime} realtime - Owning realtime client
+     * @param {string} channelUuid - Channel UUID
+     * @param {Object} channel - Underlying transport channel
+     * @param {boolean} [presence=false] - Whether this is a presence channel
+     */
+    constructor(realtime, channelUuid, channel, presence = false) {
+        super();
+        this.realtime = realtime;
+        this.channelUuid = channelUuid;
+        this.channel = channel;
+        this.presence = presence;
+        this.pusherEvents = {};
+        this.stale = false;
+    }
+
+    /**
+     * Leave the channel and remove its listeners
+     */
+    leave() {
+        this.realtime.leaveChannel(this.channelUuid);
+    }
+
+    /**
+     * Tell the other participants the current user is typing
+     * 
+     * @returns {Promise<boolean>} Whether a request was sent
+     */
+    startTyping() {
+        return this.realtime.startTyping(this.channelUuid);
+    }
+
+    /**
+     * @deprecated Use startTyping()
+     * @returns {Promise<boolean>} Whether a request was sent
+     */
+    sendTyping() {
+        return this.startTyping();
+    }
+
+    /**
+     * Stop the typing indicator
+     * 
+     * @returns {Promise<boolean>} Whether a request was sent
+     */
+    stopTyping() {
+        return this.realtime.stopTyping(this.channelUuid);
+    }
+
+    /**
+     * Users currently typing in the channel, excluding the current user
+     * 
+     * @returns {Object[]} Typing users ({ id, name })
+     */
+    getTypingUsers() {
+        return this.realtime.getTypingUsers(this.channelUuid);
+    }
+
+    /**
+     * Mark the channel read up to a message for the current user
+     * 
+     * @param {string} messageId - Newest message the user has seen
+     * @returns {Promise<Object|null>} Read receipt, or null if nothing was sent or the request failed
+     */
+    markRead(messageId) {
+        return this.realtime.markRead(this.channelUuid, messageId);
+    }
+}
+
+/**
+ * Slime Talks Echo Transport
+ * 
+ * Runs the realtime client on an existing Laravel Echo instance, so an app
+ * that already configured Echo (resources/js/echo.js) shares its connection.
+ * Channel names are translated to Echo's (`private-channel.x` becomes
+ * `echo.private('channel.x')`) and Pusher's subscription and member events to
+ * Echo's `subscribed`, `here`, `joining` and `leaving`.
+ */
+class SlimeTalksEchoTransport {
+    /**
+     * @param {Object} echo - Laravel Echo instance
+     */
+    constructor(echo) {
+        this.echo = echo;
+        this.channels = new Map();
+
+        const transport = this;
+
+        this.connection = {
+            bind: (event, handler) => transport.bindConnection(event, handler),
+            get socket_id() {
+                return transport.echo.socketId();
+            },
+        };
+    }
+
+    /**
+     * Listen to a connection event of the underlying Pusher or Socket.IO client
+     * 
+     * @param {string} event - `connected`, `disconnected`, `error` or `state_change`
+     * @param {Function} handler - Event handler
+     */
+    bindConnection(event, handler) {
+        const pusher = this.echo.connector?.pusher;
+
+        if (pusher) {
+            pusher.connection.bind(event, handler);
+            return;
+        }
+
+        const socket = this.echo.connector?.socket;
+        const socketEvents = {
+            connected: ['connect', () => handler()],
+            disconnected: ['disconnect', () => handler()],
+            error: ['connect_error', handler],
+            state_change: ['disconnect', () => handler({ previous: 'connected', current: 'disconnected' })],
+        };
+
+        if (socket && socketEvents[event]) {
+            socket.on(...socketEvents[event]);
+        }
+    }
+
+    /**
+     * Subscribe to a channel
+     * 
+     * @param {string} name - Pusher channel name
+     * @returns {{ bind: Function }} Channel
+     */
+    subscribe(name) {
+        if (this.channels.has(name)) {
+            return this.channels.get(name);
+        }
+
+        let channel;
+
+        if (name.startsWith('presence-')) {
+            channel = this.echo.join(name.slice('presence-'.length));
+        } else if (name.startsWith('private-')) {
+            channel = this.echo.private(name.slice('private-'.length));
+        } else {
+            channel = this.echo.channel(name);
+        }
+
+        const wrapper = {
+            bind(event, handler) {
+                switch (event) {
+                    case 'pusher:subscription_succeeded':
+                        return typeof channel.here === 'function' ? channel.here(handler) : channel.subscribed(handler);
+                    case 'pusher:member_added':
+                        return channel.joining(handler);
+                    case 'pusher:member_removed':
+                        return channel.leaving(handler);
+                    default:
+                        return channel.listen(`.${event}`, handler);
+                }
+            },
+        };
+
+        this.channels.set(name, wrapper);
+
+        return wrapper;
+    }
+
+    /**
+     * Unsubscribe from a channel
+     * 
+     * @param {string} name - Pusher channel name
+     */
+    unsubscribe(name) {
+        this.channels.delete(name);
+        this.echo.leaveChannel(name);
+    }
+
+    /**
+     * Connect the Echo instance
+     */
+    connect() {
+        this.echo.connect();
+    }
+
+    /**
+     * Disconnect the Echo instance
+     */
+    disconnect() {
+        this.echo.disconnect();
+    }
+}
+
+/**
+ * Slime Talks Memory Broker
+ * 
+ * In-memory stand-in for the broadcasting server: delivers published events
+ * to every connected memory transport subscribed to the channel. Use it in
+ * tests and for offline development.
+ * 
+ * @example
+ * const broker = new SlimeTalksMemoryBroker();
+ * const realtime = new SlimeTalksRealtime({ transport: 'memory', broker, user });
+ * realtime.joinChannel('ch_1').on('message.sent', render);
+ * broker.publish('private-channel.ch_1', 'message.sent', { message });
+ */
+class SlimeTalksMemoryBroker {
+    constructor() {
+        this.transports = new Set();
+    }
+
+    /**
+     * Deliver an event to the subscribers of a channel
+     * 
+     * @param {string} channelName - Pusher channel name (e.g. `private-channel.{uuid}`)
+     * @param {string} event - Event name
+     * @param {*} data - Event payload
+     * @param {Object} [options] - Publish options
+     * @param {string} [options.except] - Socket id that does not receive the event, like toOthers()
+     * @returns {number} Number of transports the event was delivered to
+     */
+    publish(channelName, event, data, options = {}) {
+        let delivered = 0;
+
+        for (const transport of this.transports) {
+            const channel = transport.channels.get(channelName);
+
+            if (channel && transport.state === 'connected' && transport.connection.socket_id !== options.except) {
+                channel.emit(event, data);
+                delivered++;
+            }
+        }
+
+        return delivered;
+    }
+}
+
+/**
+ * Slime Talks Memory Transport
+ * 
+ * Transport backed by a SlimeTalksMemoryBroker. Connects asynchronously, like
+ * Pusher, and confirms every subscription with `pusher:subscription_succeeded`.
+ */
+class SlimeTalksMemoryTransport {
+    /**
+     * @param {SlimeTalksMemoryBroker} [broker] - Broker to connect to (defaults to a shared one)
+     */
+    constructor(broker = SlimeTalksMemoryTransport.sharedBroker()) {
+        this.broker = broker;
+        this.channels = new Map();
+        this.state = 'initialized';
+        this.connection = new SlimeTalksEmitter();
+        this.connection.bind = this.connection.on;
+        this.connection.socket_id = undefined;
+
+        this.connect();
+    }
+
+    /**
+     * Broker used when none is passed
+     * 
+     * @returns {SlimeTalksMemoryBroker} Shared broker
+     */
+    static sharedBroker() {
+        SlimeTalksMemoryTransport.broker = SlimeTalksMemoryTransport.broker || new SlimeTalksMemoryBroker();
+        return SlimeTalksMemoryTransport.broker;
+    }
+
+    /**
+     * Connect to the broker on the next tick
+     */
+    connect() {
+        if (this.state === 'connected' || this.state === 'connecting') {
+            return;
+        }
+
+        this.state = 'connecting';
+
+        setTimeout(() => {
+            if (this.state !== 'connecting') {
+                return;
+            }
+
+            SlimeTalksMemoryTransport.sockets = (SlimeTalksMemoryTransport.sockets || 0) + 1;
+            this.connection.socket_id = `memory.${SlimeTalksMemoryTransport.sockets}`;
+            this.broker.transports.add(this);
+            this.setState('connected');
+            this.connection.emit('connected');
+
+            for (const channel of this.channels.values()) {
+                channel.emit('pusher:subscription_succeeded');
+            }
+        }, 0);
+    }
+
+    /**
+     * Disconnect from the broker, keeping the subscriptions for the next connect()
+     */
+    disconnect() {
+        if (this.state === 'disconnected') {
+            return;
+        }
+
+        this.broker.transports.delete(this);
+        this.connection.socket_id = undefined;
+        this.setState('disconnected');
+        this.connection.emit('disconnected');
+    }
+
+    /**
+     * Subscribe to a channel
+     * 
+     * @param {string} name - Channel name
+     * @returns {SlimeTalksEmitter} Channel, with Pusher's bind()
+     */
+    subscribe(name) {
+        if (this.channels.has(name)) {
+            return this.channels.get(name);
+        }
+
+        const channel = new SlimeTalksEmitter();
+        channel.bind = channel.on;
+        this.channels.set(name, channel);
+
+        if (this.state === 'connected') {
+            setTimeout(() => {
+                if (this.channels.get(name) === channel) {
+                    channel.emit('pusher:subscription_succeeded');
+                }
+            }, 0);
+        }
+
+        return channel;
+    }
+
+    /**
+     * Unsubscribe from a channel
+     * 
+     * @param {string} name - Channel name
+     */
+    unsubscribe(name) {
+        this.channels.get(name)?.off();
+        this.channels.delete(name);
+    }
+
+    /**
+     * @private
+     * @param {string} current - New connection state
+     */
+    setState(current) {
+        const previous = this.state;
+
+        this.state = current;
+        this.connection.emit('state_change', { previous, current });
+    }
+}
+
+/**
+ * Slime Talks Realtime
+ * 
+ * Events (subscribe with on/once, unsubscribe with off):
+ * - `connected`, `disconnected`
+ * - `error` (error, context) - connection errors and errors thrown by listeners
+ * - `reconnecting` ({ attempt, delay }), `reconnect_failed`
+ * - Channel events, with `{ channelUuid }` as second argument: `message.sent`,
+ *   `message.updated`, `message.deleted`, `message.reaction`, `message.read`,
+ *   `thread.reply`, `typing.started`, `typing.stopped`, `user.joined`, `user.left`
+ * - `typing.changed` (users, { channelUuid }) - the other users typing in a
+ *   channel, after someone starts or stops typing or sends a message
+ * - Presence events, with `{ channelUuid }` as second argument:
+ *   `presence.subscribed`, `member.added`, `member.removed`
+ * 
+ * Joined channels survive connection drops and disconnect(): they are
+ * resubscribed on reconnect, and the `message.sent` events missed meanwhile
+ * are fetched from the messages API (or, for a channel without a delivered
+ * message yet, from /realtime/poll) and emitted in order, without
+ * duplicates, before live events resume.
+ * 
+ * The `onConnected`, `onDisconnected`, `onError` and `onMaxReconnectAttempts`
+ * properties are still called for backwards compatibility.
+ */
+class SlimeTalksRealtime extends SlimeTalksEmitter {
+    /**
+     * Create a new realtime client
+     * 
+     * @param {Object} config Configuration object
+     * @param {string|Object} [config.transport='pusher'] - `pusher`, `reverb`, `soketi`, `echo`,
+     *   `memory`, or a transport object with Pusher's connection/subscribe/unsubscribe/connect/
+     *   disconnect interface
+     * @param {string} [config.pusherKey] - Pusher (or Reverb/Soketi app) key
+     * @param {string} [config.pusherCluster='us2'] - Pusher cluster
+     * @param {string} [config.host] - Reverb/Soketi host
+     * @param {number} [config.port] - Reverb/Soketi port (defaults to 443 with TLS, 80 without)
+     * @param {boolean} [config.tls=true] - Whether to connect to Reverb/Soketi over TLS
+     * @param {Object} [config.echo] - Laravel Echo instance for the `echo` transport
+     *   (defaults to the global Echo)
+     * @param {SlimeTalksMemoryBroker} [config.broker] - Broker for the `memory` transport
+     * @param {string} [config.token] - Bearer token for channel authorization
+     * @param {Function} [config.tokenProvider] - Async callback returning the current bearer token
+     *   (a string or `{ token }`); takes precedence over config.token and is called for every
+     *   authorization, so it should cache (SlimeTalksSDK#getSessionToken does)
+     * @param {string} [config.authEndpoint='/broadcasting/auth'] - Channel authorization endpoint; a
+     *   relative one resolves against the page in browsers and against the API URL's origin elsewhere
+     * @param {string} [config.publicKey] - API public key
+     * @param {string} [config.origin] - Origin domain
+     * @param {Object} [config.user] - Current user ({ id, name })
+     * @param {Function} [config.Pusher] - Pusher client class (defaults to the global Pusher)
+     * @param {Function} [config.fetch] - Fetch implementation (defaults to the global fetch)
+     * @param {string} [config.apiUrl] - API base URL, used to send messages and typing indicators
+     * @param {number} [config.typingTimeout=3000] - Milliseconds without startTyping() calls after
+     *   which the typing indicator is stopped
+     * @param {number} [config.typingThrottle=2000] - Minimum milliseconds between typing requests
+     * @param {number} [config.typingExpiry=6000] - Milliseconds after which another user is no
+     *   longer shown as typing when their `typing.stopped` event never arrives
+     * @param {string|false} [config.fallback='polling'] - Poll the API for `message.sent` events
+     *   while the transport cannot connect, or false to wait for WebSockets only
+     * @param {number} [config.pollWait=20] - Seconds each poll waits on the server for a message
+     * @param {number} [config.pollInterval=1000] - Milliseconds between polls when no channel is
+     *   joined, doubled after every failed poll (up to 30 seconds)
+     */
     constructor(config) {
+        super();
+
         this.config = {
             apiUrl: config.apiUrl || 'https://api.slime-talks.com/api/v1',
             pusherKey: config.pusherKey,
             pusherCluster: config.pusherCluster || 'us2',
             authEndpoint: config.authEndpoint || '/broadcasting/auth',
+            typingTimeout: 3000,
+            typingThrottle: 2000,
+            typingExpiry: 6000,
+            fallback: 'polling',
+            pollWait: 20,
+            pollInterval: 1000,
             ...config
         };
         
+        this.transport = null;
         this.pusher = null;
         this.channels = new Map();
+        this.presenceChannels = new Map();
         this.typingTimeouts = new Map();
+        this.typingSentAt = new Map();
+        this.typingUsers = new Map();
+        this.lastMessageIds = new Map();
+        this.pollCursors = new Map();
+        this.seenMessageIds = new Map();
+        this.readMessageIds = new Map();
+        this.backfills = new Map();
+        this.polling = null;
         this.connectionState = 'disconnected';
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
@@ -31,168 +621,702 @@ class SlimeTalksRealtime {
     }
 
     /**
-     * Initialize the realtime client
+     * Initialize the realtime client
+     */
+    init() {
+        this.transport = this.createTransport(this.config.transport || 'pusher');
+
+        if (!this.transport) {
+            return;
+        }
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Create the transport selected by config.transport
+     * 
+     * @private
+     * @param {string|Object} transport - Transport name or object
+     * @returns {Object|null} Transport, or null when its library is missing
+     */
+    createTransport(transport) {
+        if (typeof transport === 'object') {
+            return transport;
+        }
+
+        const global = typeof globalThis !== 'undefined' ? globalThis : {};
+
+        switch (transport) {
+            case 'pusher':
+            case 'reverb':
+            case 'soketi':
+                return this.createPusher(transport !== 'pusher');
+            case 'echo': {
+                const echo = this.config.echo || global.Echo;
+
+                if (!echo) {
+                    console.error('Laravel Echo is required for the echo transport. Pass config.echo.');
+                    return null;
+                }
+
+                return new SlimeTalksEchoTransport(echo);
+            }
+            case 'memory':
+                return new SlimeTalksMemoryTransport(this.config.broker);
+            default:
+                throw new Error(`Unknown realtime transport "${transport}"`);
+        }
+    }
+
+    /**
+     * Create a Pusher client for Pusher Channels or a self-hosted Reverb/Soketi server
+     * 
+     * @private
+     * @param {boolean} selfHosted - Whether to connect to config.host instead of a Pusher cluster
+     * @returns {Object|null} Pusher client, or null when pusher-js is missing
+     */
+    createPusher(selfHosted) {
+        const Pusher = this.config.Pusher
+            || (typeof globalThis !== 'undefined' ? globalThis.Pusher : undefined);
+
+        if (!Pusher) {
+            console.error('Pusher library is required. Please include pusher-js or pass config.Pusher.');
+            return null;
+        }
+
+        const tls = this.config.tls !== false;
+        const server = selfHosted
+            ? {
+                wsHost: this.config.host,
+                wsPort: this.config.port || (tls ? 443 : 80),
+                wssPort: this.config.port || (tls ? 443 : 80),
+                forceTLS: tls,
+            }
+            : { encrypted: true };
+
+        this.pusher = new Pusher(this.config.pusherKey, {
+            cluster: this.config.pusherCluster,
+            ...server,
+            channelAuthorization: {
+                endpoint: this.config.authEndpoint,
+                transport: 'ajax',
+                customHandler: (params, callback) => this.authorizeChannel(params, callback),
+            },
+            enabledTransports: ['ws', 'wss']
+        });
+
+        return this.pusher;
+    }
+
+    /**
+     * Get the bearer token for the next request
+     * 
+     * @returns {Promise<string>} Bearer token
+     */
+    async getToken() {
+        if (!this.config.tokenProvider) {
+            return this.config.token;
+        }
+
+        const result = await this.config.tokenProvider();
+        return typeof result === 'string' ? result : result?.token;
+    }
+
+    /**
+     * Authorize a private or presence channel subscription
+     * 
+     * Fetches the token on every call so subscriptions made after a session
+     * token was refreshed never use a stale one.
+     * 
+     * @param {Object} params - Pusher authorization parameters ({ socketId, channelName })
+     * @param {Function} callback - Pusher callback (error, authData)
+     */
+    async authorizeChannel({ socketId, channelName }, callback) {
+        try {
+            const fetchImpl = this.config.fetch || fetch;
+            const response = await fetchImpl(this.authUrl(), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Accept': 'application/json',
+                    'Authorization': `Bearer ${await this.getToken()}`,
+                    'X-Public-Key': this.config.publicKey,
+                    'Origin': this.config.origin,
+                },
+                body: new URLSearchParams({ socket_id: socketId, channel_name: channelName }).toString(),
+            });
+
+            if (!response.ok) {
+                throw new Error(`Channel authorization failed: HTTP ${response.status}`);
+            }
+
+            callback(null, await response.json());
+        } catch (error) {
+            console.error('Failed to authorize channel:', error);
+            callback(error, null);
+        }
+    }
+
+    /**
+     * Get the URL of the channel authorization endpoint
+     * 
+     * Browsers resolve a relative endpoint against the page. Elsewhere fetch
+     * only takes absolute URLs, so it is resolved against the API URL.
+     * 
+     * @private
+     * @returns {string} Endpoint URL
+     */
+    authUrl() {
+        if (typeof window !== 'undefined' && window.location) {
+            return this.config.authEndpoint;
+        }
+
+        return new URL(this.config.authEndpoint, this.config.apiUrl).href;
+    }
+
+    /**
+     * Setup Pusher event listeners
+     */
+    setupEventListeners() {
+        this.transport.connection.bind('state_change', ({ previous, current }) => {
+            if (previous === 'connected') {
+                this.markChannelsStale();
+            }
+
+            if (current === 'unavailable' || current === 'failed') {
+                this.startPolling();
+            }
+        });
+
+        this.transport.connection.bind('connected', () => {
+            this.stopPolling();
+            this.connectionState = 'connected';
+            this.reconnectAttempts = 0;
+            this.resubscribeChannels();
+            console.log('Connected to Slime Talks realtime');
+            this.emit('connected');
+            this.onConnected?.();
+        });
+
+        this.transport.connection.bind('disconnected', () => {
+            this.connectionState = 'disconnected';
+            console.log('Disconnected from Slime Talks realtime');
+            this.emit('disconnected');
+            this.onDisconnected?.();
+        });
+
+        this.transport.connection.bind('error', (error) => {
+            console.error('Pusher connection error:', error);
+            this.emit('error', error, {});
+            this.onError?.(error);
+            this.handleReconnection();
+        });
+    }
+
+    /**
+     * Handle reconnection logic
+     */
+    handleReconnection() {
+        if (this.reconnectAttempts < this.maxReconnectAttempts) {
+            this.reconnectAttempts++;
+            const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1);
+            
+            console.log(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+            this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+
+            setTimeout(() => {
+                this.transport.connect();
+            }, delay);
+        } else {
+            console.error('Max reconnection attempts reached');
+            this.emit('reconnect_failed');
+            this.onMaxReconnectAttempts?.();
+            this.startPolling();
+        }
+    }
+
+    /**
+     * Fall back to long-polling while WebSockets cannot connect
+     * 
+     * Runs when the transport reports the connection `unavailable` or
+     * `failed`, e.g. behind a proxy that drops WebSockets. Joined channels are
+     * backfilled, then polled through /realtime/poll, and their `message.sent`
+     * events are emitted as if they arrived live. Typing indicators and
+     * presence need WebSockets. Polling stops once the transport connects
+     * again, and channels are backfilled again when they resubscribe.
+     * 
+     * @private
+     */
+    startPolling() {
+        if (this.polling || this.config.fallback !== 'polling') {
+            return;
+        }
+
+        const polling = { cursor: null, controller: new AbortController(), timer: null, wake: null };
+
+        this.polling = polling;
+        this.connectionState = 'polling';
+        this.markChannelsStale();
+        console.log('WebSockets unavailable, falling back to long-polling');
+        this.emit('polling.started');
+        this.poll(polling);
+    }
+
+    /**
+     * Stop long-polling and abort the pending poll
+     * 
+     * @private
+     */
+    stopPolling() {
+        const polling = this.polling;
+
+        if (!polling) {
+            return;
+        }
+
+        this.polling = null;
+        polling.controller.abort();
+        clearTimeout(polling.timer);
+        polling.wake?.();
+        this.markChannelsStale();
+        this.emit('polling.stopped');
+    }
+
+    /**
+     * Poll the joined channels until polling stops
+     * 
+     * The first poll only fetches a cursor; the channels are backfilled from
+     * their last delivered message after it, so nothing sent in between is
+     * lost and duplicates are dropped by trackMessage(). Failures are emitted
+     * as `error` and retried with a growing delay.
+     * 
+     * @private
+     * @param {Object} polling - State of this polling run
+     * @returns {Promise<void>}
+     */
+    async poll(polling) {
+        let failures = 0;
+
+        while (this.polling === polling) {
+            const handles = [...this.channels.values()];
+
+            if (handles.length === 0) {
+                await this.pollDelay(polling, this.config.pollInterval);
+                continue;
+            }
+
+            try {
+                const query = new URLSearchParams({ channels: handles.map(handle => handle.channelUuid).join(',') });
+
+                if (polling.cursor !== null) {
+                    query.set('cursor', polling.cursor);
+                    query.set('wait', this.config.pollWait);
+                }
+
+                const page = await this.request('GET', `/realtime/poll?${query}`, null, {}, polling.controller.signal);
+
+                if (this.polling !== polling) {
+                    return;
+                }
+
+                if (polling.cursor === null) {
+                    for (const handle of handles) {
+                        if (!this.pollCursors.has(handle.channelUuid)) {
+                            this.pollCursors.set(handle.channelUuid, Promise.resolve(page.cursor));
+                        }
+
+                        handle.stale = false;
+                        this.backfill(handle);
+                    }
+                }
+
+                for (const event of page.data) {
+                    const handle = this.channels.get(event.channel_id);
+
+                    if (handle) {
+                        this.dispatchChannelEvent(handle, event.type, event.data);
+                    }
+                }
+
+                polling.cursor = page.cursor;
+                failures = 0;
+            } catch (error) {
+                if (this.polling !== polling) {
+                    return;
+                }
+
+                failures++;
+                console.error('Failed to poll for messages:', error);
+                this.emit('error', error, {});
+                await this.pollDelay(polling, Math.min(this.config.pollInterval * 2 ** failures, 30000));
+            }
+        }
+    }
+
+    /**
+     * Wait before the next poll, or until polling stops
+     * 
+     * @private
+     * @param {Object} polling - State of this polling run
+     * @param {number} delay - Milliseconds to wait
+     * @returns {Promise<void>}
+     */
+    pollDelay(polling, delay) {
+        return new Promise(resolve => {
+            polling.wake = resolve;
+            polling.timer = setTimeout(resolve, delay);
+        });
+    }
+
+    /**
+     * Join a channel
+     * 
+     * Listen on the returned handle (or on the client, for every channel) with
+     * `on('message.sent', ...)` and friends. The callbacks object is kept as a
+     * shorthand and registers the same listeners on the handle.
+     * 
+     * @param {string} channelUuid - The channel UUID
+     * @param {Object} [callbacks] - Event callbacks
+     * @param {Function} [callbacks.onMessage] - `message.sent` listener
+     * @param {Function} [callbacks.onMessageUpdated] - `message.updated` listener
+     * @param {Function} [callbacks.onMessageDeleted] - `message.deleted` listener
+     * @param {Function} [callbacks.onMessageReaction] - `message.reaction` listener
+     * @param {Function} [callbacks.onMessageRead] - `message.read` listener
+     * @param {Function} [callbacks.onThreadReply] - `thread.reply` listener
+     * @param {Function} [callbacks.onTypingStarted] - `typing.started` listener
+     * @param {Function} [callbacks.onTypingStopped] - `typing.stopped` listener
+     * @param {Function} [callbacks.onUserJoined] - `user.joined` listener
+     * @param {Function} [callbacks.onUserLeft] - `user.left` listener
+     * @param {Object} [options] - Channel options
+     * @param {string} [options.lastMessageId] - Latest message the app already shows (e.g. from
+     *   getChannelMessages()); messages after it are backfilled on reconnect even if no live
+     *   `message.sent` arrived yet
+     * @returns {SlimeTalksChannel} Channel handle
+     */
+    joinChannel(channelUuid, callbacks = {}, options = {}) {
+        if (this.channels.has(channelUuid)) {
+            console.warn(`Already connected to channel ${channelUuid}`);
+            return this.channels.get(channelUuid);
+        }
+
+        const handle = new SlimeTalksChannel(this, channelUuid, null);
+
+        if (options.lastMessageId) {
+            this.trackMessage(channelUuid, { id: options.lastMessageId });
+        }
+
+        this.channels.set(channelUuid, handle);
+        this.bindChannelEvents(handle, {
+            'message.sent': callbacks.onMessage,
+            'message.updated': callbacks.onMessageUpdated,
+            'message.deleted': callbacks.onMessageDeleted,
+            'message.reaction': callbacks.onMessageReaction,
+            'message.read': callbacks.onMessageRead,
+            'thread.reply': callbacks.onThreadReply,
+            'typing.started': callbacks.onTypingStarted,
+            'typing.stopped': callbacks.onTypingStopped,
+            'user.joined': callbacks.onUserJoined,
+            'user.left': callbacks.onUserLeft,
+        });
+
+        return handle;
+    }
+
+    /**
+     * Join a presence channel for online users
+     * 
+     * @param {string} channelUuid - The channel UUID
+     * @param {Object} [callbacks] - Event callbacks
+     * @param {Function} [callbacks.onSubscriptionSucceeded] - `presence.subscribed` listener
+     * @param {Function} [callbacks.onMemberAdded] - `member.added` listener
+     * @param {Function} [callbacks.onMemberRemoved] - `member.removed` listener
+     * @returns {SlimeTalksChannel} Presence channel handle
+     */
+    joinPresenceChannel(channelUuid, callbacks = {}) {
+        if (this.presenceChannels.has(channelUuid)) {
+            return this.presenceChannels.get(channelUuid);
+        }
+        
+        const handle = new SlimeTalksChannel(this, channelUuid, null, true);
+
+        this.presenceChannels.set(channelUuid, handle);
+        this.bindChannelEvents(handle, {
+            'presence.subscribed': callbacks.onSubscriptionSucceeded,
+            'member.added': callbacks.onMemberAdded,
+            'member.removed': callbacks.onMemberRemoved,
+        }, {
+            'pusher:subscription_succeeded': 'presence.subscribed',
+            'pusher:member_added': 'member.added',
+            'pusher:member_removed': 'member.removed',
+        });
+
+        return handle;
+    }
+
+    /**
+     * Subscribe a handle and forward its Pusher events to it and to the client
+     * 
+     * @private
+     * @param {SlimeTalksChannel} handle - Channel handle
+     * @param {Object<string, Function>} callbacks - Listeners to register on the handle, by event
+     * @param {Object<string, string>} [pusherEvents] - Event names by Pusher event name
+     *   (defaults to the same names as the callbacks)
+     */
+    bindChannelEvents(handle, callbacks, pusherEvents = null) {
+        handle.pusherEvents = pusherEvents
+            || Object.fromEntries(Object.keys(callbacks).map(event => [event, event]));
+
+        this.subscribeHandle(handle);
+
+        for (const [event, callback] of Object.entries(callbacks)) {
+            if (callback) {
+                handle.on(event, callback);
+            }
+        }
+    }
+
+    /**
+     * Pusher channel name of a handle
+     * 
+     * @private
+     * @param {SlimeTalksChannel} handle - Channel handle
+     * @returns {string} Channel name
      */
-    init() {
-        if (!window.Pusher) {
-            console.error('Pusher library is required. Please include pusher-js.');
+    channelName(handle) {
+        return handle.presence
+            ? `presence-presence.channel.${handle.channelUuid}`
+            : `private-channel.${handle.channelUuid}`;
+    }
+
+    /**
+     * Subscribe to the Pusher channel of a handle
+     * 
+     * Binds the handle's events again only when Pusher hands out a new
+     * channel object, so resubscribing never delivers an event twice.
+     * 
+     * @private
+     * @param {SlimeTalksChannel} handle - Channel handle
+     */
+    subscribeHandle(handle) {
+        const channel = this.transport.subscribe(this.channelName(handle));
+
+        if (channel === handle.channel) {
             return;
         }
 
-        this.pusher = new Pusher(this.config.pusherKey, {
-            cluster: this.config.pusherCluster,
-            authEndpoint: this.config.authEndpoint,
-            auth: {
-                headers: {
-                    'Authorization': `Bearer ${this.config.token}`,
-                    'X-Public-Key': this.config.publicKey,
-                    'Origin': this.config.origin,
+        handle.channel = channel;
+
+        for (const [pusherEvent, event] of Object.entries(handle.pusherEvents)) {
+            channel.bind(pusherEvent, data => this.dispatchChannelEvent(handle, event, data));
+        }
+
+        if (!handle.presence) {
+            channel.bind('pusher:subscription_succeeded', () => {
+                const channelUuid = handle.channelUuid;
+
+                if (handle.stale) {
+                    handle.stale = false;
+                    this.backfill(handle);
                 }
-            },
-            encrypted: true,
-            enabledTransports: ['ws', 'wss']
-        });
 
-        this.setupEventListeners();
+                if (!this.lastMessageIds.has(channelUuid) && !this.pollCursors.has(channelUuid)) {
+                    this.pollCursors.set(channelUuid, this.fetchCursor(handle));
+                }
+            });
+        }
     }
 
     /**
-     * Setup Pusher event listeners
+     * Emit a channel event on its handle and on the client
+     * 
+     * `message.sent` events are dropped when already delivered, and held
+     * back while the channel is being backfilled.
+     * 
+     * @private
+     * @param {SlimeTalksChannel} handle - Channel handle
+     * @param {string} event - Event name
+     * @param {Object} data - Event payload
+     * @param {boolean} [backfilled=false] - Whether the event comes from a backfill
      */
-    setupEventListeners() {
-        this.pusher.connection.bind('connected', () => {
-            this.connectionState = 'connected';
-            this.reconnectAttempts = 0;
-            console.log('Connected to Slime Talks realtime');
-            this.onConnected?.();
-        });
+    dispatchChannelEvent(handle, event, data, backfilled = false) {
+        if (event === 'message.sent' && !handle.presence) {
+            const pending = this.backfills.get(handle.channelUuid);
 
-        this.pusher.connection.bind('disconnected', () => {
-            this.connectionState = 'disconnected';
-            console.log('Disconnected from Slime Talks realtime');
-            this.onDisconnected?.();
-        });
+            if (pending && !backfilled) {
+                pending.push(data);
+                return;
+            }
 
-        this.pusher.connection.bind('error', (error) => {
-            console.error('Pusher connection error:', error);
-            this.onError?.(error);
-            this.handleReconnection();
-        });
+            if (!this.trackMessage(handle.channelUuid, data?.message)) {
+                return;
+            }
+        }
+
+        const context = { channelUuid: handle.channelUuid };
+
+        handle.emit(event, data, context);
+        this.emit(event, data, context);
+
+        if (!handle.presence) {
+            this.trackTyping(handle, event, data);
+        }
     }
 
     /**
-     * Handle reconnection logic
+     * Remember a delivered message
+     * 
+     * @private
+     * @param {string} channelUuid - The channel UUID
+     * @param {Object} [message] - Message resource
+     * @returns {boolean} False when the message was already delivered
      */
-    handleReconnection() {
-        if (this.reconnectAttempts < this.maxReconnectAttempts) {
-            this.reconnectAttempts++;
-            const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1);
-            
-            console.log(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
-            
-            setTimeout(() => {
-                this.pusher.connect();
-            }, delay);
-        } else {
-            console.error('Max reconnection attempts reached');
-            this.onMaxReconnectAttempts?.();
+    trackMessage(channelUuid, message) {
+        if (!message?.id) {
+            return true;
+        }
+
+        const seen = this.seenMessageIds.get(channelUuid) || new Set();
+
+        if (seen.has(message.id)) {
+            return false;
+        }
+
+        seen.add(message.id);
+
+        if (seen.size > SlimeTalksRealtime.SEEN_MESSAGES_LIMIT) {
+            seen.delete(seen.values().next().value);
         }
+
+        this.seenMessageIds.set(channelUuid, seen);
+        this.lastMessageIds.set(channelUuid, message.id);
+
+        return true;
     }
 
     /**
-     * Join a channel
+     * Flag joined channels for a backfill once they are subscribed again
      * 
-     * @param {string} channelUuid - The channel UUID
-     * @param {Object} callbacks - Event callbacks
-     * @returns {Object} Channel object
+     * @private
      */
-    joinChannel(channelUuid, callbacks = {}) {
-        const channelName = `private-channel.${channelUuid}`;
-        
-        if (this.channels.has(channelUuid)) {
-            console.warn(`Already connected to channel ${channelUuid}`);
-            return this.channels.get(channelUuid);
+    markChannelsStale() {
+        for (const handle of this.channels.values()) {
+            handle.stale = true;
         }
+    }
 
-        const channel = this.pusher.subscribe(channelName);
-        
-        // Message events
-        channel.bind('message.sent', (data) => {
-            console.log('New message received:', data);
-            callbacks.onMessage?.(data);
-        });
-
-        // Typing events
-        channel.bind('typing.started', (data) => {
-            console.log('User started typing:', data);
-            callbacks.onTypingStarted?.(data);
-        });
+    /**
+     * Subscribe every joined channel again after a reconnect
+     * 
+     * pusher-js restores its own subscriptions; this covers channels whose
+     * subscription was dropped meanwhile.
+     * 
+     * @private
+     */
+    resubscribeChannels() {
+        for (const handle of [...this.channels.values(), ...this.presenceChannels.values()]) {
+            this.subscribeHandle(handle);
+        }
+    }
 
-        channel.bind('typing.stopped', (data) => {
-            console.log('User stopped typing:', data);
-            callbacks.onTypingStopped?.(data);
-        });
+    /**
+     * Fetch the /realtime/poll cursor of a channel that has no delivered message yet
+     * 
+     * The cursor marks where its live events started, so the channel can
+     * still be backfilled after a reconnect. Failures are emitted as `error`
+     * with `{ channelUuid }`, and the cursor is fetched again on the next
+     * subscription.
+     * 
+     * @private
+     * @param {SlimeTalksChannel} handle - Channel handle
+     * @returns {Promise<string|null>} Cursor, or null when it could not be fetched
+     */
+    async fetchCursor(handle) {
+        const channelUuid = handle.channelUuid;
 
-        // User presence events
-        channel.bind('user.joined', (data) => {
-            console.log('User joined channel:', data);
-            callbacks.onUserJoined?.(data);
-        });
+        try {
+            const query = new URLSearchParams({ channels: channelUuid });
+            const page = await this.request('GET', `/realtime/poll?${query}`);
 
-        channel.bind('user.left', (data) => {
-            console.log('User left channel:', data);
-            callbacks.onUserLeft?.(data);
-        });
+            return page.cursor;
+        } catch (error) {
+            if (this.channels.get(channelUuid) === handle) {
+                this.pollCursors.delete(channelUuid);
+            }
 
-        // Store channel reference
-        this.channels.set(channelUuid, {
-            channel,
-            callbacks,
-            channelUuid
-        });
+            console.error('Failed to fetch the realtime cursor:', error);
+            this.emit('error', error, { channelUuid });
 
-        return {
-            channelUuid,
-            channel,
-            leave: () => this.leaveChannel(channelUuid),
-            sendTyping: () => this.sendTyping(channelUuid),
-            stopTyping: () => this.stopTyping(channelUuid)
-        };
+            return null;
+        }
     }
 
     /**
-     * Join a presence channel for online users
+     * Emit the messages a channel missed while disconnected
      * 
-     * @param {string} channelUuid - The channel UUID
-     * @param {Object} callbacks - Event callbacks
-     * @returns {Object} Presence channel object
+     * Pages through the channel messages after the last delivered one or,
+     * when none was delivered yet, polls /realtime/poll from the cursor
+     * fetched when the channel was first subscribed. Live `message.sent`
+     * events received meanwhile are emitted afterwards. Failures are emitted
+     * as `error` with `{ channelUuid }`.
+     * 
+     * @private
+     * @param {SlimeTalksChannel} handle - Channel handle
+     * @returns {Promise<void>}
      */
-    joinPresenceChannel(channelUuid, callbacks = {}) {
-        const channelName = `presence-presence.channel.${channelUuid}`;
-        
-        const channel = this.pusher.subscribe(channelName);
-        
-        // Presence events
-        channel.bind('pusher:subscription_succeeded', (members) => {
-            console.log('Presence subscription succeeded:', members);
-            callbacks.onSubscriptionSucceeded?.(members);
-        });
+    async backfill(handle) {
+        const channelUuid = handle.channelUuid;
+        let after = this.lastMessageIds.get(channelUuid);
+        const cursor = this.pollCursors.get(channelUuid);
 
-        channel.bind('pusher:member_added', (member) => {
-            console.log('Member added to presence:', member);
-            callbacks.onMemberAdded?.(member);
-        });
+        if ((!after && !cursor) || this.backfills.has(channelUuid)) {
+            return;
+        }
 
-        channel.bind('pusher:member_removed', (member) => {
-            console.log('Member removed from presence:', member);
-            callbacks.onMemberRemoved?.(member);
-        });
+        const pending = [];
+        this.backfills.set(channelUuid, pending);
 
-        return {
-            channelUuid,
-            channel,
-            leave: () => this.leaveChannel(channelUuid)
-        };
+        try {
+            if (after) {
+                let hasMore = true;
+
+                while (hasMore && this.channels.get(channelUuid) === handle) {
+                    const query = new URLSearchParams({ limit: 100, starting_after: after });
+                    const page = await this.request('GET', `/messages/channel/${encodeURIComponent(channelUuid)}?${query}`);
+
+                    for (const message of page.data) {
+                        this.dispatchChannelEvent(handle, 'message.sent', { message }, true);
+                    }
+
+                    hasMore = page.has_more && page.data.length > 0;
+                    after = page.data[page.data.length - 1]?.id;
+                }
+            } else {
+                let position = await cursor;
+
+                while (position !== null && this.channels.get(channelUuid) === handle) {
+                    const query = new URLSearchParams({ channels: channelUuid, cursor: position });
+                    const page = await this.request('GET', `/realtime/poll?${query}`);
+
+                    for (const event of page.data) {
+                        this.dispatchChannelEvent(handle, event.type, event.data, true);
+                    }
+
+                    position = page.data.length > 0 ? page.cursor : null;
+                }
+            }
+        } catch (error) {
+            console.error('Failed to backfill missed messages:', error);
+            this.emit('error', error, { channelUuid });
+        } finally {
+            this.backfills.delete(channelUuid);
+        }
+
+        if (this.channels.get(channelUuid) === handle) {
+            for (const data of pending) {
+                this.dispatchChannelEvent(handle, 'message.sent', data);
+            }
+        }
     }
 
     /**
@@ -201,107 +1325,321 @@ class SlimeTalksRealtime {
      * @param {string} channelUuid - The channel UUID
      */
     leaveChannel(channelUuid) {
-        const channelData = this.channels.get(channelUuid);
+        const handle = this.channels.get(channelUuid);
+        const presence = this.presenceChannels.get(channelUuid);
         
-        if (channelData) {
-            this.pusher.unsubscribe(`private-channel.${channelUuid}`);
-            this.pusher.unsubscribe(`presence-presence.channel.${channelUuid}`);
+        if (handle) {
+            this.transport.unsubscribe(`private-channel.${channelUuid}`);
             this.channels.delete(channelUuid);
+            this.lastMessageIds.delete(channelUuid);
+            this.pollCursors.delete(channelUuid);
+            this.seenMessageIds.delete(channelUuid);
+            this.readMessageIds.delete(channelUuid);
+            this.clearTypingUsers(channelUuid);
+            handle.off();
             console.log(`Left channel ${channelUuid}`);
         }
+
+        if (presence) {
+            this.transport.unsubscribe(`presence-presence.channel.${channelUuid}`);
+            this.presenceChannels.delete(channelUuid);
+            presence.off();
+        }
     }
 
     /**
-     * Send typing indicator
+     * Tell the other participants of a channel the current user is typing
+     * 
+     * Call it on every keystroke: requests are throttled, and the indicator
+     * stops by itself once the user has not typed for `typingTimeout` ms.
+     * Failures are emitted as `error` with `{ channelUuid }` instead of
+     * rejecting.
      * 
      * @param {string} channelUuid - The channel UUID
+     * @returns {Promise<boolean>} Whether a request was sent
      */
-    sendTyping(channelUuid) {
-        const channelData = this.channels.get(channelUuid);
-        
-        if (!channelData) {
-            console.warn(`Not connected to channel ${channelUuid}`);
-            return;
+    startTyping(channelUuid) {
+        if (!this.config.user?.id) {
+            console.warn('config.user is required to send typing indicators');
+            return Promise.resolve(false);
         }
 
-        // Clear existing timeout
-        if (this.typingTimeouts.has(channelUuid)) {
-            clearTimeout(this.typingTimeouts.get(channelUuid));
+        clearTimeout(this.typingTimeouts.get(channelUuid));
+        this.typingTimeouts.set(channelUuid, setTimeout(() => {
+            this.stopTyping(channelUuid);
+        }, this.config.typingTimeout));
+
+        const sentAt = this.typingSentAt.get(channelUuid);
+
+        if (sentAt !== undefined && Date.now() - sentAt < this.config.typingThrottle) {
+            return Promise.resolve(false);
         }
 
-        // Send typing event
-        channelData.channel.whisper('typing', {
-            user: this.config.user,
-            timestamp: Date.now()
-        });
+        this.typingSentAt.set(channelUuid, Date.now());
 
-        // Auto-stop typing after 3 seconds
-        const timeout = setTimeout(() => {
-            this.stopTyping(channelUuid);
-        }, 3000);
+        return this.sendTypingIndicator(channelUuid, true);
+    }
 
-        this.typingTimeouts.set(channelUuid, timeout);
+    /**
+     * @deprecated Use startTyping()
+     * @param {string} channelUuid - The channel UUID
+     * @returns {Promise<boolean>} Whether a request was sent
+     */
+    sendTyping(channelUuid) {
+        return this.startTyping(channelUuid);
     }
 
     /**
-     * Stop typing indicator
+     * Stop the typing indicator
+     * 
+     * Does nothing unless startTyping() was called for the channel.
      * 
      * @param {string} channelUuid - The channel UUID
+     * @returns {Promise<boolean>} Whether a request was sent
      */
     stopTyping(channelUuid) {
-        const channelData = this.channels.get(channelUuid);
-        
-        if (!channelData) {
+        if (!this.clearTypingState(channelUuid)) {
+            return Promise.resolve(false);
+        }
+
+        return this.sendTypingIndicator(channelUuid, false);
+    }
+
+    /**
+     * Forget that the current user is typing in a channel
+     * 
+     * @private
+     * @param {string} channelUuid - The channel UUID
+     * @returns {boolean} Whether the user was typing
+     */
+    clearTypingState(channelUuid) {
+        clearTimeout(this.typingTimeouts.get(channelUuid));
+        this.typingTimeouts.delete(channelUuid);
+
+        return this.typingSentAt.delete(channelUuid);
+    }
+
+    /**
+     * POST a typing indicator to the API
+     * 
+     * @private
+     * @param {string} channelUuid - The channel UUID
+     * @param {boolean} typing - Whether the user is typing
+     * @returns {Promise<boolean>} Whether the request succeeded
+     */
+    async sendTypingIndicator(channelUuid, typing) {
+        const socketId = this.transport?.connection?.socket_id;
+
+        try {
+            await this.request(
+                'POST',
+                `/channels/${encodeURIComponent(channelUuid)}/typing`,
+                { sender_uuid: this.config.user.id, typing },
+                socketId ? { 'X-Socket-ID': socketId } : {}
+            );
+
+            return true;
+        } catch (error) {
+            console.error('Failed to send typing indicator:', error);
+            this.emit('error', error, { channelUuid });
+            return false;
+        }
+    }
+
+    /**
+     * Users currently typing in a channel, excluding the current user
+     * 
+     * @param {string} channelUuid - The channel UUID
+     * @returns {Object[]} Typing users ({ id, name }), in the order they started typing
+     */
+    getTypingUsers(channelUuid) {
+        return [...(this.typingUsers.get(channelUuid)?.values() || [])].map(entry => entry.user);
+    }
+
+    /**
+     * Describe who is typing, e.g. "Ana and 2 others are typing"
+     * 
+     * @param {Object[]} users - Typing users, as passed to `typing.changed`
+     * @returns {string} Description, or an empty string when nobody is typing
+     */
+    static formatTypingUsers(users) {
+        const names = users.map(user => user.name || 'Someone');
+
+        switch (names.length) {
+            case 0:
+                return '';
+            case 1:
+                return `${names[0]} is typing`;
+            case 2:
+                return `${names[0]} and ${names[1]} are typing`;
+            default:
+                return `${names[0]} and ${names.length - 1} others are typing`;
+        }
+    }
+
+    /**
+     * Update who is typing in a channel and emit `typing.changed`
+     * 
+     * A user stops typing on `typing.stopped`, when they send a message, or
+     * `typingExpiry` ms after their last `typing.started`.
+     * 
+     * @private
+     * @param {SlimeTalksChannel} handle - Channel handle
+     * @param {string} event - Channel event name
+     * @param {Object} data - Event payload
+     */
+    trackTyping(handle, event, data) {
+        const user = event === 'message.sent'
+            ? { id: data?.message?.sender_id }
+            : data?.typing?.user;
+
+        if (!['typing.started', 'typing.stopped', 'message.sent'].includes(event)
+            || !user?.id || user.id === this.config.user?.id) {
             return;
         }
 
-        // Clear timeout
-        if (this.typingTimeouts.has(channelUuid)) {
-            clearTimeout(this.typingTimeouts.get(channelUuid));
-            this.typingTimeouts.delete(channelUuid);
+        const users = this.typingUsers.get(handle.channelUuid) || new Map();
+        const entry = users.get(user.id);
+
+        clearTimeout(entry?.timer);
+
+        if (event === 'typing.started') {
+            const timer = setTimeout(() => {
+                this.trackTyping(handle, 'typing.stopped', data);
+            }, this.config.typingExpiry);
+
+            users.set(user.id, { user, timer });
+            this.typingUsers.set(handle.channelUuid, users);
+
+            if (entry) {
+                return;
+            }
+        } else if (!users.delete(user.id)) {
+            return;
         }
 
-        // Send stop typing event
-        channelData.channel.whisper('typing-stopped', {
-            user: this.config.user,
-            timestamp: Date.now()
-        });
+        const typingUsers = this.getTypingUsers(handle.channelUuid);
+        const context = { channelUuid: handle.channelUuid };
+
+        handle.emit('typing.changed', typingUsers, context);
+        this.emit('typing.changed', typingUsers, context);
+    }
+
+    /**
+     * Forget who is typing in a channel
+     * 
+     * @private
+     * @param {string} channelUuid - The channel UUID
+     */
+    clearTypingUsers(channelUuid) {
+        for (const entry of this.typingUsers.get(channelUuid)?.values() || []) {
+            clearTimeout(entry.timer);
+        }
+
+        this.typingUsers.delete(channelUuid);
+    }
+
+    /**
+     * Mark a channel read up to a message for the current user
+     * 
+     * The API broadcasts `message.read` to the other participants when the
+     * user's read position moves forward. Marking the same message twice in a
+     * row sends one request, so this can be called whenever messages come
+     * into view. Failures are emitted as `error` with `{ channelUuid }`
+     * instead of rejecting.
+     * 
+     * @param {string} channelUuid - The channel UUID
+     * @param {string} messageId - Newest message the user has seen
+     * @returns {Promise<Object|null>} Read receipt, or null if nothing was sent or the request failed
+     */
+    async markRead(channelUuid, messageId) {
+        if (!this.config.user?.id) {
+            console.warn('config.user is required to send read receipts');
+            return null;
+        }
+
+        if (this.readMessageIds.get(channelUuid) === messageId) {
+            return null;
+        }
+
+        const socketId = this.transport?.connection?.socket_id;
+        this.readMessageIds.set(channelUuid, messageId);
+
+        try {
+            return await this.request(
+                'POST',
+                `/channels/${encodeURIComponent(channelUuid)}/read`,
+                { customer_uuid: this.config.user.id, message_id: messageId },
+                socketId ? { 'X-Socket-ID': socketId } : {}
+            );
+        } catch (error) {
+            if (this.readMessageIds.get(channelUuid) === messageId) {
+                this.readMessageIds.delete(channelUuid);
+            }
+
+            console.error('Failed to mark channel read:', error);
+            this.emit('error', error, { channelUuid });
+            return null;
+        }
     }
 
     /**
      * Send a message (this would typically go through your API)
      * 
+     * Also ends the current user's typing indicator in the channel: the other
+     * participants stop showing it when the message arrives.
+     * 
      * @param {string} channelUuid - The channel UUID
      * @param {Object} messageData - Message data
      * @returns {Promise} API response
      */
     async sendMessage(channelUuid, messageData) {
+        this.clearTypingState(channelUuid);
+
         try {
-            const response = await fetch(`${this.config.apiUrl}/messages`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.config.token}`,
-                    'X-Public-Key': this.config.publicKey,
-                    'Origin': this.config.origin,
-                },
-                body: JSON.stringify({
-                    channel_uuid: channelUuid,
-                    ...messageData
-                })
+            return await this.request('POST', '/messages', {
+                channel_uuid: channelUuid,
+                ...messageData
             });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            return await response.json();
         } catch (error) {
             console.error('Failed to send message:', error);
             throw error;
         }
     }
 
+    /**
+     * Call the API with the client's credentials
+     * 
+     * @private
+     * @param {string} method - HTTP method
+     * @param {string} path - Path relative to config.apiUrl, including any query string
+     * @param {Object|null} [body] - JSON request body
+     * @param {Object} [headers] - Extra headers
+     * @param {AbortSignal} [signal] - Signal aborting the request
+     * @returns {Promise<Object>} Response body
+     */
+    async request(method, path, body = null, headers = {}, signal = undefined) {
+        const fetchImpl = this.config.fetch || fetch;
+        const response = await fetchImpl(`${this.config.apiUrl}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${await this.getToken()}`,
+                'X-Public-Key': this.config.publicKey,
+                'Origin': this.config.origin,
+                ...headers,
+            },
+            body: body === null ? undefined : JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        return await response.json();
+    }
+
     /**
      * Get connection state
      * 
@@ -312,29 +1650,50 @@ class SlimeTalksRealtime {
     }
 
     /**
-     * Disconnect from all channels
+     * Disconnect from Pusher
+     * 
+     * Joined channels are kept: reconnect() subscribes them again and
+     * backfills the messages missed meanwhile. Use leaveChannel() to forget
+     * a channel.
      */
     disconnect() {
-        this.channels.clear();
-        this.typingTimeouts.clear();
-        this.pusher.disconnect();
+        for (const channelUuid of [...this.typingTimeouts.keys()]) {
+            this.clearTypingState(channelUuid);
+        }
+
+        for (const channelUuid of [...this.typingUsers.keys()]) {
+            this.clearTypingUsers(channelUuid);
+        }
+
+        this.stopPolling();
+        this.markChannelsStale();
+        this.transport.disconnect();
         this.connectionState = 'disconnected';
     }
 
     /**
-     * Reconnect to Pusher
+     * Reconnect to Pusher and restore the joined channels
      */
     reconnect() {
-        this.pusher.connect();
+        this.transport.connect();
     }
 }
 
+/**
+ * Message ids remembered per channel to drop duplicate `message.sent` events
+ */
+SlimeTalksRealtime.SEEN_MESSAGES_LIMIT = 200;
+
 // Export for use in modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SlimeTalksRealtime;
+    module.exports.SlimeTalksEchoTransport = SlimeTalksEchoTransport;
+    module.exports.SlimeTalksMemoryBroker = SlimeTalksMemoryBroker;
+    module.exports.SlimeTalksMemoryTransport = SlimeTalksMemoryTransport;
 }
 
 // Make available globally
 if (typeof window !== 'undefined') {
     window.SlimeTalksRealtime = SlimeTalksRealtime;
+    window.SlimeTalksMemoryBroker = SlimeTalksMemoryBroker;
 }
@@ -53,14 +53,6 @@ function joinChannel(channelUuid) {
             displayMessage(data.message);
         },
         
-        onTypingStarted: (data) => {
-            showTypingIndicator(data.typing.user);
-        },
-        
-        onTypingStopped: (data) => {
-            hideTypingIndicator(data.typing.user);
-        },
-        
         onUserJoined: (data) => {
             showNotification(`${data.user.name} joined the channel`, 'info');
             updateOnlineUsers();
@@ -72,6 +64,8 @@ function joinChannel(channelUuid) {
         }
     });
     
+    channel.on('typing.changed', showTypingIndicator);
+    
     return channel;
 }
 
@@ -121,22 +115,9 @@ async function sendMessage(channelUuid, content, type = 'text') {
     }
 }
 
-// Handle typing indicators
-let typingTimeout;
-
+// Handle typing indicators (throttled and auto-stopped by the client)
 function handleTyping(channelUuid) {
-    // Send typing indicator
-    realtime.sendTyping(channelUuid);
-    
-    // Clear existing timeout
-    if (typingTimeout) {
-        clearTimeout(typingTimeout);
-    }
-    
-    // Auto-stop typing after 3 seconds
-    typingTimeout = setTimeout(() => {
-        realtime.stopTyping(channelUuid);
-    }, 3000);
+    realtime.startTyping(channelUuid);
 }
 
 // UI Helper Functions
@@ -156,21 +137,9 @@ function displayMessage(message) {
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
 }
 
-function showTypingIndicator(user) {
+function showTypingIndicator(users) {
     const typingContainer = document.getElementById('typing-indicators');
-    const indicator = document.createElement('div');
-    indicator.id = `typing-${user.id}`;
-    indicator.className = 'typing-indicator';
-    indicator.textContent = `${user.name} is typing...`;
-    
-    typingContainer.appendChild(indicator);
-}
-
-function hideTypingIndicator(user) {
-    const indicator = document.getElementById(`typing-${user.id}`);
-    if (indicator) {
-        indicator.remove();
-    }
+    typingContainer.textContent = SlimeTalksRealtime.formatTypingUsers(users);
 }
 
 function showNotification(message, type = 'info') {
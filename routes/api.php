@@ -2,30 +2,56 @@
 
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Route;
+use App\Http\Controllers\AttachmentController;
 use App\Http\Controllers\ChannelController;
 use App\Http\Controllers\ClientController;
 use App\Http\Controllers\CustomerController;
 use App\Http\Controllers\MessageController;
+use App\Http\Controllers\ReactionController;
+use App\Http\Controllers\ReadReceiptController;
+use App\Http\Controllers\RealtimeController;
+use App\Http\Controllers\SessionController;
+use App\Http\Controllers\TypingController;
 
 Route::get('/user', function (Request $request) {
     return $request->user();
 })->middleware('auth:sanctum');
 
 Route::prefix('v1')->group(function () {
-    Route::middleware('client.auth')->group(function () {
+    Route::middleware(['client.auth', 'session.scope', 'idempotent'])->group(function () {
         Route::get('client/{client}', [ClientController::class, 'show']);
-        Route::apiResource('customers', CustomerController::class);
         Route::get('customers/active', [CustomerController::class, 'getActiveCustomers']);
         Route::get('customers/active-for-sender', [CustomerController::class, 'getActiveCustomersForSender']);
+        Route::apiResource('customers', CustomerController::class)->only(['index', 'store', 'show']);
         Route::get('channels', [ChannelController::class, 'index']);
         Route::post('channels', [ChannelController::class, 'store']);
         Route::get('channels/by-email', [ChannelController::class, 'getChannelsByEmail']);
         Route::get('channels/{channel}', [ChannelController::class, 'show']);
         Route::get('channels/customer/{customerUuid}', [ChannelController::class, 'getCustomerChannels']);
+        Route::post('channels/{channelUuid}/typing', [TypingController::class, 'store']);
+        Route::get('channels/{channelUuid}/read', [ReadReceiptController::class, 'index']);
+        Route::post('channels/{channelUuid}/read', [ReadReceiptController::class, 'store']);
         Route::post('messages', [MessageController::class, 'store']);
         Route::post('messages/send-to-customer', [MessageController::class, 'sendToCustomer']);
         Route::get('messages/channel/{channelUuid}', [MessageController::class, 'getChannelMessages']);
         Route::get('messages/customer/{customerUuid}', [MessageController::class, 'getCustomerMessages']);
         Route::get('messages/between', [MessageController::class, 'getMessagesBetweenCustomers']);
+        Route::patch('messages/{messageUuid}', [MessageController::class, 'update']);
+        Route::delete('messages/{messageUuid}', [MessageController::class, 'destroy']);
+        Route::get('messages/{messageUuid}/replies', [MessageController::class, 'getReplies']);
+        Route::post('messages/{messageUuid}/replies', [MessageController::class, 'reply']);
+        Route::post('messages/{messageUuid}/reactions', [ReactionController::class, 'store']);
+        Route::delete('messages/{messageUuid}/reactions', [ReactionController::class, 'destroy']);
+        Route::post('attachments', [AttachmentController::class, 'store']);
+        Route::post('attachments/uploads', [AttachmentController::class, 'startUpload']);
+        Route::post('attachments/{attachmentUuid}/chunks', [AttachmentController::class, 'uploadChunk']);
+        Route::get('attachments/{attachmentUuid}', [AttachmentController::class, 'show']);
+        Route::get('realtime/poll', [RealtimeController::class, 'poll']);
+        Route::post('sessions', [SessionController::class, 'store']);
     });
+
+    // Signed URLs stand in for credentials, so files load in <img> tags and links
+    Route::get('attachments/{attachmentUuid}/download', [AttachmentController::class, 'download'])
+        ->middleware('signed')
+        ->name('attachments.download');
 });
@@ -23,6 +23,12 @@
         return false;
     }
     
+    // Session tokens may only listen to channels their customer belongs to
+    $sessionCustomer = request()->attributes->get('session_customer');
+    if ($sessionCustomer && !$channel->customers()->whereKey($sessionCustomer->id)->exists()) {
+        return false;
+    }
+    
     return true;
 });
 
@@ -40,6 +46,12 @@
         return false;
     }
     
+    // Session tokens may only listen to channels their customer belongs to
+    $sessionCustomer = request()->attributes->get('session_customer');
+    if ($sessionCustomer && !$channel->customers()->whereKey($sessionCustomer->id)->exists()) {
+        return false;
+    }
+    
     return [
         'id' => $user->id,
         'name' => $user->name,
@@ -15,20 +15,32 @@ class SlimeTalksChatApp {
      * 
      * @param {Object} config Configuration object
      * @param {string} config.apiUrl - API base URL
-     * @param {string} config.secretKey - API secret key
+     * @param {Function} config.tokenProvider - Returns a session token from your backend
      * @param {string} config.publicKey - API public key
      * @param {string} config.origin - Origin domain
      * @param {string} config.pusherKey - Pusher key for real-time
      * @param {string} config.pusherCluster - Pusher cluster
      * @param {Object} config.currentUser - Current user information
+     * @param {string} [config.currentUser.email] - Email of the current user, needed to forward messages
      */
     constructor(config) {
         this.config = config;
         this.sdk = null;
         this.realtime = null;
+        this.outbox = null;
         this.currentChannel = null;
-        this.typingTimeout = null;
-        this.messageCache = new Map();
+        this.messageCache = null;
+        this.messageList = null;
+        this.history = { loading: false, hasMore: false };
+        this.readReceipts = new Map();
+        this.seenMessageId = null;
+        this.readMessageId = null;
+        this.emojiPicker = null;
+        this.thread = null;
+        this.quoting = null;
+        this.uploads = [];
+        this.sentAttachments = new Map();
+        this.renderer = new SlimeTalksMessageRenderer({ self: config.currentUser.name });
         
         // DOM elements
         this.elements = {
@@ -36,8 +48,18 @@ class SlimeTalksChatApp {
             messageInput: document.getElementById('message-input'),
             sendButton: document.getElementById('send-button'),
             emojiButton: document.getElementById('emoji-button'),
+            chatContainer: document.getElementById('chat-container'),
+            attachButton: document.getElementById('attach-button'),
+            fileInput: document.getElementById('file-input'),
+            uploadTray: document.getElementById('upload-tray'),
+            quotePreview: document.getElementById('quote-preview'),
             connectionStatus: document.getElementById('connection-status'),
             typingIndicators: document.getElementById('typing-indicators'),
+            threadPanel: document.getElementById('thread-panel'),
+            threadMessages: document.getElementById('thread-messages'),
+            threadInput: document.getElementById('thread-input'),
+            threadSendButton: document.getElementById('thread-send-button'),
+            threadCloseButton: document.getElementById('thread-close-button'),
         };
 
         this.init();
@@ -50,6 +72,18 @@ class SlimeTalksChatApp {
         try {
             // Initialize SDK
             this.sdk = new SlimeTalksSDK(this.config);
+
+            // Channels open from the local cache and only fetch newer messages
+            this.messageCache = new SlimeTalksMessageCache(this.sdk);
+
+            // Messages are queued in the outbox, which keeps them across
+            // reloads and retries them until the API stores them
+            this.outbox = new SlimeTalksOutbox({
+                send: (data, options) => this.sdk.sendMessage(data, options),
+                storageKey: `slime-talks-outbox:${this.config.currentUser.id}`,
+                onChange: (entry) => this.renderPendingMessage(entry),
+                onSent: (entry, message) => this.confirmMessage(entry, message)
+            });
             
             // Initialize real-time if Pusher is available
             if (window.Pusher) {
@@ -63,303 +97,1547 @@ class SlimeTalksChatApp {
 
             // Setup event listeners
             this.setupEventListeners();
+
+            // Send whatever was left from a previous visit
+            this.outbox.flush();
             
             // Enable input
             this.elements.messageInput.disabled = false;
             this.elements.sendButton.disabled = false;
+
+            if (this.elements.attachButton) {
+                this.elements.attachButton.disabled = false;
+            }
             
             this.updateConnectionStatus('connected');
             
             console.log('Chat application initialized successfully');
             
         } catch (error) {
-            console.error('Failed to initialize chat application:', error);
-            this.updateConnectionStatus('disconnected');
-            this.showError('Failed to initialize chat application');
+            console.error('Failed to initialize chat application:', error);
+            this.updateConnectionStatus('disconnected');
+            this.showError('Failed to initialize chat application');
+        }
+    }
+
+    /**
+     * Setup real-time event handlers
+     */
+    setupRealtimeHandlers() {
+        if (!this.realtime) return;
+
+        this.realtime.on('connected', () => {
+            console.log('Connected to real-time messaging');
+            this.updateConnectionStatus('connected');
+            this.outbox.flush();
+        });
+
+        this.realtime.on('disconnected', () => {
+            console.log('Disconnected from real-time messaging');
+            this.updateConnectionStatus('disconnected');
+        });
+
+        this.realtime.on('error', (error, { event } = {}) => {
+            if (event) {
+                // Thrown by one of our own listeners, not a connection problem
+                console.error(`Error handling ${event}:`, error);
+                return;
+            }
+
+            console.error('Real-time error:', error);
+            this.updateConnectionStatus('disconnected');
+            this.showError('Connection error: ' + error.message);
+        });
+
+        this.realtime.on('reconnect_failed', () => {
+            console.error('Max reconnection attempts reached');
+            this.showError('Unable to connect to real-time messaging');
+        });
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        // Send message on Enter key
+        this.elements.messageInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.sendMessage();
+            }
+        });
+
+        // Send button click
+        this.elements.sendButton.addEventListener('click', () => this.sendMessage());
+
+        // Typing indicator
+        this.elements.messageInput.addEventListener('input', () => this.handleTyping());
+
+        // Emoji button
+        this.elements.emojiButton.addEventListener('click', () => this.showEmojiPicker());
+
+        // Attachments: pick files, drop them on the chat or paste them
+        if (this.elements.attachButton) {
+            this.elements.attachButton.addEventListener('click', () => this.elements.fileInput.click());
+            this.elements.fileInput.addEventListener('change', () => {
+                this.attachFiles(this.elements.fileInput.files);
+                this.elements.fileInput.value = '';
+            });
+
+            const dropTarget = this.elements.chatContainer || this.elements.chatMessages;
+            dropTarget.addEventListener('dragover', (e) => {
+                if (!e.dataTransfer.types.includes('Files')) return;
+                e.preventDefault();
+                dropTarget.classList.add('dragging');
+            });
+            dropTarget.addEventListener('dragleave', (e) => {
+                if (!dropTarget.contains(e.relatedTarget)) {
+                    dropTarget.classList.remove('dragging');
+                }
+            });
+            dropTarget.addEventListener('drop', (e) => {
+                dropTarget.classList.remove('dragging');
+                if (!e.dataTransfer.files.length) return;
+                e.preventDefault();
+                this.attachFiles(e.dataTransfer.files);
+            });
+
+            this.elements.messageInput.addEventListener('paste', (e) => {
+                const files = e.clipboardData?.files;
+                if (!files?.length) return;
+                e.preventDefault();
+                this.attachFiles(files);
+            });
+        }
+
+        // Load earlier messages when scrolled to the top, and mark the
+        // channel read when scrolled to the newest message
+        this.elements.chatMessages.addEventListener('scroll', () => {
+            if (this.elements.chatMessages.scrollTop < 100) {
+                this.loadOlderMessages();
+            }
+
+            this.markChannelRead();
+        });
+
+        // Messages that arrived while the tab was hidden are read once it is back
+        document.addEventListener('visibilitychange', () => this.markChannelRead());
+
+        // Thread panel
+        if (this.elements.threadPanel) {
+            this.elements.threadInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.sendReply();
+                }
+            });
+            this.elements.threadSendButton.addEventListener('click', () => this.sendReply());
+            this.elements.threadCloseButton.addEventListener('click', () => this.closeThread());
+        }
+
+        // Message input focus
+        this.elements.messageInput.addEventListener('focus', () => {
+            this.elements.messageInput.placeholder = 'Type a message...';
+        });
+
+        this.elements.messageInput.addEventListener('blur', () => {
+            this.elements.messageInput.placeholder = 'I\'ll start looking into it!';
+        });
+    }
+
+    /**
+     * Join a channel
+     * 
+     * @param {string} channelUuid Channel UUID
+     * @param {Object} options Channel options
+     */
+    async joinChannel(channelUuid, options = {}) {
+        try {
+            this.currentChannel = channelUuid;
+            this.closeThread();
+            this.cancelQuote();
+            this.readReceipts = new Map();
+            this.seenMessageId = null;
+            this.readMessageId = null;
+
+            // Load message history
+            await this.loadMessageHistory(channelUuid);
+            this.loadReadReceipts(channelUuid);
+
+            // Join real-time channel
+            if (this.realtime) {
+                this.realtime.joinChannel(channelUuid, {
+                    onMessage: (data) => {
+                        console.log('New message received:', data.message);
+                        this.messageCache.addMessage(data.message);
+
+                        // Our own queued messages replace their pending copy
+                        if (!this.outbox.reconcile(data.message)) {
+                            this.displayMessage(data.message);
+                        }
+
+                        this.markChannelRead();
+                    },
+                    onMessageUpdated: (data) => this.applyMessageChange(data.message),
+                    onMessageDeleted: (data) => this.applyMessageChange(data.message),
+                    onMessageReaction: (data) => this.applyMessageChange(data.message),
+                    onThreadReply: (data) => this.handleThreadReply(data),
+                    onMessageRead: (data) => {
+                        // Our own reads from other tabs do not mark anything seen
+                        if (data.read.user.id === this.config.currentUser.id) return;
+
+                        this.readReceipts.set(data.read.user.id, data.read.message_id);
+                        this.updateSeenMessage();
+                    },
+                    onUserJoined: (data) => {
+                        console.log('User joined:', data.user);
+                        this.showNotification(`${data.user.name} joined the channel`);
+                    },
+                    onUserLeft: (data) => {
+                        console.log('User left:', data.user);
+                        this.showNotification(`${data.user.name} left the channel`);
+                    }
+                }).on('typing.changed', (users) => this.renderTypingIndicator(users));
+            }
+
+            console.log(`Joined channel: ${channelUuid}`);
+            
+        } catch (error) {
+            console.error('Failed to join channel:', error);
+            this.showError('Failed to join channel');
+        }
+    }
+
+    /**
+     * Load message history for a channel
+     * 
+     * Cached messages are shown right away; the messages sent since they
+     * were cached are fetched afterwards and appended. When the cache was
+     * too far behind and got reset, the list is drawn again from it.
+     * 
+     * @param {string} channelUuid Channel UUID
+     */
+    async loadMessageHistory(channelUuid) {
+        const cached = await this.messageCache.getMessages(channelUuid);
+
+        if (channelUuid !== this.currentChannel) return;
+
+        if (!this.messageList) {
+            this.createMessageList();
+        }
+
+        // Older pages are loaded once the newer messages are in place
+        const history = { loading: true, hasMore: false };
+        this.history = history;
+        this.updateHistorySentinel();
+
+        const draw = (messages) => {
+            this.messageList.clear();
+            this.displayMessages(messages);
+
+            // Messages still waiting in the outbox come last
+            this.outbox.entries(channelUuid).forEach(entry => {
+                this.renderPendingMessage(entry);
+            });
+        };
+
+        draw(cached);
+
+        try {
+            const messages = await this.messageCache.sync(channelUuid);
+
+            // The user may have switched channels while syncing
+            if (channelUuid !== this.currentChannel) return;
+
+            if (messages.reset) {
+                const current = await this.messageCache.getMessages(channelUuid);
+
+                if (channelUuid !== this.currentChannel) return;
+
+                draw(current);
+            } else {
+                this.displayMessages(messages);
+            }
+
+            this.markChannelRead();
+            
+        } catch (error) {
+            console.error('Failed to load message history:', error);
+
+            // Cached messages are still usable while the API is unreachable
+            if (cached.length === 0) {
+                this.showError('Failed to load message history');
+            }
+        }
+
+        if (history !== this.history) return;
+
+        history.loading = false;
+        history.hasMore = this.messageList.find(item => !item.entry) !== undefined;
+        this.updateHistorySentinel();
+
+        // Fill the view if the loaded messages do not reach the top
+        if (this.elements.chatMessages.scrollTop < 100) {
+            this.loadOlderMessages();
+        }
+    }
+
+    /**
+     * Load the page of messages before the oldest one shown
+     * 
+     * Called when the user scrolls to the top. The messages are inserted
+     * above the current ones without moving what the user is reading, and
+     * loading stops at the beginning of the conversation.
+     */
+    async loadOlderMessages() {
+        const history = this.history;
+        const channelUuid = this.currentChannel;
+        const oldest = this.messageList?.at(0);
+
+        if (!channelUuid || !oldest || oldest.entry || history.loading || !history.hasMore) return;
+
+        history.loading = true;
+        this.updateHistorySentinel();
+
+        let loaded = false;
+
+        try {
+            const page = await this.sdk.getChannelMessages(channelUuid, {
+                limit: 50,
+                order: 'desc',
+                starting_after: oldest.key
+            });
+
+            if (history !== this.history) return;
+
+            this.prependMessages([...page.data].reverse());
+            this.messageCache.putMessages(channelUuid, page.data);
+            history.hasMore = page.has_more;
+            loaded = true;
+
+        } catch (error) {
+            console.error('Failed to load earlier messages:', error);
+        } finally {
+            history.loading = false;
+
+            if (history === this.history) {
+                this.updateHistorySentinel();
+            }
+        }
+
+        // Keep going while the view is not scrollable yet
+        if (loaded && this.elements.chatMessages.scrollTop < 100) {
+            this.loadOlderMessages();
+        }
+    }
+
+    /**
+     * Insert older messages above the shown ones, keeping the scroll position
+     * 
+     * @param {Object[]} messages Messages, oldest first
+     */
+    prependMessages(messages) {
+        this.messageList.prepend(messages.map(message => ({ key: message.id, message })));
+    }
+
+    /**
+     * Set up the history sentinel and the message list in the chat container
+     * 
+     * The list is virtualized: only the messages near the visible part of
+     * the conversation are in the DOM, so conversations with thousands of
+     * messages scroll as smoothly as short ones.
+     */
+    createMessageList() {
+        this.elements.chatMessages.innerHTML = '';
+        this.elements.chatMessages.appendChild(this.createHistorySentinel());
+
+        this.messageList = new SlimeTalksMessageList(this.elements.chatMessages, {
+            renderItem: (item) => this.createRowElement(item)
+        });
+    }
+
+    /**
+     * Build the element shown above the oldest message
+     * 
+     * @returns {HTMLElement} Sentinel element
+     */
+    createHistorySentinel() {
+        const sentinel = document.createElement('div');
+        sentinel.className = 'history-sentinel';
+        sentinel.textContent = 'Loading earlier messages…';
+
+        return sentinel;
+    }
+
+    /**
+     * Show whether earlier messages are loading or the conversation starts here
+     */
+    updateHistorySentinel() {
+        const sentinel = this.elements.chatMessages.querySelector('.history-sentinel');
+
+        if (!sentinel) return;
+
+        sentinel.classList.toggle('loading', this.history.loading);
+
+        if (this.history.loading) {
+            sentinel.textContent = 'Loading earlier messages…';
+        } else {
+            sentinel.textContent = this.history.hasMore ? '' : 'Beginning of conversation';
+        }
+    }
+
+    /**
+     * Display a message in the chat
+     * 
+     * @param {Object} message Message object
+     */
+    displayMessage(message) {
+        this.displayMessages([message], { animate: true });
+    }
+
+    /**
+     * Display messages below the ones shown
+     * 
+     * Messages already shown are skipped, and pending messages stay below
+     * the ones the API already stored. The list follows new messages while
+     * the user is at the bottom.
+     * 
+     * @param {Object[]} messages Message objects, oldest first
+     * @param {Object} [options] Display options
+     * @param {boolean} [options.animate=false] Slide the messages in
+     */
+    displayMessages(messages, options = {}) {
+        const firstPending = this.messageList.find(item => item.entry);
+
+        this.messageList.insert(
+            messages.map(message => ({ key: message.id, message, animate: options.animate })),
+            firstPending?.key
+        );
+    }
+
+    /**
+     * Build the element of a message list row
+     * 
+     * @param {Object} item List item with the message and, while it is queued, its outbox entry
+     * @returns {HTMLElement} Row element
+     */
+    createRowElement(item) {
+        const messageEl = item.entry
+            ? this.createPendingElement(item.entry)
+            : this.createMessageElement(item.message);
+
+        if (!item.entry) {
+            this.appendMessageActions(messageEl, item.message);
+        }
+
+        // Only new messages slide in, not rows scrolled back into view
+        if (item.animate) {
+            messageEl.classList.add('animate');
+            item.animate = false;
+        }
+
+        return messageEl;
+    }
+
+    /**
+     * Build the element of a message
+     * 
+     * @param {Object} message Message object
+     * @param {Object} [options] Element options
+     * @param {boolean} [options.inThread=false] Shown at the top of its own thread, without a link to it
+     * @returns {HTMLElement} Message element
+     */
+    createMessageElement(message, options = {}) {
+        const senderId = message.sender_id ?? message.sender?.id;
+
+        const messageEl = document.createElement('div');
+        messageEl.className = `message ${senderId === this.config.currentUser.id ? 'sent' : 'received'}`;
+        messageEl.dataset.messageId = message.id;
+
+        // Avatar
+        const avatar = document.createElement('div');
+        avatar.className = 'avatar';
+        avatar.style.backgroundImage = `url(${this.getUserAvatar(message.sender)})`;
+
+        // Message content
+        const messageContent = document.createElement('div');
+        messageContent.className = 'message-content';
+
+        // Message bubble
+        const bubble = document.createElement('div');
+        bubble.className = 'message-bubble';
+
+        // Formatting is rendered as elements with text children, never as HTML
+        const text = document.createElement('div');
+        text.className = 'message-text';
+        text.hidden = !message.deleted && !message.content;
+
+        if (message.deleted) {
+            text.textContent = 'Message deleted';
+        } else {
+            text.appendChild(this.renderer.render(message.content));
+        }
+
+        if (!message.deleted && message.forwarded_from) {
+            bubble.appendChild(this.createForwardedElement(message.forwarded_from));
+        }
+
+        if (!message.deleted && message.reply_to) {
+            bubble.appendChild(this.createQuoteElement(message.reply_to));
+        }
+
+        const timestamp = document.createElement('div');
+        timestamp.className = 'message-timestamp';
+        timestamp.textContent = this.formatTimestamp(message.created);
+
+        if (message.deleted) {
+            messageEl.classList.add('deleted');
+        } else if (message.edited) {
+            const edited = document.createElement('span');
+            edited.className = 'message-edited';
+            edited.textContent = ' · edited';
+            edited.title = `Edited ${this.formatTimestamp(message.edited)}`;
+            timestamp.appendChild(edited);
+        }
+
+        if (!message.deleted && message.attachments?.length > 0) {
+            bubble.appendChild(this.createAttachmentsElement(message.attachments));
+        }
+
+        bubble.appendChild(text);
+        messageContent.appendChild(bubble);
+        messageContent.appendChild(timestamp);
+
+        if (message.id === this.seenMessageId) {
+            const status = document.createElement('div');
+            status.className = 'message-status seen';
+            status.textContent = '✓✓ Seen';
+            messageContent.appendChild(status);
+        }
+
+        // Add reactions if any; tapping one toggles the user's own reaction
+        if (!message.deleted && message.reactions?.length > 0) {
+            const reactionsEl = document.createElement('div');
+            reactionsEl.className = 'reactions';
+            
+            message.reactions.forEach(reaction => {
+                const mine = reaction.customer_ids.includes(this.config.currentUser.id);
+                const reactionEl = document.createElement('button');
+                reactionEl.type = 'button';
+                reactionEl.className = `reaction${mine ? ' mine' : ''}`;
+                reactionEl.textContent = `${reaction.emoji} ${reaction.count}`;
+                reactionEl.title = `${reaction.count} reaction${reaction.count > 1 ? 's' : ''}${mine ? ', including yours' : ''}`;
+                reactionEl.addEventListener('click', () => this.toggleReaction(message.id, reaction.emoji));
+                reactionsEl.appendChild(reactionEl);
+            });
+            
+            messageContent.appendChild(reactionsEl);
+        }
+
+        // Messages with replies link to their thread
+        if (!options.inThread && message.reply_count > 0) {
+            const threadLink = document.createElement('button');
+            threadLink.type = 'button';
+            threadLink.className = 'thread-link';
+            threadLink.textContent = `${message.reply_count} ${message.reply_count === 1 ? 'reply' : 'replies'}`;
+            threadLink.addEventListener('click', () => this.openThread(message));
+            messageContent.appendChild(threadLink);
+        }
+
+        messageEl.appendChild(avatar);
+        messageEl.appendChild(messageContent);
+
+        return messageEl;
+    }
+
+    /**
+     * Send a message
+     * 
+     * The message shows up right away as pending and is sent by the outbox,
+     * which retries it while offline, so the input never has to wait.
+     * Uploaded files go with it, and the API types the message as an image
+     * or a file; the content becomes their caption.
+     */
+    sendMessage() {
+        const content = this.elements.messageInput.value.trim();
+        const attachments = this.uploads.filter(upload => upload.attachment).map(upload => upload.attachment);
+        if ((!content && attachments.length === 0) || !this.currentChannel) return;
+
+        if (this.uploads.some(upload => !upload.attachment && !upload.error)) {
+            this.showNotification('Wait for the uploads to finish');
+            return;
+        }
+
+        attachments.forEach(attachment => this.sentAttachments.set(attachment.id, attachment));
+
+        this.outbox.add({
+            channel_uuid: this.currentChannel,
+            sender_uuid: this.config.currentUser.id,
+            ...(attachments.length > 0
+                ? { attachment_uuids: attachments.map(attachment => attachment.id) }
+                : { type: 'text' }),
+            ...(content && { content }),
+            ...(this.quoting && { reply_to: this.quoting.id }),
+            metadata: {
+                timestamp: Date.now()
+            }
+        });
+
+        // Clear input
+        this.elements.messageInput.value = '';
+        this.elements.messageInput.focus();
+        this.cancelQuote();
+        this.uploads = [];
+        this.renderUploadTray();
+
+        // Stop typing indicator
+        if (this.realtime) {
+            this.realtime.stopTyping(this.currentChannel);
+        }
+    }
+
+    /**
+     * Show a queued message with its delivery status
+     * 
+     * Pending messages say "Sending…"; messages the API rejected say
+     * "Failed — tap to retry" and are sent again when tapped.
+     * 
+     * @param {Object} entry Outbox entry
+     */
+    renderPendingMessage(entry) {
+        if (entry.data.channel_uuid !== this.currentChannel || !this.messageList) return;
+
+        const item = { key: entry.id, message: SlimeTalksOutbox.toMessage(entry), entry };
+
+        if (this.messageList.has(entry.id)) {
+            this.messageList.update(item);
+            return;
+        }
+
+        item.animate = true;
+        this.messageList.append([item]);
+        this.messageList.scrollToBottom();
+    }
+
+    /**
+     * Build the element of a queued message
+     * 
+     * @param {Object} entry Outbox entry
+     * @returns {HTMLElement} Message element
+     */
+    createPendingElement(entry) {
+        const failed = entry.status === 'failed';
+        const message = SlimeTalksOutbox.toMessage(entry);
+
+        // Files uploaded before a reload are not known here, so only the caption shows
+        message.attachments = (entry.data.attachment_uuids || [])
+            .map(uuid => this.sentAttachments.get(uuid))
+            .filter(Boolean);
+
+        const messageEl = this.createMessageElement(message);
+
+        messageEl.dataset.clientMessageId = entry.id;
+        messageEl.classList.add(failed ? 'failed' : 'pending');
+        messageEl.title = failed ? entry.error || '' : '';
+        messageEl.addEventListener('click', () => {
+            if (failed) {
+                this.outbox.retry(entry.id);
+            }
+        });
+
+        const status = document.createElement('div');
+        status.className = 'message-status';
+        status.textContent = failed ? 'Failed — tap to retry' : 'Sending…';
+        messageEl.querySelector('.message-content').appendChild(status);
+
+        return messageEl;
+    }
+
+    /**
+     * Replace a pending message with the copy stored by the API
+     * 
+     * @param {Object} entry Outbox entry
+     * @param {Object} message Message object
+     */
+    confirmMessage(entry, message) {
+        this.messageCache.addMessage(message);
+
+        if (!this.messageList?.has(entry.id)) return;
+
+        if (this.messageList.has(message.id)) {
+            this.messageList.remove(entry.id);
+            return;
+        }
+
+        this.messageList.replace(entry.id, { key: message.id, message });
+        entry.data.attachment_uuids?.forEach(uuid => this.sentAttachments.delete(uuid));
+    }
+
+    /**
+     * Start uploading files to send with the next message
+     * 
+     * Uploads run right away, so the message can be sent as soon as they
+     * finish. A message carries at most 10 files.
+     * 
+     * @param {FileList|File[]} files Files picked, dropped or pasted
+     */
+    attachFiles(files) {
+        const room = SlimeTalksChatApp.MAX_ATTACHMENTS - this.uploads.length;
+
+        if (files.length > room) {
+            this.showNotification(`Up to ${SlimeTalksChatApp.MAX_ATTACHMENTS} files can be sent at once`);
+        }
+
+        Array.from(files).slice(0, Math.max(room, 0)).forEach(file => this.uploadFile(file));
+    }
+
+    /**
+     * Upload a file, showing its progress in the upload tray
+     * 
+     * @param {File} file File to upload
+     */
+    async uploadFile(file) {
+        const upload = {
+            file,
+            loaded: 0,
+            attachment: null,
+            error: null,
+            controller: new AbortController()
+        };
+
+        this.uploads.push(upload);
+        this.renderUploadTray();
+
+        try {
+            upload.attachment = await this.sdk.uploadAttachment(file, {
+                customerUuid: this.config.currentUser.id,
+                signal: upload.controller.signal,
+                onProgress: ({ loaded }) => {
+                    upload.loaded = loaded;
+                    this.renderUploadTray();
+                }
+            });
+        } catch (error) {
+            if (upload.controller.signal.aborted) return;
+
+            console.error('Failed to upload file:', error);
+            upload.error = error.fieldError?.('size') || error.fieldError?.('file') || 'Upload failed';
+        }
+
+        this.renderUploadTray();
+    }
+
+    /**
+     * Remove a file from the next message, cancelling its upload
+     * 
+     * @param {Object} upload Upload to remove
+     */
+    removeUpload(upload) {
+        upload.controller.abort();
+        this.uploads = this.uploads.filter(other => other !== upload);
+        this.renderUploadTray();
+    }
+
+    /**
+     * Show the files attached to the next message with their upload progress
+     */
+    renderUploadTray() {
+        const tray = this.elements.uploadTray;
+
+        if (!tray) return;
+
+        tray.hidden = this.uploads.length === 0;
+        tray.replaceChildren();
+
+        this.uploads.forEach(upload => {
+            const item = document.createElement('div');
+            item.className = `upload${upload.error ? ' failed' : ''}`;
+
+            const name = document.createElement('span');
+            name.className = 'upload-name';
+            name.textContent = upload.file.name || 'Pasted file';
+
+            const status = document.createElement('span');
+            status.className = 'upload-status';
+            status.textContent = upload.error || this.formatFileSize(upload.file.size);
+
+            const progress = document.createElement('div');
+            progress.className = 'upload-progress';
+            progress.style.width = `${upload.attachment ? 100 : Math.round(upload.loaded / (upload.file.size || 1) * 100)}%`;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'upload-remove';
+            remove.textContent = '✕';
+            remove.setAttribute('aria-label', `Remove ${name.textContent}`);
+            remove.addEventListener('click', () => this.removeUpload(upload));
+
+            item.appendChild(name);
+            item.appendChild(status);
+            item.appendChild(progress);
+            item.appendChild(remove);
+            tray.appendChild(item);
+        });
+    }
+
+    /**
+     * Build the attachments of a message: image previews and file cards
+     * 
+     * Images open full size in a new tab; other files download.
+     * 
+     * @param {Object[]} attachments Attachment objects
+     * @returns {HTMLElement} Attachments element
+     */
+    createAttachmentsElement(attachments) {
+        const container = document.createElement('div');
+        container.className = 'message-attachments';
+
+        attachments.forEach(attachment => {
+            const link = document.createElement('a');
+            link.href = attachment.url;
+            link.rel = 'noopener';
+
+            // Signed URLs expire; fetch a fresh one before following an old link
+            link.addEventListener('click', async (e) => {
+                if (attachment.url_expires * 1000 > Date.now()) return;
+
+                e.preventDefault();
+                window.open(await this.refreshAttachmentUrl(attachment), '_blank', 'noopener');
+            });
+
+            if (attachment.mime_type.startsWith('image/')) {
+                link.className = 'attachment-image';
+                link.target = '_blank';
+
+                const image = document.createElement('img');
+                image.src = attachment.url;
+                image.alt = attachment.filename;
+                image.loading = 'lazy';
+                image.addEventListener('error', async () => {
+                    if (image.dataset.refreshed) return;
+
+                    image.dataset.refreshed = 'true';
+                    image.src = link.href = await this.refreshAttachmentUrl(attachment);
+                });
+
+                link.appendChild(image);
+            } else {
+                link.className = 'attachment-file';
+                link.download = attachment.filename;
+
+                const icon = document.createElement('span');
+                icon.className = 'attachment-icon';
+                icon.textContent = '📄';
+
+                const name = document.createElement('span');
+                name.className = 'attachment-name';
+                name.textContent = attachment.filename;
+
+                const size = document.createElement('span');
+                size.className = 'attachment-size';
+                size.textContent = this.formatFileSize(attachment.size);
+
+                link.appendChild(icon);
+                link.appendChild(name);
+                link.appendChild(size);
+            }
+
+            container.appendChild(link);
+        });
+
+        return container;
+    }
+
+    /**
+     * Fetch a freshly signed download URL for an attachment
+     * 
+     * The attachment object is updated, so cached messages keep the new URL.
+     * 
+     * @param {Object} attachment Attachment object
+     * @returns {Promise<string>} Download URL
+     */
+    async refreshAttachmentUrl(attachment) {
+        try {
+            const fresh = await this.sdk.getAttachment(attachment.id);
+            attachment.url = fresh.url;
+            attachment.url_expires = fresh.url_expires;
+        } catch (error) {
+            console.error('Failed to refresh attachment URL:', error);
+        }
+
+        return attachment.url;
+    }
+
+    /**
+     * Add react, reply, quote and forward buttons to messages, and edit and
+     * delete buttons to the user's own messages
+     * 
+     * Replies are not replied to; threads are one level deep. Replies are
+     * not quoted either, since only the thread panel shows them.
+     * 
+     * @param {HTMLElement} messageEl Message element
+     * @param {Object} message Message object stored by the API
+     */
+    appendMessageActions(messageEl, message) {
+        if (message.deleted) return;
+
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+
+        const reactButton = document.createElement('button');
+        reactButton.type = 'button';
+        reactButton.textContent = 'React';
+        reactButton.addEventListener('click', () => {
+            this.showEmojiPicker(emoji => this.addReaction(message.id, emoji), reactButton);
+        });
+        actions.appendChild(reactButton);
+
+        if (!message.parent_id) {
+            const replyButton = document.createElement('button');
+            replyButton.type = 'button';
+            replyButton.textContent = 'Reply';
+            replyButton.addEventListener('click', () => this.openThread(message));
+            actions.appendChild(replyButton);
+
+            const quoteButton = document.createElement('button');
+            quoteButton.type = 'button';
+            quoteButton.textContent = 'Quote';
+            quoteButton.addEventListener('click', () => this.startQuote(message));
+            actions.appendChild(quoteButton);
+        }
+
+        const forwardButton = document.createElement('button');
+        forwardButton.type = 'button';
+        forwardButton.textContent = 'Forward';
+        forwardButton.addEventListener('click', () => this.forwardMessage(message));
+        actions.appendChild(forwardButton);
+
+        messageEl.querySelector('.message-content').appendChild(actions);
+
+        if ((message.sender_id ?? message.sender?.id) !== this.config.currentUser.id) return;
+
+        const editButton = document.createElement('button');
+        editButton.type = 'button';
+        editButton.textContent = 'Edit';
+        editButton.addEventListener('click', () => this.editMessage(message));
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => this.deleteMessage(message));
+
+        actions.appendChild(editButton);
+        actions.appendChild(deleteButton);
+    }
+
+    /**
+     * Ask for new content and edit one of the user's messages
+     * 
+     * @param {Object} message Message object
+     */
+    async editMessage(message) {
+        const content = window.prompt('Edit message', message.content)?.trim();
+
+        if (!content || content === message.content) return;
+
+        try {
+            const updated = await this.sdk.updateMessage(message.id, {
+                sender_uuid: this.config.currentUser.id,
+                content: content
+            });
+
+            this.applyMessageChange(updated);
+
+        } catch (error) {
+            console.error('Failed to edit message:', error);
+            this.showError('Failed to edit message');
+        }
+    }
+
+    /**
+     * Delete one of the user's messages after confirming
+     * 
+     * @param {Object} message Message object
+     */
+    async deleteMessage(message) {
+        if (!window.confirm('Delete this message?')) return;
+
+        try {
+            const tombstone = await this.sdk.deleteMessage(message.id, this.config.currentUser.id);
+
+            this.applyMessageChange(tombstone);
+
+        } catch (error) {
+            console.error('Failed to delete message:', error);
+            this.showError('Failed to delete message');
+        }
+    }
+
+    /**
+     * Show the new version of an edited or deleted message in place
+     * 
+     * The row keeps its position, in the message list and in the open
+     * thread; deleted messages become a placeholder.
+     * 
+     * @param {Object} message Message object from the API or a realtime event
+     */
+    applyMessageChange(message) {
+        this.messageCache.updateMessage(message);
+
+        const item = this.messageList?.find(other => other.key === message.id);
+
+        if (item) {
+            this.messageList.update({ ...item, message, animate: false });
+        }
+
+        this.updateQuotes(message);
+        this.updateThreadMessage(message);
+    }
+
+    /**
+     * Build the quote block of a message that quotes another
+     * 
+     * Clicking it scrolls to the quoted message.
+     * 
+     * @param {Object} snapshot Snapshot of the quoted message
+     * @returns {HTMLElement} Quote element
+     */
+    createQuoteElement(snapshot) {
+        const quote = document.createElement('button');
+        quote.type = 'button';
+        quote.className = 'message-quote';
+        quote.title = 'Show the original message';
+        quote.addEventListener('click', () => this.scrollToMessage(snapshot.id));
+
+        const sender = document.createElement('span');
+        sender.className = 'quote-sender';
+        sender.textContent = snapshot.sender_name;
+
+        const text = document.createElement('span');
+        text.className = 'quote-text';
+        text.textContent = snapshot.deleted ? 'Message deleted' : snapshot.content;
+
+        quote.appendChild(sender);
+        quote.appendChild(text);
+
+        return quote;
+    }
+
+    /**
+     * Build the label of a forwarded message
+     * 
+     * Links to the original when it was sent to the current channel.
+     * 
+     * @param {Object} snapshot Snapshot of the forwarded message
+     * @returns {HTMLElement} Label element
+     */
+    createForwardedElement(snapshot) {
+        const inChannel = snapshot.channel_id === this.currentChannel;
+        const label = document.createElement(inChannel ? 'button' : 'div');
+        label.className = 'message-forwarded';
+        label.textContent = `↪ Forwarded from ${snapshot.sender_name}`;
+
+        if (inChannel) {
+            label.type = 'button';
+            label.title = 'Show the original message';
+            label.addEventListener('click', () => this.scrollToMessage(snapshot.id));
+        }
+
+        return label;
+    }
+
+    /**
+     * Quote a message in the next message sent
+     * 
+     * @param {Object} message Message to quote
+     */
+    startQuote(message) {
+        this.quoting = message;
+        this.renderQuotePreview();
+        this.elements.messageInput.focus();
+    }
+
+    /**
+     * Stop quoting a message
+     */
+    cancelQuote() {
+        this.quoting = null;
+        this.renderQuotePreview();
+    }
+
+    /**
+     * Show the message being quoted above the input
+     */
+    renderQuotePreview() {
+        const preview = this.elements.quotePreview;
+
+        if (!preview) return;
+
+        preview.hidden = !this.quoting;
+        preview.replaceChildren();
+
+        if (!this.quoting) return;
+
+        const label = document.createElement('span');
+        label.className = 'quote-sender';
+        label.textContent = 'Quoting';
+
+        const text = document.createElement('span');
+        text.className = 'quote-text';
+        text.textContent = this.quoting.content;
+
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'quote-cancel';
+        cancel.textContent = '✕';
+        cancel.setAttribute('aria-label', 'Cancel quote');
+        cancel.addEventListener('click', () => this.cancelQuote());
+
+        preview.appendChild(label);
+        preview.appendChild(text);
+        preview.appendChild(cancel);
+    }
+
+    /**
+     * Ask for a recipient and forward a message to their channel with the user
+     * 
+     * @param {Object} message Message to forward
+     */
+    async forwardMessage(message) {
+        const senderEmail = this.config.currentUser.email;
+
+        if (!senderEmail) {
+            this.showError('Set currentUser.email to forward messages');
+            return;
+        }
+
+        const recipientEmail = window.prompt('Forward to (email address)')?.trim();
+
+        if (!recipientEmail) return;
+
+        try {
+            // The forward copies the message's content
+            await this.sdk.sendToCustomer({
+                sender_email: senderEmail,
+                recipient_email: recipientEmail,
+                forwarded_from: message.id
+            });
+
+            this.showNotification(`Message forwarded to ${recipientEmail}`);
+
+        } catch (error) {
+            console.error('Failed to forward message:', error);
+            this.showError('Failed to forward message');
+        }
+    }
+
+    /**
+     * Scroll to a message of the current channel and highlight it
+     * 
+     * Earlier pages are loaded until the message shows up, up to a few
+     * hundred messages back.
+     * 
+     * @param {string} messageId Message ID
+     */
+    async scrollToMessage(messageId) {
+        const channelUuid = this.currentChannel;
+
+        for (let page = 0; page < 10 && this.messageList && !this.messageList.has(messageId); page++) {
+            const length = this.messageList.length;
+
+            await this.loadOlderMessages();
+
+            if (channelUuid !== this.currentChannel) return;
+
+            // Nothing older was loaded
+            if (this.messageList.length === length) break;
+        }
+
+        if (!this.messageList?.scrollToItem(messageId)) {
+            this.showError('The original message is too far back to show');
+            return;
+        }
+
+        const messageEl = [...this.elements.chatMessages.querySelectorAll('.message')]
+            .find(element => element.dataset.messageId === messageId);
+
+        if (messageEl) {
+            messageEl.classList.add('highlight');
+            setTimeout(() => messageEl.classList.remove('highlight'), 2000);
+        }
+    }
+
+    /**
+     * Show the new version of an edited or deleted message in the messages quoting it
+     * 
+     * @param {Object} message Message object
+     */
+    updateQuotes(message) {
+        if (!this.messageList) return;
+
+        for (let index = 0; index < this.messageList.length; index++) {
+            const item = this.messageList.at(index);
+
+            if (item.entry || item.message.reply_to?.id !== message.id) continue;
+
+            const replyTo = { ...item.message.reply_to, content: message.content, deleted: message.deleted };
+            this.messageList.update({ ...item, message: { ...item.message, reply_to: replyTo }, animate: false });
+        }
+    }
+
+    /**
+     * Find a shown message by ID, in the message list or the open thread
+     * 
+     * @param {string} messageId Message ID
+     * @returns {Object|undefined} Message object
+     */
+    findMessage(messageId) {
+        const item = this.messageList?.find(other => other.key === messageId);
+
+        if (item) return item.message;
+
+        return this.thread
+            ? [this.thread.parent, ...this.thread.replies].find(message => message.id === messageId)
+            : undefined;
+    }
+
+    /**
+     * Open the thread of a message in the side panel
+     * 
+     * The panel shows the message and its replies, oldest first. Replies
+     * sent by others arrive through `thread.reply` while it is open.
+     * 
+     * @param {Object} message Message that started the thread
+     */
+    async openThread(message) {
+        if (!this.elements.threadPanel) return;
+
+        const thread = { parent: message, replies: [], cursor: undefined, loading: false, hasMore: false };
+        this.thread = thread;
+
+        this.elements.threadPanel.hidden = false;
+        this.elements.threadInput.value = '';
+        this.elements.threadInput.focus();
+
+        await this.loadThreadReplies(thread);
+    }
+
+    /**
+     * Close the thread panel
+     */
+    closeThread() {
+        this.thread = null;
+
+        if (this.elements.threadPanel) {
+            this.elements.threadPanel.hidden = true;
+            this.elements.threadMessages.replaceChildren();
+        }
+    }
+
+    /**
+     * Load the next page of replies of the open thread
+     * 
+     * @param {Object} thread Thread state from openThread()
+     */
+    async loadThreadReplies(thread) {
+        if (thread.loading) return;
+
+        thread.loading = true;
+        this.renderThread();
+
+        try {
+            const page = await this.sdk.getReplies(thread.parent.id, {
+                limit: 50,
+                starting_after: thread.cursor
+            });
+
+            if (thread !== this.thread) return;
+
+            this.addThreadReplies(page.data);
+            thread.cursor = page.data.at(-1)?.id ?? thread.cursor;
+            thread.hasMore = page.has_more;
+
+        } catch (error) {
+            console.error('Failed to load replies:', error);
+            this.showError('Failed to load replies');
+        } finally {
+            thread.loading = false;
+
+            if (thread === this.thread) {
+                this.renderThread();
+            }
         }
     }
 
     /**
-     * Setup real-time event handlers
+     * Add replies to the open thread, skipping the ones already shown
+     * 
+     * @param {Object[]} replies Replies to the open thread
+     * @returns {number} Number of replies added
      */
-    setupRealtimeHandlers() {
-        if (!this.realtime) return;
+    addThreadReplies(replies) {
+        const thread = this.thread;
+        const added = replies.filter(reply => !thread.replies.some(other => other.id === reply.id));
 
-        this.realtime.onConnected = () => {
-            console.log('Connected to real-time messaging');
-            this.updateConnectionStatus('connected');
-        };
+        // Live replies can arrive before the page they are on
+        thread.replies = [...thread.replies, ...added].sort((a, b) => a.created - b.created);
 
-        this.realtime.onDisconnected = () => {
-            console.log('Disconnected from real-time messaging');
-            this.updateConnectionStatus('disconnected');
-        };
+        return added.length;
+    }
 
-        this.realtime.onError = (error) => {
-            console.error('Real-time error:', error);
-            this.updateConnectionStatus('disconnected');
-            this.showError('Connection error: ' + error.message);
-        };
+    /**
+     * Send a reply in the open thread
+     */
+    async sendReply() {
+        const thread = this.thread;
+        const content = this.elements.threadInput.value.trim();
 
-        this.realtime.onMaxReconnectAttempts = () => {
-            console.error('Max reconnection attempts reached');
-            this.showError('Unable to connect to real-time messaging');
-        };
+        if (!thread || !content) return;
+
+        this.elements.threadInput.value = '';
+
+        try {
+            const reply = await this.sdk.replyToMessage(thread.parent.id, {
+                sender_uuid: this.config.currentUser.id,
+                type: 'text',
+                content: content
+            });
+
+            if (thread !== this.thread) return;
+
+            // Unless `thread.reply` already delivered it with the new count
+            if (this.addThreadReplies([reply]) > 0) {
+                this.applyMessageChange({ ...thread.parent, reply_count: (thread.parent.reply_count ?? 0) + 1 });
+            }
+
+            this.renderThread();
+
+        } catch (error) {
+            console.error('Failed to send reply:', error);
+            this.elements.threadInput.value = content;
+            this.showError('Failed to send reply');
+        }
     }
 
     /**
-     * Setup event listeners
+     * Handle a `thread.reply` event
+     * 
+     * Updates the reply count of the parent message and, when its thread is
+     * open, adds the reply to the panel.
+     * 
+     * @param {Object} data Event payload with the reply and its parent message
      */
-    setupEventListeners() {
-        // Send message on Enter key
-        this.elements.messageInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                this.sendMessage();
-            }
-        });
+    handleThreadReply(data) {
+        this.applyMessageChange(data.parent);
 
-        // Send button click
-        this.elements.sendButton.addEventListener('click', () => this.sendMessage());
+        if (this.thread?.parent.id === data.parent.id) {
+            this.addThreadReplies([data.message]);
+            this.renderThread();
+        }
+    }
 
-        // Typing indicator
-        this.elements.messageInput.addEventListener('input', () => this.handleTyping());
+    /**
+     * Show the new version of a message if it is in the open thread
+     * 
+     * @param {Object} message Message object
+     */
+    updateThreadMessage(message) {
+        const thread = this.thread;
 
-        // Emoji button
-        this.elements.emojiButton.addEventListener('click', () => this.showEmojiPicker());
+        if (!thread) return;
 
-        // Message input focus
-        this.elements.messageInput.addEventListener('focus', () => {
-            this.elements.messageInput.placeholder = 'Type a message...';
-        });
+        if (thread.parent.id === message.id) {
+            thread.parent = message;
+        } else {
+            const index = thread.replies.findIndex(reply => reply.id === message.id);
 
-        this.elements.messageInput.addEventListener('blur', () => {
-            this.elements.messageInput.placeholder = 'I\'ll start looking into it!';
-        });
+            if (index === -1) return;
+
+            thread.replies[index] = message;
+        }
+
+        this.renderThread();
     }
 
     /**
-     * Join a channel
+     * Render the open thread in the side panel
      * 
-     * @param {string} channelUuid Channel UUID
-     * @param {Object} options Channel options
+     * Stays scrolled to the newest reply while the user is there.
      */
-    async joinChannel(channelUuid, options = {}) {
-        try {
-            this.currentChannel = channelUuid;
+    renderThread() {
+        const thread = this.thread;
+        const container = this.elements.threadMessages;
 
-            // Load message history
-            await this.loadMessageHistory(channelUuid);
+        if (!thread || !container) return;
 
-            // Join real-time channel
-            if (this.realtime) {
-                this.realtime.joinChannel(channelUuid, {
-                    onMessage: (data) => {
-                        console.log('New message received:', data.message);
-                        this.displayMessage(data.message);
-                    },
-                    onTypingStarted: (data) => {
-                        console.log('User started typing:', data.typing.user);
-                        this.showTypingIndicator(data.typing.user);
-                    },
-                    onTypingStopped: (data) => {
-                        console.log('User stopped typing:', data.typing.user);
-                        this.hideTypingIndicator(data.typing.user);
-                    },
-                    onUserJoined: (data) => {
-                        console.log('User joined:', data.user);
-                        this.showNotification(`${data.user.name} joined the channel`);
-                    },
-                    onUserLeft: (data) => {
-                        console.log('User left:', data.user);
-                        this.showNotification(`${data.user.name} left the channel`);
-                    }
-                });
-            }
+        const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight <= 50;
 
-            console.log(`Joined channel: ${channelUuid}`);
-            
-        } catch (error) {
-            console.error('Failed to join channel:', error);
-            this.showError('Failed to join channel');
+        const divider = document.createElement('div');
+        divider.className = 'thread-divider';
+        const count = thread.parent.reply_count ?? 0;
+        divider.textContent = `${count} ${count === 1 ? 'reply' : 'replies'}`;
+
+        const rows = thread.replies.map(reply => {
+            const replyEl = this.createMessageElement(reply);
+            this.appendMessageActions(replyEl, reply);
+
+            return replyEl;
+        });
+
+        container.replaceChildren(
+            this.createMessageElement(thread.parent, { inThread: true }),
+            divider,
+            ...rows
+        );
+
+        if (thread.loading || thread.hasMore) {
+            const more = document.createElement('button');
+            more.type = 'button';
+            more.className = 'thread-more';
+            more.disabled = thread.loading;
+            more.textContent = thread.loading ? 'Loading replies…' : 'Show more replies';
+            more.addEventListener('click', () => this.loadThreadReplies(thread));
+            container.appendChild(more);
+        }
+
+        if (atBottom) {
+            container.scrollTop = container.scrollHeight;
         }
     }
 
     /**
-     * Load message history for a channel
+     * Load how far the other participants have read the current channel
      * 
      * @param {string} channelUuid Channel UUID
      */
-    async loadMessageHistory(channelUuid) {
+    async loadReadReceipts(channelUuid) {
         try {
-            const messages = await this.sdk.getChannelMessages(channelUuid, {
-                limit: 50
-            });
+            const receipts = await this.sdk.getReadReceipts(channelUuid);
 
-            // Clear existing messages
-            this.elements.chatMessages.innerHTML = '';
+            if (channelUuid !== this.currentChannel) return;
 
-            // Display messages
-            messages.data.forEach(message => {
-                this.displayMessage(message);
+            receipts.data.forEach(receipt => {
+                // Live `message.read` events may already be newer
+                if (receipt.message_id && receipt.customer_id !== this.config.currentUser.id
+                    && !this.readReceipts.has(receipt.customer_id)) {
+                    this.readReceipts.set(receipt.customer_id, receipt.message_id);
+                }
             });
 
-            this.scrollToBottom();
-            
+            this.updateSeenMessage();
+
         } catch (error) {
-            console.error('Failed to load message history:', error);
-            this.showError('Failed to load message history');
+            console.error('Failed to load read receipts:', error);
         }
     }
 
     /**
-     * Display a message in the chat
+     * Mark the current channel read up to the newest message shown
      * 
-     * @param {Object} message Message object
+     * Only while the user can see it: the tab is visible and the list is
+     * scrolled to the bottom. The API ignores positions that do not move
+     * forward, and each message is reported once.
      */
-    displayMessage(message) {
-        // Avoid duplicate messages
-        if (this.messageCache.has(message.id)) {
+    markChannelRead() {
+        if (!this.currentChannel || !this.messageList || document.hidden || !this.messageList.isAtBottom()) return;
+
+        const newest = this.findLastMessageItem(() => true);
+
+        if (!newest || newest.key === this.readMessageId) return;
+
+        this.readMessageId = newest.key;
+
+        if (this.realtime) {
+            this.realtime.markRead(this.currentChannel, newest.key);
             return;
         }
-        this.messageCache.set(message.id, message);
-
-        const messageEl = document.createElement('div');
-        messageEl.className = `message ${message.sender?.id === this.config.currentUser.id ? 'sent' : 'received'}`;
-        messageEl.dataset.messageId = message.id;
 
-        // Avatar
-        const avatar = document.createElement('div');
-        avatar.className = 'avatar';
-        avatar.style.backgroundImage = `url(${this.getUserAvatar(message.sender)})`;
+        this.sdk.markChannelRead(this.currentChannel, {
+            customer_uuid: this.config.currentUser.id,
+            message_id: newest.key
+        }).catch(error => console.error('Failed to mark channel read:', error));
+    }
 
-        // Message content
-        const messageContent = document.createElement('div');
-        messageContent.className = 'message-content';
+    /**
+     * Move the "Seen" mark to the newest own message someone else has read
+     */
+    updateSeenMessage() {
+        if (!this.messageList) return;
 
-        // Message bubble
-        const bubble = document.createElement('div');
-        bubble.className = 'message-bubble';
+        const readIds = new Set(this.readReceipts.values());
+        let read = false;
 
-        const text = document.createElement('div');
-        text.className = 'message-text';
-        text.textContent = message.content;
+        // Everything at or above the newest message anyone read counts as seen
+        const seen = this.findLastMessageItem(item => {
+            read = read || readIds.has(item.key);
 
-        const timestamp = document.createElement('div');
-        timestamp.className = 'message-timestamp';
-        timestamp.textContent = this.formatTimestamp(message.created);
+            return read && (item.message.sender_id ?? item.message.sender?.id) === this.config.currentUser.id;
+        });
+        const previous = this.seenMessageId;
 
-        bubble.appendChild(text);
-        messageContent.appendChild(bubble);
-        messageContent.appendChild(timestamp);
+        if (seen?.key === previous) return;
 
-        // Add reactions if any
-        if (message.metadata?.reactions && message.metadata.reactions.length > 0) {
-            const reactionsEl = document.createElement('div');
-            reactionsEl.className = 'reactions';
-            
-            message.metadata.reactions.forEach(reaction => {
-                const reactionEl = document.createElement('div');
-                reactionEl.className = 'reaction';
-                reactionEl.textContent = reaction.emoji;
-                reactionEl.title = `${reaction.count} reaction${reaction.count > 1 ? 's' : ''}`;
-                reactionEl.addEventListener('click', () => this.addReaction(message.id, reaction.emoji));
-                reactionsEl.appendChild(reactionEl);
-            });
-            
-            messageContent.appendChild(reactionsEl);
-        }
+        this.seenMessageId = seen?.key ?? null;
 
-        messageEl.appendChild(avatar);
-        messageEl.appendChild(messageContent);
+        // Re-render both rows so the mark moves
+        [previous, this.seenMessageId].forEach(key => {
+            const item = key && this.messageList.find(other => other.key === key);
 
-        this.elements.chatMessages.appendChild(messageEl);
-        this.scrollToBottom();
+            if (item) {
+                this.messageList.update({ ...item, animate: false });
+            }
+        });
     }
 
     /**
-     * Send a message
+     * Find the newest stored message matching a predicate
+     * 
+     * @param {Function} predicate Called with each list item, newest first
+     * @returns {Object|undefined} List item of a message the API stored
      */
-    async sendMessage() {
-        const content = this.elements.messageInput.value.trim();
-        if (!content || !this.currentChannel) return;
-
-        try {
-            // Disable input while sending
-            this.elements.messageInput.disabled = true;
-            this.elements.sendButton.disabled = true;
+    findLastMessageItem(predicate) {
+        for (let index = this.messageList.length - 1; index >= 0; index--) {
+            const item = this.messageList.at(index);
 
-            const message = await this.sdk.sendMessage({
-                channel_uuid: this.currentChannel,
-                sender_uuid: this.config.currentUser.id,
-                type: 'text',
-                content: content,
-                metadata: {
-                    timestamp: Date.now()
-                }
-            });
-
-            // Clear input
-            this.elements.messageInput.value = '';
-            
-            // Stop typing indicator
-            if (this.realtime) {
-                this.realtime.stopTyping(this.currentChannel);
+            if (!item.entry && predicate(item)) {
+                return item;
             }
-
-            // The message will be displayed via real-time event
-            console.log('Message sent successfully:', message);
-            
-        } catch (error) {
-            console.error('Failed to send message:', error);
-            this.showError('Failed to send message');
-        } finally {
-            // Re-enable input
-            this.elements.messageInput.disabled = false;
-            this.elements.sendButton.disabled = false;
-            this.elements.messageInput.focus();
         }
+
+        return undefined;
     }
 
     /**
      * Handle typing indicator
+     * 
+     * The realtime client throttles the requests and stops the indicator
+     * once the user stops typing.
      */
     handleTyping() {
         if (!this.realtime || !this.currentChannel) return;
 
-        // Send typing indicator
-        this.realtime.sendTyping(this.currentChannel);
-
-        // Clear existing timeout
-        if (this.typingTimeout) {
-            clearTimeout(this.typingTimeout);
-        }
-
-        // Auto-stop typing after 3 seconds
-        this.typingTimeout = setTimeout(() => {
-            this.realtime.stopTyping(this.currentChannel);
-        }, 3000);
+        this.realtime.startTyping(this.currentChannel);
     }
 
     /**
-     * Show typing indicator
+     * Show who is typing, or nothing when nobody is
      * 
-     * @param {Object} user User object
+     * @param {Object[]} users Users typing in the current channel
      */
-    showTypingIndicator(user) {
-        const existing = document.getElementById(`typing-${user.id}`);
-        if (existing) return;
+    renderTypingIndicator(users) {
+        this.elements.typingIndicators.replaceChildren();
+
+        if (users.length === 0) return;
 
         const indicator = document.createElement('div');
-        indicator.id = `typing-${user.id}`;
         indicator.className = 'typing-indicator';
 
         const avatar = document.createElement('div');
         avatar.className = 'avatar';
-        avatar.style.backgroundImage = `url(${this.getUserAvatar(user)})`;
+        avatar.style.backgroundImage = `url(${this.getUserAvatar(users[0])})`;
 
         const text = document.createElement('span');
-        text.textContent = `${user.name} is typing`;
+        text.textContent = SlimeTalksRealtime.formatTypingUsers(users);
 
         const dots = document.createElement('div');
         dots.className = 'typing-dots';
@@ -370,48 +1648,148 @@ class SlimeTalksChatApp {
         indicator.appendChild(dots);
 
         this.elements.typingIndicators.appendChild(indicator);
-        this.scrollToBottom();
     }
 
     /**
-     * Hide typing indicator
+     * Add reaction to a message
      * 
-     * @param {Object} user User object
+     * @param {string} messageId Message ID
+     * @param {string} emoji Reaction emoji
      */
-    hideTypingIndicator(user) {
-        const indicator = document.getElementById(`typing-${user.id}`);
-        if (indicator) {
-            indicator.remove();
+    async addReaction(messageId, emoji) {
+        try {
+            const message = await this.sdk.addReaction(messageId, {
+                customer_uuid: this.config.currentUser.id,
+                emoji: emoji
+            });
+
+            this.applyMessageChange(message);
+            
+        } catch (error) {
+            console.error('Failed to add reaction:', error);
+            this.showError('Failed to add reaction');
         }
     }
 
     /**
-     * Add reaction to a message
+     * Remove the user's reaction from a message
      * 
      * @param {string} messageId Message ID
      * @param {string} emoji Reaction emoji
      */
-    async addReaction(messageId, emoji) {
+    async removeReaction(messageId, emoji) {
         try {
-            // In a real implementation, you'd send the reaction via API
-            console.log(`Adding reaction ${emoji} to message ${messageId}`);
-            
-            // For demo purposes, just log it
-            this.showNotification(`Added reaction: ${emoji}`);
-            
+            const message = await this.sdk.removeReaction(messageId, this.config.currentUser.id, emoji);
+
+            this.applyMessageChange(message);
+
         } catch (error) {
-            console.error('Failed to add reaction:', error);
-            this.showError('Failed to add reaction');
+            console.error('Failed to remove reaction:', error);
+            this.showError('Failed to remove reaction');
+        }
+    }
+
+    /**
+     * Add the user's reaction to a message, or remove it if it is there
+     * 
+     * @param {string} messageId Message ID
+     * @param {string} emoji Reaction emoji
+     */
+    toggleReaction(messageId, emoji) {
+        const message = this.findMessage(messageId);
+        const reaction = message?.reactions?.find(other => other.emoji === emoji);
+
+        if (reaction?.customer_ids.includes(this.config.currentUser.id)) {
+            return this.removeReaction(messageId, emoji);
         }
+
+        return this.addReaction(messageId, emoji);
     }
 
     /**
      * Show emoji picker
+     * 
+     * Opens a grid of emojis next to an element and closes it on pick, on
+     * a click elsewhere or on Escape. Opening it again closes the old one.
+     * 
+     * @param {Function} [onSelect] Called with the picked emoji (defaults to inserting it into the input)
+     * @param {HTMLElement} [anchor] Element to open next to (defaults to the emoji button)
+     */
+    showEmojiPicker(onSelect = emoji => this.insertEmoji(emoji), anchor = this.elements.emojiButton) {
+        const wasOpenFor = this.emojiPicker?.anchor;
+
+        this.closeEmojiPicker();
+
+        // A second click on the same button just closes it
+        if (wasOpenFor === anchor) return;
+
+        const picker = document.createElement('div');
+        picker.className = 'emoji-picker';
+        picker.setAttribute('role', 'listbox');
+
+        SlimeTalksChatApp.EMOJIS.forEach(emoji => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = 'emoji-option';
+            option.textContent = emoji;
+            option.addEventListener('click', () => {
+                this.closeEmojiPicker();
+                onSelect(emoji);
+            });
+            picker.appendChild(option);
+        });
+
+        const rect = anchor.getBoundingClientRect();
+        picker.style.position = 'fixed';
+        picker.style.right = `${Math.max(8, window.innerWidth - rect.right)}px`;
+        picker.style.bottom = `${window.innerHeight - rect.top + 8}px`;
+
+        const onPointerDown = (e) => {
+            if (!picker.contains(e.target) && !anchor.contains(e.target)) {
+                this.closeEmojiPicker();
+            }
+        };
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                this.closeEmojiPicker();
+            }
+        };
+
+        document.addEventListener('pointerdown', onPointerDown);
+        document.addEventListener('keydown', onKeyDown);
+        document.body.appendChild(picker);
+
+        this.emojiPicker = {
+            anchor,
+            close: () => {
+                document.removeEventListener('pointerdown', onPointerDown);
+                document.removeEventListener('keydown', onKeyDown);
+                picker.remove();
+            }
+        };
+    }
+
+    /**
+     * Close the emoji picker if it is open
+     */
+    closeEmojiPicker() {
+        this.emojiPicker?.close();
+        this.emojiPicker = null;
+    }
+
+    /**
+     * Insert an emoji into the message input at the cursor
+     * 
+     * @param {string} emoji Emoji
      */
-    showEmojiPicker() {
-        // In a real app, you'd implement an emoji picker
-        console.log('Emoji picker would open here');
-        this.showNotification('Emoji picker would open here');
+    insertEmoji(emoji) {
+        const input = this.elements.messageInput;
+        const start = input.selectionStart ?? input.value.length;
+        const end = input.selectionEnd ?? input.value.length;
+
+        input.value = input.value.slice(0, start) + emoji + input.value.slice(end);
+        input.focus();
+        input.setSelectionRange(start + emoji.length, start + emoji.length);
     }
 
     /**
@@ -482,6 +1860,19 @@ class SlimeTalksChatApp {
         return date.toLocaleDateString();
     }
 
+    /**
+     * Format a file size for display
+     * 
+     * @param {number} bytes Size in bytes
+     * @returns {string} Formatted size
+     */
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
     /**
      * Update connection status
      * 
@@ -527,8 +1918,8 @@ class SlimeTalksChatApp {
      * Scroll to bottom of chat
      */
     scrollToBottom() {
-        if (this.elements.chatMessages) {
-            this.elements.chatMessages.scrollTop = this.elements.chatMessages.scrollHeight;
+        if (this.messageList) {
+            this.messageList.scrollToBottom();
         }
     }
 
@@ -552,6 +1943,20 @@ class SlimeTalksChatApp {
     }
 }
 
+/**
+ * Emojis offered by the emoji picker
+ * 
+ * @type {string[]}
+ */
+SlimeTalksChatApp.EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🙏', '🎉', '🔥', '👀', '✅', '👌', '😊'];
+
+/**
+ * Most files a message can carry
+ * 
+ * @type {number}
+ */
+SlimeTalksChatApp.MAX_ATTACHMENTS = 10;
+
 // Export for use in modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SlimeTalksChatApp;
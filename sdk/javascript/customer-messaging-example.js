@@ -14,7 +14,10 @@ class CustomerMessagingApp {
         this.sdk = sdk;
         this.currentUser = null;
         this.selectedCustomer = null;
+        this.selectedChannelUuid = null;
+        this.conversationMessages = [];
         this.realtime = null;
+        this.renderer = null;
     }
 
     /**
@@ -27,6 +30,7 @@ class CustomerMessagingApp {
      */
     async init(user) {
         this.currentUser = user;
+        this.renderer = new SlimeTalksMessageRenderer({ self: user.name });
         
         // Initialize real-time messaging
         this.realtime = this.sdk.initRealtime(user);
@@ -42,10 +46,13 @@ class CustomerMessagingApp {
 
     /**
      * Load active customers for the sidebar
+     * 
+     * Passing the current user's email adds how many of each customer's
+     * messages they have not read yet.
      */
     async loadActiveCustomers() {
         try {
-            const response = await this.sdk.getActiveCustomers({ limit: 50 });
+            const response = await this.sdk.getActiveCustomers({ limit: 50, email: this.currentUser.email });
             const customers = response.data;
             
             console.log(`Loaded ${customers.length} active customers`);
@@ -117,6 +124,14 @@ class CustomerMessagingApp {
         
         div.appendChild(avatar);
         div.appendChild(info);
+
+        if (customer.unread_count > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'unread-badge';
+            badge.textContent = customer.unread_count > 99 ? '99+' : String(customer.unread_count);
+            badge.title = `${customer.unread_count} unread message${customer.unread_count > 1 ? 's' : ''}`;
+            div.appendChild(badge);
+        }
         
         return div;
     }
@@ -151,7 +166,7 @@ class CustomerMessagingApp {
         });
         
         // Add selection to current customer
-        const customerElement = document.querySelector(`[data-customer-email="${customer.email}"]`);
+        const customerElement = document.querySelector(`[data-customer-email="${CSS.escape(customer.email)}"]`);
         if (customerElement) {
             customerElement.classList.add('selected');
         }
@@ -159,10 +174,15 @@ class CustomerMessagingApp {
         // Update header
         const header = document.getElementById('conversation-header');
         if (header) {
-            header.innerHTML = `
-                <div class="conversation-title">${customer.name}</div>
-                <div class="conversation-subtitle">${customer.email}</div>
-            `;
+            const title = document.createElement('div');
+            title.className = 'conversation-title';
+            title.textContent = customer.name;
+
+            const subtitle = document.createElement('div');
+            subtitle.className = 'conversation-subtitle';
+            subtitle.textContent = customer.email;
+
+            header.replaceChildren(title, subtitle);
         }
     }
 
@@ -183,7 +203,9 @@ class CustomerMessagingApp {
             console.log(`Loaded ${messages.length} messages`);
             
             // Update messages area
+            this.conversationMessages = messages;
             this.updateMessagesArea(messages);
+            this.markConversationRead();
             
         } catch (error) {
             console.error('Failed to load conversation:', error);
@@ -220,13 +242,32 @@ class CustomerMessagingApp {
     createMessageElement(message) {
         const div = document.createElement('div');
         div.className = 'message';
+        div.dataset.messageId = message.id;
         
         const isOwnMessage = message.sender_id === this.currentUser.id;
         div.classList.add(isOwnMessage ? 'own-message' : 'other-message');
         
         const content = document.createElement('div');
         content.className = 'message-content';
-        content.textContent = message.content;
+        content.appendChild(this.renderer.render(message.content));
+
+        // Quotes show the quoted message, and forwards name the original sender
+        if (message.reply_to) {
+            const quote = document.createElement('div');
+            quote.className = 'message-quote';
+            quote.textContent = message.reply_to.deleted
+                ? 'Message deleted'
+                : `${message.reply_to.sender_name}: ${message.reply_to.content}`;
+            quote.addEventListener('click', () => this.scrollToMessage(message.reply_to.id));
+            content.prepend(quote);
+        }
+
+        if (message.forwarded_from) {
+            const forwarded = document.createElement('div');
+            forwarded.className = 'message-forwarded';
+            forwarded.textContent = `Forwarded from ${message.forwarded_from.sender_name}`;
+            content.prepend(forwarded);
+        }
         
         const meta = document.createElement('div');
         meta.className = 'message-meta';
@@ -266,6 +307,8 @@ class CustomerMessagingApp {
                 
                 // Join the channel for real-time updates
                 this.realtime.joinChannel(channel.id);
+                this.selectedChannelUuid = channel.id;
+                this.hideTypingIndicator();
             }
         }).catch(error => {
             console.error('Failed to get channels for real-time:', error);
@@ -276,8 +319,10 @@ class CustomerMessagingApp {
      * Send a message to the selected customer
      * 
      * @param {string} content - Message content
+     * @param {Object} [options] - Send options
+     * @param {string} [options.replyTo] - ID of a message in the conversation to quote
      */
-    async sendMessage(content) {
+    async sendMessage(content, options = {}) {
         if (!this.selectedCustomer || !content.trim()) {
             return;
         }
@@ -288,9 +333,11 @@ class CustomerMessagingApp {
                 recipient_email: this.selectedCustomer.email,
                 type: 'text',
                 content: content.trim(),
+                reply_to: options.replyTo,
             });
 
             console.log('Message sent:', message);
+            this.stopTyping();
             
             // Add message to UI immediately (optimistic update)
             this.addMessageToUI(message);
@@ -307,6 +354,55 @@ class CustomerMessagingApp {
         }
     }
 
+    /**
+     * Forward a message to another customer
+     * 
+     * The forward copies the message's content into the conversation with
+     * that customer.
+     * 
+     * @param {string} messageId - ID of the message to forward
+     * @param {string} recipientEmail - Email of the customer to forward it to
+     * @returns {Promise<Object>} The forwarded message
+     */
+    async forwardMessage(messageId, recipientEmail) {
+        try {
+            const message = await this.sdk.sendToCustomer({
+                sender_email: this.currentUser.email,
+                recipient_email: recipientEmail,
+                forwarded_from: messageId,
+            });
+
+            if (recipientEmail === this.selectedCustomer?.email) {
+                this.addMessageToUI(message);
+            }
+
+            return message;
+
+        } catch (error) {
+            console.error('Failed to forward message:', error);
+            this.showError('Failed to forward message');
+        }
+    }
+
+    /**
+     * Scroll to a message of the open conversation and highlight it
+     * 
+     * @param {string} messageId - Message ID
+     */
+    scrollToMessage(messageId) {
+        const messageElement = [...document.querySelectorAll('#messages-area .message')]
+            .find(element => element.dataset.messageId === messageId);
+
+        if (!messageElement) {
+            this.showError('The original message is not in the loaded conversation');
+            return;
+        }
+
+        messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        messageElement.classList.add('highlight');
+        setTimeout(() => messageElement.classList.remove('highlight'), 2000);
+    }
+
     /**
      * Add a message to the UI
      * 
@@ -318,11 +414,35 @@ class CustomerMessagingApp {
 
         const messageElement = this.createMessageElement(message);
         messagesArea.appendChild(messageElement);
+        this.conversationMessages.push(message);
         
         // Scroll to bottom
         messagesArea.scrollTop = messagesArea.scrollHeight;
     }
 
+    /**
+     * Mark the open conversation read and clear its unread badge
+     * 
+     * A conversation can span several channels, so each channel is marked
+     * read up to its own newest message.
+     * 
+     * @returns {Promise} Resolves once the read receipts are sent
+     */
+    markConversationRead() {
+        if (!this.selectedCustomer) return Promise.resolve();
+
+        // Messages are oldest first, so the last one per channel is its newest
+        const newest = new Map();
+        this.conversationMessages.forEach(message => newest.set(message.channel_id, message.id));
+
+        const receipts = [...newest].map(([channelUuid, messageId]) => this.realtime.markRead(channelUuid, messageId));
+
+        this.selectedCustomer.unread_count = 0;
+        document.querySelector(`[data-customer-email="${this.selectedCustomer.email}"] .unread-badge`)?.remove();
+
+        return Promise.all(receipts);
+    }
+
     /**
      * Set up real-time event handlers
      */
@@ -330,7 +450,7 @@ class CustomerMessagingApp {
         if (!this.realtime) return;
 
         // Handle new messages
-        this.realtime.on('message.sent', (data) => {
+        this.realtime.on('message.sent', async (data) => {
             console.log('Real-time message received:', data);
             
             // Only show message if it's from the current conversation
@@ -338,21 +458,22 @@ class CustomerMessagingApp {
                 (data.message.sender_id === this.selectedCustomer.id || 
                  data.message.sender_id === this.currentUser.id)) {
                 this.addMessageToUI(data.message);
+
+                // Read before the sidebar reloads, so it shows no badge for it
+                await this.markConversationRead();
             }
             
             // Update sidebar to show new activity
             this.loadActiveCustomers();
         });
 
-        // Handle typing indicators
-        this.realtime.on('typing.started', (data) => {
-            if (this.selectedCustomer && data.customer.id === this.selectedCustomer.id) {
-                this.showTypingIndicator(data.customer);
-            }
-        });
+        // Handle typing indicators (users is everyone typing but the current user)
+        this.realtime.on('typing.changed', (users, { channelUuid }) => {
+            if (channelUuid !== this.selectedChannelUuid) return;
 
-        this.realtime.on('typing.stopped', (data) => {
-            if (this.selectedCustomer && data.customer.id === this.selectedCustomer.id) {
+            if (users.length > 0) {
+                this.showTypingIndicator(users);
+            } else {
                 this.hideTypingIndicator();
             }
         });
@@ -361,9 +482,9 @@ class CustomerMessagingApp {
     /**
      * Show typing indicator
      * 
-     * @param {Object} customer - Customer who is typing
+     * @param {Object[]} users - Customers who are typing
      */
-    showTypingIndicator(customer) {
+    showTypingIndicator(users) {
         const messagesArea = document.getElementById('messages-area');
         if (!messagesArea) return;
 
@@ -376,12 +497,18 @@ class CustomerMessagingApp {
         const indicator = document.createElement('div');
         indicator.id = 'typing-indicator';
         indicator.className = 'typing-indicator';
-        indicator.innerHTML = `
-            <div class="typing-dots">
-                <span></span><span></span><span></span>
-            </div>
-            <span class="typing-text">${customer.name} is typing...</span>
-        `;
+
+        const dots = document.createElement('div');
+        dots.className = 'typing-dots';
+        dots.append(...Array.from({ length: 3 }, () => document.createElement('span')));
+
+        // Names come from other customers, so they are only ever set as text
+        const text = document.createElement('span');
+        text.className = 'typing-text';
+        text.textContent = `${SlimeTalksRealtime.formatTypingUsers(users)}...`;
+
+        indicator.appendChild(dots);
+        indicator.appendChild(text);
 
         messagesArea.appendChild(indicator);
         messagesArea.scrollTop = messagesArea.scrollHeight;
@@ -432,20 +559,23 @@ class CustomerMessagingApp {
 
     /**
      * Start typing indicator
+     * 
+     * Safe to call on every keystroke: the realtime client throttles the
+     * requests and stops the indicator once the user stops typing.
      */
     startTyping() {
-        if (!this.selectedCustomer || !this.realtime) return;
+        if (!this.selectedChannelUuid || !this.realtime) return;
         
-        this.realtime.startTyping(this.selectedCustomer.id);
+        this.realtime.startTyping(this.selectedChannelUuid);
     }
 
     /**
      * Stop typing indicator
      */
     stopTyping() {
-        if (!this.selectedCustomer || !this.realtime) return;
+        if (!this.selectedChannelUuid || !this.realtime) return;
         
-        this.realtime.stopTyping(this.selectedCustomer.id);
+        this.realtime.stopTyping(this.selectedChannelUuid);
     }
 }
 
@@ -454,7 +584,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Initialize SDK
     const sdk = new SlimeTalksSDK({
         apiUrl: 'https://your-api-domain.com/api/v1',
-        secretKey: 'sk_test_1234567890abcdef',
+        // Your backend mints a session token for the signed-in customer
+        // (POST /api/v1/sessions with the secret key) and returns it here
+        tokenProvider: () => fetch('/slime-talks/session', { credentials: 'same-origin' })
+            .then((response) => response.json()),
         publicKey: 'pk_test_1234567890abcdef',
         origin: 'https://yourdomain.com',
         pusherKey: 'your-pusher-key',
@@ -489,14 +622,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
         
         // Typing indicators
-        let typingTimeout;
         messageInput.addEventListener('input', () => {
             app.startTyping();
-            
-            clearTimeout(typingTimeout);
-            typingTimeout = setTimeout(() => {
-                app.stopTyping();
-            }, 1000);
         });
     }
 
@@ -0,0 +1,494 @@
+/**
+ * Slime Talks Message List
+ *
+ * Virtualized renderer for the chat message list. Only the rows near the
+ * visible part of the scroll container are in the DOM; the rows above and
+ * below are stood in for by two spacers, sized from the measured height of
+ * every row rendered so far and an estimate for the others.
+ *
+ * Rows may have any height. Inserting or resizing rows keeps the rows in
+ * view where they are, and while the list is scrolled to the bottom, new
+ * rows keep it there.
+ *
+ * @example
+ * const list = new SlimeTalksMessageList(document.getElementById('chat-messages'), {
+ *     renderItem: (item) => createMessageElement(item.message),
+ * });
+ *
+ * list.append(messages.map(message => ({ key: message.id, message })));
+ */
+class SlimeTalksMessageList {
+    /**
+     * Create a new message list inside a scroll container
+     *
+     * @param {HTMLElement} container - Scrollable element the list is appended to
+     * @param {Object} options - List options
+     * @param {Function} options.renderItem - Builds the row element of an item
+     * @param {number} [options.estimatedHeight=80] - Height assumed for rows not rendered yet
+     * @param {number} [options.gap=16] - Space below every row
+     * @param {number} [options.overscan=600] - Pixels rendered beyond each edge of the view
+     * @param {number} [options.stickThreshold=50] - Distance from the bottom that still counts as the bottom
+     * @param {Function} [options.schedule] - Runs a render later (defaults to requestAnimationFrame)
+     */
+    constructor(container, options) {
+        this.container = container;
+        this.renderItem = options.renderItem;
+        this.estimatedHeight = options.estimatedHeight || 80;
+        this.gap = options.gap ?? 16;
+        this.overscan = options.overscan ?? 600;
+        this.stickThreshold = options.stickThreshold ?? 50;
+        this.schedule = options.schedule || (typeof requestAnimationFrame !== 'undefined'
+            ? (callback) => requestAnimationFrame(callback)
+            : (callback) => setTimeout(callback, 16));
+
+        this.items = [];
+        this.positions = new Map();
+        this.heights = new Map();
+        this.rows = new Map();
+        this.offsets = null;
+        this.stuck = true;
+        this.scheduled = false;
+
+        const document = container.ownerDocument;
+        this.root = document.createElement('div');
+        this.root.className = 'message-list';
+        this.before = this.createSpacer(document);
+        this.after = this.createSpacer(document);
+        this.root.appendChild(this.before);
+        this.root.appendChild(this.after);
+        container.appendChild(this.root);
+
+        this.onScroll = () => {
+            this.stuck = this.isAtBottom();
+            this.requestRender();
+        };
+        container.addEventListener('scroll', this.onScroll);
+
+        // Rows change height when images load or fonts swap
+        this.resizeObserver = typeof ResizeObserver !== 'undefined'
+            ? new ResizeObserver(() => this.requestRender())
+            : null;
+    }
+
+    /**
+     * Number of items in the list
+     *
+     * @returns {number} Item count
+     */
+    get length() {
+        return this.items.length;
+    }
+
+    /**
+     * Whether an item with this key is in the list
+     *
+     * @param {string} key - Item key
+     * @returns {boolean} True if present
+     */
+    has(key) {
+        this.layout();
+
+        return this.positions.has(key);
+    }
+
+    /**
+     * Get the item at a position
+     *
+     * @param {number} index - Position, negative counts from the end
+     * @returns {Object|undefined} Item
+     */
+    at(index) {
+        return this.items.at(index);
+    }
+
+    /**
+     * Find the first item matching a predicate
+     *
+     * @param {Function} predicate - Called with each item, oldest first
+     * @returns {Object|undefined} Item
+     */
+    find(predicate) {
+        return this.items.find(predicate);
+    }
+
+    /**
+     * Add items at the end of the list
+     *
+     * @param {Object[]} items - Items with a unique `key`
+     */
+    append(items) {
+        this.insert(items);
+    }
+
+    /**
+     * Add items at the start of the list without moving the rows in view
+     *
+     * @param {Object[]} items - Items with a unique `key`
+     */
+    prepend(items) {
+        this.insert(items, this.items[0]?.key);
+    }
+
+    /**
+     * Add items before another item, or at the end
+     *
+     * Items whose key is already in the list are skipped.
+     *
+     * @param {Object[]} items - Items with a unique `key`
+     * @param {string} [beforeKey] - Key of the item to insert before
+     */
+    insert(items, beforeKey) {
+        this.mutate(() => {
+            this.layout();
+
+            const keys = new Set(this.positions.keys());
+            const added = items.filter(item => !keys.has(item.key) && keys.add(item.key));
+            const index = beforeKey === undefined || !this.positions.has(beforeKey)
+                ? this.items.length
+                : this.positions.get(beforeKey);
+
+            this.items.splice(index, 0, ...added);
+        });
+    }
+
+    /**
+     * Replace an item with a new version, re-rendering its row
+     *
+     * @param {Object} item - Item with the key of an existing item
+     */
+    update(item) {
+        this.replace(item.key, item);
+    }
+
+    /**
+     * Replace an item, possibly under a new key
+     *
+     * @param {string} key - Key of the item to replace
+     * @param {Object} item - New item
+     */
+    replace(key, item) {
+        if (!this.has(key)) return;
+
+        this.mutate(() => {
+            this.items[this.positions.get(key)] = item;
+            this.discard(key);
+
+            if (key !== item.key) {
+                this.heights.set(item.key, this.heights.get(key));
+                this.heights.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Remove an item
+     *
+     * @param {string} key - Item key
+     */
+    remove(key) {
+        if (!this.has(key)) return;
+
+        this.mutate(() => {
+            this.items.splice(this.positions.get(key), 1);
+            this.discard(key);
+            this.heights.delete(key);
+        });
+    }
+
+    /**
+     * Remove every item
+     */
+    clear() {
+        for (const key of this.rows.keys()) {
+            this.discard(key);
+        }
+
+        this.items = [];
+        this.heights.clear();
+        this.offsets = null;
+        this.stuck = true;
+        this.render();
+    }
+
+    /**
+     * Scroll to the newest item and keep following new ones
+     */
+    scrollToBottom() {
+        this.stuck = true;
+        this.render();
+    }
+
+    /**
+     * Scroll an item into view, a third of the way down the view
+     *
+     * New items no longer keep the list at the bottom until the user
+     * scrolls back there.
+     *
+     * @param {string} key - Item key
+     * @returns {boolean} True if the item is in the list
+     */
+    scrollToItem(key) {
+        if (!this.has(key)) return false;
+
+        this.stuck = false;
+        this.render({ key, offset: Math.round(this.container.clientHeight / 3) });
+
+        return true;
+    }
+
+    /**
+     * Whether the container is scrolled to the bottom
+     *
+     * @returns {boolean} True within `stickThreshold` pixels of the bottom
+     */
+    isAtBottom() {
+        const { scrollHeight, scrollTop, clientHeight } = this.container;
+
+        return scrollHeight - scrollTop - clientHeight <= this.stickThreshold;
+    }
+
+    /**
+     * Render on the next frame
+     */
+    requestRender() {
+        if (this.scheduled) return;
+
+        this.scheduled = true;
+        this.schedule(() => this.render());
+    }
+
+    /**
+     * Render the rows in view and keep them in place
+     *
+     * Rows are measured once they are in the DOM. When a measured height
+     * differs from the estimate, the spacers change and the rows are laid
+     * out again, so this repeats until the layout settles.
+     *
+     * @param {Object|null} [anchor] - Row to keep in place, from anchor()
+     */
+    render(anchor = this.anchor()) {
+        this.scheduled = false;
+
+        for (let pass = 0; pass < 3; pass++) {
+            this.restore(anchor);
+
+            if (!this.paint()) break;
+        }
+
+        this.restore(anchor);
+    }
+
+    /**
+     * Remove the list and stop listening to its container
+     */
+    destroy() {
+        this.container.removeEventListener('scroll', this.onScroll);
+        this.resizeObserver?.disconnect();
+        this.root.remove();
+    }
+
+    /**
+     * Change the items and render, keeping the rows in view in place
+     *
+     * @private
+     * @param {Function} change - Changes this.items
+     */
+    mutate(change) {
+        const anchor = this.anchor();
+
+        change();
+        this.offsets = null;
+        this.render(anchor);
+    }
+
+    /**
+     * Find the first row in view and its distance from the top of the view
+     *
+     * @private
+     * @returns {Object|null} Anchor, or null while stuck to the bottom
+     */
+    anchor() {
+        if (this.stuck || this.items.length === 0) return null;
+
+        const offsets = this.layout();
+        const top = this.viewTop();
+        const index = this.indexAt(top);
+
+        return { key: this.items[index].key, offset: offsets[index] - top };
+    }
+
+    /**
+     * Scroll so the anchor row is where it was, or to the bottom
+     *
+     * @private
+     * @param {Object|null} anchor - Anchor from anchor()
+     */
+    restore(anchor) {
+        if (this.stuck) {
+            this.container.scrollTop = this.container.scrollHeight;
+            return;
+        }
+
+        if (!anchor || !this.has(anchor.key)) return;
+
+        const top = this.layout()[this.positions.get(anchor.key)] - anchor.offset;
+        this.container.scrollTop = Math.max(0, this.root.offsetTop + top);
+    }
+
+    /**
+     * Put the rows in view into the DOM, size the spacers and measure the rows
+     *
+     * @private
+     * @returns {boolean} True if a row height changed
+     */
+    paint() {
+        const offsets = this.layout();
+        const count = this.items.length;
+        const top = this.viewTop();
+        const start = this.indexAt(top - this.overscan);
+        const end = count === 0 ? 0 : this.indexAt(top + this.container.clientHeight + this.overscan) + 1;
+        const visible = new Set();
+        let previous = this.before;
+
+        for (let index = start; index < end; index++) {
+            const item = this.items[index];
+            let row = this.rows.get(item.key);
+
+            if (!row) {
+                row = this.renderItem(item);
+                row.style.marginBottom = `${this.gap}px`;
+                this.rows.set(item.key, row);
+                this.resizeObserver?.observe(row);
+            }
+
+            if (previous.nextSibling !== row) {
+                previous.after(row);
+            }
+
+            previous = row;
+            visible.add(item.key);
+        }
+
+        for (const key of [...this.rows.keys()]) {
+            if (!visible.has(key)) {
+                this.discard(key);
+            }
+        }
+
+        this.before.style.height = `${offsets[start]}px`;
+        this.after.style.height = `${offsets[count] - offsets[end]}px`;
+
+        let changed = false;
+
+        for (const key of visible) {
+            const height = this.rows.get(key).offsetHeight;
+
+            if (height !== this.heights.get(key)) {
+                this.heights.set(key, height);
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.offsets = null;
+        }
+
+        return changed;
+    }
+
+    /**
+     * Cumulative row offsets; offsets[i] is the top of item i, offsets[length] the total height
+     *
+     * @private
+     * @returns {number[]} Offsets relative to the list
+     */
+    layout() {
+        if (!this.offsets) {
+            this.offsets = [0];
+            this.positions.clear();
+
+            this.items.forEach((item, index) => {
+                const height = this.heights.get(item.key) ?? this.estimatedHeight;
+
+                this.positions.set(item.key, index);
+                this.offsets.push(this.offsets[index] + height + this.gap);
+            });
+        }
+
+        return this.offsets;
+    }
+
+    /**
+     * Index of the item at a vertical position
+     *
+     * @private
+     * @param {number} y - Position relative to the list
+     * @returns {number} Last item starting at or above y, clamped to the list
+     */
+    indexAt(y) {
+        const offsets = this.layout();
+        let low = 0;
+        let high = Math.max(0, this.items.length - 1);
+
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+
+            if (offsets[middle] <= y) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * Top of the view relative to the list
+     *
+     * @private
+     * @returns {number} Pixels
+     */
+    viewTop() {
+        return this.container.scrollTop - this.root.offsetTop;
+    }
+
+    /**
+     * Take the row of an item out of the DOM
+     *
+     * @private
+     * @param {string} key - Item key
+     */
+    discard(key) {
+        const row = this.rows.get(key);
+
+        if (row) {
+            this.resizeObserver?.unobserve(row);
+            row.remove();
+            this.rows.delete(key);
+        }
+    }
+
+    /**
+     * @private
+     * @param {Document} document - Document of the container
+     * @returns {HTMLElement} Spacer element
+     */
+    createSpacer(document) {
+        const spacer = document.createElement('div');
+        spacer.className = 'message-list-spacer';
+        spacer.style.flexShrink = '0';
+
+        return spacer;
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SlimeTalksMessageList;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.SlimeTalksMessageList = SlimeTalksMessageList;
+}
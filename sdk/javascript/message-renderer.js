@@ -0,0 +1,372 @@
+/**
+ * Slime Talks Message Renderer
+ *
+ * Turns message text into formatted, safe markup. Supports a Markdown
+ * subset — **bold**, *italic* or _italic_, ~~strikethrough~~, `code`,
+ * [links](https://example.com) and fenced code blocks — plus autolinked
+ * URLs, @mention highlighting and :emoji: shortcodes.
+ *
+ * Message text is never parsed as HTML. The renderer builds a tree of a
+ * few known elements with text children, so markup typed into a message
+ * always shows as text, and links only ever point to http, https or
+ * mailto URLs. render() creates DOM nodes without touching innerHTML;
+ * toHTML() escapes every text and attribute value.
+ *
+ * @example
+ * const renderer = new SlimeTalksMessageRenderer({ self: 'john' });
+ *
+ * element.replaceChildren(renderer.render('**Hi** @john, see https://example.com :tada:'));
+ */
+class SlimeTalksMessageRenderer {
+    /**
+     * Create a new message renderer
+     *
+     * @param {Object} [options] - Renderer options
+     * @param {string|string[]} [options.self] - Handles of the current user, whose mentions get the `mention-self` class
+     * @param {Object<string, string>} [options.emoji] - Extra shortcodes, merged over SlimeTalksMessageRenderer.EMOJI
+     */
+    constructor(options = {}) {
+        this.self = [].concat(options.self ?? []).map(handle => handle.toLowerCase());
+        this.emoji = { ...SlimeTalksMessageRenderer.EMOJI, ...options.emoji };
+    }
+
+    /**
+     * Render message text into a document fragment
+     *
+     * @param {string} text - Message text
+     * @param {Document} [doc] - Document to create the nodes in (defaults to the global document)
+     * @returns {DocumentFragment} Rendered nodes
+     */
+    render(text, doc = document) {
+        const fragment = doc.createDocumentFragment();
+
+        this.parse(text).forEach(node => fragment.appendChild(this.createNode(node, doc)));
+
+        return fragment;
+    }
+
+    /**
+     * Render message text as an HTML string
+     *
+     * @param {string} text - Message text
+     * @returns {string} Escaped HTML
+     */
+    toHTML(text) {
+        return this.parse(text).map(node => this.serialize(node)).join('');
+    }
+
+    /**
+     * Parse message text into a tree of nodes
+     *
+     * Text nodes are strings; elements are `{ tag, attrs, children }` with a
+     * tag from SlimeTalksMessageRenderer.TAGS. Fenced code blocks are kept
+     * verbatim, and a fence that is never closed stays text.
+     *
+     * @param {string} text - Message text
+     * @returns {Array<string|Object>} Nodes
+     */
+    parse(text) {
+        const nodes = [];
+        const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+        let prose = [];
+
+        const flush = () => {
+            if (prose.length > 0) {
+                nodes.push(...this.parseInline(prose.join('\n')));
+                prose = [];
+            }
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const fence = /^ {0,3}```\s*([\w+#.-]*)\s*$/.exec(lines[i]);
+            const end = fence
+                ? lines.findIndex((line, index) => index > i && /^ {0,3}```\s*$/.test(line))
+                : -1;
+
+            if (end === -1) {
+                prose.push(lines[i]);
+                continue;
+            }
+
+            flush();
+            nodes.push(this.element('pre', {}, [
+                this.element('code', fence[1] ? { class: `language-${fence[1]}` } : {}, [lines.slice(i + 1, end).join('\n')]),
+            ]));
+            i = end;
+        }
+
+        flush();
+
+        return nodes;
+    }
+
+    /**
+     * Parse the formatting within a line or paragraph
+     *
+     * @private
+     * @param {string} text - Text without code blocks
+     * @param {boolean} [inLink=false] - Inside a link label, where links are not allowed
+     * @returns {Array<string|Object>} Nodes
+     */
+    parseInline(text, inLink = false) {
+        const nodes = [];
+        let last = 0;
+
+        const pushText = (value) => {
+            value.split('\n').forEach((line, index) => {
+                if (index > 0) nodes.push(this.element('br'));
+                if (line) nodes.push(line);
+            });
+        };
+
+        for (const match of text.matchAll(SlimeTalksMessageRenderer.INLINE)) {
+            const node = this.inlineNode(match.groups, inLink);
+
+            // Unsafe links and unknown shortcodes stay text
+            if (node === null) continue;
+
+            pushText(text.slice(last, match.index));
+            nodes.push(node);
+            last = match.index + match[0].length;
+        }
+
+        pushText(text.slice(last));
+
+        return nodes;
+    }
+
+    /**
+     * Build the node of an inline match
+     *
+     * @private
+     * @param {Object<string, string>} groups - Named groups of the match
+     * @param {boolean} inLink - Inside a link label
+     * @returns {string|Object|null} Node, or null to leave the match as text
+     */
+    inlineNode(groups, inLink) {
+        if (groups.code !== undefined) {
+            return this.element('code', {}, [groups.code]);
+        }
+
+        if (groups.label !== undefined) {
+            return inLink ? null : this.link(groups.href, this.parseInline(groups.label, true));
+        }
+
+        if (groups.url !== undefined) {
+            return inLink ? null : this.link(groups.url, [groups.url]);
+        }
+
+        for (const tag of ['strong', 'del', 'em']) {
+            const inner = groups[tag] ?? (tag === 'em' ? groups.underscore : undefined);
+
+            if (inner !== undefined) {
+                return this.element(tag, {}, this.parseInline(inner, inLink));
+            }
+        }
+
+        if (groups.mention !== undefined) {
+            const self = this.self.includes(groups.mention.toLowerCase());
+
+            return this.element('span', {
+                class: self ? 'mention mention-self' : 'mention',
+                'data-mention': groups.mention,
+            }, [`@${groups.mention}`]);
+        }
+
+        return Object.hasOwn(this.emoji, groups.emoji) ? this.emoji[groups.emoji] : null;
+    }
+
+    /**
+     * Build a link that opens in a new tab
+     *
+     * @private
+     * @param {string} href - URL as written in the message
+     * @param {Array<string|Object>} children - Link label
+     * @returns {Object|null} Link element, or null when the URL is not safe
+     */
+    link(href, children) {
+        const url = SlimeTalksMessageRenderer.safeUrl(href);
+
+        return url === null ? null : this.element('a', {
+            href: url,
+            target: '_blank',
+            rel: 'noopener noreferrer nofollow',
+        }, children);
+    }
+
+    /**
+     * Build an element node
+     *
+     * @private
+     * @param {string} tag - Tag name
+     * @param {Object<string, string>} [attrs] - Attributes
+     * @param {Array<string|Object>} [children] - Child nodes
+     * @returns {Object} Element node
+     */
+    element(tag, attrs = {}, children = []) {
+        return { tag, attrs, children };
+    }
+
+    /**
+     * Create the DOM node of a parsed node
+     *
+     * @private
+     * @param {string|Object} node - Parsed node
+     * @param {Document} doc - Document to create the node in
+     * @returns {Node} DOM node
+     */
+    createNode(node, doc) {
+        if (typeof node === 'string') {
+            return doc.createTextNode(node);
+        }
+
+        const element = doc.createElement(node.tag);
+
+        for (const [name, value] of Object.entries(node.attrs)) {
+            element.setAttribute(name, value);
+        }
+
+        node.children.forEach(child => element.appendChild(this.createNode(child, doc)));
+
+        return element;
+    }
+
+    /**
+     * Serialize a parsed node as HTML
+     *
+     * @private
+     * @param {string|Object} node - Parsed node
+     * @returns {string} Escaped HTML
+     */
+    serialize(node) {
+        if (typeof node === 'string') {
+            return SlimeTalksMessageRenderer.escape(node);
+        }
+
+        const attrs = Object.entries(node.attrs)
+            .map(([name, value]) => ` ${name}="${SlimeTalksMessageRenderer.escape(value)}"`)
+            .join('');
+
+        if (node.tag === 'br') {
+            return `<br${attrs}>`;
+        }
+
+        return `<${node.tag}${attrs}>${node.children.map(child => this.serialize(child)).join('')}</${node.tag}>`;
+    }
+
+    /**
+     * Normalize a URL, or reject it unless it is http, https or mailto
+     *
+     * URLs starting with `www.` get https. Relative URLs are rejected.
+     *
+     * @param {string} href - URL as written in the message
+     * @returns {string|null} Normalized URL, or null when it is not safe
+     */
+    static safeUrl(href) {
+        let url;
+
+        try {
+            url = new URL(/^www\./i.test(href) ? `https://${href}` : href);
+        } catch {
+            return null;
+        }
+
+        return SlimeTalksMessageRenderer.PROTOCOLS.includes(url.protocol) ? url.href : null;
+    }
+
+    /**
+     * Escape text for use in HTML text and attribute values
+     *
+     * @param {string} value - Text
+     * @returns {string} Escaped text
+     */
+    static escape(value) {
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            '\'': '&#39;',
+        })[char]);
+    }
+}
+
+/**
+ * Tags the renderer produces
+ *
+ * @type {string[]}
+ */
+SlimeTalksMessageRenderer.TAGS = ['strong', 'em', 'del', 'code', 'pre', 'a', 'span', 'br'];
+
+/**
+ * URL protocols links may use
+ *
+ * @type {string[]}
+ */
+SlimeTalksMessageRenderer.PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Inline syntax, earliest match first; code spans win over everything else
+ *
+ * @type {RegExp}
+ */
+SlimeTalksMessageRenderer.INLINE = new RegExp([
+    '`(?<code>[^`\\n]+)`',
+    '\\[(?<label>[^\\]\\n]+)\\]\\((?<href>[^()\\s]+)\\)',
+    '(?<url>\\b(?:https?:\\/\\/|www\\.)[^\\s<>]*[^\\s<>.,:;!?\'")\\]])',
+    '\\*\\*(?<strong>[^\\n]+?)\\*\\*',
+    '~~(?<del>[^\\n]+?)~~',
+    '(?<![\\w*])\\*(?<em>[^*\\s](?:[^*\\n]*[^*\\s])?)\\*(?![\\w*])',
+    '(?<![\\w_])_(?<underscore>[^_\\s](?:[^_\\n]*[^_\\s])?)_(?![\\w_])',
+    '(?<![\\w@.])@(?<mention>\\w(?:[\\w.-]*\\w)?)',
+    ':(?<emoji>[a-z0-9_+-]+):',
+].join('|'), 'g');
+
+/**
+ * Emoji shortcodes
+ *
+ * @type {Object<string, string>}
+ */
+SlimeTalksMessageRenderer.EMOJI = {
+    '+1': '👍',
+    '-1': '👎',
+    '100': '💯',
+    blush: '😊',
+    bug: '🐛',
+    clap: '👏',
+    cry: '😢',
+    eyes: '👀',
+    fire: '🔥',
+    grin: '😁',
+    heart: '❤️',
+    joy: '😂',
+    laughing: '😆',
+    ok_hand: '👌',
+    open_mouth: '😮',
+    pray: '🙏',
+    rocket: '🚀',
+    slightly_smiling_face: '🙂',
+    smile: '😄',
+    sob: '😭',
+    star: '⭐',
+    sunglasses: '😎',
+    tada: '🎉',
+    thinking: '🤔',
+    thumbsdown: '👎',
+    thumbsup: '👍',
+    warning: '⚠️',
+    wave: '👋',
+    white_check_mark: '✅',
+    wink: '😉',
+    x: '❌',
+};
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SlimeTalksMessageRenderer;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.SlimeTalksMessageRenderer = SlimeTalksMessageRenderer;
+}
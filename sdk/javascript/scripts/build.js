@@ -0,0 +1,104 @@
+/**
+ * Slime Talks SDK build
+ * 
+ * Bundles the browser script files into CommonJS and ES module builds under dist/.
+ * The sources stay plain scripts (usable via <script> tags); the build drops their
+ * global/module.exports footer and appends the format-specific exports instead.
+ * 
+ * @package SlimeTalks\SDK\JavaScript
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const dist = path.join(root, 'dist');
+
+const FOOTER_MARKER = '// Export for use in modules';
+
+const bundles = {
+    index: {
+        sources: ['slime-talks-realtime.js', 'slime-talks-sdk.js'],
+        exports: [
+            'SlimeTalksSDK',
+            'SlimeTalksList',
+            'SlimeTalksMessageCache',
+            'SlimeTalksMemoryStore',
+            'SlimeTalksIndexedDBStore',
+            'SlimeTalksOutbox',
+            'SlimeTalksError',
+            'ValidationError',
+            'AuthenticationError',
+            'NotFoundError',
+            'RateLimitError',
+            'TimeoutError',
+            'NetworkError',
+            'ServerError',
+            'SlimeTalksRealtime',
+            'SlimeTalksEmitter',
+            'SlimeTalksChannel',
+            'SlimeTalksEchoTransport',
+            'SlimeTalksMemoryBroker',
+            'SlimeTalksMemoryTransport',
+        ],
+    },
+    realtime: {
+        sources: ['slime-talks-realtime.js'],
+        exports: [
+            'SlimeTalksRealtime',
+            'SlimeTalksEmitter',
+            'SlimeTalksChannel',
+            'SlimeTalksEchoTransport',
+            'SlimeTalksMemoryBroker',
+            'SlimeTalksMemoryTransport',
+        ],
+    },
+};
+
+/**
+ * Read a source file without its export footer
+ * 
+ * @param {string} file - Source file name
+ * @returns {string} Source code
+ */
+function readSource(file) {
+    const code = fs.readFileSync(path.join(root, file), 'utf8');
+    const footer = code.lastIndexOf(FOOTER_MARKER);
+
+    if (footer === -1) {
+        throw new Error(`${file} has no "${FOOTER_MARKER}" footer`);
+    }
+
+    return code.slice(0, footer).trimEnd();
+}
+
+/**
+ * Build one bundle in both module formats
+ * 
+ * @param {string} name - Bundle name
+ * @param {Object} bundle - Bundle definition
+ */
+function build(name, bundle) {
+    const body = bundle.sources.map(readSource).join('\n\n');
+    const names = bundle.exports.join(', ');
+
+    fs.writeFileSync(
+        path.join(dist, `${name}.cjs`),
+        `'use strict';\n\n${body}\n\nmodule.exports = { ${names} };\n`
+    );
+    fs.writeFileSync(
+        path.join(dist, `${name}.mjs`),
+        `${body}\n\nexport { ${names} };\n`
+    );
+}
+
+fs.rmSync(dist, { recursive: true, force: true });
+fs.mkdirSync(dist, { recursive: true });
+
+for (const [name, bundle] of Object.entries(bundles)) {
+    build(name, bundle);
+}
+
+console.log(`Built ${Object.keys(bundles).length * 2} files into ${path.relative(process.cwd(), dist) || 'dist'}`);
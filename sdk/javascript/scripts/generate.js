@@ -0,0 +1,661 @@
+/**
+ * Slime Talks SDK generator
+ *
+ * Generates the endpoint methods of slime-talks-sdk.js, the operation table they
+ * validate against, and the matching declarations in types/index.d.ts from the
+ * API's swagger.yaml. Only the regions between `<generated:name>` and
+ * `</generated:name>` markers are rewritten; everything else is hand-written.
+ *
+ * Usage:
+ *   node scripts/generate.js          Rewrite the generated regions
+ *   node scripts/generate.js --check  Exit with 1 when a region is out of date
+ *
+ * Operations without a JSON response, such as file downloads, are left out.
+ * Multipart request bodies are sent as FormData; `format: binary` fields take a Blob.
+ *
+ * Spec extensions:
+ *   x-sdk-name  Argument name of a parameter (defaults to its camelCased name)
+ *
+ * @package SlimeTalks\SDK\JavaScript
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const root = path.resolve(__dirname, '..');
+const specPath = path.resolve(root, '../../swagger.yaml');
+
+const SDK_FILE = 'slime-talks-sdk.js';
+const TYPES_FILE = path.join('types', 'index.d.ts');
+
+/**
+ * Schemas describing error bodies; the SDK types those with its error classes
+ */
+const ERROR_SCHEMAS = ['Error', 'ValidationError'];
+
+/**
+ * Schema keywords kept in the operation table, i.e. the ones _validate() checks
+ */
+const VALIDATION_KEYWORDS = [
+    'type', 'nullable', 'enum', 'required', 'properties', 'items',
+    'minItems', 'maxItems', 'minLength', 'maxLength', 'minimum', 'maximum',
+];
+
+const JSDOC_TYPES = { string: 'string', integer: 'number', number: 'number', boolean: 'boolean', object: 'Object', binary: 'Blob' };
+const TS_TYPES = { string: 'string', integer: 'number', number: 'number', boolean: 'boolean', binary: 'Blob' };
+
+// ==================== Spec ====================
+
+/**
+ * Read and parse swagger.yaml
+ *
+ * @returns {Object} OpenAPI document
+ */
+function loadSpec() {
+    return YAML.parse(fs.readFileSync(specPath, 'utf8'));
+}
+
+/**
+ * Follow a local $ref
+ *
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} node - Node that may be a reference
+ * @returns {Object} Referenced node, or the node itself
+ */
+function deref(spec, node) {
+    if (!node || !node.$ref) {
+        return node;
+    }
+
+    return node.$ref
+        .replace(/^#\//, '')
+        .split('/')
+        .reduce((target, key) => target[key], spec);
+}
+
+/**
+ * Name of a referenced schema
+ *
+ * @param {Object} node - Schema node
+ * @returns {string|null} Schema name, or null for inline schemas
+ */
+function refName(node) {
+    return node && node.$ref ? node.$ref.split('/').pop() : null;
+}
+
+/**
+ * Collect the operations of the spec in document order
+ *
+ * An operation is paginated when it accepts a `starting_after` cursor,
+ * idempotent when it accepts the Idempotency-Key header, and multipart when
+ * its body is sent as multipart/form-data.
+ *
+ * @param {Object} spec - OpenAPI document
+ * @returns {Object[]} Operations
+ */
+function collectOperations(spec) {
+    const operations = [];
+
+    for (const [pathName, item] of Object.entries(spec.paths)) {
+        for (const [method, operation] of Object.entries(item)) {
+            const parameters = (operation.parameters || []).map(parameter => deref(spec, parameter));
+            const success = Object.keys(operation.responses).find(status => status.startsWith('2'));
+            const response = deref(spec, operation.responses[success]);
+
+            if (!response.content['application/json']) {
+                continue;
+            }
+
+            const responseSchema = response.content['application/json'].schema;
+            const content = operation.requestBody ? operation.requestBody.content : {};
+            const multipart = Boolean(content['multipart/form-data']);
+            const body = (content['application/json'] || content['multipart/form-data'] || {}).schema;
+            const query = parameters.filter(parameter => parameter.in === 'query');
+            const paginated = query.some(parameter => parameter.name === 'starting_after');
+            const itemSchema = paginated
+                ? deref(spec, responseSchema).properties.data.items
+                : null;
+
+            operations.push({
+                id: operation.operationId,
+                tag: operation.tags[0],
+                method: method.toUpperCase(),
+                path: pathName,
+                summary: operation.summary,
+                description: operation.description,
+                pathParams: parameters.filter(parameter => parameter.in === 'path'),
+                requiredQuery: query.filter(parameter => parameter.required),
+                optionalQuery: query.filter(parameter => !parameter.required),
+                body,
+                bodyName: refName(body),
+                responseName: refName(responseSchema),
+                responseDescription: response.description,
+                itemName: refName(itemSchema),
+                paginated,
+                idempotent: parameters.some(parameter => parameter.name === 'Idempotency-Key'),
+                multipart,
+            });
+        }
+    }
+
+    return operations;
+}
+
+/**
+ * Argument name of a path or required query parameter
+ *
+ * @param {Object} parameter - OpenAPI parameter
+ * @returns {string} camelCase argument name
+ */
+function argumentName(parameter) {
+    return parameter['x-sdk-name'] || parameter.name.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Positional arguments of an operation: path parameters, then required query parameters
+ *
+ * @param {Object} operation - Collected operation
+ * @returns {Object[]} OpenAPI parameters
+ */
+function positionalParams(operation) {
+    return [...operation.pathParams, ...operation.requiredQuery];
+}
+
+// ==================== Formatting ====================
+
+/**
+ * Turn a Title Case summary into a sentence
+ *
+ * @param {string} summary - Operation summary
+ * @returns {string} Sentence-case summary
+ */
+function sentence(summary) {
+    return summary
+        .split(' ')
+        .map((word, index) => (index === 0 || word === word.toUpperCase() ? word : word.toLowerCase()))
+        .join(' ');
+}
+
+/**
+ * Collapse a (possibly multi-line) description into a single line
+ *
+ * @param {string} [text] - Description
+ * @returns {string} Single-line text
+ */
+function oneLine(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Word-wrap text
+ *
+ * @param {string} text - Text to wrap
+ * @param {number} width - Maximum line length
+ * @returns {string[]} Lines
+ */
+function wrap(text, width) {
+    const lines = [];
+    let line = '';
+
+    for (const word of oneLine(text).split(' ')) {
+        if (line && line.length + word.length + 1 > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+
+    return line ? [...lines, line] : lines;
+}
+
+/**
+ * Render a value as a JavaScript literal
+ *
+ * Objects and arrays of scalars stay on one line when they fit.
+ *
+ * @param {*} value - JSON-compatible value
+ * @param {string} indent - Indentation of the line the literal starts on
+ * @returns {string} Source code
+ */
+function literal(value, indent) {
+    if (value === null || typeof value !== 'object') {
+        return typeof value === 'string' ? `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'` : String(value);
+    }
+
+    const inner = `${indent}    `;
+    const isArray = Array.isArray(value);
+    const entries = isArray
+        ? value.map(item => literal(item, inner))
+        : Object.entries(value).map(([key, item]) => `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`}: ${literal(item, inner)}`);
+    const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+
+    if (entries.length === 0) {
+        return `${open}${close}`;
+    }
+
+    const flat = isArray ? `[${entries.join(', ')}]` : `{ ${entries.join(', ')} }`;
+    if (!flat.includes('\n') && indent.length + flat.length <= 100) {
+        return flat;
+    }
+
+    return `${open}\n${entries.map(entry => `${inner}${entry},`).join('\n')}\n${indent}${close}`;
+}
+
+/**
+ * Strip a schema down to the keywords the runtime validator understands
+ *
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} schema - Schema node
+ * @returns {Object} Validation schema
+ */
+function validationSchema(spec, schema) {
+    const resolved = deref(spec, schema);
+    const result = {};
+
+    for (const keyword of VALIDATION_KEYWORDS) {
+        if (resolved[keyword] === undefined) {
+            continue;
+        }
+
+        if (keyword === 'properties') {
+            result.properties = Object.fromEntries(
+                Object.entries(resolved.properties).map(([name, property]) => [name, validationSchema(spec, property)])
+            );
+        } else if (keyword === 'items') {
+            result.items = validationSchema(spec, resolved.items);
+        } else if (keyword === 'type' && resolved.format === 'binary') {
+            result.type = 'binary';
+        } else {
+            result[keyword] = resolved[keyword];
+        }
+    }
+
+    return result;
+}
+
+// ==================== JavaScript ====================
+
+/**
+ * JSDoc type of a schema
+ *
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} schema - Schema node
+ * @returns {string} JSDoc type
+ */
+function jsdocType(spec, schema) {
+    const resolved = deref(spec, schema);
+
+    if (resolved.type === 'array') {
+        return `${jsdocType(spec, resolved.items)}[]`;
+    }
+
+    return JSDOC_TYPES[resolved.format === 'binary' ? 'binary' : resolved.type] || '*';
+}
+
+/**
+ * Render the docblock of an endpoint method
+ *
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} operation - Collected operation
+ * @returns {string[]} Docblock lines (without indentation)
+ */
+function methodDoc(spec, operation) {
+    const lines = [sentence(operation.summary)];
+    const params = [];
+
+    if (operation.description) {
+        lines.push('', ...wrap(operation.description, 76));
+    }
+
+    for (const parameter of positionalParams(operation)) {
+        params.push(`@param {${jsdocType(spec, parameter.schema)}} ${argumentName(parameter)} - ${oneLine(parameter.description)}`);
+    }
+
+    if (operation.optionalQuery.length > 0) {
+        params.push('@param {Object} [params] - Query parameters');
+        for (const parameter of operation.optionalQuery) {
+            params.push(`@param {${jsdocType(spec, parameter.schema)}} [params.${parameter.name}] - ${oneLine(parameter.description)}`);
+        }
+    }
+
+    if (operation.body) {
+        const body = deref(spec, operation.body);
+        params.push('@param {Object} data - Request body');
+        for (const [name, property] of Object.entries(body.properties)) {
+            const field = (body.required || []).includes(name) ? `data.${name}` : `[data.${name}]`;
+            params.push(`@param {${jsdocType(spec, property)}} ${field} - ${oneLine(deref(spec, property).description)}`);
+        }
+    }
+
+    if (operation.paginated) {
+        params.push('@param {Object} [options] - List options (see SlimeTalksList) and request options for every page');
+        params.push(`@returns {SlimeTalksList} ${operation.responseDescription}`);
+    } else {
+        params.push('@param {Object} [options] - Request options (signal, retry, timeout, headers)');
+        if (operation.idempotent) {
+            params.push('@param {string} [options.idempotencyKey] - Idempotency key (generated when omitted)');
+        }
+        params.push(`@returns {Promise<Object>} ${operation.responseDescription}`);
+    }
+
+    return [...lines, '', ...params];
+}
+
+/**
+ * Render an endpoint method
+ *
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} operation - Collected operation
+ * @returns {string} Method source, indented for the class body
+ */
+function renderMethod(spec, operation) {
+    const positional = positionalParams(operation);
+    const args = positional.map(argumentName);
+    const assignments = positional.map(parameter => `${parameter.name}: ${argumentName(parameter)}`);
+    let params;
+
+    if (operation.optionalQuery.length > 0) {
+        args.push('params = {}');
+        params = assignments.length > 0 ? `{ ...params, ${assignments.join(', ')} }` : 'params';
+    } else {
+        params = assignments.length > 0 ? `{ ${assignments.join(', ')} }` : '{}';
+    }
+
+    if (operation.body) {
+        args.push('data');
+    }
+    args.push('options = {}');
+
+    const doc = methodDoc(spec, operation).map(line => `     *${line ? ` ${line}` : ' '}`);
+
+    return [
+        '    /**',
+        ...doc,
+        '     */',
+        `    ${operation.id}(${args.join(', ')}) {`,
+        `        return this._call('${operation.id}', ${params}, ${operation.body ? 'data' : 'null'}, options);`,
+        '    }',
+    ].join('\n');
+}
+
+/**
+ * Render the endpoint methods, grouped by tag
+ *
+ * @param {Object} spec - OpenAPI document
+ * @param {Object[]} operations - Collected operations
+ * @returns {string} Class body source
+ */
+function renderMethods(spec, operations) {
+    const sections = [];
+
+    for (const tag of spec.tags.map(entry => entry.name)) {
+        const tagged = operations.filter(operation => operation.tag === tag);
+        if (tagged.length > 0) {
+            sections.push([
+                `    // ==================== ${tag} ====================`,
+                ...tagged.map(operation => renderMethod(spec, operation)),
+            ].join('\n\n'));
+        }
+    }
+
+    return `\n${sections.join('\n\n')}\n\n`;
+}
+
+/**
+ * Render the SlimeTalksSDK.OPERATIONS table
+ *
+ * @param {Object} spec - OpenAPI document
+ * @param {Object[]} operations - Collected operations
+ * @returns {string} Source
+ */
+function renderOperations(spec, operations) {
+    const table = {};
+
+    for (const operation of operations) {
+        const params = {};
+        for (const parameter of [...positionalParams(operation), ...operation.optionalQuery]) {
+            params[parameter.name] = {
+                in: parameter.in,
+                required: Boolean(parameter.required),
+                schema: validationSchema(spec, parameter.schema),
+            };
+        }
+
+        table[operation.id] = {
+            method: operation.method,
+            path: operation.path,
+            params,
+            body: operation.body ? validationSchema(spec, operation.body) : null,
+            paginated: operation.paginated,
+            idempotent: operation.idempotent,
+            multipart: operation.multipart,
+        };
+    }
+
+    return [
+        '',
+        '/**',
+        ' * API operations',
+        ' * ',
+        ' * Read by _call() to build requests and validate their parameters and body',
+        ' * before anything is sent. Schemas keep only the keywords _validate() checks,',
+        " * and the file fields of multipart bodies have type 'binary'.",
+        ' * ',
+        ' * @type {Object}',
+        ' */',
+        `SlimeTalksSDK.OPERATIONS = ${literal(table, '')};`,
+        '',
+    ].join('\n');
+}
+
+// ==================== TypeScript ====================
+
+/**
+ * TypeScript type of a schema
+ *
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} schema - Schema node
+ * @param {string} indent - Indentation of the line the type starts on
+ * @returns {string} Type expression
+ */
+function tsType(spec, schema, indent) {
+    const name = refName(schema);
+    let type;
+
+    if (name) {
+        type = name;
+    } else if (schema.enum) {
+        type = schema.enum.map(value => `'${value}'`).join(' | ');
+    } else if (schema.type === 'array') {
+        const items = tsType(spec, schema.items, indent);
+        type = /^[\w.]+$/.test(items) ? `${items}[]` : `Array<${items}>`;
+    } else if (schema.type === 'object') {
+        type = schema.properties ? tsObject(spec, schema, indent) : 'Metadata';
+    } else {
+        type = TS_TYPES[schema.format === 'binary' ? 'binary' : schema.type] || 'unknown';
+    }
+
+    return schema.nullable ? `${type} | null` : type;
+}
+
+/**
+ * TypeScript object type of a schema with properties
+ *
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} schema - Object schema
+ * @param {string} indent - Indentation of the line the type starts on
+ * @returns {string} Object type literal
+ */
+function tsObject(spec, schema, indent) {
+    const inner = `${indent}    `;
+    const required = schema.required || [];
+    const members = Object.entries(schema.properties).map(([name, property]) => {
+        const description = oneLine(property.description ?? deref(spec, property).description);
+        const optional = required.includes(name) ? '' : '?';
+        const doc = description ? `${inner}/** ${description} */\n` : '';
+
+        return `${doc}${inner}${name}${optional}: ${tsType(spec, property, inner)};`;
+    });
+
+    return `{\n${members.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Render a named schema as an exported declaration
+ *
+ * Cursor-paginated list envelopes become aliases of ListEnvelope.
+ *
+ * @param {Object} spec - OpenAPI document
+ * @param {string} name - Schema name
+ * @param {Object} schema - Schema
+ * @returns {string} Declaration
+ */
+function renderSchema(spec, name, schema) {
+    const properties = schema.properties || {};
+    const doc = schema.description ? `/** ${oneLine(schema.description)} */\n` : '';
+
+    if (properties.has_more && properties.data && refName(properties.data.items)) {
+        return `${doc}export type ${name} = ListEnvelope<${refName(properties.data.items)}>;`;
+    }
+
+    return `${doc}export interface ${name} ${tsObject(spec, schema, '')}`;
+}
+
+/**
+ * Render the schema declarations of one kind
+ *
+ * @param {Object} spec - OpenAPI document
+ * @param {boolean} requests - Render request bodies instead of resources
+ * @returns {string} Declarations
+ */
+function renderSchemas(spec, requests) {
+    const declarations = Object.entries(spec.components.schemas)
+        .filter(([name]) => !ERROR_SCHEMAS.includes(name) && name.endsWith('Request') === requests)
+        .map(([name, schema]) => renderSchema(spec, name, schema));
+
+    return `\n${declarations.join('\n\n')}\n`;
+}
+
+/**
+ * Render the method signatures merged into the SlimeTalksSDK class declaration
+ *
+ * @param {Object} spec - OpenAPI document
+ * @param {Object[]} operations - Collected operations
+ * @returns {string} Interface declaration
+ */
+function renderSignatures(spec, operations) {
+    const signatures = operations.map((operation) => {
+        const args = positionalParams(operation)
+            .map(parameter => `${argumentName(parameter)}: ${tsType(spec, parameter.schema, '    ')}`);
+
+        if (operation.optionalQuery.length > 0) {
+            args.push(`params?: ${operation.paginated ? 'ListParams' : tsObject(spec, {
+                properties: Object.fromEntries(operation.optionalQuery.map(parameter => [parameter.name, parameter.schema])),
+            }, '    ')}`);
+        }
+
+        if (operation.body) {
+            args.push(`data: ${operation.bodyName}`);
+        }
+
+        let returns;
+        if (operation.paginated) {
+            args.push(`options?: ListOptions<${operation.itemName}>`);
+            returns = `SlimeTalksList<${operation.itemName}>`;
+        } else {
+            args.push(`options?: ${operation.idempotent ? 'CreateOptions' : 'RequestOptions'}`);
+            returns = `Promise<${operation.responseName}>`;
+        }
+
+        const signature = `    ${operation.id}(${args.join(', ')}): ${returns};`;
+        const wrapped = signature.length > 120 && !signature.includes('\n')
+            ? `    ${operation.id}(\n${args.map(arg => `        ${arg}`).join(',\n')}\n    ): ${returns};`
+            : signature;
+
+        return `    /** ${sentence(operation.summary)} */\n${wrapped}`;
+    });
+
+    return `\nexport interface SlimeTalksSDK {\n${signatures.join('\n')}\n}\n`;
+}
+
+// ==================== Regions ====================
+
+/**
+ * Replace the contents of a generated region
+ *
+ * @param {string} source - File contents
+ * @param {string} name - Region name
+ * @param {string} content - New region contents
+ * @param {string} file - File name, for error messages
+ * @returns {string} Updated file contents
+ */
+function replaceRegion(source, name, content, file) {
+    const start = source.indexOf(`<generated:${name}>`);
+    const end = source.indexOf(`</generated:${name}>`);
+
+    if (start === -1 || end === -1 || end < start) {
+        throw new Error(`${file} has no <generated:${name}> region`);
+    }
+
+    const from = source.indexOf('\n', start) + 1;
+    const to = source.lastIndexOf('\n', end) + 1;
+
+    return source.slice(0, from) + content + source.slice(to);
+}
+
+/**
+ * Render every generated file
+ *
+ * @returns {Object<string, string>} File contents keyed by path relative to the package root
+ */
+function render() {
+    const spec = loadSpec();
+    const operations = collectOperations(spec);
+
+    let sdk = fs.readFileSync(path.join(root, SDK_FILE), 'utf8');
+    sdk = replaceRegion(sdk, 'endpoints', renderMethods(spec, operations), SDK_FILE);
+    sdk = replaceRegion(sdk, 'operations', renderOperations(spec, operations), SDK_FILE);
+
+    let types = fs.readFileSync(path.join(root, TYPES_FILE), 'utf8');
+    types = replaceRegion(types, 'resources', renderSchemas(spec, false), TYPES_FILE);
+    types = replaceRegion(types, 'requests', renderSchemas(spec, true), TYPES_FILE);
+    types = replaceRegion(types, 'methods', renderSignatures(spec, operations), TYPES_FILE);
+
+    return { [SDK_FILE]: sdk, [TYPES_FILE]: types };
+}
+
+/**
+ * List the files whose committed contents differ from the generator output
+ *
+ * @returns {string[]} Stale file paths relative to the package root
+ */
+function staleFiles() {
+    return Object.entries(render())
+        .filter(([file, content]) => fs.readFileSync(path.join(root, file), 'utf8') !== content)
+        .map(([file]) => file);
+}
+
+if (require.main === module) {
+    if (process.argv.includes('--check')) {
+        const stale = staleFiles();
+
+        if (stale.length > 0) {
+            console.error(`Out of date with swagger.yaml: ${stale.join(', ')}. Run \`npm run generate\`.`);
+            process.exit(1);
+        }
+
+        console.log('Generated code is up to date');
+    } else {
+        for (const [file, content] of Object.entries(render())) {
+            fs.writeFileSync(path.join(root, file), content);
+        }
+
+        console.log(`Generated ${SDK_FILE} and ${TYPES_FILE} from swagger.yaml`);
+    }
+}
+
+module.exports = { render, staleFiles, collectOperations, loadSpec };
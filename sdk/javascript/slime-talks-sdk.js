@@ -3,6 +3,7 @@
  * 
  * A comprehensive JavaScript SDK for the Slime Talks Messaging API.
  * Includes both REST API client and real-time messaging support via Pusher.
+ * Runs in browsers and in Node.js 18+ (no DOM required).
  * 
  * @package SlimeTalks\SDK\JavaScript
  * @author Laravel Slime Talks
@@ -15,25 +16,57 @@ class SlimeTalksSDK {
      * 
      * @param {Object} config Configuration object
      * @param {string} config.apiUrl - API base URL
-     * @param {string} config.secretKey - API secret key
+     * @param {string} [config.secretKey] - API secret key (server-side only, never ship it to browsers)
+     * @param {Function} [config.tokenProvider] - Async callback returning a session token, as a string or
+     *   `{ token, expires_at }`; used instead of secretKey and called again shortly before the token expires
      * @param {string} config.publicKey - API public key
      * @param {string} config.origin - Origin domain
      * @param {string} [config.pusherKey] - Pusher key for real-time features
      * @param {string} [config.pusherCluster] - Pusher cluster
      * @param {number} [config.timeout=30000] - Request timeout in milliseconds
+     * @param {Function} [config.fetch] - Fetch implementation (defaults to the global fetch)
+     * @param {Function} [config.Realtime] - Realtime client class (defaults to a loaded SlimeTalksRealtime)
+     * @param {Function} [config.Pusher] - Pusher client class passed to the realtime client
+     * @param {Object} [config.realtime] - Extra realtime client options, e.g. `{ transport: 'reverb',
+     *   host, port, tls }`, `{ transport: 'echo', echo }` or `{ transport: 'memory', broker }`
+     * @param {Object|false} [config.retry] - Retry policy, or false to disable retries
+     * @param {number} [config.retry.maxAttempts=3] - Total attempts, including the first one
+     * @param {number} [config.retry.baseDelay=300] - Delay before the first retry in milliseconds
+     * @param {number} [config.retry.maxDelay=10000] - Upper bound for a single backoff delay
+     * @param {number} [config.retry.maxRetryAfter=60000] - Upper bound for a delay requested by Retry-After
+     * @param {boolean} [config.retry.jitter=true] - Randomize delays ("full jitter")
+     * @param {number[]} [config.retry.retryOnStatus] - HTTP statuses that are retried
+     * @param {string[]} [config.retry.retryMethods] - HTTP methods that are retried
+     * @param {boolean} [config.retry.retryOnNetworkError=true] - Retry when the request never got a response
+     * @param {Function} [config.retry.onRetry] - Called before each retry with { attempt, delay, error, method, endpoint }
      */
     constructor(config) {
         this.config = {
             apiUrl: config.apiUrl.replace(/\/$/, ''),
             secretKey: config.secretKey,
+            tokenProvider: config.tokenProvider || null,
             publicKey: config.publicKey,
             origin: config.origin,
             pusherKey: config.pusherKey,
             pusherCluster: config.pusherCluster || 'us2',
             timeout: config.timeout || 30000,
+            fetch: config.fetch || null,
+            Realtime: config.Realtime || null,
+            Pusher: config.Pusher || null,
+            realtime: config.realtime || {},
+            retry: config.retry === false
+                ? false
+                : { ...SlimeTalksSDK.DEFAULT_RETRY, ...config.retry },
         };
 
+        if (!this.config.secretKey && !this.config.tokenProvider) {
+            throw new Error('Either secretKey or tokenProvider is required');
+        }
+
         this.realtime = null;
+        this.session = null;
+        this.sessionRequest = null;
+        this.middlewares = this._defaultMiddlewares();
     }
 
     /**
@@ -45,22 +78,31 @@ class SlimeTalksSDK {
      * @returns {SlimeTalksRealtime} Real-time client instance
      */
     initRealtime(user) {
-        if (!this.config.pusherKey) {
+        const transport = this.config.realtime.transport || 'pusher';
+
+        if (['pusher', 'reverb', 'soketi'].includes(transport) && !this.config.pusherKey) {
             throw new Error('Pusher key is required for real-time features');
         }
 
-        if (!window.SlimeTalksRealtime) {
-            throw new Error('SlimeTalksRealtime client is not loaded. Please include slime-talks-realtime.js');
+        const Realtime = this.config.Realtime
+            || (typeof SlimeTalksRealtime !== 'undefined' ? SlimeTalksRealtime : null);
+
+        if (!Realtime) {
+            throw new Error('SlimeTalksRealtime client is not loaded. Please include slime-talks-realtime.js or pass config.Realtime');
         }
 
-        this.realtime = new SlimeTalksRealtime({
+        this.realtime = new Realtime({
             apiUrl: this.config.apiUrl,
             pusherKey: this.config.pusherKey,
             pusherCluster: this.config.pusherCluster,
-            token: this.config.secretKey,
+            token: this.config.tokenProvider ? null : this.config.secretKey,
+            tokenProvider: this.config.tokenProvider ? () => this.getSessionToken() : null,
             publicKey: this.config.publicKey,
             origin: this.config.origin,
             user: user,
+            fetch: this.config.fetch,
+            Pusher: this.config.Pusher,
+            ...this.config.realtime,
         });
 
         return this.realtime;
@@ -75,352 +117,3335 @@ class SlimeTalksSDK {
         return this.realtime;
     }
 
+    // ==================== Middleware ====================
+
+    /**
+     * Register a request middleware
+     * 
+     * A middleware is either an async function `(request, next) => response`, which can
+     * change the request, short-circuit by not calling `next`, or retry by calling it
+     * again; or an interceptor object with optional `request`, `response` and `error` hooks:
+     * 
+     * - `request(request)` may return a new request, or a response ({ status, data })
+     *   to short-circuit the chain
+     * - `response(response, request)` may return a replacement response
+     * - `error(error, request, { retry })` may return a response to recover, call
+     *   `retry(request)` to run the rest of the chain again, or throw
+     * 
+     * Middlewares run in registration order, inside the built-in `retry` middleware and
+     * before the built-in `auth`, `origin` and `timeout` ones. Registering a middleware
+     * under an existing name replaces it in place, which is how built-ins are swapped out.
+     * 
+     * @param {Function|Object} middleware - Middleware function or interceptor object
+     * @param {Object} [options] - Registration options
+     * @param {string} [options.name] - Middleware name (defaults to `middleware.name` for objects)
+     * @param {string} [options.before] - Insert before the named middleware
+     * @param {string} [options.after] - Insert after the named middleware
+     * @returns {SlimeTalksSDK} The SDK instance, for chaining
+     * 
+     * @example
+     * sdk.use(async (request, next) => {
+     *     const started = Date.now();
+     *     const response = await next({ ...request, headers: { ...request.headers, 'X-Trace-Id': traceId() } });
+     *     console.log(`${request.method} ${request.endpoint} took ${Date.now() - started}ms`);
+     *     return response;
+     * }, { name: 'timing' });
+     */
+    use(middleware, options = {}) {
+        const entry = this._normalizeMiddleware(middleware, options);
+        const existing = entry.name ? this._middlewareIndex(entry.name) : -1;
+
+        if (existing !== -1) {
+            entry.inner = this.middlewares[existing].inner;
+            this.middlewares[existing] = entry;
+            return this;
+        }
+
+        const anchor = options.before || options.after;
+        if (anchor) {
+            const index = this._middlewareIndex(anchor);
+            if (index === -1) {
+                throw new Error(`Unknown middleware "${anchor}"`);
+            }
+
+            entry.inner = this.middlewares[index].inner;
+            this.middlewares.splice(options.before ? index : index + 1, 0, entry);
+            return this;
+        }
+
+        const innerIndex = this.middlewares.findIndex(registered => registered.inner);
+        this.middlewares.splice(innerIndex === -1 ? this.middlewares.length : innerIndex, 0, entry);
+
+        return this;
+    }
+
+    /**
+     * Remove a middleware by name
+     * 
+     * @param {string} name - Middleware name (e.g. 'retry', 'auth', 'origin', 'timeout')
+     * @returns {SlimeTalksSDK} The SDK instance, for chaining
+     */
+    removeMiddleware(name) {
+        this.middlewares = this.middlewares.filter(registered => registered.name !== name);
+        return this;
+    }
+
+    // ==================== Authentication ====================
+
+    /**
+     * Get the bearer token used for API requests
+     * 
+     * With a tokenProvider, returns the cached session token and asks the provider
+     * for a new one when none is cached or it expires within a minute. Concurrent
+     * callers share a single provider call.
+     * 
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.forceRefresh=false] - Ignore the cached token
+     * @returns {Promise<string>} Bearer token
+     */
+    async getSessionToken(options = {}) {
+        if (!this.config.tokenProvider) {
+            return this.config.secretKey;
+        }
+
+        if (!options.forceRefresh && this.session && !this._sessionExpiring(this.session)) {
+            return this.session.token;
+        }
+
+        if (!this.sessionRequest) {
+            this.sessionRequest = Promise.resolve()
+                .then(() => this.config.tokenProvider())
+                .then((result) => {
+                    this.session = this._normalizeSession(result);
+                    return this.session;
+                })
+                .finally(() => {
+                    this.sessionRequest = null;
+                });
+        }
+
+        return (await this.sessionRequest).token;
+    }
+
+    // ==================== Attachments ====================
+
+    /**
+     * Upload a file, reporting progress as it goes
+     * 
+     * Files up to `chunkSize` bytes are sent in one request. Larger files are
+     * uploaded chunk by chunk, with progress reported after every chunk, and
+     * continue from the offset the API reports, so a retried chunk never sends
+     * bytes twice. Accepts a File or Blob in browsers, and a Blob, Buffer,
+     * ArrayBuffer or typed array in Node.js.
+     * 
+     * Send the result with a message by passing its `id` in `attachment_uuids`.
+     * 
+     * @param {Blob|ArrayBuffer|ArrayBufferView} file - File contents
+     * @param {Object} options - Upload options
+     * @param {string} options.customerUuid - UUID of the uploading customer
+     * @param {string} [options.filename] - File name (defaults to the File's name)
+     * @param {string} [options.mimeType] - MIME type (defaults to the Blob's type)
+     * @param {Function} [options.onProgress] - Called with { loaded, total } in bytes as the upload advances
+     * @param {number} [options.chunkSize] - Bytes per request (defaults to SlimeTalksSDK.ATTACHMENT_CHUNK_SIZE)
+     * @param {AbortSignal} [options.signal] - Signal to cancel the upload
+     * @returns {Promise<Object>} The ready attachment
+     * @throws {TypeError} When the file is not binary data
+     * @throws {Error} When a chunk is accepted without advancing the upload
+     */
+    async uploadAttachment(file, options = {}) {
+        const { customerUuid, onProgress, signal } = options;
+        const chunkSize = options.chunkSize || SlimeTalksSDK.ATTACHMENT_CHUNK_SIZE;
+        const blob = this._toBlob(file, options.mimeType);
+        const filename = options.filename || file.name || 'attachment';
+        const total = blob.size;
+
+        onProgress?.({ loaded: 0, total });
+
+        if (total <= chunkSize) {
+            const attachment = await this.createAttachment(
+                { customer_uuid: customerUuid, file: blob, filename },
+                { signal }
+            );
+            onProgress?.({ loaded: total, total });
+
+            return attachment;
+        }
+
+        let attachment = await this.startAttachmentUpload({
+            customer_uuid: customerUuid,
+            filename,
+            mime_type: options.mimeType || blob.type || 'application/octet-stream',
+            size: total,
+        }, { signal });
+
+        while (attachment.status !== 'ready') {
+            const offset = attachment.received;
+
+            attachment = await this.uploadAttachmentChunk(attachment.id, {
+                customer_uuid: customerUuid,
+                offset,
+                chunk: blob.slice(offset, offset + chunkSize),
+            }, { signal });
+
+            // Sending the same chunk again would never finish the upload
+            if (attachment.status !== 'ready' && !(attachment.received > offset)) {
+                throw new Error(`Upload of attachment ${attachment.id} stopped advancing at byte ${offset} of ${total}`);
+            }
+
+            onProgress?.({ loaded: attachment.received, total });
+        }
+
+        return attachment;
+    }
+
+    // <generated:endpoints> Generated from swagger.yaml by scripts/generate.js; do not edit.
+
     // ==================== Client Management ====================
 
     /**
      * Get client information
      * 
-     * @param {string} clientUuid - Client UUID
-     * @returns {Promise<Object>} Client data
+     * Retrieves information about a specific client.
+     * 
+     * @param {string} clientUuid - The UUID of the client
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @returns {Promise<Object>} Client information retrieved successfully
      */
-    async getClient(clientUuid) {
-        return this._request('GET', `/client/${clientUuid}`);
+    getClient(clientUuid, options = {}) {
+        return this._call('getClient', { client_uuid: clientUuid }, null, options);
     }
 
     // ==================== Customer Management ====================
 
     /**
-     * Create a new customer
+     * Create customer
+     * 
+     * Creates a new customer for the authenticated client.
      * 
-     * @param {Object} data - Customer data
+     * @param {Object} data - Request body
      * @param {string} data.name - Customer name
-     * @param {string} data.email - Customer email
-     * @param {Object} [data.metadata] - Additional metadata
-     * @returns {Promise<Object>} Created customer
+     * @param {string} data.email - Customer email address
+     * @param {Object} [data.metadata] - Additional customer metadata
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @param {string} [options.idempotencyKey] - Idempotency key (generated when omitted)
+     * @returns {Promise<Object>} Customer created successfully
      */
-    async createCustomer(data) {
-        return this._request('POST', '/customers', data);
+    createCustomer(data, options = {}) {
+        return this._call('createCustomer', {}, data, options);
     }
 
     /**
-     * Get customer by UUID
+     * List customers
      * 
-     * @param {string} customerUuid - Customer UUID
-     * @returns {Promise<Object>} Customer data
+     * Lists all customers for the authenticated client with pagination.
+     * 
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.limit] - Number of customers per page
+     * @param {string} [params.starting_after] - Customer UUID to start after for pagination
+     * @param {Object} [options] - List options (see SlimeTalksList) and request options for every page
+     * @returns {SlimeTalksList} Customers retrieved successfully
      */
-    async getCustomer(customerUuid) {
-        return this._request('GET', `/customers/${customerUuid}`);
+    listCustomers(params = {}, options = {}) {
+        return this._call('listCustomers', params, null, options);
     }
 
     /**
-     * List customers with pagination
+     * Get customer
      * 
-     * @param {Object} [params] - Query parameters
-     * @param {number} [params.limit] - Number of items per page
-     * @param {string} [params.starting_after] - UUID to start after
-     * @returns {Promise<Object>} Paginated customers
+     * Retrieves customer information.
+     * 
+     * @param {string} customerUuid - The UUID of the customer
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @returns {Promise<Object>} Customer information retrieved successfully
      */
-    async listCustomers(params = {}) {
-        const query = new URLSearchParams(params).toString();
-        const endpoint = `/customers${query ? `?${query}` : ''}`;
-        return this._request('GET', endpoint);
+    getCustomer(customerUuid, options = {}) {
+        return this._call('getCustomer', { customer_uuid: customerUuid }, null, options);
     }
 
     /**
-     * Get active customers ordered by latest message activity
+     * Get active customers
+     * 
+     * Lists customers who have sent messages, ordered by their latest message
+     * (newest first). Pass `email` to include each customer's `unread_count` for
+     * that reader.
      * 
      * @param {Object} [params] - Query parameters
-     * @param {number} [params.limit] - Number of items per page (default: 20)
-     * @param {string} [params.starting_after] - UUID to start after
-     * @returns {Promise<Object>} Active customers ordered by activity
+     * @param {string} [params.email] - Email of the reading customer; adds how many of each customer's messages they have not read
+     * @param {number} [params.limit] - Number of customers per page
+     * @param {string} [params.starting_after] - Customer UUID to start after for pagination
+     * @param {Object} [options] - List options (see SlimeTalksList) and request options for every page
+     * @returns {SlimeTalksList} Active customers retrieved successfully
      */
-    async getActiveCustomers(params = {}) {
-        const query = new URLSearchParams(params).toString();
-        const endpoint = `/customers/active${query ? `?${query}` : ''}`;
-        return this._request('GET', endpoint);
+    getActiveCustomers(params = {}, options = {}) {
+        return this._call('getActiveCustomers', params, null, options);
     }
 
     /**
-     * Get active customers for a specific sender
+     * Get active customers for sender
      * 
-     * Returns customers who have exchanged messages with the specified sender.
-     * Perfect for building personalized conversation sidebars.
+     * Lists customers who have exchanged messages with the given sender, ordered
+     * by the latest message between them (newest first).
      * 
-     * @param {string} senderEmail - Email of the sender to filter by
+     * @param {string} senderEmail - Email of the sender (case-insensitive)
      * @param {Object} [params] - Query parameters
-     * @param {number} [params.limit] - Number of items per page (default: 20)
-     * @param {string} [params.starting_after] - UUID to start after
-     * @returns {Promise<Object>} Active customers who talked with the sender
+     * @param {number} [params.limit] - Number of customers per page
+     * @param {string} [params.starting_after] - Customer UUID to start after for pagination
+     * @param {Object} [options] - List options (see SlimeTalksList) and request options for every page
+     * @returns {SlimeTalksList} Active customers retrieved successfully
      */
-    async getActiveCustomersForSender(senderEmail, params = {}) {
-        // Email will be converted to lowercase on the server
-        const queryParams = { ...params, email: senderEmail };
-        const query = new URLSearchParams(queryParams).toString();
-        const endpoint = `/customers/active-for-sender${query ? `?${query}` : ''}`;
-        return this._request('GET', endpoint);
+    getActiveCustomersForSender(senderEmail, params = {}, options = {}) {
+        return this._call('getActiveCustomersForSender', { ...params, email: senderEmail }, null, options);
     }
 
     // ==================== Channel Management ====================
 
     /**
-     * Create a channel
+     * Create channel
      * 
-     * @param {Object} data - Channel data
-     * @param {string} data.type - Channel type ('general' or 'custom')
-     * @param {string[]} data.customer_uuids - Array of customer UUIDs
+     * Creates a new channel (general or custom) for the authenticated client.
+     * 
+     * @param {Object} data - Request body
+     * @param {string} data.type - Channel type
      * @param {string} [data.name] - Channel name (required for custom channels)
-     * @returns {Promise<Object>} Created channel
+     * @param {string[]} data.customer_uuids - Array of customer UUIDs
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @param {string} [options.idempotencyKey] - Idempotency key (generated when omitted)
+     * @returns {Promise<Object>} Channel created successfully
      */
-    async createChannel(data) {
-        return this._request('POST', '/channels', data);
+    createChannel(data, options = {}) {
+        return this._call('createChannel', {}, data, options);
     }
 
     /**
-     * Get channel by UUID
+     * List channels
      * 
-     * @param {string} channelUuid - Channel UUID
-     * @returns {Promise<Object>} Channel data
+     * Lists all channels for the authenticated client with pagination.
+     * 
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.limit] - Number of channels per page
+     * @param {string} [params.starting_after] - Channel UUID to start after for pagination
+     * @param {Object} [options] - List options (see SlimeTalksList) and request options for every page
+     * @returns {SlimeTalksList} Channels retrieved successfully
      */
-    async getChannel(channelUuid) {
-        return this._request('GET', `/channels/${channelUuid}`);
+    listChannels(params = {}, options = {}) {
+        return this._call('listChannels', params, null, options);
     }
 
     /**
-     * List channels with pagination
+     * Get channel
      * 
-     * @param {Object} [params] - Query parameters
-     * @param {number} [params.limit] - Number of items per page
-     * @param {string} [params.starting_after] - UUID to start after
-     * @returns {Promise<Object>} Paginated channels
+     * Retrieves channel information.
+     * 
+     * @param {string} channelUuid - The UUID of the channel
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @returns {Promise<Object>} Channel information retrieved successfully
+     */
+    getChannel(channelUuid, options = {}) {
+        return this._call('getChannel', { channel_uuid: channelUuid }, null, options);
+    }
+
+    /**
+     * Get customer channels
+     * 
+     * Lists all channels where a specific customer participates.
+     * 
+     * @param {string} customerUuid - The UUID of the customer
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @returns {Promise<Object>} Customer channels retrieved successfully
+     */
+    getCustomerChannels(customerUuid, options = {}) {
+        return this._call('getCustomerChannels', { customer_uuid: customerUuid }, null, options);
+    }
+
+    /**
+     * Get channels by email
+     * 
+     * Lists the channels of a customer grouped by the other participant, most
+     * recent conversation first.
+     * 
+     * @param {string} email - Email of the customer (case-insensitive)
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @returns {Promise<Object>} Conversations retrieved successfully
+     */
+    getChannelsByEmail(email, options = {}) {
+        return this._call('getChannelsByEmail', { email: email }, null, options);
+    }
+
+    /**
+     * Send typing indicator
+     * 
+     * Broadcasts `typing.started` or `typing.stopped` to the other participants of
+     * the channel on `private-channel.{channel_uuid}`. Repeated `typing: true`
+     * calls from the same sender are only broadcast once every 2 seconds. Pass the
+     * `X-Socket-ID` header to exclude the sender's own connection.
+     * 
+     * @param {string} channelUuid - The UUID of the channel
+     * @param {Object} data - Request body
+     * @param {string} data.sender_uuid - UUID of the typing customer (must be a channel participant)
+     * @param {boolean} data.typing - True when the customer started typing, false when they stopped
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @returns {Promise<Object>} Typing indicator accepted
      */
-    async listChannels(params = {}) {
-        const query = new URLSearchParams(params).toString();
-        const endpoint = `/channels${query ? `?${query}` : ''}`;
-        return this._request('GET', endpoint);
+    sendTypingIndicator(channelUuid, data, options = {}) {
+        return this._call('sendTypingIndicator', { channel_uuid: channelUuid }, data, options);
     }
 
     /**
-     * Get channels for a specific customer
+     * List read receipts
+     * 
+     * Lists the read position of every participant of the channel.
      * 
-     * @param {string} customerUuid - Customer UUID
-     * @returns {Promise<Object>} Customer's channels
+     * @param {string} channelUuid - The UUID of the channel
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @returns {Promise<Object>} Read receipts retrieved successfully
      */
-    async getCustomerChannels(customerUuid) {
-        return this._request('GET', `/channels/customer/${customerUuid}`);
+    getReadReceipts(channelUuid, options = {}) {
+        return this._call('getReadReceipts', { channel_uuid: channelUuid }, null, options);
     }
 
     /**
-     * Get channels for a customer by email, grouped by recipient
+     * Mark channel read
      * 
-     * @param {string} email - Customer email
-     * @returns {Promise<Object>} Grouped channels by recipient
+     * Marks the channel read up to a message for a customer. Read positions only
+     * move forward; when the position moves, `message.read` is broadcast to the
+     * other participants of the channel on `private-channel.{channel_uuid}`. Pass
+     * the `X-Socket-ID` header to exclude the sender's own connection.
+     * 
+     * @param {string} channelUuid - The UUID of the channel
+     * @param {Object} data - Request body
+     * @param {string} data.customer_uuid - UUID of the reading customer (must be a channel participant)
+     * @param {string} data.message_id - UUID of the newest message the customer has seen (must belong to the channel)
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @returns {Promise<Object>} The customer's read position after the update
      */
-    async getChannelsByEmail(email) {
-        // Email will be converted to lowercase on the server
-        const query = new URLSearchParams({ email }).toString();
-        const endpoint = `/channels/by-email${query ? `?${query}` : ''}`;
-        return this._request('GET', endpoint);
+    markChannelRead(channelUuid, data, options = {}) {
+        return this._call('markChannelRead', { channel_uuid: channelUuid }, data, options);
     }
 
     // ==================== Message Management ====================
 
     /**
-     * Send a message to a channel
+     * Send message
+     * 
+     * Sends a message to a channel. With `parent_uuid` the message is a reply in
+     * the thread of that message; it is left out of the channel's message list and
+     * broadcast as `thread.reply` instead of `message.sent`. With `reply_to` the
+     * message quotes an earlier message of the same channel, and with
+     * `forwarded_from` it forwards a message from any channel the sender
+     * participates in; both are embedded as snapshots.
      * 
-     * @param {Object} data - Message data
-     * @param {string} data.channel_uuid - Channel UUID
-     * @param {string} data.sender_uuid - Sender UUID
-     * @param {string} data.type - Message type ('text', 'image', 'file')
-     * @param {string} data.content - Message content
-     * @param {Object} [data.metadata] - Additional metadata
-     * @returns {Promise<Object>} Sent message
+     * @param {Object} data - Request body
+     * @param {string} data.channel_uuid - UUID of the channel
+     * @param {string} data.sender_uuid - UUID of the sender
+     * @param {string} [data.type] - Message type
+     * @param {string} [data.content] - Message content
+     * @param {Object} [data.metadata] - Additional message metadata
+     * @param {string} [data.parent_uuid] - UUID of a message in the same channel to reply to in its thread
+     * @param {string} [data.reply_to] - UUID of a message in the same channel to quote
+     * @param {string} [data.forwarded_from] - UUID of a message to forward, from a channel the sender participates in. The type, content and metadata left out are copied from it.
+     * @param {string[]} [data.attachment_uuids] - UUIDs of files the sender uploaded to send with the message. Without a `type`, the message is an `image` when every file is an image and a `file` otherwise; without `content` it has none.
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @param {string} [options.idempotencyKey] - Idempotency key (generated when omitted)
+     * @returns {Promise<Object>} Message sent successfully
      */
-    async sendMessage(data) {
-        return this._request('POST', '/messages', data);
+    sendMessage(data, options = {}) {
+        return this._call('sendMessage', {}, data, options);
     }
 
     /**
-     * Get messages from a channel
+     * Get channel messages
      * 
-     * @param {string} channelUuid - Channel UUID
+     * Retrieves messages from a specific channel, ordered by creation time (oldest
+     * first). With `order=desc` the newest messages come first and
+     * `starting_after` pages towards older messages, which is how chat views load
+     * earlier history. Thread replies are not included; list them with Get
+     * Replies.
+     * 
+     * @param {string} channelUuid - The UUID of the channel
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.limit] - Number of messages per page
+     * @param {string} [params.starting_after] - Message UUID to start after for pagination
+     * @param {string} [params.order] - Sort order by creation time; with desc, starting_after returns older messages
+     * @param {Object} [options] - List options (see SlimeTalksList) and request options for every page
+     * @returns {SlimeTalksList} Channel messages retrieved successfully
+     */
+    getChannelMessages(channelUuid, params = {}, options = {}) {
+        return this._call('getChannelMessages', { ...params, channel_uuid: channelUuid }, null, options);
+    }
+
+    /**
+     * Get customer messages
+     * 
+     * Retrieves all messages sent by a specific customer across all channels,
+     * ordered by creation time (newest first).
+     * 
+     * @param {string} customerUuid - The UUID of the customer
      * @param {Object} [params] - Query parameters
-     * @param {number} [params.limit] - Number of items per page
-     * @param {string} [params.starting_after] - UUID to start after
-     * @returns {Promise<Object>} Paginated messages
+     * @param {number} [params.limit] - Number of messages per page
+     * @param {string} [params.starting_after] - Message UUID to start after for pagination
+     * @param {Object} [options] - List options (see SlimeTalksList) and request options for every page
+     * @returns {SlimeTalksList} Customer messages retrieved successfully
      */
-    async getChannelMessages(channelUuid, params = {}) {
-        const query = new URLSearchParams(params).toString();
-        const endpoint = `/messages/channel/${channelUuid}${query ? `?${query}` : ''}`;
-        return this._request('GET', endpoint);
+    getCustomerMessages(customerUuid, params = {}, options = {}) {
+        return this._call('getCustomerMessages', { ...params, customer_uuid: customerUuid }, null, options);
     }
 
     /**
-     * Get messages for a specific customer
+     * Get messages between customers
+     * 
+     * Retrieves messages exchanged between two customers across their shared
+     * channels, newest first.
      * 
-     * @param {string} customerUuid - Customer UUID
+     * @param {string} email1 - Email of the first customer (case-insensitive)
+     * @param {string} email2 - Email of the second customer (case-insensitive)
      * @param {Object} [params] - Query parameters
-     * @param {number} [params.limit] - Number of items per page
-     * @param {string} [params.starting_after] - UUID to start after
-     * @returns {Promise<Object>} Paginated messages
+     * @param {number} [params.limit] - Number of messages per page
+     * @param {string} [params.starting_after] - Message UUID to start after for pagination
+     * @param {Object} [options] - List options (see SlimeTalksList) and request options for every page
+     * @returns {SlimeTalksList} Messages retrieved successfully
+     */
+    getMessagesBetweenCustomers(email1, email2, params = {}, options = {}) {
+        return this._call('getMessagesBetweenCustomers', { ...params, email1: email1, email2: email2 }, null, options);
+    }
+
+    /**
+     * Update message
+     * 
+     * Edits the content, and the metadata when given, of a message. Only the
+     * sender may edit a message, and deleted messages cannot be edited. When
+     * something changed, `message.updated` is broadcast to the participants of the
+     * channel on `private-channel.{channel_uuid}`.
+     * 
+     * @param {string} messageUuid - The UUID of the message
+     * @param {Object} data - Request body
+     * @param {string} data.sender_uuid - UUID of the customer editing the message (must be its sender)
+     * @param {string} data.content - New message content
+     * @param {Object} [data.metadata] - New message metadata; left unchanged when omitted
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @returns {Promise<Object>} Message updated successfully
+     */
+    updateMessage(messageUuid, data, options = {}) {
+        return this._call('updateMessage', { message_uuid: messageUuid }, data, options);
+    }
+
+    /**
+     * Delete message
+     * 
+     * Deletes a message, leaving a tombstone with empty content and `deleted` set
+     * in its place, which message lists keep returning. Only the sender may delete
+     * a message. `message.deleted` is broadcast to the participants of the channel
+     * on `private-channel.{channel_uuid}`; deleting a message again returns the
+     * tombstone without broadcasting.
+     * 
+     * @param {string} messageUuid - The UUID of the message
+     * @param {string} senderUuid - UUID of the customer deleting the message (must be its sender)
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @returns {Promise<Object>} The tombstone of the deleted message
      */
-    async getCustomerMessages(customerUuid, params = {}) {
-        const query = new URLSearchParams(params).toString();
-        const endpoint = `/messages/customer/${customerUuid}${query ? `?${query}` : ''}`;
-        return this._request('GET', endpoint);
+    deleteMessage(messageUuid, senderUuid, options = {}) {
+        return this._call('deleteMessage', { message_uuid: messageUuid, sender_uuid: senderUuid }, null, options);
     }
 
     /**
-     * Get messages between two customers
+     * Get replies
      * 
-     * @param {string} email1 - First customer email
-     * @param {string} email2 - Second customer email
+     * Retrieves the replies in the thread of a message, oldest first.
+     * 
+     * @param {string} messageUuid - The UUID of the message that started the thread
      * @param {Object} [params] - Query parameters
-     * @param {number} [params.limit] - Number of items per page
-     * @param {string} [params.starting_after] - UUID to start after
-     * @returns {Promise<Object>} Messages between customers
+     * @param {number} [params.limit] - Number of replies per page
+     * @param {string} [params.starting_after] - Reply UUID to start after for pagination
+     * @param {Object} [options] - List options (see SlimeTalksList) and request options for every page
+     * @returns {SlimeTalksList} Replies retrieved successfully
+     */
+    getReplies(messageUuid, params = {}, options = {}) {
+        return this._call('getReplies', { ...params, message_uuid: messageUuid }, null, options);
+    }
+
+    /**
+     * Reply to message
+     * 
+     * Sends a reply in the thread of a message, to the message's channel. Replies
+     * cannot be replied to, and deleted messages cannot be replied to.
+     * `thread.reply` is broadcast on `private-channel.{channel_uuid}` with the
+     * reply and the message that started the thread.
+     * 
+     * @param {string} messageUuid - The UUID of the message to reply to
+     * @param {Object} data - Request body
+     * @param {string} data.sender_uuid - UUID of the sender, a participant in the message's channel
+     * @param {string} data.type - Message type
+     * @param {string} data.content - Reply content
+     * @param {Object} [data.metadata] - Additional message metadata
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @param {string} [options.idempotencyKey] - Idempotency key (generated when omitted)
+     * @returns {Promise<Object>} Reply sent successfully
+     */
+    replyToMessage(messageUuid, data, options = {}) {
+        return this._call('replyToMessage', { message_uuid: messageUuid }, data, options);
+    }
+
+    /**
+     * Add reaction
+     * 
+     * Adds a customer's emoji reaction to a message. The customer must participate
+     * in the message's channel, and deleted messages cannot be reacted to. When
+     * the reaction is new, `message.reaction` is broadcast to the other
+     * participants on `private-channel.{channel_uuid}`. Pass the `X-Socket-ID`
+     * header to exclude the sender's own connection.
+     * 
+     * @param {string} messageUuid - The UUID of the message
+     * @param {Object} data - Request body
+     * @param {string} data.customer_uuid - UUID of the reacting customer (must be a channel participant)
+     * @param {string} data.emoji - The emoji, without whitespace
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @returns {Promise<Object>} The message with its reactions
+     */
+    addReaction(messageUuid, data, options = {}) {
+        return this._call('addReaction', { message_uuid: messageUuid }, data, options);
+    }
+
+    /**
+     * Remove reaction
+     * 
+     * Removes a customer's emoji reaction from a message. When the customer had
+     * reacted with the emoji, `message.reaction` is broadcast to the other
+     * participants on `private-channel.{channel_uuid}`.
+     * 
+     * @param {string} messageUuid - The UUID of the message
+     * @param {string} customerUuid - UUID of the reacting customer (must be a channel participant)
+     * @param {string} emoji - The emoji to remove
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @returns {Promise<Object>} The message with its reactions
+     */
+    removeReaction(messageUuid, customerUuid, emoji, options = {}) {
+        return this._call('removeReaction', { message_uuid: messageUuid, customer_uuid: customerUuid, emoji: emoji }, null, options);
+    }
+
+    /**
+     * Send to customer
+     * 
+     * Sends a message from one customer to another by email, using (or creating)
+     * their general channel. Accepts `reply_to` and `forwarded_from` like Send
+     * Message.
+     * 
+     * @param {Object} data - Request body
+     * @param {string} data.sender_email - Email of the sending customer
+     * @param {string} data.recipient_email - Email of the receiving customer
+     * @param {string} [data.type] - Message type
+     * @param {string} [data.content] - Message content
+     * @param {Object} [data.metadata] - Additional message metadata
+     * @param {string} [data.reply_to] - UUID of a message in the customers' general channel to quote
+     * @param {string} [data.forwarded_from] - UUID of a message to forward, from a channel the sender participates in. The type, content and metadata left out are copied from it.
+     * @param {string[]} [data.attachment_uuids] - UUIDs of files the sender uploaded to send with the message. Without a `type`, the message is an `image` when every file is an image and a `file` otherwise; without `content` it has none.
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @param {string} [options.idempotencyKey] - Idempotency key (generated when omitted)
+     * @returns {Promise<Object>} Message sent successfully
+     */
+    sendToCustomer(data, options = {}) {
+        return this._call('sendToCustomer', {}, data, options);
+    }
+
+    // ==================== Attachment Management ====================
+
+    /**
+     * Create attachment
+     * 
+     * Uploads a whole file as multipart form data. Files larger than the server
+     * accepts in one request are uploaded in chunks with Start Attachment Upload
+     * instead. Send the file with a message by passing its ID in
+     * `attachment_uuids`.
+     * 
+     * @param {Object} data - Request body
+     * @param {string} data.customer_uuid - UUID of the uploading customer
+     * @param {Blob} data.file - The file, up to 25 MB (and the server's upload limit)
+     * @param {string} [data.filename] - Name of the file, defaults to the name of the uploaded file
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @param {string} [options.idempotencyKey] - Idempotency key (generated when omitted)
+     * @returns {Promise<Object>} The uploaded attachment
+     */
+    createAttachment(data, options = {}) {
+        return this._call('createAttachment', {}, data, options);
+    }
+
+    /**
+     * Start attachment upload
+     * 
+     * Starts a chunked upload of a file of the given size. The attachment stays
+     * `pending` until its chunks have been uploaded, in order, with Upload
+     * Attachment Chunk.
+     * 
+     * @param {Object} data - Request body
+     * @param {string} data.customer_uuid - UUID of the uploading customer
+     * @param {string} data.filename - Name of the file
+     * @param {string} data.mime_type - MIME type of the file
+     * @param {number} data.size - Size of the whole file in bytes, up to 25 MB
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @param {string} [options.idempotencyKey] - Idempotency key (generated when omitted)
+     * @returns {Promise<Object>} The pending attachment
+     */
+    startAttachmentUpload(data, options = {}) {
+        return this._call('startAttachmentUpload', {}, data, options);
+    }
+
+    /**
+     * Upload attachment chunk
+     * 
+     * Appends the next chunk of a chunked upload, as multipart form data. The
+     * `offset` must equal the bytes received so far, which a client resuming an
+     * interrupted upload reads from Get Attachment. The attachment becomes `ready`
+     * once the size declared when the upload started has arrived.
+     * 
+     * @param {string} attachmentUuid - The UUID of the attachment
+     * @param {Object} data - Request body
+     * @param {string} data.customer_uuid - UUID of the customer who started the upload
+     * @param {number} data.offset - Byte offset the chunk starts at; must equal the attachment's `received`
+     * @param {Blob} data.chunk - The next bytes of the file, up to 5 MB
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @param {string} [options.idempotencyKey] - Idempotency key (generated when omitted)
+     * @returns {Promise<Object>} The attachment with the bytes received so far
+     */
+    uploadAttachmentChunk(attachmentUuid, data, options = {}) {
+        return this._call('uploadAttachmentChunk', { attachment_uuid: attachmentUuid }, data, options);
+    }
+
+    /**
+     * Get attachment
+     * 
+     * Retrieves an attachment with a freshly signed download URL. Session tokens
+     * can read their customer's uploads and the attachments of messages in their
+     * customer's channels.
+     * 
+     * @param {string} attachmentUuid - The UUID of the attachment
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @returns {Promise<Object>} The attachment
+     */
+    getAttachment(attachmentUuid, options = {}) {
+        return this._call('getAttachment', { attachment_uuid: attachmentUuid }, null, options);
+    }
+
+    // ==================== Session Management ====================
+
+    /**
+     * Create session
+     * 
+     * Mints a short-lived session token scoped to one customer, for use in
+     * browsers instead of the secret key. Session tokens cannot call this
+     * endpoint.
+     * 
+     * @param {Object} data - Request body
+     * @param {string} data.customer_uuid - UUID of the customer the token acts as
+     * @param {number} [data.ttl] - Token lifetime in seconds
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @returns {Promise<Object>} Session created successfully
      */
-    async getMessagesBetweenCustomers(email1, email2, params = {}) {
-        // Emails will be converted to lowercase on the server
-        const queryParams = { ...params, email1, email2 };
-        const query = new URLSearchParams(queryParams).toString();
-        const endpoint = `/messages/between${query ? `?${query}` : ''}`;
-        return this._request('GET', endpoint);
+    createSession(data, options = {}) {
+        return this._call('createSession', {}, data, options);
     }
 
+    // ==================== Realtime ====================
+
     /**
-     * Send a message directly to a customer (uses general channel)
+     * Poll for messages
      * 
-     * @param {Object} data - Message data
-     * @param {string} data.sender_email - Sender email
-     * @param {string} data.recipient_email - Recipient email
-     * @param {string} data.type - Message type ('text', 'image', 'file', 'system')
-     * @param {string} data.content - Message content
-     * @param {Object} [data.metadata] - Additional metadata
-     * @returns {Promise<Object>} Sent message
+     * Long-polling fallback for clients that cannot connect over WebSockets.
+     * Returns the `message.sent` events of the given channels sent after `cursor`,
+     * waiting up to `wait` seconds for one to arrive. Without a cursor, returns no
+     * events and the cursor to start polling from.
+     * 
+     * @param {string} channels - Comma-separated UUIDs of the channels to poll (at most 50)
+     * @param {Object} [params] - Query parameters
+     * @param {string} [params.cursor] - Cursor returned by the previous poll
+     * @param {number} [params.wait] - Seconds to wait for a new message before returning an empty list
+     * @param {Object} [options] - Request options (signal, retry, timeout, headers)
+     * @returns {Promise<Object>} Events retrieved successfully
      */
-    async sendToCustomer(data) {
-        return this._request('POST', '/messages/send-to-customer', data);
+    pollRealtimeEvents(channels, params = {}, options = {}) {
+        return this._call('pollRealtimeEvents', { ...params, channels: channels }, null, options);
     }
 
+    // </generated:endpoints>
+
     // ==================== Private Methods ====================
 
     /**
-     * Make an HTTP request to the API
+     * Build the built-in middleware chain
+     * 
+     * `retry` wraps everything registered after it; `auth`, `origin` and `timeout`
+     * are "inner" middlewares that run last, once per attempt.
      * 
      * @private
-     * @param {string} method - HTTP method
-     * @param {string} endpoint - API endpoint
-     * @param {Object} [data] - Request data
-     * @returns {Promise<Object>} Response data
-     * @throws {SlimeTalksError} When request fails
+     * @returns {Object[]} Middleware entries ({ name, handler, inner })
      */
-    async _request(method, endpoint, data = null) {
-        const url = `${this.config.apiUrl}${endpoint}`;
-        const options = {
-            method: method,
-            headers: {
-                'Authorization': `Bearer ${this.config.secretKey}`,
-                'X-Public-Key': this.config.publicKey,
-                'Origin': this.config.origin,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-            },
-        };
-
-        if (data) {
-            options.body = JSON.stringify(data);
-        }
+    _defaultMiddlewares() {
+        return [
+            { name: 'retry', inner: false, handler: (request, next) => this._retryMiddleware(request, next) },
+            { name: 'auth', inner: true, handler: (request, next) => this._authMiddleware(request, next) },
+            { name: 'origin', inner: true, handler: (request, next) => next(this.config.origin
+                ? { ...request, headers: { ...request.headers, 'Origin': this.config.origin } }
+                : request) },
+            { name: 'timeout', inner: true, handler: (request, next) => this._timeoutMiddleware(request, next) },
+        ];
+    }
 
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
-        options.signal = controller.signal;
+    /**
+     * Retry failed attempts according to the retry policy
+     * 
+     * Only idempotent methods are retried by default. POST requests are retried
+     * only when the caller marks them as idempotent. Requests with an
+     * Idempotency-Key are also retried on 409, which the API returns while an
+     * earlier attempt with the key is still running.
+     * 
+     * @private
+     * @param {Object} request - Request context
+     * @param {Function} next - Next middleware
+     * @returns {Promise<Object>} Response
+     */
+    async _retryMiddleware(request, next) {
+        const policy = this._retryPolicy(request.options.retry);
 
-        try {
-            const response = await fetch(url, options);
-            clearTimeout(timeoutId);
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await next({ ...request, headers: { ...request.headers }, attempt });
+            } catch (error) {
+                if (!policy || attempt >= policy.maxAttempts || !this._isRetryable(policy, request, error)) {
+                    throw error;
+                }
 
-            const responseData = await response.json();
+                const delay = this._retryDelay(policy, attempt, error);
+                policy.onRetry?.({ attempt, delay, error, method: request.method, endpoint: request.endpoint });
 
-            if (!response.ok) {
-                throw new SlimeTalksError(
-                    this._parseErrorMessage(responseData),
-                    response.status,
-                    responseData
-                );
+                await this._sleep(delay, request.signal);
             }
+        }
+    }
 
-            return responseData;
-        } catch (error) {
-            clearTimeout(timeoutId);
+    /**
+     * Add credentials to the request
+     * 
+     * Session tokens rejected with a 401 (revoked or expired early) are refreshed
+     * once and the attempt is replayed with the new token.
+     * 
+     * @private
+     * @param {Object} request - Request context
+     * @param {Function} next - Next middleware
+     * @returns {Promise<Object>} Response
+     */
+    async _authMiddleware(request, next) {
+        const send = (token) => next({
+            ...request,
+            headers: {
+                ...request.headers,
+                'Authorization': `Bearer ${token}`,
+                'X-Public-Key': this.config.publicKey,
+            },
+        });
 
-            if (error.name === 'AbortError') {
-                throw new SlimeTalksError('Request timeout', 408);
-            }
+        const token = await this.getSessionToken();
+        if (!this.config.tokenProvider) {
+            return send(token);
+        }
 
-            if (error instanceof SlimeTalksError) {
+        try {
+            return await send(token);
+        } catch (error) {
+            if (!(error instanceof SlimeTalksError) || error.status !== 401) {
                 throw error;
             }
 
-            throw new SlimeTalksError(
-                `Network error: ${error.message}`,
-                0,
-                error
-            );
+            return send(await this.getSessionToken({ forceRefresh: true }));
         }
     }
 
     /**
-     * Parse error message from response
+     * Normalize a tokenProvider result
      * 
      * @private
-     * @param {Object} responseData - Response data
-     * @returns {string} Error message
+     * @param {string|Object} result - Token string or { token, expires_at }
+     * @returns {Object} Session ({ token, expiresAt }) with expiresAt in milliseconds, or null
+     * @throws {Error} When the provider returned no token
      */
-    _parseErrorMessage(responseData) {
-        if (responseData.error?.message) {
-            return responseData.error.message;
-        }
-
-        if (typeof responseData.error === 'string') {
-            return responseData.error;
+    _normalizeSession(result) {
+        const token = typeof result === 'string' ? result : result?.token;
+        if (!token) {
+            throw new Error('tokenProvider must return a token string or { token, expires_at }');
         }
 
-        if (responseData.message) {
-            return responseData.message;
+        const expires = typeof result === 'string' ? null : (result.expires_at ?? result.expiresAt ?? null);
+        let expiresAt = null;
+        if (typeof expires === 'number') {
+            // API timestamps are in seconds
+            expiresAt = expires < 1e12 ? expires * 1000 : expires;
+        } else if (expires) {
+            expiresAt = new Date(expires).getTime() || null;
         }
 
-        return 'An unknown error occurred';
+        return { token, expiresAt };
     }
-}
 
-/**
- * Slime Talks Error
- * 
- * Custom error class for API errors
- */
-class SlimeTalksError extends Error {
     /**
-     * Create a new error instance
+     * Check whether a session token expires within the refresh margin
      * 
-     * @param {string} message - Error message
-     * @param {number} status - HTTP status code
-     * @param {Object} [data] - Additional error data
+     * @private
+     * @param {Object} session - Session ({ token, expiresAt })
+     * @returns {boolean} True if the token should be refreshed
      */
-    constructor(message, status, data = null) {
-        super(message);
-        this.name = 'SlimeTalksError';
-        this.status = status;
-        this.data = data;
+    _sessionExpiring(session) {
+        return session.expiresAt !== null
+            && session.expiresAt - Date.now() <= SlimeTalksSDK.SESSION_REFRESH_MARGIN;
     }
-}
+
+    /**
+     * Abort the attempt when it exceeds the configured timeout
+     * 
+     * Links the caller's signal so cancellations still propagate, and converts
+     * timeout aborts into a TimeoutError.
+     * 
+     * @private
+     * @param {Object} request - Request context
+     * @param {Function} next - Next middleware
+     * @returns {Promise<Object>} Response
+     */
+    async _timeoutMiddleware(request, next) {
+        const { signal } = request;
+        if (signal?.aborted) {
+            throw signal.reason;
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), request.options.timeout || this.config.timeout);
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            return await next({ ...request, signal: controller.signal });
+        } catch (error) {
+            // Cancelled by the caller rather than by the timeout
+            if (signal?.aborted) {
+                throw signal.reason;
+            }
+
+            if (controller.signal.aborted && !(error instanceof SlimeTalksError)) {
+                throw new TimeoutError('Request timeout', 408, null, this._errorContext(request));
+            }
+
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Convert a middleware function or interceptor object into a chain entry
+     * 
+     * @private
+     * @param {Function|Object} middleware - Middleware function or interceptor object
+     * @param {Object} options - Registration options
+     * @returns {Object} Middleware entry ({ name, handler, inner })
+     */
+    _normalizeMiddleware(middleware, options) {
+        if (typeof middleware === 'function') {
+            return { name: options.name || null, handler: middleware, inner: false };
+        }
+
+        if (!middleware || typeof middleware !== 'object') {
+            throw new TypeError('Middleware must be a function or an interceptor object');
+        }
+
+        const interceptor = middleware;
+        const handler = async (request, next) => {
+            let current = request;
+
+            if (interceptor.request) {
+                const result = await interceptor.request(current);
+
+                // Returning a response short-circuits the rest of the chain
+                if (result && 'status' in result) {
+                    return result;
+                }
+
+                current = result || current;
+            }
+
+            let response;
+            try {
+                response = await next(current);
+            } catch (error) {
+                if (!interceptor.error) {
+                    throw error;
+                }
+
+                const recovered = await interceptor.error(error, current, {
+                    retry: (retryRequest = current) => next(retryRequest),
+                });
+
+                if (recovered === undefined) {
+                    throw error;
+                }
+
+                return recovered;
+            }
+
+            if (interceptor.response) {
+                response = (await interceptor.response(response, current)) || response;
+            }
+
+            return response;
+        };
+
+        return { name: options.name || interceptor.name || null, handler, inner: false };
+    }
+
+    /**
+     * Find the position of a named middleware
+     * 
+     * @private
+     * @param {string} name - Middleware name
+     * @returns {number} Index in the chain, or -1
+     */
+    _middlewareIndex(name) {
+        return this.middlewares.findIndex(registered => registered.name === name);
+    }
+
+    /**
+     * Call an API operation described in SlimeTalksSDK.OPERATIONS
+     * 
+     * Validates the parameters and body against the operation's schemas, fills in
+     * the path and dispatches to _list, _create or _request. Multipart bodies
+     * are sent as FormData. Invalid input is
+     * reported like an API validation failure, as a ValidationError, without
+     * sending the request.
+     * 
+     * @private
+     * @param {string} operationId - Operation name
+     * @param {Object} params - Path and query parameters
+     * @param {Object|null} data - Request body
+     * @param {Object} options - Request or list options
+     * @returns {Promise<Object>|SlimeTalksList} Response data, or a paginated list
+     */
+    _call(operationId, params, data, options) {
+        const operation = SlimeTalksSDK.OPERATIONS[operationId];
+        const errors = {};
+        const query = {};
+
+        for (const [name, param] of Object.entries(operation.params)) {
+            this._validate(params[name], param.schema, name, param.required, errors);
+        }
+
+        for (const [name, value] of Object.entries(params)) {
+            if (!operation.params[name] || operation.params[name].in === 'query') {
+                query[name] = value;
+            }
+        }
+
+        if (operation.body) {
+            this._validate(data, operation.body, '', true, errors);
+        }
+
+        const endpoint = operation.path.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(params[name]));
+        const fields = Object.keys(errors);
+        const error = fields.length > 0 ? this._validationError(errors, operation.method, endpoint) : null;
+
+        if (operation.paginated) {
+            return error
+                ? new SlimeTalksList(() => Promise.reject(error), query, options)
+                : this._list(endpoint, query, options);
+        }
+
+        if (error) {
+            return Promise.reject(error);
+        }
+
+        const body = operation.multipart ? this._formData(data) : data;
+
+        if (operation.idempotent) {
+            return this._create(endpoint, body, options);
+        }
+
+        return this._request(operation.method, this._withQuery(endpoint, query), body, options);
+    }
+
+    /**
+     * Validate a value against a schema from SlimeTalksSDK.OPERATIONS
+     * 
+     * Checks presence, type, enum, length and range constraints, recursing into
+     * object properties and array items. Messages follow Laravel's wording so
+     * callers can handle client- and server-side failures alike.
+     * 
+     * @private
+     * @param {*} value - Value to check
+     * @param {Object} schema - Validation schema
+     * @param {string} field - Field path ('' for a request body)
+     * @param {boolean} required - Whether the value must be present
+     * @param {Object<string, string[]>} errors - Collected messages, keyed by field
+     */
+    _validate(value, schema, field, required, errors) {
+        const key = field || 'data';
+        const label = key.replace(/_/g, ' ');
+        const fail = message => (errors[key] = errors[key] || []).push(`The ${message.replace(':attribute', label)}.`);
+
+        if (value === undefined || value === null || value === '') {
+            if (required && !(value === null && schema.nullable)) {
+                fail(':attribute field is required');
+            }
+            return;
+        }
+
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        const valid = {
+            string: typeof value === 'string',
+            integer: Number.isInteger(number),
+            number: typeof number === 'number' && Number.isFinite(number),
+            boolean: typeof value === 'boolean',
+            array: Array.isArray(value),
+            object: typeof value === 'object' && !Array.isArray(value),
+            binary: typeof Blob !== 'undefined' && value instanceof Blob,
+        }[schema.type];
+
+        if (valid === false) {
+            fail({
+                string: ':attribute field must be a string',
+                integer: ':attribute field must be an integer',
+                number: ':attribute field must be a number',
+                boolean: ':attribute field must be true or false',
+                array: ':attribute field must be an array',
+                object: ':attribute field must be an object',
+                binary: ':attribute field must be a file',
+            }[schema.type]);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail('selected :attribute is invalid');
+        }
+
+        if (schema.type === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail(`:attribute field must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                fail(`:attribute field must not be greater than ${schema.maxLength} characters`);
+            }
+        }
+
+        if (schema.type === 'integer' || schema.type === 'number') {
+            if (schema.minimum !== undefined && number < schema.minimum) {
+                fail(`:attribute field must be at least ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && number > schema.maximum) {
+                fail(`:attribute field must not be greater than ${schema.maximum}`);
+            }
+        }
+
+        if (schema.type === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail(`:attribute field must have at least ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                fail(`:attribute field must not have more than ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this._validate(item, schema.items, `${key}.${index}`, true, errors));
+            }
+        }
+
+        if (schema.type === 'object' && schema.properties) {
+            for (const [name, property] of Object.entries(schema.properties)) {
+                const isRequired = (schema.required || []).includes(name);
+                this._validate(value[name], property, field ? `${field}.${name}` : name, isRequired, errors);
+            }
+        }
+    }
+
+    /**
+     * Build the ValidationError for client-side validation failures
+     * 
+     * Mirrors Laravel's response body: the first message (plus a count of the
+     * others) and the full error bag.
+     * 
+     * @private
+     * @param {Object<string, string[]>} errors - Messages keyed by field
+     * @param {string} method - HTTP method
+     * @param {string} endpoint - API endpoint
+     * @returns {ValidationError} Error without a request id, since nothing was sent
+     */
+    _validationError(errors, method, endpoint) {
+        const messages = Object.values(errors).flat();
+        const others = messages.length - 1;
+        let message = messages[0];
+
+        if (others > 0) {
+            message += ` (and ${others} more error${others === 1 ? '' : 's'})`;
+        }
+
+        return new ValidationError(message, 422, { message, errors }, { method, endpoint });
+    }
+
+    /**
+     * Build the multipart body of a request
+     * 
+     * Blobs are sent as files, under their own name when they are Files;
+     * other values are sent as strings and empty ones are left out.
+     * 
+     * @private
+     * @param {Object} data - Request data
+     * @returns {FormData} Form data
+     */
+    _formData(data) {
+        const form = new FormData();
+
+        for (const [name, value] of Object.entries(data)) {
+            if (value === undefined || value === null) {
+                continue;
+            }
+
+            if (value instanceof Blob) {
+                form.append(name, value, value.name || name);
+            } else {
+                form.append(name, String(value));
+            }
+        }
+
+        return form;
+    }
+
+    /**
+     * Whether a request body is multipart form data
+     * 
+     * @private
+     * @param {*} data - Request data
+     * @returns {boolean} True for FormData, which is sent as is
+     */
+    _isFormData(data) {
+        return typeof FormData !== 'undefined' && data instanceof FormData;
+    }
+
+    /**
+     * Wrap binary data in a Blob
+     * 
+     * @private
+     * @param {Blob|ArrayBuffer|ArrayBufferView} file - File contents
+     * @param {string} [type] - MIME type for data that is not a Blob yet
+     * @returns {Blob} Blob
+     * @throws {TypeError} When the file is not binary data
+     */
+    _toBlob(file, type) {
+        if (typeof Blob !== 'undefined' && file instanceof Blob) {
+            return file;
+        }
+
+        if (file instanceof ArrayBuffer || ArrayBuffer.isView(file)) {
+            return new Blob([file], type ? { type } : {});
+        }
+
+        throw new TypeError('Attachments must be a File, Blob, Buffer, ArrayBuffer or typed array');
+    }
+
+    /**
+     * Send a create request with an Idempotency-Key header
+     * 
+     * The key is generated once per call and reused across retries, so the API
+     * returns the original response instead of creating a duplicate.
+     * 
+     * @private
+     * @param {string} endpoint - API endpoint
+     * @param {Object} data - Request data
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} Response data
+     */
+    async _create(endpoint, data, options) {
+        const { idempotencyKey, ...requestOptions } = options;
+        const key = idempotencyKey || this._generateId();
+
+        return this._request('POST', endpoint, data, {
+            ...requestOptions,
+            idempotent: true,
+            headers: { ...requestOptions.headers, 'Idempotency-Key': key },
+        });
+    }
+
+    /**
+     * Generate a random idempotency key or request id
+     * 
+     * @private
+     * @returns {string} UUID v4
+     */
+    _generateId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+            const random = Math.random() * 16 | 0;
+            return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    /**
+     * Build a paginated list for a GET endpoint
+     * 
+     * @private
+     * @param {string} endpoint - API endpoint without query string
+     * @param {Object} params - Query parameters
+     * @param {Object} [options] - List options, plus request options (retry, timeout, headers)
+     *   used for every page
+     * @returns {SlimeTalksList} Paginated list
+     */
+    _list(endpoint, params, options = {}) {
+        const { signal, onPage, ...requestOptions } = options;
+
+        return new SlimeTalksList((pageParams, pageSignal) => {
+            return this._request('GET', this._withQuery(endpoint, pageParams), null, { ...requestOptions, signal: pageSignal });
+        }, params, options);
+    }
+
+    /**
+     * Append query parameters to an endpoint, skipping empty values
+     * 
+     * @private
+     * @param {string} endpoint - API endpoint without query string
+     * @param {Object} params - Query parameters
+     * @returns {string} Endpoint with query string
+     */
+    _withQuery(endpoint, params) {
+        const query = new URLSearchParams(
+            Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+        ).toString();
+
+        return `${endpoint}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Make an HTTP request to the API through the middleware pipeline
+     * 
+     * @private
+     * @param {string} method - HTTP method
+     * @param {string} endpoint - API endpoint
+     * @param {Object} [data] - Request data
+     * @param {Object} [requestOptions] - Per-request options
+     * @param {AbortSignal} [requestOptions.signal] - Signal to cancel the request
+     * @param {Object|false} [requestOptions.retry] - Overrides for the retry policy
+     * @param {boolean} [requestOptions.idempotent] - Allow retries regardless of the HTTP method
+     * @param {Object} [requestOptions.headers] - Additional request headers
+     * @param {number} [requestOptions.timeout] - Overrides the configured timeout
+     * @returns {Promise<Object>} Response data
+     * @throws {SlimeTalksError} When request fails
+     */
+    async _request(method, endpoint, data = null, requestOptions = {}) {
+        const request = {
+            method,
+            endpoint,
+            baseUrl: this.config.apiUrl,
+            headers: {
+                // fetch sets the multipart Content-Type, boundary included, for FormData
+                ...(this._isFormData(data) ? {} : { 'Content-Type': 'application/json' }),
+                'Accept': 'application/json',
+                'X-Request-Id': this._generateId(),
+                ...requestOptions.headers,
+            },
+            data,
+            signal: requestOptions.signal,
+            options: requestOptions,
+            attempt: 1,
+        };
+
+        const response = await this._dispatch([...this.middlewares], 0, request);
+
+        return response.data;
+    }
+
+    /**
+     * Run the request through the middleware chain starting at the given index
+     * 
+     * @private
+     * @param {Object[]} chain - Snapshot of the middleware chain
+     * @param {number} index - Index of the next middleware to run
+     * @param {Object} request - Request context
+     * @returns {Promise<Object>} Response ({ status, ok, headers, data })
+     */
+    _dispatch(chain, index, request) {
+        const middleware = chain[index];
+
+        if (!middleware) {
+            return this._transport(request);
+        }
+
+        return middleware.handler(request, (nextRequest = request) => this._dispatch(chain, index + 1, nextRequest));
+    }
+
+    /**
+     * Perform the HTTP request described by the request context
+     * 
+     * This is the innermost step of the pipeline. Aborts are rethrown untouched
+     * so the timeout middleware can tell timeouts from cancellations. Bodies
+     * that are not JSON, like a proxy's error page, are kept as text, so the
+     * error still follows the status.
+     * 
+     * @private
+     * @param {Object} request - Request context
+     * @returns {Promise<Object>} Response ({ status, ok, headers, data })
+     * @throws {SlimeTalksError} When the API responds with an error (a typed subclass such as
+     *   ValidationError or NotFoundError) or the network fails (NetworkError)
+     */
+    async _transport(request) {
+        const { signal } = request;
+        if (signal?.aborted) {
+            throw signal.reason;
+        }
+
+        const options = {
+            method: request.method,
+            headers: request.headers,
+            signal,
+        };
+
+        if (request.data) {
+            options.body = this._isFormData(request.data) ? request.data : JSON.stringify(request.data);
+        }
+
+        let response;
+        let body;
+
+        try {
+            response = await this._fetch(`${request.baseUrl}${request.endpoint}`, options);
+            body = await response.text();
+        } catch (error) {
+            if (error.name === 'AbortError' || signal?.aborted) {
+                throw error;
+            }
+
+            throw new NetworkError(
+                `Network error: ${error.message}`,
+                0,
+                error,
+                this._errorContext(request)
+            );
+        }
+
+        const responseData = this._parseBody(body);
+
+        if (!response.ok) {
+            throw SlimeTalksError.fromResponse(
+                this._parseErrorMessage(responseData),
+                response.status,
+                responseData,
+                {
+                    ...this._errorContext(request, response),
+                    retryAfter: this._parseRetryAfter(response.headers?.get('Retry-After')),
+                }
+            );
+        }
+
+        return {
+            status: response.status,
+            ok: response.ok,
+            headers: response.headers,
+            data: responseData,
+        };
+    }
+
+    /**
+     * Describe the request an error belongs to
+     * 
+     * Prefers the request id echoed by the API, falling back to the one the SDK sent.
+     * 
+     * @private
+     * @param {Object} request - Request context
+     * @param {Response} [response] - Fetch response, if one was received
+     * @returns {Object} Error context ({ requestId, method, endpoint })
+     */
+    _errorContext(request, response = null) {
+        return {
+            requestId: response?.headers?.get('X-Request-Id') || request.headers['X-Request-Id'] || null,
+            method: request.method,
+            endpoint: request.endpoint,
+        };
+    }
+
+    /**
+     * Resolve the effective retry policy for a request
+     * 
+     * @private
+     * @param {Object|false} [override] - Per-request overrides
+     * @returns {Object|false} Retry policy
+     */
+    _retryPolicy(override) {
+        if (override === false || this.config.retry === false) {
+            return false;
+        }
+
+        return { ...this.config.retry, ...override };
+    }
+
+    /**
+     * Decide whether a failed attempt may be retried
+     * 
+     * @private
+     * @param {Object} policy - Retry policy
+     * @param {Object} request - Request context
+     * @param {SlimeTalksError|Error} error - Error thrown by the attempt
+     * @returns {boolean} True if the request should be retried
+     */
+    _isRetryable(policy, request, error) {
+        if (request.signal?.aborted || !(error instanceof SlimeTalksError)) {
+            return false;
+        }
+
+        if (!request.options.idempotent && !policy.retryMethods.includes(request.method.toUpperCase())) {
+            return false;
+        }
+
+        if (error.status === 0) {
+            return policy.retryOnNetworkError;
+        }
+
+        // An earlier attempt with the same key is still running, e.g. one that
+        // timed out here; once it finishes, the API replays its response
+        if (error.status === 409 && request.headers['Idempotency-Key']) {
+            return true;
+        }
+
+        return policy.retryOnStatus.includes(error.status);
+    }
+
+    /**
+     * Compute the delay before the next attempt
+     * 
+     * Honors `Retry-After` on 429 and 503 responses, up to maxRetryAfter,
+     * otherwise uses exponential backoff with optional full jitter.
+     * 
+     * @private
+     * @param {Object} policy - Retry policy
+     * @param {number} attempt - Number of the attempt that just failed (1-based)
+     * @param {SlimeTalksError} error - Error thrown by the attempt
+     * @returns {number} Delay in milliseconds
+     */
+    _retryDelay(policy, attempt, error) {
+        if ((error.status === 429 || error.status === 503) && error.retryAfter != null) {
+            return Math.min(policy.maxRetryAfter, error.retryAfter * 1000);
+        }
+
+        const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+
+        return policy.jitter ? Math.round(Math.random() * delay) : delay;
+    }
+
+    /**
+     * Parse a Retry-After header value
+     * 
+     * @private
+     * @param {string|null} value - Header value (seconds or HTTP date)
+     * @returns {number|null} Seconds to wait, or null when absent or invalid
+     */
+    _parseRetryAfter(value) {
+        if (!value) {
+            return null;
+        }
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds);
+        }
+
+        const date = Date.parse(value);
+        if (Number.isNaN(date)) {
+            return null;
+        }
+
+        return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+    }
+
+    /**
+     * Wait for the given delay, rejecting early if the signal aborts
+     * 
+     * @private
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal} [signal] - Signal to cancel the wait
+     * @returns {Promise<void>}
+     */
+    _sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(signal.reason);
+            };
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Call the configured fetch implementation
+     * 
+     * @private
+     * @param {string} url - Request URL
+     * @param {Object} options - Fetch options
+     * @returns {Promise<Response>} Fetch response
+     */
+    _fetch(url, options) {
+        if (this.config.fetch) {
+            return this.config.fetch(url, options);
+        }
+
+        if (typeof fetch === 'undefined') {
+            throw new Error('No fetch implementation found. Use Node.js 18+ or pass config.fetch');
+        }
+
+        return fetch(url, options);
+    }
+
+    /**
+     * Parse a response body as JSON, keeping anything else as text
+     * 
+     * @private
+     * @param {string} body - Response body
+     * @returns {Object|string|null} Parsed body, the text itself, or null when empty
+     */
+    _parseBody(body) {
+        if (body === '') {
+            return null;
+        }
+
+        try {
+            return JSON.parse(body);
+        } catch {
+            return body;
+        }
+    }
+
+    /**
+     * Parse error message from response
+     * 
+     * @private
+     * @param {Object|string|null} responseData - Response data
+     * @returns {string} Error message
+     */
+    _parseErrorMessage(responseData) {
+        if (!responseData || typeof responseData !== 'object') {
+            return 'An unknown error occurred';
+        }
+
+        if (responseData.error?.message) {
+            return responseData.error.message;
+        }
+
+        if (typeof responseData.error === 'string') {
+            return responseData.error;
+        }
+
+        if (responseData.message) {
+            return responseData.message;
+        }
+
+        return 'An unknown error occurred';
+    }
+}
+
+// <generated:operations> Generated from swagger.yaml by scripts/generate.js; do not edit.
+
+/**
+ * API operations
+ * 
+ * Read by _call() to build requests and validate their parameters and body
+ * before anything is sent. Schemas keep only the keywords _validate() checks,
+ * and the file fields of multipart bodies have type 'binary'.
+ * 
+ * @type {Object}
+ */
+SlimeTalksSDK.OPERATIONS = {
+    getClient: {
+        method: 'GET',
+        path: '/client/{client_uuid}',
+        params: { client_uuid: { in: 'path', required: true, schema: { type: 'string' } } },
+        body: null,
+        paginated: false,
+        idempotent: false,
+        multipart: false,
+    },
+    createCustomer: {
+        method: 'POST',
+        path: '/customers',
+        params: {},
+        body: {
+            type: 'object',
+            required: ['name', 'email'],
+            properties: {
+                name: { type: 'string', maxLength: 255 },
+                email: { type: 'string', maxLength: 255 },
+                metadata: { type: 'object', nullable: true },
+            },
+        },
+        paginated: false,
+        idempotent: true,
+        multipart: false,
+    },
+    listCustomers: {
+        method: 'GET',
+        path: '/customers',
+        params: {
+            limit: { in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100 } },
+            starting_after: { in: 'query', required: false, schema: { type: 'string' } },
+        },
+        body: null,
+        paginated: true,
+        idempotent: false,
+        multipart: false,
+    },
+    getCustomer: {
+        method: 'GET',
+        path: '/customers/{customer_uuid}',
+        params: { customer_uuid: { in: 'path', required: true, schema: { type: 'string' } } },
+        body: null,
+        paginated: false,
+        idempotent: false,
+        multipart: false,
+    },
+    getActiveCustomers: {
+        method: 'GET',
+        path: '/customers/active',
+        params: {
+            email: { in: 'query', required: false, schema: { type: 'string' } },
+            limit: { in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100 } },
+            starting_after: { in: 'query', required: false, schema: { type: 'string' } },
+        },
+        body: null,
+        paginated: true,
+        idempotent: false,
+        multipart: false,
+    },
+    getActiveCustomersForSender: {
+        method: 'GET',
+        path: '/customers/active-for-sender',
+        params: {
+            email: { in: 'query', required: true, schema: { type: 'string' } },
+            limit: { in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100 } },
+            starting_after: { in: 'query', required: false, schema: { type: 'string' } },
+        },
+        body: null,
+        paginated: true,
+        idempotent: false,
+        multipart: false,
+    },
+    createChannel: {
+        method: 'POST',
+        path: '/channels',
+        params: {},
+        body: {
+            type: 'object',
+            required: ['type', 'customer_uuids'],
+            properties: {
+                type: { type: 'string', enum: ['general', 'custom'] },
+                name: { type: 'string', maxLength: 255 },
+                customer_uuids: { type: 'array', items: { type: 'string' }, minItems: 2, maxItems: 5 },
+            },
+        },
+        paginated: false,
+        idempotent: true,
+        multipart: false,
+    },
+    listChannels: {
+        method: 'GET',
+        path: '/channels',
+        params: {
+            limit: { in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100 } },
+            starting_after: { in: 'query', required: false, schema: { type: 'string' } },
+        },
+        body: null,
+        paginated: true,
+        idempotent: false,
+        multipart: false,
+    },
+    getChannel: {
+        method: 'GET',
+        path: '/channels/{channel_uuid}',
+        params: { channel_uuid: { in: 'path', required: true, schema: { type: 'string' } } },
+        body: null,
+        paginated: false,
+        idempotent: false,
+        multipart: false,
+    },
+    getCustomerChannels: {
+        method: 'GET',
+        path: '/channels/customer/{customer_uuid}',
+        params: { customer_uuid: { in: 'path', required: true, schema: { type: 'string' } } },
+        body: null,
+        paginated: false,
+        idempotent: false,
+        multipart: false,
+    },
+    getChannelsByEmail: {
+        method: 'GET',
+        path: '/channels/by-email',
+        params: { email: { in: 'query', required: true, schema: { type: 'string' } } },
+        body: null,
+        paginated: false,
+        idempotent: false,
+        multipart: false,
+    },
+    sendTypingIndicator: {
+        method: 'POST',
+        path: '/channels/{channel_uuid}/typing',
+        params: { channel_uuid: { in: 'path', required: true, schema: { type: 'string' } } },
+        body: {
+            type: 'object',
+            required: ['sender_uuid', 'typing'],
+            properties: { sender_uuid: { type: 'string' }, typing: { type: 'boolean' } },
+        },
+        paginated: false,
+        idempotent: false,
+        multipart: false,
+    },
+    getReadReceipts: {
+        method: 'GET',
+        path: '/channels/{channel_uuid}/read',
+        params: { channel_uuid: { in: 'path', required: true, schema: { type: 'string' } } },
+        body: null,
+        paginated: false,
+        idempotent: false,
+        multipart: false,
+    },
+    markChannelRead: {
+        method: 'POST',
+        path: '/channels/{channel_uuid}/read',
+        params: { channel_uuid: { in: 'path', required: true, schema: { type: 'string' } } },
+        body: {
+            type: 'object',
+            required: ['customer_uuid', 'message_id'],
+            properties: { customer_uuid: { type: 'string' }, message_id: { type: 'string' } },
+        },
+        paginated: false,
+        idempotent: false,
+        multipart: false,
+    },
+    sendMessage: {
+        method: 'POST',
+        path: '/messages',
+        params: {},
+        body: {
+            type: 'object',
+            required: ['channel_uuid', 'sender_uuid'],
+            properties: {
+                channel_uuid: { type: 'string' },
+                sender_uuid: { type: 'string' },
+                type: { type: 'string', enum: ['text', 'image', 'file'] },
+                content: { type: 'string', minLength: 1 },
+                metadata: { type: 'object', nullable: true },
+                parent_uuid: { type: 'string', nullable: true },
+                reply_to: { type: 'string', nullable: true },
+                forwarded_from: { type: 'string', nullable: true },
+                attachment_uuids: { type: 'array', nullable: true, items: { type: 'string' }, maxItems: 10 },
+            },
+        },
+        paginated: false,
+        idempotent: true,
+        multipart: false,
+    },
+    getChannelMessages: {
+        method: 'GET',
+        path: '/messages/channel/{channel_uuid}',
+        params: {
+            channel_uuid: { in: 'path', required: true, schema: { type: 'string' } },
+            limit: { in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100 } },
+            starting_after: { in: 'query', required: false, schema: { type: 'string' } },
+            order: { in: 'query', required: false, schema: { type: 'string', enum: ['asc', 'desc'] } },
+        },
+        body: null,
+        paginated: true,
+        idempotent: false,
+        multipart: false,
+    },
+    getCustomerMessages: {
+        method: 'GET',
+        path: '/messages/customer/{customer_uuid}',
+        params: {
+            customer_uuid: { in: 'path', required: true, schema: { type: 'string' } },
+            limit: { in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100 } },
+            starting_after: { in: 'query', required: false, schema: { type: 'string' } },
+        },
+        body: null,
+        paginated: true,
+        idempotent: false,
+        multipart: false,
+    },
+    getMessagesBetweenCustomers: {
+        method: 'GET',
+        path: '/messages/between',
+        params: {
+            email1: { in: 'query', required: true, schema: { type: 'string' } },
+            email2: { in: 'query', required: true, schema: { type: 'string' } },
+            limit: { in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100 } },
+            starting_after: { in: 'query', required: false, schema: { type: 'string' } },
+        },
+        body: null,
+        paginated: true,
+        idempotent: false,
+        multipart: false,
+    },
+    updateMessage: {
+        method: 'PATCH',
+        path: '/messages/{message_uuid}',
+        params: { message_uuid: { in: 'path', required: true, schema: { type: 'string' } } },
+        body: {
+            type: 'object',
+            required: ['sender_uuid', 'content'],
+            properties: {
+                sender_uuid: { type: 'string' },
+                content: { type: 'string', minLength: 1 },
+                metadata: { type: 'object', nullable: true },
+            },
+        },
+        paginated: false,
+        idempotent: false,
+        multipart: false,
+    },
+    deleteMessage: {
+        method: 'DELETE',
+        path: '/messages/{message_uuid}',
+        params: {
+            message_uuid: { in: 'path', required: true, schema: { type: 'string' } },
+            sender_uuid: { in: 'query', required: true, schema: { type: 'string' } },
+        },
+        body: null,
+        paginated: false,
+        idempotent: false,
+        multipart: false,
+    },
+    getReplies: {
+        method: 'GET',
+        path: '/messages/{message_uuid}/replies',
+        params: {
+            message_uuid: { in: 'path', required: true, schema: { type: 'string' } },
+            limit: { in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100 } },
+            starting_after: { in: 'query', required: false, schema: { type: 'string' } },
+        },
+        body: null,
+        paginated: true,
+        idempotent: false,
+        multipart: false,
+    },
+    replyToMessage: {
+        method: 'POST',
+        path: '/messages/{message_uuid}/replies',
+        params: { message_uuid: { in: 'path', required: true, schema: { type: 'string' } } },
+        body: {
+            type: 'object',
+            required: ['sender_uuid', 'type', 'content'],
+            properties: {
+                sender_uuid: { type: 'string' },
+                type: { type: 'string', enum: ['text', 'image', 'file'] },
+                content: { type: 'string', minLength: 1 },
+                metadata: { type: 'object', nullable: true },
+            },
+        },
+        paginated: false,
+        idempotent: true,
+        multipart: false,
+    },
+    addReaction: {
+        method: 'POST',
+        path: '/messages/{message_uuid}/reactions',
+        params: { message_uuid: { in: 'path', required: true, schema: { type: 'string' } } },
+        body: {
+            type: 'object',
+            required: ['customer_uuid', 'emoji'],
+            properties: { customer_uuid: { type: 'string' }, emoji: { type: 'string', maxLength: 32 } },
+        },
+        paginated: false,
+        idempotent: false,
+        multipart: false,
+    },
+    removeReaction: {
+        method: 'DELETE',
+        path: '/messages/{message_uuid}/reactions',
+        params: {
+            message_uuid: { in: 'path', required: true, schema: { type: 'string' } },
+            customer_uuid: { in: 'query', required: true, schema: { type: 'string' } },
+            emoji: { in: 'query', required: true, schema: { type: 'string', maxLength: 32 } },
+        },
+        body: null,
+        paginated: false,
+        idempotent: false,
+        multipart: false,
+    },
+    sendToCustomer: {
+        method: 'POST',
+        path: '/messages/send-to-customer',
+        params: {},
+        body: {
+            type: 'object',
+            required: ['sender_email', 'recipient_email'],
+            properties: {
+                sender_email: { type: 'string' },
+                recipient_email: { type: 'string' },
+                type: { type: 'string', enum: ['text', 'image', 'file', 'system'] },
+                content: { type: 'string' },
+                metadata: { type: 'object' },
+                reply_to: { type: 'string', nullable: true },
+                forwarded_from: { type: 'string', nullable: true },
+                attachment_uuids: { type: 'array', nullable: true, items: { type: 'string' }, maxItems: 10 },
+            },
+        },
+        paginated: false,
+        idempotent: true,
+        multipart: false,
+    },
+    createAttachment: {
+        method: 'POST',
+        path: '/attachments',
+        params: {},
+        body: {
+            type: 'object',
+            required: ['customer_uuid', 'file'],
+            properties: {
+                customer_uuid: { type: 'string' },
+                file: { type: 'binary' },
+                filename: { type: 'string', maxLength: 255 },
+            },
+        },
+        paginated: false,
+        idempotent: true,
+        multipart: true,
+    },
+    startAttachmentUpload: {
+        method: 'POST',
+        path: '/attachments/uploads',
+        params: {},
+        body: {
+            type: 'object',
+            required: ['customer_uuid', 'filename', 'mime_type', 'size'],
+            properties: {
+                customer_uuid: { type: 'string' },
+                filename: { type: 'string', maxLength: 255 },
+                mime_type: { type: 'string', maxLength: 255 },
+                size: { type: 'integer', minimum: 1, maximum: 26214400 },
+            },
+        },
+        paginated: false,
+        idempotent: true,
+        multipart: false,
+    },
+    uploadAttachmentChunk: {
+        method: 'POST',
+        path: '/attachments/{attachment_uuid}/chunks',
+        params: { attachment_uuid: { in: 'path', required: true, schema: { type: 'string' } } },
+        body: {
+            type: 'object',
+            required: ['customer_uuid', 'offset', 'chunk'],
+            properties: {
+                customer_uuid: { type: 'string' },
+                offset: { type: 'integer', minimum: 0 },
+                chunk: { type: 'binary' },
+            },
+        },
+        paginated: false,
+        idempotent: true,
+        multipart: true,
+    },
+    getAttachment: {
+        method: 'GET',
+        path: '/attachments/{attachment_uuid}',
+        params: { attachment_uuid: { in: 'path', required: true, schema: { type: 'string' } } },
+        body: null,
+        paginated: false,
+        idempotent: false,
+        multipart: false,
+    },
+    pollRealtimeEvents: {
+        method: 'GET',
+        path: '/realtime/poll',
+        params: {
+            channels: { in: 'query', required: true, schema: { type: 'string' } },
+            cursor: { in: 'query', required: false, schema: { type: 'string' } },
+            wait: { in: 'query', required: false, schema: { type: 'integer', minimum: 0, maximum: 25 } },
+        },
+        body: null,
+        paginated: false,
+        idempotent: false,
+        multipart: false,
+    },
+    createSession: {
+        method: 'POST',
+        path: '/sessions',
+        params: {},
+        body: {
+            type: 'object',
+            required: ['customer_uuid'],
+            properties: {
+                customer_uuid: { type: 'string' },
+                ttl: { type: 'integer', minimum: 60, maximum: 3600 },
+            },
+        },
+        paginated: false,
+        idempotent: false,
+        multipart: false,
+    },
+};
+// </generated:operations>
+
+/**
+ * Size of the chunks uploadAttachment() sends large files in, in bytes
+ * 
+ * Files up to this size are uploaded in one request. It stays below PHP's
+ * default upload_max_filesize of 2 MB.
+ * 
+ * @type {number}
+ */
+SlimeTalksSDK.ATTACHMENT_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Default retry policy
+ * 
+ * POST is deliberately absent: creating the same message twice is worse than
+ * surfacing a transient failure. Create calls opt back in because they carry
+ * an Idempotency-Key.
+ * 
+ * @type {Object}
+ */
+SlimeTalksSDK.DEFAULT_RETRY = {
+    maxAttempts: 3,
+    baseDelay: 300,
+    maxDelay: 10000,
+    maxRetryAfter: 60000,
+    jitter: true,
+    retryOnStatus: [408, 429, 500, 502, 503, 504],
+    retryMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    retryOnNetworkError: true,
+    onRetry: null,
+};
+
+/**
+ * How long before expiry a session token is refreshed, in milliseconds
+ * 
+ * @type {number}
+ */
+SlimeTalksSDK.SESSION_REFRESH_MARGIN = 60000;
+
+/**
+ * Slime Talks List
+ * 
+ * Lazily fetched, cursor-paginated list returned by every list method.
+ * Awaiting it resolves to the first page (the raw list envelope), while
+ * `for await` walks every item across pages by following `starting_after`.
+ * 
+ * @example
+ * const page = await sdk.listCustomers({ limit: 20 });
+ * 
+ * for await (const customer of sdk.listCustomers({ limit: 100 })) {
+ *     console.log(customer.email);
+ * }
+ * 
+ * const recent = await sdk.getChannelMessages(channelUuid).toArray({ max: 200 });
+ */
+class SlimeTalksList {
+    /**
+     * Create a new list instance
+     * 
+     * @param {Function} fetchPage - Fetches one page: (params, signal) => Promise<Object>
+     * @param {Object} [params] - Query parameters for the first page
+     * @param {Object} [options] - List options
+     * @param {AbortSignal} [options.signal] - Signal to stop paging and cancel in-flight requests
+     * @param {Function} [options.onPage] - Called with every fetched page envelope
+     */
+    constructor(fetchPage, params = {}, options = {}) {
+        this.fetchPage = fetchPage;
+        this.params = { ...params };
+        this.options = options;
+        this.firstPagePromise = null;
+    }
+
+    /**
+     * Resolve to the first page, keeping `await sdk.listX()` backwards compatible
+     * 
+     * @param {Function} [onFulfilled] - Fulfillment handler
+     * @param {Function} [onRejected] - Rejection handler
+     * @returns {Promise<Object>} First page envelope
+     */
+    then(onFulfilled, onRejected) {
+        return this._firstPage().then(onFulfilled, onRejected);
+    }
+
+    /**
+     * @param {Function} onRejected - Rejection handler
+     * @returns {Promise<Object>} First page envelope
+     */
+    catch(onRejected) {
+        return this._firstPage().catch(onRejected);
+    }
+
+    /**
+     * @param {Function} onFinally - Settlement handler
+     * @returns {Promise<Object>} First page envelope
+     */
+    finally(onFinally) {
+        return this._firstPage().finally(onFinally);
+    }
+
+    /**
+     * Iterate over page envelopes, following `starting_after` until `has_more` is false
+     * 
+     * @param {Object} [options] - Overrides for the list options
+     * @param {AbortSignal} [options.signal] - Signal to stop paging
+     * @yields {Object} Page envelope ({ object, data, has_more, total_count })
+     */
+    async *pages(options = {}) {
+        const { signal, onPage } = { ...this.options, ...options };
+        let params = { ...this.params };
+        let page = await this._firstPage(signal);
+
+        while (true) {
+            onPage?.(page);
+            yield page;
+
+            const items = page.data || [];
+            if (!page.has_more || items.length === 0) {
+                return;
+            }
+
+            if (signal?.aborted) {
+                throw signal.reason;
+            }
+
+            params = { ...params, starting_after: items[items.length - 1].id };
+            page = await this.fetchPage(params, signal);
+        }
+    }
+
+    /**
+     * Iterate over every item across all pages
+     * 
+     * @yields {Object} List item
+     */
+    async *[Symbol.asyncIterator]() {
+        for await (const page of this.pages()) {
+            yield* page.data || [];
+        }
+    }
+
+    /**
+     * Collect items across pages into an array
+     * 
+     * @param {Object} [options] - Collection options
+     * @param {number} [options.max] - Stop after this many items
+     * @param {AbortSignal} [options.signal] - Signal to stop paging
+     * @returns {Promise<Object[]>} Collected items
+     */
+    async toArray(options = {}) {
+        const { max = Infinity, ...pageOptions } = options;
+        const items = [];
+
+        if (max <= 0) {
+            return items;
+        }
+
+        for await (const page of this.pages(pageOptions)) {
+            for (const item of page.data || []) {
+                items.push(item);
+                if (items.length >= max) {
+                    return items;
+                }
+            }
+        }
+
+        return items;
+    }
+
+    /**
+     * Invoke a callback for every page; return `false` from it to stop early
+     * 
+     * @param {Function} callback - Called with (page, index)
+     * @param {Object} [options] - Overrides for the list options
+     * @returns {Promise<void>}
+     */
+    async eachPage(callback, options = {}) {
+        let index = 0;
+
+        for await (const page of this.pages(options)) {
+            if (await callback(page, index++) === false) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Fetch the first page once and share it between `then` and iteration
+     * 
+     * @private
+     * @param {AbortSignal} [signal] - Signal to cancel the request
+     * @returns {Promise<Object>} First page envelope
+     */
+    _firstPage(signal = this.options.signal) {
+        if (signal !== this.options.signal) {
+            return this.fetchPage(this.params, signal);
+        }
+
+        if (!this.firstPagePromise) {
+            this.firstPagePromise = this.fetchPage(this.params, signal);
+        }
+
+        return this.firstPagePromise;
+    }
+}
+
+/**
+ * Slime Talks Message Cache
+ * 
+ * Keeps channel messages (and channel lists) in a persistent store, so a
+ * channel can be rendered from the cache the moment it is opened and then
+ * brought up to date with sync(), which only fetches messages newer than
+ * the newest cached one.
+ * 
+ * Entries are namespaced per client (the public key by default). Both the
+ * channels held in memory and the channels kept in the store are bounded:
+ * the least recently used channels are evicted first, and each channel keeps
+ * only its newest `maxMessagesPerChannel` messages.
+ * 
+ * @example
+ * const cache = new SlimeTalksMessageCache(sdk);
+ * 
+ * render(await cache.getMessages(channelUuid));
+ * render(await cache.sync(channelUuid));
+ * realtime.on('message.sent', ({ message }) => cache.addMessage(message));
+ */
+class SlimeTalksMessageCache {
+    /**
+     * Create a new message cache
+     * 
+     * @param {SlimeTalksSDK} sdk - SDK used to fetch messages
+     * @param {Object} [options] - Cache options
+     * @param {Object} [options.store] - Async key-value store (get/set/delete); defaults to
+     *   SlimeTalksIndexedDBStore when IndexedDB is available, otherwise SlimeTalksMemoryStore
+     * @param {string} [options.namespace] - Key prefix separating clients (defaults to the public key)
+     * @param {number} [options.maxChannels=100] - Channels kept in the store
+     * @param {number} [options.memoryChannels=10] - Channels also kept in memory
+     * @param {number} [options.maxMessagesPerChannel=500] - Newest messages kept per channel
+     * @param {number} [options.initialLimit=50] - Messages fetched when a channel is not cached yet
+     * @param {number} [options.maxSyncMessages] - Newer messages a sync fetches before it drops the
+     *   channel's cache and starts over from the newest page (defaults to maxMessagesPerChannel)
+     */
+    constructor(sdk, options = {}) {
+        this.sdk = sdk;
+        this.store = options.store || (SlimeTalksIndexedDBStore.isSupported()
+            ? new SlimeTalksIndexedDBStore()
+            : new SlimeTalksMemoryStore());
+        this.namespace = options.namespace || sdk.config.publicKey || 'default';
+        this.maxChannels = options.maxChannels || 100;
+        this.memoryChannels = options.memoryChannels || 10;
+        this.maxMessagesPerChannel = options.maxMessagesPerChannel || 500;
+        this.initialLimit = options.initialLimit || 50;
+        this.maxSyncMessages = options.maxSyncMessages || this.maxMessagesPerChannel;
+        this.memory = new Map();
+        this.syncs = new Map();
+        this.index = null;
+    }
+
+    /**
+     * Get the cached messages of a channel, oldest first
+     * 
+     * @param {string} channelUuid - Channel UUID
+     * @returns {Promise<Object[]>} Cached messages
+     */
+    async getMessages(channelUuid) {
+        return [...await this.read(channelUuid)];
+    }
+
+    /**
+     * Fetch the messages sent after the newest cached one and cache them
+     * 
+     * Concurrent calls for the same channel share one request. Each caller's
+     * signal only stops its own call; the request is aborted once every
+     * caller has aborted. An empty
+     * cache is filled with the newest `initialLimit` messages only; older
+     * history can be paged in with `order: 'desc'` and putMessages(). When
+     * more than `maxSyncMessages` messages were sent since the newest cached
+     * one, the cached messages are dropped and the channel is filled like an
+     * empty one; the result then has `reset: true`, and messages shown from
+     * the cache before should be replaced with getMessages().
+     * 
+     * @param {string} channelUuid - Channel UUID
+     * @param {Object} [options] - Sync options
+     * @param {AbortSignal} [options.signal] - Signal to stop syncing
+     * @returns {Promise<Object[]>} Messages that were not cached yet, oldest first, with a
+     *   `reset` flag telling whether the cached messages were dropped
+     */
+    sync(channelUuid, options = {}) {
+        const { signal } = options;
+
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        let sync = this.syncs.get(channelUuid);
+
+        if (!sync) {
+            const controller = new AbortController();
+
+            sync = { controller, callers: 0 };
+            sync.promise = this.fetchNewer(channelUuid, { signal: controller.signal }).finally(() => {
+                if (this.syncs.get(channelUuid) === sync) {
+                    this.syncs.delete(channelUuid);
+                }
+            });
+
+            this.syncs.set(channelUuid, sync);
+        }
+
+        sync.callers++;
+
+        if (!signal) {
+            return sync.promise;
+        }
+
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                // The last caller to leave stops the request, and later syncs start afresh
+                if (--sync.callers === 0) {
+                    if (this.syncs.get(channelUuid) === sync) {
+                        this.syncs.delete(channelUuid);
+                    }
+
+                    sync.controller.abort(signal.reason);
+                }
+
+                reject(signal.reason);
+            };
+
+            signal.addEventListener('abort', abort, { once: true });
+            sync.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+        });
+    }
+
+    /**
+     * Cache a message, e.g. from a `message.sent` event
+     * 
+     * @param {Object} message - Message resource
+     * @returns {Promise<boolean>} False when the message was already cached
+     */
+    async addMessage(message) {
+        const added = await this.putMessages(message.channel_id, [message]);
+
+        return added.length > 0;
+    }
+
+    /**
+     * Replace a cached message with a newer version, e.g. from a
+     * `message.updated` or `message.deleted` event
+     * 
+     * @param {Object} message - Message resource
+     * @returns {Promise<boolean>} False when the message is not cached
+     */
+    async updateMessage(message) {
+        const cached = await this.read(message.channel_id);
+
+        if (!cached.some(item => item.id === message.id)) {
+            return false;
+        }
+
+        await this.write(message.channel_id, cached.map(item => (item.id === message.id ? message : item)));
+
+        return true;
+    }
+
+    /**
+     * Merge messages into the cache of a channel
+     * 
+     * @param {string} channelUuid - Channel UUID
+     * @param {Object[]} messages - Message resources
+     * @returns {Promise<Object[]>} Messages that were not cached yet
+     */
+    async putMessages(channelUuid, messages) {
+        const cached = await this.read(channelUuid);
+        const known = new Set(cached.map(message => message.id));
+        const added = messages.filter(message => !known.has(message.id) && known.add(message.id));
+
+        if (added.length > 0) {
+            const merged = [...cached, ...added]
+                .map((message, position) => ({ message, position }))
+                .sort((a, b) => (a.message.created ?? 0) - (b.message.created ?? 0) || a.position - b.position)
+                .map(({ message }) => message)
+                .slice(-this.maxMessagesPerChannel);
+
+            await this.write(channelUuid, merged);
+        }
+
+        return added;
+    }
+
+    /**
+     * Get the cached channel list
+     * 
+     * @param {string} [key='channels'] - Name of the list, e.g. one per customer
+     * @returns {Promise<Object[]|null>} Channels, or null when none were cached
+     */
+    async getChannels(key = 'channels') {
+        return (await this.store.get(this.key(`list:${key}`))) ?? null;
+    }
+
+    /**
+     * Cache a channel list
+     * 
+     * @param {Object[]} channels - Channel resources
+     * @param {string} [key='channels'] - Name of the list
+     * @returns {Promise<void>}
+     */
+    async putChannels(channels, key = 'channels') {
+        await this.store.set(this.key(`list:${key}`), channels);
+    }
+
+    /**
+     * Forget the cached messages of a channel
+     * 
+     * @param {string} channelUuid - Channel UUID
+     * @returns {Promise<void>}
+     */
+    async removeChannel(channelUuid) {
+        const index = await this.readIndex();
+
+        this.memory.delete(channelUuid);
+        this.index = index.filter(uuid => uuid !== channelUuid);
+        await this.store.delete(this.key(`channel:${channelUuid}`));
+        await this.store.set(this.key('index'), this.index);
+    }
+
+    /**
+     * Forget every cached channel of this namespace
+     * 
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        for (const channelUuid of await this.readIndex()) {
+            await this.store.delete(this.key(`channel:${channelUuid}`));
+        }
+
+        this.memory.clear();
+        this.index = [];
+        await this.store.set(this.key('index'), this.index);
+    }
+
+    /**
+     * Page through the messages after the newest cached one
+     * 
+     * @private
+     * @param {string} channelUuid - Channel UUID
+     * @param {Object} options - Sync options
+     * @returns {Promise<Object[]>} Messages that were not cached yet, with the `reset` flag
+     */
+    async fetchNewer(channelUuid, options) {
+        const cached = await this.read(channelUuid);
+
+        if (cached.length > 0) {
+            const params = { limit: 100, starting_after: cached[cached.length - 1].id };
+            const messages = await this.sdk.getChannelMessages(channelUuid, params, { signal: options.signal })
+                .toArray({ max: this.maxSyncMessages + 1 });
+
+            if (messages.length <= this.maxSyncMessages) {
+                return Object.assign(await this.putMessages(channelUuid, messages), { reset: false });
+            }
+
+            // Too far behind to catch up; the gap would never be filled in
+            await this.write(channelUuid, []);
+        }
+
+        const page = await this.sdk.getChannelMessages(channelUuid, {
+            limit: this.initialLimit,
+            order: 'desc',
+        }, { signal: options.signal });
+
+        return Object.assign(await this.putMessages(channelUuid, [...page.data].reverse()), { reset: cached.length > 0 });
+    }
+
+    /**
+     * Read a channel from memory or the store and mark it recently used
+     * 
+     * @private
+     * @param {string} channelUuid - Channel UUID
+     * @returns {Promise<Object[]>} Cached messages
+     */
+    async read(channelUuid) {
+        let messages = this.memory.get(channelUuid);
+
+        if (!messages) {
+            messages = (await this.store.get(this.key(`channel:${channelUuid}`))) || [];
+        }
+
+        this.remember(channelUuid, messages);
+
+        const index = await this.readIndex();
+
+        if (index.includes(channelUuid) && index[index.length - 1] !== channelUuid) {
+            this.index = [...index.filter(uuid => uuid !== channelUuid), channelUuid];
+            await this.store.set(this.key('index'), this.index);
+        }
+
+        return messages;
+    }
+
+    /**
+     * Write a channel to memory and the store, evicting the least recently used channels
+     * 
+     * @private
+     * @param {string} channelUuid - Channel UUID
+     * @param {Object[]} messages - Messages, oldest first
+     * @returns {Promise<void>}
+     */
+    async write(channelUuid, messages) {
+        this.remember(channelUuid, messages);
+
+        const index = (await this.readIndex()).filter(uuid => uuid !== channelUuid);
+        index.push(channelUuid);
+
+        const evicted = index.splice(0, Math.max(0, index.length - this.maxChannels));
+        this.index = index;
+
+        await this.store.set(this.key(`channel:${channelUuid}`), messages);
+
+        for (const uuid of evicted) {
+            this.memory.delete(uuid);
+            await this.store.delete(this.key(`channel:${uuid}`));
+        }
+
+        await this.store.set(this.key('index'), index);
+    }
+
+    /**
+     * Keep a channel in memory as the most recently used one
+     * 
+     * @private
+     * @param {string} channelUuid - Channel UUID
+     * @param {Object[]} messages - Messages, oldest first
+     */
+    remember(channelUuid, messages) {
+        this.memory.delete(channelUuid);
+        this.memory.set(channelUuid, messages);
+
+        while (this.memory.size > this.memoryChannels) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+    }
+
+    /**
+     * Read the stored channels, least recently used first
+     * 
+     * @private
+     * @returns {Promise<string[]>} Channel UUIDs
+     */
+    async readIndex() {
+        if (!this.index) {
+            this.index = (await this.store.get(this.key('index'))) || [];
+        }
+
+        return this.index;
+    }
+
+    /**
+     * Build a namespaced store key
+     * 
+     * @private
+     * @param {string} name - Key name
+     * @returns {string} Store key
+     */
+    key(name) {
+        return `${this.namespace}:${name}`;
+    }
+}
+
+/**
+ * Slime Talks Memory Store
+ * 
+ * Message cache store that lives as long as the page or process. Also the
+ * reference for custom stores (e.g. files or Redis in Node): any object with
+ * async get, set and delete works.
+ */
+class SlimeTalksMemoryStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * @param {string} key - Entry key
+     * @returns {Promise<*>} Stored value, or undefined
+     */
+    async get(key) {
+        return this.entries.get(key);
+    }
+
+    /**
+     * @param {string} key - Entry key
+     * @param {*} value - Structured-cloneable value
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+        this.entries.set(key, value);
+    }
+
+    /**
+     * @param {string} key - Entry key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+/**
+ * Slime Talks IndexedDB Store
+ * 
+ * Message cache store backed by an IndexedDB database with a single
+ * key-value object store, so cached messages survive page reloads.
+ */
+class SlimeTalksIndexedDBStore {
+    /**
+     * Create a new IndexedDB store
+     * 
+     * @param {Object} [options] - Store options
+     * @param {string} [options.name='slime-talks'] - Database name
+     * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation (defaults to the global one)
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'slime-talks';
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.database = null;
+    }
+
+    /**
+     * Whether the environment provides IndexedDB
+     * 
+     * @returns {boolean} True in browsers with IndexedDB
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * @param {string} key - Entry key
+     * @returns {Promise<*>} Stored value, or undefined
+     */
+    get(key) {
+        return this.transaction('readonly', store => store.get(key));
+    }
+
+    /**
+     * @param {string} key - Entry key
+     * @param {*} value - Structured-cloneable value
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+        await this.transaction('readwrite', store => store.put(value, key));
+    }
+
+    /**
+     * @param {string} key - Entry key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await this.transaction('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Open the database once, creating the object store on first use
+     * 
+     * @private
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.name, 1);
+
+                request.onupgradeneeded = () => request.result.createObjectStore('entries');
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.database;
+    }
+
+    /**
+     * Run one request in a transaction and resolve with its result once committed
+     * 
+     * @private
+     * @param {string} mode - `readonly` or `readwrite`
+     * @param {Function} run - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async transaction(mode, run) {
+        const database = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction('entries', mode);
+            const request = run(transaction.objectStore('entries'));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+/**
+ * Slime Talks Outbox
+ * 
+ * Queue of outgoing messages that survives going offline and page reloads.
+ * Messages are stored as soon as they are added, so the app can render them
+ * right away, and are sent one at a time in order. Each gets a client id,
+ * sent as the Idempotency-Key and as `metadata.client_message_id`, which
+ * lets reconcile() match the server copy whether it comes back in the send
+ * response or in a `message.sent` event first.
+ * 
+ * Network errors, timeouts, 429 and 5xx responses are retried with a
+ * growing delay, and right away when the browser comes back online. Other
+ * errors mark the message `failed` until retry() is called.
+ * 
+ * @example
+ * const outbox = new SlimeTalksOutbox({
+ *     send: (data, options) => sdk.sendMessage(data, options),
+ *     onChange: entry => renderPending(SlimeTalksOutbox.toMessage(entry), entry.status),
+ *     onSent: (entry, message) => replacePending(entry.id, message),
+ * });
+ * 
+ * realtime.on('message.sent', ({ message }) => outbox.reconcile(message) || render(message));
+ * 
+ * outbox.add({ channel_uuid, sender_uuid, type: 'text', content: 'Hi!' });
+ */
+class SlimeTalksOutbox {
+    /**
+     * Create a new outbox
+     * 
+     * @param {Object} options Outbox options
+     * @param {Function} options.send - Sends one message: (data, { idempotencyKey }) => Promise<Object>
+     * @param {Object|null} [options.storage] - Storage with getItem/setItem for queued messages;
+     *   defaults to localStorage when available, null keeps them in memory only
+     * @param {string} [options.storageKey='slime-talks-outbox'] - Storage key; include the user id
+     *   when several customers can sign in on the same browser
+     * @param {number} [options.retryDelay=1000] - Milliseconds before the first retry, doubled after
+     *   every failure (up to a minute)
+     * @param {Function} [options.onChange] - Called with an entry when it is queued or its status changes
+     * @param {Function} [options.onSent] - Called with an entry and the stored message once the API has it
+     * @param {Function} [options.onRemoved] - Called with an entry dropped by remove()
+     */
+    constructor(options) {
+        this.send = options.send;
+        this.onChange = options.onChange || null;
+        this.onSent = options.onSent || null;
+        this.onRemoved = options.onRemoved || null;
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || 'slime-talks-outbox';
+        this.retryDelay = options.retryDelay ?? 1000;
+        this.queue = this.load();
+        this.flushing = null;
+        this.retryTimer = null;
+        this.onOnline = () => this.flush();
+
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('online', this.onOnline);
+        }
+    }
+
+    /**
+     * Queue a message and start sending it
+     * 
+     * @param {Object} data - sendMessage() body ({ channel_uuid, sender_uuid, type, content, metadata })
+     * @returns {Object} Outbox entry ({ id, status, attempts, error, data, createdAt })
+     */
+    add(data) {
+        const id = SlimeTalksOutbox.generateId();
+        const entry = {
+            id,
+            status: 'pending',
+            attempts: 0,
+            error: null,
+            data: { ...data, metadata: { ...data.metadata, client_message_id: id } },
+            createdAt: Date.now(),
+        };
+
+        this.queue.push(entry);
+        this.save();
+        this.notify(this.onChange, entry);
+        this.flush();
+
+        return entry;
+    }
+
+    /**
+     * Get the queued messages, oldest first
+     * 
+     * @param {string} [channelUuid] - Only the messages of this channel
+     * @returns {Object[]} Outbox entries
+     */
+    entries(channelUuid = null) {
+        return this.queue.filter(entry => channelUuid === null || entry.data.channel_uuid === channelUuid);
+    }
+
+    /**
+     * Send the pending messages
+     * 
+     * Runs by itself after add(), retry(), a retry delay and the browser's
+     * `online` event; call it when the app knows the API is reachable again.
+     * 
+     * @returns {Promise<void>} Resolves once the queue is sent or blocked
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.sendPending().finally(() => {
+                this.flushing = null;
+            });
+        }
+
+        return this.flushing;
+    }
+
+    /**
+     * Send a failed message again
+     * 
+     * @param {string} id - Outbox entry id
+     * @returns {Promise<void>} Resolves once the queue is sent or blocked
+     */
+    retry(id) {
+        const entry = this.queue.find(item => item.id === id);
+
+        if (entry?.status === 'failed') {
+            entry.status = 'pending';
+            entry.attempts = 0;
+            entry.error = null;
+            this.save();
+            this.notify(this.onChange, entry);
+        }
+
+        return this.flush();
+    }
+
+    /**
+     * Drop a message from the outbox
+     * 
+     * A message already on its way may still be delivered.
+     * 
+     * @param {string} id - Outbox entry id
+     * @returns {boolean} Whether the message was queued
+     */
+    remove(id) {
+        const entry = this.queue.find(item => item.id === id);
+
+        if (!entry) {
+            return false;
+        }
+
+        this.queue.splice(this.queue.indexOf(entry), 1);
+        this.save();
+        this.notify(this.onRemoved, entry);
+
+        return true;
+    }
+
+    /**
+     * Match a message from the API with the queued message it was sent from
+     * 
+     * @param {Object} message - Message resource, e.g. from a `message.sent` event
+     * @returns {boolean} True when the message came from this outbox, which then calls onSent
+     */
+    reconcile(message) {
+        const id = message?.metadata?.client_message_id;
+        const entry = id ? this.queue.find(item => item.id === id) : null;
+
+        if (!entry) {
+            return false;
+        }
+
+        this.complete(entry, message);
+
+        return true;
+    }
+
+    /**
+     * Stop retrying and listening for the browser's `online` event
+     */
+    destroy() {
+        clearTimeout(this.retryTimer);
+
+        if (typeof window !== 'undefined' && window.removeEventListener) {
+            window.removeEventListener('online', this.onOnline);
+        }
+    }
+
+    /**
+     * Send pending messages in order until one fails
+     * 
+     * @private
+     * @returns {Promise<void>}
+     */
+    async sendPending() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        let entry;
+
+        while ((entry = this.queue.find(item => item.status === 'pending'))) {
+            if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                return;
+            }
+
+            entry.status = 'sending';
+            entry.attempts++;
+            this.save();
+            this.notify(this.onChange, entry);
+
+            try {
+                const message = await this.send(entry.data, { idempotencyKey: entry.id });
+
+                if (this.queue.includes(entry)) {
+                    this.complete(entry, message);
+                }
+            } catch (error) {
+                if (!this.queue.includes(entry)) {
+                    continue;
+                }
+
+                entry.error = error?.message || String(error);
+                entry.status = SlimeTalksOutbox.isPermanentError(error) ? 'failed' : 'pending';
+                this.save();
+                this.notify(this.onChange, entry);
+
+                if (entry.status === 'pending') {
+                    const delay = Math.min(this.retryDelay * 2 ** (entry.attempts - 1), 60000);
+                    this.retryTimer = setTimeout(() => this.flush(), delay);
+                    return;
+                }
+            }
+        }
+    }
+
+    /**
+     * Remove a delivered message and call onSent
+     * 
+     * @private
+     * @param {Object} entry - Outbox entry
+     * @param {Object} message - Message resource from the API
+     */
+    complete(entry, message) {
+        this.queue.splice(this.queue.indexOf(entry), 1);
+        this.save();
+        this.notify(this.onSent, entry, message);
+    }
+
+    /**
+     * Call an outbox callback
+     * 
+     * A callback that throws is logged, so it cannot fail the send it reports on.
+     * 
+     * @private
+     * @param {Function|null} callback - onChange, onSent or onRemoved
+     * @param {...*} args - Callback arguments
+     */
+    notify(callback, ...args) {
+        try {
+            callback?.(...args);
+        } catch (error) {
+            console.error('Error in outbox callback:', error);
+        }
+    }
+
+    /**
+     * Read the queued messages from storage
+     * 
+     * Messages that were being sent when the page closed are sent again; the
+     * idempotency key keeps the API from storing them twice.
+     * 
+     * @private
+     * @returns {Object[]} Outbox entries
+     */
+    load() {
+        try {
+            const entries = JSON.parse(this.storage?.getItem(this.storageKey) || '[]');
+
+            return entries.map(entry => (entry.status === 'sending' ? { ...entry, status: 'pending' } : entry));
+        } catch (error) {
+            console.warn('Failed to read the outbox:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write the queued messages to storage
+     * 
+     * @private
+     */
+    save() {
+        try {
+            this.storage?.setItem(this.storageKey, JSON.stringify(this.queue));
+        } catch (error) {
+            console.warn('Failed to store the outbox:', error);
+        }
+    }
+
+    /**
+     * Build the message to render for a queued message
+     * 
+     * @param {Object} entry - Outbox entry
+     * @returns {Object} Message resource with the entry id as id
+     */
+    static toMessage(entry) {
+        return {
+            object: 'message',
+            id: entry.id,
+            channel_id: entry.data.channel_uuid,
+            sender_id: entry.data.sender_uuid,
+            type: entry.data.type,
+            content: entry.data.content,
+            metadata: entry.data.metadata,
+            created: Math.floor(entry.createdAt / 1000),
+            livemode: false,
+        };
+    }
+
+    /**
+     * Whether sending again cannot succeed without changing the message
+     * 
+     * A 409 means an earlier send of the message still holds its idempotency
+     * key, so sending again later replays that send's response.
+     * 
+     * @param {Error} error - Error thrown by send
+     * @returns {boolean} True for 4xx responses other than 408, 409 and 429
+     */
+    static isPermanentError(error) {
+        const status = error?.status;
+
+        return typeof status === 'number' && status >= 400 && status < 500 && ![408, 409, 429].includes(status);
+    }
+
+    /**
+     * Generate a client message id
+     * 
+     * @returns {string} UUID v4
+     */
+    static generateId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+            const random = Math.random() * 16 | 0;
+            return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+        });
+    }
+}
+
+/**
+ * Slime Talks Error
+ * 
+ * Base class of every error thrown by the SDK. API failures are thrown as one of
+ * the subclasses below, chosen by HTTP status; all of them remain
+ * `instanceof SlimeTalksError`.
+ */
+class SlimeTalksError extends Error {
+    /**
+     * Create a new error instance
+     * 
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status code (0 when no response was received)
+     * @param {Object|string} [data] - Response body (text when it is not JSON), or the underlying
+     *   error for network failures
+     * @param {Object} [context] - Request context
+     * @param {string} [context.requestId] - Request id (X-Request-Id), for support requests and logs
+     * @param {string} [context.method] - HTTP method
+     * @param {string} [context.endpoint] - API endpoint, including the query string
+     * @param {number} [context.retryAfter] - Seconds to wait before retrying, from Retry-After
+     */
+    constructor(message, status, data = null, context = {}) {
+        super(message);
+        this.name = new.target.name;
+        this.status = status;
+        this.data = data;
+        this.requestId = context.requestId || null;
+        this.method = context.method || null;
+        this.endpoint = context.endpoint || null;
+        this.retryAfter = context.retryAfter ?? null;
+    }
+
+    /**
+     * Create the error matching an HTTP error response
+     * 
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status code
+     * @param {Object} [data] - Response body
+     * @param {Object} [context] - Request context
+     * @returns {SlimeTalksError} Typed error
+     */
+    static fromResponse(message, status, data = null, context = {}) {
+        let ErrorClass = SlimeTalksError;
+
+        if (status === 401) {
+            ErrorClass = AuthenticationError;
+        } else if (status === 404) {
+            ErrorClass = NotFoundError;
+        } else if (status === 408) {
+            ErrorClass = TimeoutError;
+        } else if (status === 422) {
+            ErrorClass = ValidationError;
+        } else if (status === 429) {
+            ErrorClass = RateLimitError;
+        } else if (status >= 500) {
+            ErrorClass = ServerError;
+        }
+
+        return new ErrorClass(message, status, data, context);
+    }
+}
+
+/**
+ * Validation Error (422)
+ * 
+ * Exposes Laravel's error bag as `errors`, mapping each field to its messages.
+ * 
+ * @example
+ * catch (error) {
+ *     if (error instanceof ValidationError) {
+ *         showFieldError('email', error.fieldError('email'));
+ *     }
+ * }
+ */
+class ValidationError extends SlimeTalksError {
+    /**
+     * Create a new validation error
+     * 
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status code
+     * @param {Object} [data] - Response body
+     * @param {Object} [context] - Request context
+     */
+    constructor(message, status, data = null, context = {}) {
+        super(message, status, data, context);
+        this.errors = ValidationError.parseErrors(data);
+    }
+
+    /**
+     * Get the first message for a field
+     * 
+     * @param {string} field - Field name (dot notation for nested fields)
+     * @returns {string|null} Message, or null if the field is valid
+     */
+    fieldError(field) {
+        return this.errors[field]?.[0] || null;
+    }
+
+    /**
+     * Normalize a Laravel error bag to `{ field: string[] }`
+     * 
+     * @param {Object} [data] - Response body
+     * @returns {Object<string, string[]>} Messages per field
+     */
+    static parseErrors(data) {
+        const errors = {};
+
+        if (data?.errors && typeof data.errors === 'object') {
+            for (const [field, messages] of Object.entries(data.errors)) {
+                errors[field] = Array.isArray(messages) ? messages.map(String) : [String(messages)];
+            }
+        }
+
+        return errors;
+    }
+}
+
+/**
+ * Authentication Error (401)
+ * 
+ * Missing, invalid or expired credentials, or a request from an unregistered origin.
+ */
+class AuthenticationError extends SlimeTalksError {}
+
+/**
+ * Not Found Error (404)
+ */
+class NotFoundError extends SlimeTalksError {}
+
+/**
+ * Rate Limit Error (429)
+ * 
+ * `retryAfter` holds the delay requested by the API in seconds, when given.
+ */
+class RateLimitError extends SlimeTalksError {}
+
+/**
+ * Timeout Error (408)
+ * 
+ * The request exceeded the configured timeout, or the API answered 408.
+ */
+class TimeoutError extends SlimeTalksError {}
+
+/**
+ * Network Error (status 0)
+ * 
+ * No response was received. The underlying error is available as `data` and `cause`.
+ */
+class NetworkError extends SlimeTalksError {
+    /**
+     * Create a new network error
+     * 
+     * @param {string} message - Error message
+     * @param {number} status - Always 0
+     * @param {Error} [cause] - Underlying fetch error
+     * @param {Object} [context] - Request context
+     */
+    constructor(message, status, cause = null, context = {}) {
+        super(message, status, cause, context);
+        this.cause = cause;
+    }
+}
+
+/**
+ * Server Error (5xx)
+ */
+class ServerError extends SlimeTalksError {}
+
+// Script-tag builds reach the subclasses through SlimeTalksError (e.g.
+// SlimeTalksError.ValidationError) rather than generic window globals
+Object.assign(SlimeTalksError, {
+    ValidationError,
+    AuthenticationError,
+    NotFoundError,
+    RateLimitError,
+    TimeoutError,
+    NetworkError,
+    ServerError,
+});
 
 // Export for use in modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { SlimeTalksSDK, SlimeTalksError };
+    module.exports = {
+        SlimeTalksSDK,
+        SlimeTalksList,
+        SlimeTalksMessageCache,
+        SlimeTalksMemoryStore,
+        SlimeTalksIndexedDBStore,
+        SlimeTalksOutbox,
+        SlimeTalksError,
+        ValidationError,
+        AuthenticationError,
+        NotFoundError,
+        RateLimitError,
+        TimeoutError,
+        NetworkError,
+        ServerError,
+    };
 }
 
 // Make available globally
 if (typeof window !== 'undefined') {
     window.SlimeTalksSDK = SlimeTalksSDK;
+    window.SlimeTalksList = SlimeTalksList;
+    window.SlimeTalksMessageCache = SlimeTalksMessageCache;
+    window.SlimeTalksMemoryStore = SlimeTalksMemoryStore;
+    window.SlimeTalksIndexedDBStore = SlimeTalksIndexedDBStore;
+    window.SlimeTalksOutbox = SlimeTalksOutbox;
     window.SlimeTalksError = SlimeTalksError;
 }
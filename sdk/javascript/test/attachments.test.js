@@ -0,0 +1,132 @@
+/**
+ * Tests for attachment uploads
+ *
+ * Runs uploadAttachment() against a stub fetch that plays the API's upload
+ * endpoints, and checks the multipart requests, chunking and progress.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ValidationError } = require('../slime-talks-sdk');
+const { createSDK, json } = require('./helpers');
+
+/**
+ * Create an SDK talking to a stub upload API
+ *
+ * @param {Object} [options] - Stub options
+ * @param {number} [options.stallAt] - Byte after which chunks are accepted without being stored
+ * @returns {{ sdk: SlimeTalksSDK, requests: Object[] }} SDK and recorded requests
+ */
+function stubbed({ stallAt = Infinity } = {}) {
+    const requests = [];
+    let attachment = null;
+
+    const sdk = createSDK(async (url, options) => {
+        const path = new URL(url).pathname;
+        const form = options.body instanceof FormData ? options.body : null;
+        const body = form ? null : JSON.parse(options.body);
+        requests.push({ path, headers: options.headers, form, body });
+
+        if (path === '/api/v1/attachments') {
+            const file = form.get('file');
+            return json({
+                object: 'attachment',
+                id: 'att_1',
+                filename: form.get('filename'),
+                size: file.size,
+                received: file.size,
+                status: 'ready',
+            }, 201);
+        }
+
+        if (path === '/api/v1/attachments/uploads') {
+            attachment = { object: 'attachment', id: 'att_2', ...body, received: 0, status: 'pending' };
+            return json(attachment, 201);
+        }
+
+        const received = Math.min(attachment.received + form.get('chunk').size, Math.max(stallAt, attachment.received));
+        attachment = { ...attachment, received, status: received === attachment.size ? 'ready' : 'pending' };
+        return json(attachment);
+    });
+
+    return { sdk, requests };
+}
+
+test('uploads small files in one multipart request', async () => {
+    const { sdk, requests } = stubbed();
+    const progress = [];
+    const file = new File(['Meeting notes'], 'notes.txt', { type: 'text/plain' });
+
+    const attachment = await sdk.uploadAttachment(file, {
+        customerUuid: 'cus_1',
+        onProgress: (event) => progress.push(event),
+    });
+
+    assert.strictEqual(attachment.status, 'ready');
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].headers['Content-Type'], undefined);
+    assert.ok(requests[0].headers['Idempotency-Key']);
+    assert.strictEqual(requests[0].form.get('customer_uuid'), 'cus_1');
+    assert.strictEqual(requests[0].form.get('filename'), 'notes.txt');
+    assert.strictEqual(await requests[0].form.get('file').text(), 'Meeting notes');
+    assert.deepStrictEqual(progress, [{ loaded: 0, total: 13 }, { loaded: 13, total: 13 }]);
+});
+
+test('uploads large files in chunks and reports progress after each', async () => {
+    const { sdk, requests } = stubbed();
+    const progress = [];
+
+    const attachment = await sdk.uploadAttachment(Buffer.from('Hello wonderful world'), {
+        customerUuid: 'cus_1',
+        filename: 'greeting.txt',
+        mimeType: 'text/plain',
+        chunkSize: 8,
+        onProgress: ({ loaded }) => progress.push(loaded),
+    });
+
+    assert.strictEqual(attachment.status, 'ready');
+    assert.deepStrictEqual(requests[0].body, {
+        customer_uuid: 'cus_1',
+        filename: 'greeting.txt',
+        mime_type: 'text/plain',
+        size: 21,
+    });
+    assert.strictEqual(requests[0].headers['Content-Type'], 'application/json');
+
+    const chunks = requests.slice(1);
+    assert.deepStrictEqual(chunks.map(request => request.path), Array(3).fill('/api/v1/attachments/att_2/chunks'));
+    assert.deepStrictEqual(chunks.map(request => request.form.get('offset')), ['0', '8', '16']);
+    assert.deepStrictEqual(
+        await Promise.all(chunks.map(request => request.form.get('chunk').text())),
+        ['Hello wo', 'nderful ', 'world']
+    );
+    assert.deepStrictEqual(progress, [0, 8, 16, 21]);
+});
+
+test('rejects uploads without a customer before sending them', async () => {
+    const { sdk, requests } = stubbed();
+
+    await assert.rejects(
+        sdk.uploadAttachment(new Blob(['x']), {}),
+        (error) => error instanceof ValidationError && error.fieldError('customer_uuid') !== null
+    );
+    await assert.rejects(sdk.uploadAttachment('not a file', { customerUuid: 'cus_1' }), TypeError);
+    assert.strictEqual(requests.length, 0);
+});
+
+test('stops chunked uploads that stop advancing', async () => {
+    const { sdk, requests } = stubbed({ stallAt: 8 });
+    const progress = [];
+
+    await assert.rejects(
+        sdk.uploadAttachment(Buffer.from('Hello wonderful world'), {
+            customerUuid: 'cus_1',
+            filename: 'greeting.txt',
+            chunkSize: 8,
+            onProgress: ({ loaded }) => progress.push(loaded),
+        }),
+        /Upload of attachment att_2 stopped advancing at byte 8 of 21/
+    );
+    assert.deepStrictEqual(requests.slice(1).map(request => request.form.get('offset')), ['0', '8']);
+    assert.deepStrictEqual(progress, [0, 8]);
+});
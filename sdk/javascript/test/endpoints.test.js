@@ -0,0 +1,171 @@
+/**
+ * Tests for the generated endpoint methods
+ *
+ * Runs the SDK against a stub fetch and checks the requests it builds and the
+ * parameter validation done before anything is sent.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SlimeTalksList, ValidationError, ServerError } = require('../slime-talks-sdk');
+const { createSDK, json, page } = require('./helpers');
+
+/**
+ * Create an SDK whose requests are recorded and answered with `body`
+ *
+ * @param {Object} [body] - Response body
+ * @returns {{ sdk: SlimeTalksSDK, requests: Object[] }} SDK and recorded requests
+ */
+function stubbed(body = page([])) {
+    const requests = [];
+    const sdk = createSDK(async (url, options) => {
+        requests.push({ url, ...options, body: options.body ? JSON.parse(options.body) : null });
+        return json(body);
+    });
+
+    return { sdk, requests };
+}
+
+test('fills and encodes path parameters', async () => {
+    const { sdk, requests } = stubbed({ object: 'customer', id: 'cus 1/2' });
+
+    await sdk.getCustomer('cus 1/2');
+
+    assert.strictEqual(requests[0].method, 'GET');
+    assert.strictEqual(requests[0].url, 'https://api.test/api/v1/customers/cus%201%2F2');
+});
+
+test('sends required query parameters as positional arguments', async () => {
+    const { sdk, requests } = stubbed();
+
+    await sdk.getMessagesBetweenCustomers('a@example.com', 'b@example.com', { limit: 5 });
+
+    const url = new URL(requests[0].url);
+    assert.strictEqual(url.pathname, '/api/v1/messages/between');
+    assert.strictEqual(url.searchParams.get('email1'), 'a@example.com');
+    assert.strictEqual(url.searchParams.get('email2'), 'b@example.com');
+    assert.strictEqual(url.searchParams.get('limit'), '5');
+});
+
+test('sends create calls with an Idempotency-Key', async () => {
+    const { sdk, requests } = stubbed({ object: 'message' });
+
+    await sdk.sendToCustomer(
+        { sender_email: 'a@example.com', recipient_email: 'b@example.com', type: 'text', content: 'Hi' },
+        { idempotencyKey: 'key-1' }
+    );
+
+    assert.strictEqual(requests[0].method, 'POST');
+    assert.strictEqual(requests[0].headers['Idempotency-Key'], 'key-1');
+    assert.deepStrictEqual(requests[0].body.content, 'Hi');
+});
+
+test('retries a create call while an earlier attempt with its key is still running', async () => {
+    const attempts = [];
+    const sdk = createSDK((url, options) => {
+        attempts.push(options.headers['Idempotency-Key']);
+
+        // The first attempt times out here but keeps running on the server,
+        // which holds the key until it finishes
+        if (attempts.length === 1) {
+            return new Promise((resolve, reject) => {
+                options.signal.addEventListener('abort', () => reject(options.signal.reason));
+            });
+        }
+
+        return Promise.resolve(attempts.length === 2
+            ? json({ error: 'A request with this Idempotency-Key is already in progress.' }, 409)
+            : json({ object: 'message', id: 'msg_1' }, 201));
+    }, { timeout: 20, retry: { baseDelay: 1, jitter: false } });
+
+    const message = await sdk.sendToCustomer(
+        { sender_email: 'a@example.com', recipient_email: 'b@example.com', type: 'text', content: 'Hi' },
+        { idempotencyKey: 'key-1', retry: { maxAttempts: 3 } }
+    );
+
+    assert.strictEqual(message.id, 'msg_1');
+    assert.deepStrictEqual(attempts, ['key-1', 'key-1', 'key-1']);
+});
+
+test('does not retry a 409 without an Idempotency-Key', async () => {
+    let attempts = 0;
+    const sdk = createSDK(async () => {
+        attempts++;
+        return json({ error: 'Conflict' }, 409);
+    }, { retry: { baseDelay: 1, jitter: false } });
+
+    await assert.rejects(sdk.getCustomer('cus_1'), (error) => error.status === 409);
+    assert.strictEqual(attempts, 1);
+});
+
+test('maps error pages that are not JSON by their status', async () => {
+    const sdk = createSDK(async () => new Response('<html><body>503 Service Unavailable</body></html>', {
+        status: 503,
+        headers: { 'Content-Type': 'text/html', 'Retry-After': '7', 'X-Request-Id': 'req_proxy' },
+    }));
+
+    await assert.rejects(sdk.getCustomer('cus_1'), (error) => {
+        assert.ok(error instanceof ServerError);
+        assert.strictEqual(error.status, 503);
+        assert.strictEqual(error.retryAfter, 7);
+        assert.strictEqual(error.requestId, 'req_proxy');
+        assert.strictEqual(error.data, '<html><body>503 Service Unavailable</body></html>');
+        return true;
+    });
+});
+
+test('returns a SlimeTalksList for paginated operations', () => {
+    const { sdk } = stubbed();
+
+    assert.ok(sdk.getActiveCustomersForSender('a@example.com') instanceof SlimeTalksList);
+});
+
+test('rejects an invalid body without sending it', async () => {
+    const { sdk, requests } = stubbed();
+
+    await assert.rejects(
+        sdk.createChannel({ type: 'private', customer_uuids: ['cus_1'] }),
+        (error) => {
+            assert.ok(error instanceof ValidationError);
+            assert.strictEqual(error.status, 422);
+            assert.strictEqual(error.requestId, null);
+            assert.deepStrictEqual(error.errors, {
+                type: ['The selected type is invalid.'],
+                customer_uuids: ['The customer uuids field must have at least 2 items.'],
+            });
+            assert.strictEqual(error.message, 'The selected type is invalid. (and 1 more error)');
+            return true;
+        }
+    );
+
+    assert.strictEqual(requests.length, 0);
+});
+
+test('rejects missing required fields', async () => {
+    const { sdk } = stubbed();
+
+    await assert.rejects(sdk.createCustomer({ name: 'No Email' }), (error) => {
+        assert.strictEqual(error.fieldError('email'), 'The email field is required.');
+        return true;
+    });
+    await assert.rejects(sdk.getChannel(''), ValidationError);
+});
+
+test('rejects invalid query parameters when the list is awaited', async () => {
+    const { sdk, requests } = stubbed();
+    const list = sdk.listCustomers({ limit: 500 });
+
+    await assert.rejects(list, (error) => {
+        assert.strictEqual(error.fieldError('limit'), 'The limit field must not be greater than 100.');
+        return true;
+    });
+    assert.strictEqual(requests.length, 0);
+});
+
+test('accepts numeric strings for integer query parameters', async () => {
+    const { sdk, requests } = stubbed();
+
+    await sdk.listChannels({ limit: '20' });
+
+    assert.strictEqual(new URL(requests[0].url).searchParams.get('limit'), '20');
+});
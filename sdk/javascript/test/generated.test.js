@@ -0,0 +1,66 @@
+/**
+ * Drift tests for the generated SDK surface
+ *
+ * Fails when slime-talks-sdk.js or types/index.d.ts no longer match what
+ * scripts/generate.js produces from swagger.yaml, or when an API route is
+ * missing from swagger.yaml.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { render, loadSpec } = require('../scripts/generate');
+
+const root = path.resolve(__dirname, '..');
+
+/**
+ * Routes registered under /api/v1 in routes/api.php, as "METHOD /path"
+ *
+ * @returns {string[]} Routes with path parameters normalized to {}
+ */
+function apiRoutes() {
+    const source = fs.readFileSync(path.resolve(root, '../../routes/api.php'), 'utf8');
+    const group = source.slice(source.indexOf("Route::prefix('v1')"));
+    const routes = [];
+
+    for (const [, method, uri] of group.matchAll(/Route::(get|post|put|patch|delete)\('([^']+)'/g)) {
+        routes.push(`${method.toUpperCase()} /${uri}`);
+    }
+
+    for (const [, name, actions] of group.matchAll(/Route::apiResource\('([^']+)'[^;]*?->only\(\[([^\]]*)\]\)/g)) {
+        const resource = {
+            index: `GET /${name}`,
+            store: `POST /${name}`,
+            show: `GET /${name}/{}`,
+            update: `PUT /${name}/{}`,
+            destroy: `DELETE /${name}/{}`,
+        };
+
+        for (const [, action] of actions.matchAll(/'(\w+)'/g)) {
+            routes.push(resource[action]);
+        }
+    }
+
+    return routes.map(route => route.replace(/\{\w+\}/g, '{}'));
+}
+
+test('generated code matches swagger.yaml', () => {
+    for (const [file, expected] of Object.entries(render())) {
+        const actual = fs.readFileSync(path.join(root, file), 'utf8');
+
+        assert.ok(actual === expected, `${file} is out of date with swagger.yaml. Run \`npm run generate\` and commit the result.`);
+    }
+});
+
+test('every API route is described in swagger.yaml', () => {
+    const spec = loadSpec();
+    const documented = Object.entries(spec.paths).flatMap(([uri, item]) => (
+        Object.keys(item).map(method => `${method.toUpperCase()} ${uri.replace(/\{\w+\}/g, '{}')}`)
+    ));
+    const routes = apiRoutes();
+
+    assert.ok(routes.length > 0, 'No routes found in routes/api.php');
+    assert.deepStrictEqual(routes.filter(route => !documented.includes(route)), []);
+    assert.deepStrictEqual(documented.filter(route => !routes.includes(route)), []);
+});
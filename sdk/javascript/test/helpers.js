@@ -0,0 +1,57 @@
+/**
+ * Fixtures shared by the SDK tests
+ *
+ * Every test talks to the API through a stub `fetch`; these build the SDK
+ * around one and the JSON responses it answers with.
+ */
+
+const { SlimeTalksSDK } = require('../slime-talks-sdk');
+
+/**
+ * Create an SDK that sends its requests to `fetch`
+ *
+ * Retries are off unless `config` turns them on, so a stub answers each call once.
+ *
+ * @param {Function} fetch - Stub fetch: (url, options) => Promise<Response>
+ * @param {Object} [config] - SDK configuration overriding the test defaults
+ * @returns {SlimeTalksSDK} SDK
+ */
+function createSDK(fetch, config = {}) {
+    return new SlimeTalksSDK({
+        apiUrl: 'https://api.test/api/v1',
+        secretKey: 'sk_test',
+        publicKey: 'pk_test',
+        retry: false,
+        fetch,
+        ...config,
+    });
+}
+
+/**
+ * Build a JSON response
+ *
+ * @param {*} body - Response body
+ * @param {number} [status=200] - HTTP status
+ * @param {Object} [headers] - Headers added to Content-Type
+ * @returns {Response} Response
+ */
+function json(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers },
+    });
+}
+
+/**
+ * Build a list envelope
+ *
+ * @param {Object[]} data - Items of the page
+ * @param {boolean} [hasMore=false] - Whether more pages follow
+ * @param {number} [totalCount] - Total number of items (defaults to the page length)
+ * @returns {Object} List envelope
+ */
+function page(data, hasMore = false, totalCount = data.length) {
+    return { object: 'list', data, has_more: hasMore, total_count: totalCount };
+}
+
+module.exports = { createSDK, json, page };
@@ -0,0 +1,138 @@
+/**
+ * Tests for SlimeTalksList
+ *
+ * Serves customers from a stub fetch that pages by `limit` and
+ * `starting_after`, so iteration can be checked against the requests it makes.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SlimeTalksSDK } = require('../slime-talks-sdk');
+const { createSDK, json, page } = require('./helpers');
+
+/**
+ * Create an SDK that serves `count` customers and records the query of every request
+ *
+ * @param {number} count - Number of customers
+ * @returns {{ sdk: SlimeTalksSDK, requests: URLSearchParams[] }} SDK and recorded queries
+ */
+function serving(count) {
+    const customers = Array.from({ length: count }, (_, i) => ({ object: 'customer', id: `cus_${i + 1}` }));
+    const requests = [];
+    const sdk = createSDK(async (url) => {
+        const { searchParams } = new URL(url);
+        const after = customers.findIndex(customer => customer.id === searchParams.get('starting_after'));
+        const limit = Number(searchParams.get('limit') || 10);
+
+        requests.push(searchParams);
+
+        return json(page(customers.slice(after + 1, after + 1 + limit), after + 1 + limit < customers.length, customers.length));
+    });
+
+    return { sdk, requests };
+}
+
+test('walks every item across pages with for await', async () => {
+    const { sdk, requests } = serving(5);
+    const ids = [];
+
+    for await (const customer of sdk.listCustomers({ limit: 2 })) {
+        ids.push(customer.id);
+    }
+
+    assert.deepStrictEqual(ids, ['cus_1', 'cus_2', 'cus_3', 'cus_4', 'cus_5']);
+    assert.deepStrictEqual(requests.map(query => query.get('starting_after')), [null, 'cus_2', 'cus_4']);
+    assert.deepStrictEqual(requests.map(query => query.get('limit')), ['2', '2', '2']);
+});
+
+test('resolves to the first page and reuses it when iterating', async () => {
+    const { sdk, requests } = serving(3);
+    const list = sdk.listCustomers({ limit: 2 });
+
+    const page = await list;
+
+    assert.deepStrictEqual(page.data.map(customer => customer.id), ['cus_1', 'cus_2']);
+    assert.strictEqual(page.has_more, true);
+    assert.strictEqual((await list.toArray()).length, 3);
+    assert.strictEqual(requests.length, 2);
+});
+
+test('stops once a page has has_more false', async () => {
+    const { sdk, requests } = serving(4);
+
+    assert.strictEqual((await sdk.listCustomers({ limit: 2 }).toArray()).length, 4);
+    assert.strictEqual(requests.length, 2);
+
+    const single = serving(2);
+
+    assert.strictEqual((await single.sdk.listCustomers({ limit: 5 }).toArray()).length, 2);
+    assert.strictEqual(single.requests.length, 1);
+});
+
+test('stops at the limit of toArray and when eachPage returns false', async () => {
+    const { sdk, requests } = serving(10);
+
+    const first = await sdk.listCustomers({ limit: 2 }).toArray({ max: 3 });
+
+    assert.deepStrictEqual(first.map(customer => customer.id), ['cus_1', 'cus_2', 'cus_3']);
+    assert.strictEqual(requests.length, 2);
+
+    const indexes = [];
+
+    await sdk.listCustomers({ limit: 2 }).eachPage((page, index) => {
+        indexes.push(index);
+        return index < 1;
+    });
+
+    assert.deepStrictEqual(indexes, [0, 1]);
+    assert.strictEqual(requests.length, 4);
+});
+
+test('calls onPage for every fetched page', async () => {
+    const { sdk } = serving(5);
+    const pages = [];
+
+    await sdk.listCustomers({ limit: 2 }, { onPage: (page) => pages.push(page.data.length) }).toArray();
+
+    assert.deepStrictEqual(pages, [2, 2, 1]);
+});
+
+test('sends every page with the request options of the call', async () => {
+    const { sdk } = serving(5);
+    const serve = sdk.config.fetch;
+    const headers = [];
+
+    sdk.config.retry = { ...SlimeTalksSDK.DEFAULT_RETRY, baseDelay: 1 };
+    sdk.config.fetch = async (url, options) => {
+        headers.push(options.headers['X-Trace-Id']);
+
+        // The second page fails, and is not retried with retries turned off for the call
+        if (headers.length === 2) {
+            return json({ error: 'Unavailable' }, 503);
+        }
+
+        return serve(url, options);
+    };
+
+    await assert.rejects(
+        sdk.listCustomers({ limit: 2 }, { headers: { 'X-Trace-Id': 'trace_1' }, retry: false }).toArray(),
+        (error) => error.status === 503
+    );
+    assert.deepStrictEqual(headers, ['trace_1', 'trace_1']);
+});
+
+test('stops paging once the signal is aborted', async () => {
+    const { sdk, requests } = serving(5);
+    const controller = new AbortController();
+    const ids = [];
+
+    await assert.rejects(async () => {
+        for await (const customer of sdk.listCustomers({ limit: 2 }, { signal: controller.signal })) {
+            ids.push(customer.id);
+            controller.abort();
+        }
+    }, { name: 'AbortError' });
+
+    assert.deepStrictEqual(ids, ['cus_1', 'cus_2']);
+    assert.strictEqual(requests.length, 1);
+});
@@ -0,0 +1,243 @@
+/**
+ * Tests for SlimeTalksMessageCache and its stores
+ *
+ * Serves channel messages from a stub fetch that honours `starting_after`
+ * and `order`, so syncs can be checked against the requests they make.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    SlimeTalksMessageCache,
+    SlimeTalksMemoryStore,
+    SlimeTalksIndexedDBStore,
+} = require('../slime-talks-sdk');
+const { createSDK, json, page } = require('./helpers');
+
+/**
+ * @param {string} channel - Channel UUID
+ * @param {number} number - Message number, also its timestamp
+ * @returns {Object} Message resource
+ */
+function message(channel, number) {
+    return { object: 'message', id: `msg_${channel}_${number}`, channel_id: channel, content: `#${number}`, created: number };
+}
+
+/**
+ * Create an SDK that serves `messages` per channel, oldest first, and records the query of every request
+ *
+ * @param {Object<string, Object[]>} messages - Messages per channel UUID
+ * @returns {{ sdk: SlimeTalksSDK, requests: URLSearchParams[] }} SDK and recorded queries
+ */
+function serving(messages) {
+    const requests = [];
+    const sdk = createSDK(async (url) => {
+        const { pathname, searchParams } = new URL(url);
+        const channel = messages[pathname.split('/').pop()] || [];
+        const all = searchParams.get('order') === 'desc' ? [...channel].reverse() : channel;
+        const after = all.findIndex(item => item.id === searchParams.get('starting_after'));
+        const limit = Number(searchParams.get('limit'));
+
+        requests.push(searchParams);
+
+        return json(page(all.slice(after + 1, after + 1 + limit), after + 1 + limit < all.length, all.length));
+    });
+
+    return { sdk, requests };
+}
+
+test('fills an empty cache with the newest page', async () => {
+    const { sdk, requests } = serving({ ch_1: Array.from({ length: 150 }, (_, i) => message('ch_1', i + 1)) });
+    const cache = new SlimeTalksMessageCache(sdk, { store: new SlimeTalksMemoryStore(), initialLimit: 20 });
+    const messages = await cache.sync('ch_1');
+
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].get('order'), 'desc');
+    assert.strictEqual(messages.length, 20);
+    assert.deepStrictEqual([messages[0].content, messages[19].content], ['#131', '#150']);
+});
+
+test('syncs only messages newer than the newest cached one', async () => {
+    const messages = { ch_1: [message('ch_1', 1)] };
+    const { sdk, requests } = serving(messages);
+    const cache = new SlimeTalksMessageCache(sdk, { store: new SlimeTalksMemoryStore() });
+
+    await cache.sync('ch_1');
+    messages.ch_1.push(...Array.from({ length: 150 }, (_, i) => message('ch_1', i + 2)));
+    const newer = await cache.sync('ch_1');
+
+    assert.strictEqual(newer.length, 150);
+    assert.strictEqual(newer.reset, false);
+    assert.strictEqual(requests.length, 3);
+    assert.strictEqual(requests[1].get('starting_after'), 'msg_ch_1_1');
+    assert.strictEqual(requests[1].get('order'), null);
+    assert.strictEqual((await cache.getMessages('ch_1')).length, 151);
+});
+
+test('starts over from the newest page when too far behind', async () => {
+    const messages = { ch_1: [message('ch_1', 1)] };
+    const { sdk, requests } = serving(messages);
+    const cache = new SlimeTalksMessageCache(sdk, { store: new SlimeTalksMemoryStore(), initialLimit: 20, maxSyncMessages: 150 });
+
+    await cache.sync('ch_1');
+    messages.ch_1.push(...Array.from({ length: 1000 }, (_, i) => message('ch_1', i + 2)));
+    const newer = await cache.sync('ch_1');
+
+    assert.strictEqual(requests.length, 4);
+    assert.strictEqual(requests[2].get('starting_after'), 'msg_ch_1_101');
+    assert.strictEqual(requests[3].get('order'), 'desc');
+    assert.deepStrictEqual([newer.length, newer[0].content, newer[19].content], [20, '#982', '#1001']);
+    assert.strictEqual(newer.reset, true);
+    assert.deepStrictEqual(await cache.getMessages('ch_1'), [...newer]);
+});
+
+test('shares concurrent syncs and skips messages that are already cached', async () => {
+    const { sdk, requests } = serving({ ch_1: [1, 2, 3].map(number => message('ch_1', number)) });
+    const cache = new SlimeTalksMessageCache(sdk, { store: new SlimeTalksMemoryStore() });
+
+    assert.strictEqual(await cache.addMessage(message('ch_1', 2)), true);
+    assert.strictEqual(await cache.addMessage(message('ch_1', 2)), false);
+
+    const [first, second] = await Promise.all([cache.sync('ch_1'), cache.sync('ch_1')]);
+
+    assert.strictEqual(first, second);
+    assert.deepStrictEqual(first.map(item => item.content), ['#3']);
+    assert.strictEqual(requests.length, 1);
+
+    await cache.putMessages('ch_1', [message('ch_1', 3), message('ch_1', 1)]);
+    assert.deepStrictEqual((await cache.getMessages('ch_1')).map(item => item.content), ['#1', '#2', '#3']);
+});
+
+test('lets each caller of a shared sync abort only its own call', async () => {
+    const { sdk, requests } = serving({ ch_1: [message('ch_1', 1)] });
+    const cache = new SlimeTalksMessageCache(sdk, { store: new SlimeTalksMemoryStore() });
+    const serve = sdk.config.fetch;
+    const signals = [];
+    let release;
+    let held = new Promise(resolve => {
+        release = resolve;
+    });
+
+    sdk.config.fetch = async (url, options) => {
+        signals.push(options.signal);
+        await Promise.race([held, new Promise(resolve => options.signal.addEventListener('abort', resolve))]);
+        options.signal.throwIfAborted();
+        return serve(url, options);
+    };
+
+    const first = new AbortController();
+    const second = new AbortController();
+    const syncs = [cache.sync('ch_1', { signal: first.signal }), cache.sync('ch_1', { signal: second.signal })];
+
+    first.abort();
+    await assert.rejects(syncs[0], { name: 'AbortError' });
+
+    release();
+    assert.deepStrictEqual((await syncs[1]).map(item => item.content), ['#1']);
+    assert.strictEqual(requests.length, 1);
+
+    held = new Promise(() => {});
+
+    const third = new AbortController();
+    const abandoned = cache.sync('ch_1', { signal: third.signal });
+
+    await new Promise(resolve => setImmediate(resolve));
+    third.abort();
+
+    await assert.rejects(abandoned, { name: 'AbortError' });
+    assert.strictEqual(signals[1].aborted, true);
+    assert.strictEqual(cache.syncs.size, 0);
+});
+
+test('replaces cached messages with edited versions', async () => {
+    const { sdk } = serving({});
+    const cache = new SlimeTalksMessageCache(sdk, { store: new SlimeTalksMemoryStore() });
+
+    await cache.putMessages('ch_1', [message('ch_1', 1), message('ch_1', 2)]);
+
+    assert.strictEqual(await cache.updateMessage({ ...message('ch_1', 2), content: '', deleted: true }), true);
+    assert.strictEqual(await cache.updateMessage(message('ch_1', 3)), false);
+    assert.deepStrictEqual((await cache.getMessages('ch_1')).map(item => item.content), ['#1', '']);
+});
+
+test('keeps the newest messages and evicts the least recently used channels', async () => {
+    const { sdk } = serving({});
+    const store = new SlimeTalksMemoryStore();
+    const cache = new SlimeTalksMessageCache(sdk, { store, maxChannels: 2, memoryChannels: 1, maxMessagesPerChannel: 3 });
+
+    await cache.putMessages('ch_1', [1, 2, 3, 4, 5].map(number => message('ch_1', number)));
+    await cache.putMessages('ch_2', [message('ch_2', 1)]);
+    await cache.getMessages('ch_1');
+    await cache.putMessages('ch_3', [message('ch_3', 1)]);
+
+    assert.deepStrictEqual([...cache.memory.keys()], ['ch_3']);
+    assert.deepStrictEqual(await store.get('pk_test:index'), ['ch_1', 'ch_3']);
+    assert.deepStrictEqual((await cache.getMessages('ch_1')).map(item => item.content), ['#3', '#4', '#5']);
+    assert.deepStrictEqual(await cache.getMessages('ch_2'), []);
+});
+
+test('separates clients sharing a store and survives a reload', async () => {
+    const { sdk } = serving({});
+    const store = new SlimeTalksMemoryStore();
+    const first = new SlimeTalksMessageCache(sdk, { store });
+    const other = new SlimeTalksMessageCache(sdk, { store, namespace: 'pk_other' });
+
+    await first.putMessages('ch_1', [message('ch_1', 1)]);
+    await first.putChannels([{ object: 'channel', id: 'ch_1' }]);
+
+    const reloaded = new SlimeTalksMessageCache(sdk, { store });
+
+    assert.strictEqual((await reloaded.getMessages('ch_1')).length, 1);
+    assert.deepStrictEqual(await reloaded.getChannels(), [{ object: 'channel', id: 'ch_1' }]);
+    assert.deepStrictEqual(await other.getMessages('ch_1'), []);
+    assert.strictEqual(await other.getChannels(), null);
+
+    await reloaded.clear();
+    assert.strictEqual(await store.get('pk_test:channel:ch_1'), undefined);
+});
+
+test('stores entries in IndexedDB', async () => {
+    const databases = new Map();
+    const indexedDB = {
+        open(name) {
+            const request = {};
+
+            setTimeout(() => {
+                if (!databases.has(name)) {
+                    databases.set(name, new Map());
+                    request.result = { createObjectStore: () => {} };
+                    request.onupgradeneeded();
+                }
+
+                const entries = databases.get(name);
+                request.result = {
+                    transaction() {
+                        const transaction = {
+                            objectStore: () => ({
+                                get: key => ({ result: entries.get(key) }),
+                                put: (value, key) => ({ result: entries.set(key, structuredClone(value)) && key }),
+                                delete: key => ({ result: entries.delete(key) && undefined }),
+                            }),
+                        };
+
+                        setTimeout(() => transaction.oncomplete());
+
+                        return transaction;
+                    },
+                };
+                request.onsuccess();
+            });
+
+            return request;
+        },
+    };
+    const store = new SlimeTalksIndexedDBStore({ name: 'chat', indexedDB });
+
+    await store.set('a', { list: [1, 2] });
+    assert.deepStrictEqual(await store.get('a'), { list: [1, 2] });
+
+    await store.delete('a');
+    assert.strictEqual(await store.get('a'), undefined);
+    assert.deepStrictEqual([...databases.keys()], ['chat']);
+    assert.strictEqual(SlimeTalksIndexedDBStore.isSupported(), false);
+});
@@ -0,0 +1,247 @@
+/**
+ * Tests for SlimeTalksMessageList
+ *
+ * Runs the list against a minimal fake DOM where every row is as tall as
+ * its item says and the container scrolls over the sum of its children.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SlimeTalksMessageList = require('../message-list');
+
+class FakeElement {
+    constructor(document) {
+        this.ownerDocument = document;
+        this.parent = null;
+        this.children = [];
+        this.style = {};
+        this.height = 0;
+        this.offsetTop = 0;
+        this.listeners = new Map();
+    }
+
+    appendChild(child) {
+        child.remove();
+        child.parent = this;
+        this.children.push(child);
+
+        return child;
+    }
+
+    after(node) {
+        node.remove();
+        node.parent = this.parent;
+        this.parent.children.splice(this.parent.children.indexOf(this) + 1, 0, node);
+    }
+
+    remove() {
+        if (this.parent) {
+            this.parent.children.splice(this.parent.children.indexOf(this), 1);
+            this.parent = null;
+        }
+    }
+
+    get nextSibling() {
+        return this.parent?.children[this.parent.children.indexOf(this) + 1] ?? null;
+    }
+
+    get offsetHeight() {
+        if (this.style.height !== undefined) {
+            return parseFloat(this.style.height);
+        }
+
+        return this.children.length > 0
+            ? this.children.reduce((total, child) => total + child.outerHeight, 0)
+            : this.height;
+    }
+
+    get outerHeight() {
+        return this.offsetHeight + (parseFloat(this.style.marginBottom) || 0);
+    }
+
+    addEventListener(type, listener) {
+        this.listeners.set(type, listener);
+    }
+
+    removeEventListener(type) {
+        this.listeners.delete(type);
+    }
+}
+
+class FakeContainer extends FakeElement {
+    constructor(clientHeight) {
+        const document = { createElement: () => new FakeElement(document) };
+
+        super(document);
+        this.clientHeight = clientHeight;
+        this.top = 0;
+    }
+
+    get scrollHeight() {
+        return Math.max(this.clientHeight, this.offsetHeight);
+    }
+
+    get scrollTop() {
+        return this.top;
+    }
+
+    set scrollTop(value) {
+        this.top = Math.max(0, Math.min(value, this.scrollHeight - this.clientHeight));
+    }
+
+    /**
+     * Scroll like the user would
+     *
+     * @param {number} top - New scroll position
+     */
+    scrollTo(top) {
+        this.scrollTop = top;
+        this.listeners.get('scroll')();
+    }
+}
+
+/**
+ * @param {Object} [options] - List options
+ * @returns {{ container: FakeContainer, list: SlimeTalksMessageList }} Container and list
+ */
+function createList(options = {}) {
+    const container = new FakeContainer(400);
+    const list = new SlimeTalksMessageList(container, {
+        renderItem: (item) => {
+            const row = new FakeElement(container.ownerDocument);
+            row.height = item.height;
+            row.key = item.key;
+
+            return row;
+        },
+        gap: 10,
+        overscan: 100,
+        schedule: callback => callback(),
+        ...options,
+    });
+
+    return { container, list };
+}
+
+/**
+ * @param {number} from - First number
+ * @param {number} count - Number of items
+ * @param {number|Function} [height=50] - Row height, or a function of the number
+ * @returns {Object[]} Items keyed msg_<number>
+ */
+function items(from, count, height = 50) {
+    return Array.from({ length: count }, (_, i) => ({
+        key: `msg_${from + i}`,
+        height: typeof height === 'function' ? height(from + i) : height,
+    }));
+}
+
+/**
+ * @param {SlimeTalksMessageList} list - List
+ * @returns {string[]} Keys of the rows in the DOM
+ */
+function renderedKeys(list) {
+    return list.root.children.filter(child => child.key).map(child => child.key);
+}
+
+/**
+ * @param {SlimeTalksMessageList} list - List
+ * @param {string} key - Key of a rendered row
+ * @returns {number} Top of the row relative to the view
+ */
+function rowTop(list, key) {
+    const siblings = list.root.children;
+    const index = siblings.findIndex(child => child.key === key);
+    const top = siblings.slice(0, index).reduce((total, child) => total + child.outerHeight, 0);
+
+    return top - list.container.scrollTop;
+}
+
+test('keeps only the rows near the view in the DOM', () => {
+    const { container, list } = createList({ estimatedHeight: 50 });
+
+    list.append(items(1, 1000));
+
+    const keys = renderedKeys(list);
+    assert.strictEqual(list.length, 1000);
+    assert.ok(keys.length < 20, `${keys.length} rows rendered`);
+    assert.strictEqual(keys.at(-1), 'msg_1000');
+    assert.strictEqual(container.scrollHeight, 1000 * 60);
+    assert.strictEqual(container.scrollTop, container.scrollHeight - container.clientHeight);
+
+    container.scrollTo(0);
+    assert.strictEqual(renderedKeys(list)[0], 'msg_1');
+    assert.ok(renderedKeys(list).length < 20);
+});
+
+test('measures variable heights and keeps the rows in view in place', () => {
+    const { container, list } = createList({ estimatedHeight: 40 });
+
+    list.append(items(201, 300, number => (number % 3 === 0 ? 150 : 45)));
+    container.scrollTo(6000);
+
+    const key = renderedKeys(list)[3];
+    const top = rowTop(list, key);
+
+    // A batch of older history, taller than estimated
+    list.prepend(items(1, 200, 120));
+
+    assert.strictEqual(rowTop(list, key), top);
+    assert.ok(!renderedKeys(list).includes('msg_1'));
+    assert.strictEqual(list.at(0).key, 'msg_1');
+});
+
+test('sticks to the bottom for new rows only while at the bottom', () => {
+    const { container, list } = createList();
+
+    list.append(items(1, 50));
+    list.append(items(51, 1, 200));
+    assert.strictEqual(container.scrollTop, container.scrollHeight - container.clientHeight);
+
+    container.scrollTo(500);
+    const scrollTop = container.scrollTop;
+    list.append(items(52, 5));
+    assert.strictEqual(container.scrollTop, scrollTop);
+    assert.ok(!renderedKeys(list).includes('msg_56'));
+
+    list.scrollToBottom();
+    assert.strictEqual(renderedKeys(list).at(-1), 'msg_56');
+    assert.strictEqual(container.scrollTop, container.scrollHeight - container.clientHeight);
+});
+
+test('inserts, replaces and removes rows by key', () => {
+    const { list } = createList();
+
+    list.append(items(1, 3));
+    list.append([{ key: 'pending_1', height: 50 }]);
+    list.insert([...items(4, 1), ...items(1, 1)], 'pending_1');
+
+    assert.deepStrictEqual(renderedKeys(list), ['msg_1', 'msg_2', 'msg_3', 'msg_4', 'pending_1']);
+
+    list.replace('pending_1', { key: 'msg_5', height: 80 });
+    list.update({ key: 'msg_2', height: 70 });
+    list.remove('msg_3');
+
+    assert.ok(!list.has('pending_1'));
+    assert.deepStrictEqual(renderedKeys(list), ['msg_1', 'msg_2', 'msg_4', 'msg_5']);
+    assert.strictEqual(list.root.children[2].height, 70);
+
+    list.clear();
+    assert.strictEqual(list.length, 0);
+    assert.deepStrictEqual(renderedKeys(list), []);
+});
+
+test('scrolls to an item and stays there as new rows arrive', () => {
+    const { container, list } = createList({ estimatedHeight: 80 });
+
+    list.append(items(1, 1000));
+
+    assert.strictEqual(list.scrollToItem('msg_missing'), false);
+    assert.strictEqual(list.scrollToItem('msg_100'), true);
+    assert.ok(renderedKeys(list).includes('msg_100'));
+    assert.strictEqual(rowTop(list, 'msg_100'), Math.round(container.clientHeight / 3));
+
+    list.append(items(1001, 5));
+    assert.strictEqual(rowTop(list, 'msg_100'), Math.round(container.clientHeight / 3));
+    assert.ok(!renderedKeys(list).includes('msg_1005'));
+});
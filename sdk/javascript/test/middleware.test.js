@@ -0,0 +1,180 @@
+/**
+ * Tests for the middleware pipeline
+ *
+ * Registers middlewares on an SDK talking to a stub fetch, and checks the
+ * order they run in, what they can change, and how they stop the chain.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { NotFoundError } = require('../slime-talks-sdk');
+const { createSDK, json } = require('./helpers');
+
+/**
+ * Create an SDK whose requests are recorded and answered with `statuses`, then 200
+ *
+ * @param {number[]} [statuses] - Status per request
+ * @returns {{ sdk: SlimeTalksSDK, requests: Object[] }} SDK and recorded requests
+ */
+function stubbed(statuses = []) {
+    const requests = [];
+    const sdk = createSDK(async (url, options) => {
+        requests.push({ url, ...options });
+
+        const status = statuses[requests.length - 1] ?? 200;
+
+        return json(status === 200 ? { object: 'customer', id: 'cus_1' } : { error: 'Not found' }, status);
+    });
+
+    return { sdk, requests };
+}
+
+/**
+ * @param {string[]} log - Entries in the order the middlewares ran
+ * @param {string} label - Name logged before and after the rest of the chain
+ * @returns {Function} Middleware
+ */
+function logging(log, label) {
+    return async (request, next) => {
+        log.push(`${label}:before`);
+        const response = await next();
+        log.push(`${label}:after`);
+        return response;
+    };
+}
+
+test('runs middlewares in registration order between retry and the built-ins', async () => {
+    const { sdk } = stubbed();
+    const log = [];
+    let authorization;
+
+    sdk.use(logging(log, 'first'), { name: 'first' });
+    sdk.use(logging(log, 'second'), { name: 'second' });
+    sdk.use({ request: (request) => void (authorization = request.headers.Authorization) }, { name: 'third' });
+
+    await sdk.getCustomer('cus_1');
+
+    assert.deepStrictEqual(sdk.middlewares.map(middleware => middleware.name), [
+        'retry', 'first', 'second', 'third', 'auth', 'origin', 'timeout',
+    ]);
+    assert.deepStrictEqual(log, ['first:before', 'second:before', 'second:after', 'first:after']);
+    assert.strictEqual(authorization, undefined);
+});
+
+test('places middlewares before or after named ones and replaces them by name', async () => {
+    const { sdk, requests } = stubbed();
+    const log = [];
+
+    sdk.use(logging(log, 'first'), { name: 'first' });
+    sdk.use(logging(log, 'early'), { name: 'early', before: 'first' });
+    sdk.use(logging(log, 'signed'), { name: 'signed', after: 'auth' });
+    sdk.use(logging(log, 'replaced'), { name: 'first' });
+    sdk.removeMiddleware('origin');
+
+    await sdk.getCustomer('cus_1');
+
+    assert.deepStrictEqual(sdk.middlewares.map(middleware => middleware.name), [
+        'retry', 'early', 'first', 'auth', 'signed', 'timeout',
+    ]);
+    assert.deepStrictEqual(log, [
+        'early:before', 'replaced:before', 'signed:before', 'signed:after', 'replaced:after', 'early:after',
+    ]);
+    assert.strictEqual(requests[0].headers.Origin, undefined);
+    assert.throws(() => sdk.use(logging(log, 'lost'), { before: 'missing' }), /Unknown middleware "missing"/);
+});
+
+test('lets middlewares change the request and the response', async () => {
+    const { sdk, requests } = stubbed();
+
+    sdk.use(async (request, next) => {
+        const response = await next({ ...request, headers: { ...request.headers, 'X-Trace-Id': 'trace_1' } });
+        return { ...response, data: { ...response.data, traced: true } };
+    });
+    sdk.use({
+        request: (request) => ({ ...request, endpoint: `${request.endpoint}?expand=channels` }),
+        response: (response, request) => ({ ...response, data: { ...response.data, endpoint: request.endpoint } }),
+    });
+
+    const customer = await sdk.getCustomer('cus_1');
+
+    assert.strictEqual(requests[0].url, 'https://api.test/api/v1/customers/cus_1?expand=channels');
+    assert.strictEqual(requests[0].headers['X-Trace-Id'], 'trace_1');
+    assert.deepStrictEqual(customer, {
+        object: 'customer',
+        id: 'cus_1',
+        endpoint: '/customers/cus_1?expand=channels',
+        traced: true,
+    });
+});
+
+test('short-circuits the chain without sending the request', async () => {
+    const { sdk, requests } = stubbed();
+    const log = [];
+
+    sdk.use({
+        request: (request) => (request.endpoint === '/customers/cached'
+            ? { status: 200, ok: true, headers: new Headers(), data: { object: 'customer', id: 'cached' } }
+            : request),
+    });
+    sdk.use(async (request, next) => {
+        log.push(request.endpoint);
+        return request.endpoint === '/customers/local' ? { status: 200, data: { id: 'local' } } : next();
+    });
+
+    assert.deepStrictEqual(await sdk.getCustomer('cached'), { object: 'customer', id: 'cached' });
+    assert.deepStrictEqual(await sdk.getCustomer('local'), { id: 'local' });
+    assert.deepStrictEqual(log, ['/customers/local']);
+    assert.strictEqual(requests.length, 0);
+});
+
+test('rejects with errors thrown inside middleware', async () => {
+    const { sdk, requests } = stubbed();
+    const failure = new Error('Middleware failed');
+
+    sdk.use(async () => {
+        throw failure;
+    }, { name: 'failing' });
+
+    await assert.rejects(sdk.getCustomer('cus_1'), (error) => error === failure);
+    assert.strictEqual(requests.length, 0);
+
+    sdk.removeMiddleware('failing');
+    sdk.use({
+        response: () => {
+            throw failure;
+        },
+    });
+
+    await assert.rejects(sdk.getCustomer('cus_1'), (error) => error === failure);
+    assert.strictEqual(requests.length, 1);
+});
+
+test('lets error hooks recover, retry or rethrow', async () => {
+    const recovering = stubbed([404]);
+
+    recovering.sdk.use({
+        error: (error) => (error instanceof NotFoundError ? { status: 200, data: { object: 'customer', id: 'fallback' } } : undefined),
+    });
+
+    assert.deepStrictEqual(await recovering.sdk.getCustomer('cus_1'), { object: 'customer', id: 'fallback' });
+
+    const retrying = stubbed([404]);
+
+    retrying.sdk.use({
+        error: (error, request, { retry }) => retry({ ...request, endpoint: '/customers/cus_2' }),
+    });
+
+    assert.deepStrictEqual(await retrying.sdk.getCustomer('cus_1'), { object: 'customer', id: 'cus_1' });
+    assert.deepStrictEqual(retrying.requests.map(request => request.url), [
+        'https://api.test/api/v1/customers/cus_1',
+        'https://api.test/api/v1/customers/cus_2',
+    ]);
+
+    const rethrowing = stubbed([404]);
+    const seen = [];
+
+    rethrowing.sdk.use({ error: (error) => void seen.push(error.status) });
+
+    await assert.rejects(rethrowing.sdk.getCustomer('cus_1'), NotFoundError);
+    assert.deepStrictEqual(seen, [404]);
+});
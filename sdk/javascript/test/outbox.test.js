@@ -0,0 +1,203 @@
+/**
+ * Tests for SlimeTalksOutbox
+ *
+ * Sends through a stub `send` function and keeps the queue in a Map-backed
+ * storage, so reloads can be simulated by creating a second outbox on it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SlimeTalksOutbox } = require('../slime-talks-sdk');
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, value);
+    }
+}
+
+/**
+ * @param {Object} entry - Outbox entry
+ * @returns {Object} Message resource the API would return for it
+ */
+function stored(entry) {
+    return { ...SlimeTalksOutbox.toMessage(entry), id: `msg_${entry.data.content}` };
+}
+
+/**
+ * @param {string} content - Message content
+ * @returns {Object} sendMessage() body
+ */
+function text(content) {
+    return { channel_uuid: 'ch_1', sender_uuid: 'cus_1', type: 'text', content };
+}
+
+test('sends queued messages in order with their client id as idempotency key', async () => {
+    const sent = [];
+    const storage = new MemoryStorage();
+    const delivered = [];
+    const outbox = new SlimeTalksOutbox({
+        storage,
+        send: async (data, { idempotencyKey }) => {
+            sent.push([data.content, idempotencyKey === data.metadata.client_message_id]);
+            return { id: `msg_${data.content}`, metadata: data.metadata };
+        },
+        onSent: (entry, message) => delivered.push([entry.data.content, message.id]),
+    });
+
+    outbox.add(text('one'));
+    const second = outbox.add(text('two'));
+
+    assert.strictEqual(second.status, 'pending');
+    assert.strictEqual(outbox.entries('ch_1').length, 2);
+
+    await outbox.flush();
+
+    assert.deepStrictEqual(sent, [['one', true], ['two', true]]);
+    assert.deepStrictEqual(delivered, [['one', 'msg_one'], ['two', 'msg_two']]);
+    assert.deepStrictEqual(outbox.entries(), []);
+    assert.strictEqual(storage.getItem('slime-talks-outbox'), '[]');
+});
+
+test('retries transient failures and keeps the queue across reloads', async () => {
+    const storage = new MemoryStorage();
+    const offline = new SlimeTalksOutbox({
+        storage,
+        retryDelay: 60000,
+        send: async () => {
+            throw Object.assign(new Error('Network request failed'), { status: 0 });
+        },
+    });
+
+    offline.add(text('queued'));
+    await offline.flush();
+    offline.destroy();
+
+    assert.deepStrictEqual(offline.entries().map(entry => [entry.status, entry.attempts, entry.error]), [
+        ['pending', 1, 'Network request failed'],
+    ]);
+
+    const sent = [];
+    const reloaded = new SlimeTalksOutbox({
+        storage,
+        send: async (data, { idempotencyKey }) => {
+            sent.push(idempotencyKey);
+            return stored({ data, createdAt: Date.now() });
+        },
+    });
+
+    assert.strictEqual(reloaded.entries().length, 1);
+
+    await reloaded.flush();
+
+    assert.deepStrictEqual(sent, [offline.entries()[0].id]);
+    assert.deepStrictEqual(reloaded.entries(), []);
+});
+
+test('marks rejected messages as failed until they are retried', async () => {
+    let reject = true;
+    const statuses = [];
+    const outbox = new SlimeTalksOutbox({
+        storage: null,
+        send: async (data) => {
+            if (reject && data.content === 'rejected') {
+                throw Object.assign(new Error('The content field is required.'), { status: 422 });
+            }
+
+            return { id: `msg_${data.content}`, metadata: data.metadata };
+        },
+        onChange: entry => statuses.push(entry.status),
+    });
+
+    const entry = outbox.add(text('rejected'));
+    outbox.add(text('next'));
+    await outbox.flush();
+
+    assert.strictEqual(entry.status, 'failed');
+    assert.strictEqual(entry.error, 'The content field is required.');
+    assert.deepStrictEqual(outbox.entries(), [entry]);
+
+    reject = false;
+    await outbox.retry(entry.id);
+
+    assert.deepStrictEqual(outbox.entries(), []);
+    assert.deepStrictEqual(statuses, ['pending', 'sending', 'pending', 'failed', 'sending', 'pending', 'sending']);
+});
+
+test('keeps messages whose earlier send is still in flight pending', async () => {
+    let inFlight = true;
+    let deliver;
+    const delivered = new Promise(resolve => {
+        deliver = resolve;
+    });
+    const outbox = new SlimeTalksOutbox({
+        storage: null,
+        retryDelay: 1,
+        send: async (data) => {
+            if (inFlight) {
+                inFlight = false;
+                throw Object.assign(new Error('A request with this Idempotency-Key is already in progress.'), { status: 409 });
+            }
+
+            return { id: `msg_${data.content}`, metadata: data.metadata };
+        },
+        onSent: (entry, message) => deliver(message.id),
+    });
+
+    const entry = outbox.add(text('racing'));
+    await outbox.flush();
+
+    assert.strictEqual(entry.status, 'pending');
+    assert.strictEqual(await delivered, 'msg_racing');
+    assert.deepStrictEqual(outbox.entries(), []);
+});
+
+test('reconciles the message.sent copy arriving before the response', async () => {
+    let respond;
+    const delivered = [];
+    const outbox = new SlimeTalksOutbox({
+        storage: null,
+        send: data => new Promise(resolve => {
+            respond = () => resolve({ id: 'msg_1', metadata: data.metadata });
+        }),
+        onSent: (entry, message) => delivered.push(message.id),
+    });
+
+    const entry = outbox.add(text('racing'));
+    const flushed = outbox.flush();
+
+    assert.strictEqual(outbox.reconcile({ id: 'msg_1', metadata: { client_message_id: entry.id } }), true);
+    assert.strictEqual(outbox.reconcile({ id: 'msg_2', metadata: null }), false);
+
+    respond();
+    await flushed;
+
+    assert.deepStrictEqual(delivered, ['msg_1']);
+    assert.deepStrictEqual(outbox.entries(), []);
+});
+
+test('keeps sending when a callback throws', async (t) => {
+    t.mock.method(console, 'error', () => {});
+
+    const outbox = new SlimeTalksOutbox({
+        storage: null,
+        send: async (data) => ({ id: `msg_${data.content}`, metadata: data.metadata }),
+        onChange: () => {
+            throw new Error('Render failed');
+        },
+    });
+
+    outbox.add(text('one'));
+    outbox.add(text('two'));
+    await outbox.flush();
+
+    assert.deepStrictEqual(outbox.entries(), []);
+    assert.strictEqual(console.error.mock.callCount(), 4);
+});
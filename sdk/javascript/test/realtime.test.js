@@ -0,0 +1,637 @@
+/**
+ * Tests for the SlimeTalksRealtime event emitter API
+ *
+ * Uses a fake Pusher client whose connection and channel events are triggered
+ * by hand.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SlimeTalksRealtime = require('../slime-talks-realtime');
+const { SlimeTalksMemoryBroker } = SlimeTalksRealtime;
+
+class FakeBindings {
+    constructor() {
+        this.handlers = {};
+    }
+
+    bind(event, handler) {
+        (this.handlers[event] = this.handlers[event] || []).push(handler);
+    }
+
+    trigger(event, data) {
+        (this.handlers[event] || []).forEach(handler => handler(data));
+    }
+}
+
+class FakePusher {
+    constructor() {
+        this.connection = new FakeBindings();
+        this.connection.socket_id = '123.456';
+        this.channels = new Map();
+    }
+
+    subscribe(name) {
+        if (this.channels.has(name)) {
+            return this.channels.get(name);
+        }
+
+        const channel = new FakeBindings();
+        channel.whisper = () => {};
+        this.channels.set(name, channel);
+        return channel;
+    }
+
+    unsubscribe(name) {
+        this.channels.delete(name);
+    }
+
+    connect() {}
+
+    disconnect() {}
+}
+
+/**
+ * @param {Object} [config] - Extra configuration
+ * @returns {SlimeTalksRealtime} Realtime client on a fake Pusher
+ */
+function createRealtime(config = {}) {
+    return new SlimeTalksRealtime({
+        pusherKey: 'key',
+        Pusher: FakePusher,
+        user: { id: 'cus_1', name: 'Ana' },
+        ...config,
+    });
+}
+
+/**
+ * @param {SlimeTalksRealtime} realtime - Realtime client
+ * @param {string} channelUuid - Channel UUID
+ * @param {string} event - Pusher event name
+ * @param {Object} data - Event payload
+ */
+function trigger(realtime, channelUuid, event, data) {
+    realtime.pusher.channels.get(`private-channel.${channelUuid}`).trigger(event, data);
+}
+
+/**
+ * @param {string} id - Customer UUID
+ * @param {string} name - Customer name
+ * @returns {Object} `typing.started` / `typing.stopped` payload
+ */
+function typingEvent(id, name) {
+    return { typing: { user: { id, name }, channel: { id: 'ch_1', name: 'general' } } };
+}
+
+test('calls every client listener with the channel context', () => {
+    const realtime = createRealtime();
+    const received = [];
+
+    realtime.joinChannel('ch_1');
+    realtime.on('message.sent', (event, context) => received.push(['a', event.message.id, context.channelUuid]));
+    realtime.on('message.sent', event => received.push(['b', event.message.id]));
+
+    realtime.pusher.channels.get('private-channel.ch_1').trigger('message.sent', { message: { id: 'msg_1' } });
+
+    assert.deepStrictEqual(received, [['a', 'msg_1', 'ch_1'], ['b', 'msg_1']]);
+});
+
+test('emits channel events on the handle and runs join callbacks', () => {
+    const realtime = createRealtime();
+    const received = [];
+
+    const handle = realtime.joinChannel('ch_1', { onTypingStarted: () => received.push('callback') });
+    handle.on('typing.started', () => received.push('handle'));
+    realtime.joinChannel('ch_2').on('typing.started', () => received.push('other channel'));
+
+    realtime.pusher.channels.get('private-channel.ch_1').trigger('typing.started', { typing: {} });
+
+    assert.deepStrictEqual(received, ['callback', 'handle']);
+});
+
+test('once listeners run a single time and off removes listeners', () => {
+    const realtime = createRealtime();
+    let onceCalls = 0;
+    let calls = 0;
+    const listener = () => calls++;
+
+    realtime.once('connected', () => onceCalls++);
+    realtime.on('connected', listener);
+    realtime.pusher.connection.trigger('connected');
+    realtime.off('connected', listener);
+    realtime.pusher.connection.trigger('connected');
+
+    assert.strictEqual(onceCalls, 1);
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(realtime.listenerCount('connected'), 0);
+});
+
+test('isolates errors thrown by a listener', () => {
+    const realtime = createRealtime();
+    const failure = new Error('listener failed');
+    const errors = [];
+    let delivered = false;
+
+    realtime.on('disconnected', () => {
+        throw failure;
+    });
+    realtime.on('disconnected', () => {
+        delivered = true;
+    });
+    realtime.on('error', (error, context) => errors.push([error, context.event]));
+
+    realtime.pusher.connection.trigger('disconnected');
+
+    assert.ok(delivered);
+    assert.deepStrictEqual(errors, [[failure, 'disconnected']]);
+});
+
+test('keeps calling the legacy connection properties', () => {
+    const realtime = createRealtime();
+    let connected = false;
+
+    realtime.onConnected = () => {
+        connected = true;
+    };
+    realtime.pusher.connection.trigger('connected');
+
+    assert.ok(connected);
+    assert.strictEqual(realtime.getConnectionState(), 'connected');
+});
+
+test('forwards presence events and leaves presence-only channels', () => {
+    const realtime = createRealtime();
+    const members = [];
+
+    const presence = realtime.joinPresenceChannel('ch_1', { onMemberAdded: member => members.push(member.id) });
+    realtime.on('member.added', (member, { channelUuid }) => members.push(channelUuid));
+
+    realtime.pusher.channels.get('presence-presence.channel.ch_1').trigger('pusher:member_added', { id: 'cus_2' });
+    presence.leave();
+
+    assert.deepStrictEqual(members, ['cus_2', 'ch_1']);
+    assert.strictEqual(realtime.pusher.channels.has('presence-presence.channel.ch_1'), false);
+    assert.strictEqual(presence.listenerCount('member.added'), 0);
+});
+
+test('authorizes channels at the endpoint resolved against the API URL', async () => {
+    const requests = [];
+    const fetch = async (url, options) => {
+        requests.push({ url, options });
+        return new Response(JSON.stringify({ auth: 'key:signature' }), { status: 200 });
+    };
+    const authorize = realtime => new Promise((resolve, reject) => {
+        realtime.authorizeChannel({ socketId: '123.456', channelName: 'private-channel.ch_1' }, (error, data) => {
+            error ? reject(error) : resolve(data);
+        });
+    });
+
+    assert.deepStrictEqual(await authorize(createRealtime({ apiUrl: 'https://api.test/api/v1', token: 'tok', fetch })), {
+        auth: 'key:signature',
+    });
+    await authorize(createRealtime({ apiUrl: 'https://api.test/api/v1', authEndpoint: 'https://auth.test/broadcasting/auth', fetch }));
+
+    assert.deepStrictEqual(requests.map(request => request.url), [
+        'https://api.test/broadcasting/auth',
+        'https://auth.test/broadcasting/auth',
+    ]);
+    assert.strictEqual(requests[0].options.headers.Authorization, 'Bearer tok');
+    assert.strictEqual(requests[0].options.body, 'socket_id=123.456&channel_name=private-channel.ch_1');
+});
+
+test('sends throttled typing indicators and stops them after inactivity', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const requests = [];
+    const realtime = createRealtime({
+        apiUrl: 'https://api.test/api/v1',
+        token: 'session-token',
+        fetch: async (url, options) => {
+            requests.push({ url, headers: options.headers, body: JSON.parse(options.body) });
+            return new Response('{}', { status: 202 });
+        },
+    });
+
+    assert.strictEqual(await realtime.startTyping('ch_1'), true);
+    t.mock.timers.tick(1000);
+    assert.strictEqual(await realtime.startTyping('ch_1'), false);
+    t.mock.timers.tick(1000);
+    assert.strictEqual(await realtime.startTyping('ch_1'), true);
+    t.mock.timers.tick(3000);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(requests.map(request => request.body.typing), [true, true, false]);
+    assert.strictEqual(requests[0].url, 'https://api.test/api/v1/channels/ch_1/typing');
+    assert.strictEqual(requests[0].body.sender_uuid, 'cus_1');
+    assert.strictEqual(requests[0].headers['X-Socket-ID'], '123.456');
+    assert.strictEqual(requests[0].headers.Authorization, 'Bearer session-token');
+    assert.strictEqual(await realtime.stopTyping('ch_1'), false);
+});
+
+test('emits failed typing indicators as errors', async () => {
+    const realtime = createRealtime({ fetch: async () => new Response('{}', { status: 403 }) });
+    const errors = [];
+
+    realtime.on('error', (error, { channelUuid }) => errors.push(channelUuid));
+
+    assert.strictEqual(await realtime.startTyping('ch_1'), false);
+    assert.deepStrictEqual(errors, ['ch_1']);
+    realtime.disconnect();
+});
+
+test('sends read receipts once per message and forwards message.read', async () => {
+    const requests = [];
+    const realtime = createRealtime({
+        apiUrl: 'https://api.test/api/v1',
+        fetch: async (url, options) => {
+            const body = JSON.parse(options.body);
+            requests.push({ url, headers: options.headers, body });
+
+            return requests.length === 3
+                ? new Response('{}', { status: 500 })
+                : new Response(JSON.stringify({ object: 'read_receipt', message_id: body.message_id }), { status: 200 });
+        },
+    });
+    const reads = [];
+    const errors = [];
+
+    realtime.on('error', (error, { channelUuid }) => errors.push(channelUuid));
+    const handle = realtime.joinChannel('ch_1', {
+        onMessageRead: ({ read }, { channelUuid }) => reads.push([channelUuid, read.user.id, read.message_id]),
+    });
+
+    assert.deepStrictEqual(await handle.markRead('msg_1'), { object: 'read_receipt', message_id: 'msg_1' });
+    assert.strictEqual(await handle.markRead('msg_1'), null);
+    assert.ok(await realtime.markRead('ch_1', 'msg_2'));
+    assert.strictEqual(await realtime.markRead('ch_1', 'msg_3'), null);
+    assert.ok(await realtime.markRead('ch_1', 'msg_3'));
+
+    assert.deepStrictEqual(requests.map(request => request.body.message_id), ['msg_1', 'msg_2', 'msg_3', 'msg_3']);
+    assert.strictEqual(requests[0].url, 'https://api.test/api/v1/channels/ch_1/read');
+    assert.strictEqual(requests[0].body.customer_uuid, 'cus_1');
+    assert.strictEqual(requests[0].headers['X-Socket-ID'], '123.456');
+    assert.deepStrictEqual(errors, ['ch_1']);
+
+    trigger(realtime, 'ch_1', 'message.read', { read: { user: { id: 'cus_2', name: 'Bo' }, message_id: 'msg_3' } });
+    assert.deepStrictEqual(reads, [['ch_1', 'cus_2', 'msg_3']]);
+});
+
+test('forwards edits and deletions of messages already delivered', () => {
+    const realtime = createRealtime();
+    const received = [];
+    const message = { id: 'msg_1', channel_id: 'ch_1', sender_id: 'cus_2', content: 'Hi', edited: null, deleted: false };
+
+    const handle = realtime.joinChannel('ch_1', {
+        onMessage: ({ message }) => received.push(['sent', message.content]),
+        onMessageUpdated: ({ message }, { channelUuid }) => received.push([channelUuid, message.content]),
+    });
+    handle.on('message.deleted', ({ message }) => received.push(['deleted', message.deleted]));
+
+    trigger(realtime, 'ch_1', 'message.sent', { message });
+    trigger(realtime, 'ch_1', 'message.updated', { message: { ...message, content: 'Hello', edited: 2 } });
+    trigger(realtime, 'ch_1', 'message.deleted', { message: { ...message, content: '', deleted: true } });
+    trigger(realtime, 'ch_1', 'message.sent', { message });
+
+    assert.deepStrictEqual(received, [['sent', 'Hi'], ['ch_1', 'Hello'], ['deleted', true]]);
+});
+
+test('forwards reactions with the reacted message', () => {
+    const realtime = createRealtime();
+    const received = [];
+    const message = { id: 'msg_1', reactions: [{ emoji: '👍', count: 1, customer_ids: ['cus_2'] }] };
+
+    realtime.joinChannel('ch_1', {
+        onMessageReaction: ({ reaction, message }, { channelUuid }) => received.push([channelUuid, reaction.action, message.reactions[0].count]),
+    });
+
+    trigger(realtime, 'ch_1', 'message.reaction', {
+        reaction: { user: { id: 'cus_2', name: 'Bo' }, message_id: 'msg_1', emoji: '👍', action: 'added' },
+        message,
+    });
+
+    assert.deepStrictEqual(received, [['ch_1', 'added', 1]]);
+});
+
+test('forwards thread replies apart from new channel messages', () => {
+    const realtime = createRealtime();
+    const received = [];
+    const parent = { id: 'msg_1', parent_id: null, reply_count: 1 };
+    const reply = { id: 'msg_2', parent_id: 'msg_1', sender_id: 'cus_2' };
+
+    realtime.joinChannel('ch_1', {
+        onMessage: ({ message }) => received.push(['sent', message.id]),
+        onThreadReply: ({ message, parent }, { channelUuid }) => received.push([channelUuid, message.id, parent.reply_count]),
+    });
+
+    trigger(realtime, 'ch_1', 'thread.reply', { message: reply, parent });
+
+    assert.deepStrictEqual(received, [['ch_1', 'msg_2', 1]]);
+});
+
+test('aggregates the other users typing in a channel', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const realtime = createRealtime();
+    const changes = [];
+    const handle = realtime.joinChannel('ch_1');
+
+    handle.on('typing.changed', users => changes.push(SlimeTalksRealtime.formatTypingUsers(users)));
+
+    trigger(realtime, 'ch_1', 'typing.started', typingEvent('cus_1', 'Ana'));
+    trigger(realtime, 'ch_1', 'typing.started', typingEvent('cus_2', 'Ben'));
+    trigger(realtime, 'ch_1', 'typing.started', typingEvent('cus_2', 'Ben'));
+    trigger(realtime, 'ch_1', 'typing.started', typingEvent('cus_3', 'Cy'));
+    trigger(realtime, 'ch_1', 'message.sent', { message: { id: 'msg_1', sender_id: 'cus_2' } });
+    trigger(realtime, 'ch_1', 'typing.stopped', typingEvent('cus_4', 'Dee'));
+
+    assert.deepStrictEqual(realtime.getTypingUsers('ch_1'), [{ id: 'cus_3', name: 'Cy' }]);
+
+    t.mock.timers.tick(6000);
+
+    assert.deepStrictEqual(changes, ['Ben is typing', 'Ben and Cy are typing', 'Cy is typing', '']);
+    assert.deepStrictEqual(handle.getTypingUsers(), []);
+});
+
+test('describes three or more typing users', () => {
+    const users = [{ id: 'cus_2', name: 'Ana' }, { id: 'cus_3', name: 'Ben' }, { id: 'cus_4', name: 'Cy' }];
+
+    assert.strictEqual(SlimeTalksRealtime.formatTypingUsers(users), 'Ana and 2 others are typing');
+    assert.strictEqual(SlimeTalksRealtime.formatTypingUsers([]), '');
+});
+
+test('drops duplicate message events', () => {
+    const realtime = createRealtime();
+    const received = [];
+
+    realtime.joinChannel('ch_1').on('message.sent', ({ message }) => received.push(message.id));
+
+    trigger(realtime, 'ch_1', 'message.sent', { message: { id: 'msg_1' } });
+    trigger(realtime, 'ch_1', 'message.sent', { message: { id: 'msg_1' } });
+    trigger(realtime, 'ch_1', 'message.sent', { message: { id: 'msg_2' } });
+
+    assert.deepStrictEqual(received, ['msg_1', 'msg_2']);
+});
+
+test('backfills missed messages in order before live events after a reconnect', async () => {
+    const urls = [];
+    const pages = [
+        { data: [{ id: 'msg_2' }, { id: 'msg_3' }], has_more: true },
+        { data: [{ id: 'msg_4' }], has_more: false },
+    ];
+    const realtime = createRealtime({
+        apiUrl: 'https://api.test/api/v1',
+        fetch: async (url) => {
+            urls.push(new URL(url));
+            return new Response(JSON.stringify({ object: 'list', ...pages.shift() }), { status: 200 });
+        },
+    });
+    const received = [];
+
+    realtime.joinChannel('ch_1', {}, { lastMessageId: 'msg_1' });
+    realtime.on('message.sent', ({ message }) => received.push(message.id));
+
+    realtime.pusher.connection.trigger('connected');
+    trigger(realtime, 'ch_1', 'pusher:subscription_succeeded');
+    realtime.pusher.connection.trigger('state_change', { previous: 'connected', current: 'connecting' });
+    realtime.pusher.connection.trigger('connected');
+    trigger(realtime, 'ch_1', 'pusher:subscription_succeeded');
+    trigger(realtime, 'ch_1', 'message.sent', { message: { id: 'msg_4' } });
+    trigger(realtime, 'ch_1', 'message.sent', { message: { id: 'msg_5' } });
+
+    while (realtime.backfills.size > 0) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    assert.deepStrictEqual(received, ['msg_2', 'msg_3', 'msg_4', 'msg_5']);
+    assert.deepStrictEqual(urls.map(url => url.searchParams.get('starting_after')), ['msg_1', 'msg_3']);
+    assert.strictEqual(urls[0].pathname, '/api/v1/messages/channel/ch_1');
+});
+
+test('backfills channels without a delivered message from the poll cursor', async () => {
+    const polls = [];
+    const pages = [
+        { data: [], cursor: '10' },
+        {
+            data: [
+                { object: 'event', type: 'message.sent', channel_id: 'ch_1', data: { message: { id: 'msg_2' } } },
+                { object: 'event', type: 'message.sent', channel_id: 'ch_1', data: { message: { id: 'msg_3' } } },
+            ],
+            cursor: '12',
+        },
+        { data: [], cursor: '12' },
+    ];
+    const realtime = createRealtime({
+        apiUrl: 'https://api.test/api/v1',
+        fetch: async (url) => {
+            polls.push(new URL(url));
+            return new Response(JSON.stringify({ object: 'list', ...pages.shift() }), { status: 200 });
+        },
+    });
+    const received = [];
+
+    realtime.joinChannel('ch_1');
+    realtime.on('message.sent', ({ message }) => received.push(message.id));
+
+    realtime.pusher.connection.trigger('connected');
+    trigger(realtime, 'ch_1', 'pusher:subscription_succeeded');
+    realtime.pusher.connection.trigger('state_change', { previous: 'connected', current: 'connecting' });
+    realtime.pusher.connection.trigger('connected');
+    trigger(realtime, 'ch_1', 'pusher:subscription_succeeded');
+    trigger(realtime, 'ch_1', 'message.sent', { message: { id: 'msg_3' } });
+
+    while (realtime.backfills.size > 0) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    assert.deepStrictEqual(received, ['msg_2', 'msg_3']);
+    assert.deepStrictEqual(polls.map(url => url.pathname), Array(3).fill('/api/v1/realtime/poll'));
+    assert.deepStrictEqual(polls.map(url => url.searchParams.get('cursor')), [null, '10', '12']);
+    assert.strictEqual(polls[0].searchParams.get('channels'), 'ch_1');
+});
+
+test('keeps joined channels across disconnect and reconnect', () => {
+    const realtime = createRealtime();
+    const received = [];
+
+    realtime.joinChannel('ch_1').on('message.sent', ({ message }) => received.push(message.id));
+    realtime.disconnect();
+    realtime.reconnect();
+    realtime.pusher.connection.trigger('connected');
+    trigger(realtime, 'ch_1', 'message.sent', { message: { id: 'msg_1' } });
+
+    assert.strictEqual(realtime.channels.size, 1);
+    assert.strictEqual(realtime.channels.get('ch_1').stale, true);
+    assert.deepStrictEqual(received, ['msg_1']);
+});
+
+test('long-polls while WebSockets are unavailable and stops once they connect', async () => {
+    const polls = [];
+    const pages = [
+        { object: 'list', data: [], cursor: '10' },
+        {
+            object: 'list',
+            data: [{ object: 'event', type: 'message.sent', channel_id: 'ch_1', data: { message: { id: 'msg_2' } } }],
+            cursor: '11',
+        },
+    ];
+    const realtime = createRealtime({
+        apiUrl: 'https://api.test/api/v1',
+        fetch: async (url, { signal }) => {
+            url = new URL(url);
+
+            if (url.pathname === '/api/v1/messages/channel/ch_1') {
+                return new Response(JSON.stringify({ object: 'list', data: [{ id: 'msg_2' }], has_more: false }), { status: 200 });
+            }
+
+            polls.push(url);
+
+            if (pages.length === 0) {
+                return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+            }
+
+            return new Response(JSON.stringify(pages.shift()), { status: 200 });
+        },
+    });
+    const received = [];
+    const states = [];
+
+    realtime.joinChannel('ch_1', {}, { lastMessageId: 'msg_1' });
+    realtime.on('message.sent', ({ message }) => received.push(message.id));
+    realtime.on('polling.started', () => states.push('started'));
+    realtime.on('polling.stopped', () => states.push('stopped'));
+
+    realtime.pusher.connection.trigger('state_change', { previous: 'connecting', current: 'unavailable' });
+    realtime.pusher.connection.trigger('state_change', { previous: 'connecting', current: 'unavailable' });
+    assert.strictEqual(realtime.getConnectionState(), 'polling');
+
+    while (polls.length < 3 || realtime.backfills.size > 0) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    realtime.pusher.connection.trigger('connected');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(received, ['msg_2']);
+    assert.deepStrictEqual(states, ['started', 'stopped']);
+    assert.deepStrictEqual(polls.map(url => [url.searchParams.get('cursor'), url.searchParams.get('wait')]), [
+        [null, null],
+        ['10', '20'],
+        ['11', '20'],
+    ]);
+    assert.strictEqual(polls[0].searchParams.get('channels'), 'ch_1');
+    assert.strictEqual(realtime.getConnectionState(), 'connected');
+    assert.strictEqual(realtime.channels.get('ch_1').stale, true);
+    assert.strictEqual(polls.length, 3);
+});
+
+test('waits for WebSockets when the polling fallback is disabled', () => {
+    const realtime = createRealtime({ fallback: false, fetch: () => assert.fail('polled') });
+
+    realtime.joinChannel('ch_1');
+    realtime.pusher.connection.trigger('state_change', { previous: 'connecting', current: 'failed' });
+
+    assert.strictEqual(realtime.polling, null);
+    assert.strictEqual(realtime.getConnectionState(), 'disconnected');
+});
+
+test('delivers events between clients on a memory broker', async () => {
+    const broker = new SlimeTalksMemoryBroker();
+    const realtime = createRealtime({
+        transport: 'memory',
+        broker,
+        apiUrl: 'https://api.test/api/v1',
+        fetch: async () => new Response(JSON.stringify({ object: 'list', data: [], cursor: '0' }), { status: 200 }),
+    });
+    const received = [];
+
+    realtime.joinChannel('ch_1').on('message.sent', ({ message }) => received.push(message.id));
+    await new Promise(resolve => realtime.once('connected', resolve));
+
+    broker.publish('private-channel.ch_1', 'message.sent', { message: { id: 'msg_1' } });
+    broker.publish('private-channel.ch_1', 'message.sent', { message: { id: 'msg_2' } }, {
+        except: realtime.transport.connection.socket_id,
+    });
+    broker.publish('private-channel.ch_2', 'message.sent', { message: { id: 'msg_3' } });
+
+    assert.deepStrictEqual(received, ['msg_1']);
+    assert.strictEqual(realtime.pusher, null);
+
+    realtime.disconnect();
+    assert.strictEqual(broker.publish('private-channel.ch_1', 'message.sent', { message: { id: 'msg_4' } }), 0);
+});
+
+test('runs on an existing Echo instance', () => {
+    const calls = [];
+    const listeners = {};
+    const channel = {
+        listen(event, handler) {
+            listeners[event] = handler;
+            return this;
+        },
+        subscribed(handler) {
+            listeners.subscribed = handler;
+            return this;
+        },
+    };
+    const connection = new FakeBindings();
+    const echo = {
+        connector: { pusher: { connection } },
+        private: (name) => {
+            calls.push(['private', name]);
+            return channel;
+        },
+        leaveChannel: name => calls.push(['leaveChannel', name]),
+        socketId: () => 'echo-socket',
+        connect() {},
+        disconnect() {},
+    };
+    const realtime = createRealtime({ transport: 'echo', echo });
+    const received = [];
+    let connected = false;
+
+    realtime.on('connected', () => {
+        connected = true;
+    });
+    realtime.joinChannel('ch_1').on('message.sent', ({ message }) => received.push(message.id));
+    connection.trigger('connected');
+    listeners['.message.sent']({ message: { id: 'msg_1' } });
+    realtime.leaveChannel('ch_1');
+
+    assert.ok(connected);
+    assert.deepStrictEqual(received, ['msg_1']);
+    assert.strictEqual(realtime.transport.connection.socket_id, 'echo-socket');
+    assert.deepStrictEqual(calls, [['private', 'channel.ch_1'], ['leaveChannel', 'private-channel.ch_1']]);
+});
+
+test('connects Pusher to a self-hosted Reverb server', () => {
+    let options = null;
+
+    class RecordingPusher extends FakePusher {
+        constructor(key, pusherOptions) {
+            super();
+            options = pusherOptions;
+        }
+    }
+
+    createRealtime({ transport: 'reverb', Pusher: RecordingPusher, host: 'ws.example.test', port: 8080, tls: false });
+
+    assert.strictEqual(options.wsHost, 'ws.example.test');
+    assert.strictEqual(options.wsPort, 8080);
+    assert.strictEqual(options.forceTLS, false);
+});
+
+test('lets the SDK start realtime on a transport without a Pusher key', () => {
+    const { SlimeTalksSDK } = require('../slime-talks-sdk');
+    const broker = new SlimeTalksMemoryBroker();
+    const sdk = new SlimeTalksSDK({
+        apiUrl: 'https://api.test/api/v1',
+        secretKey: 'sk_test',
+        publicKey: 'pk_test',
+        Realtime: SlimeTalksRealtime,
+        realtime: { transport: 'memory', broker },
+    });
+
+    const realtime = sdk.initRealtime({ id: 'cus_1', name: 'Ana' });
+
+    assert.strictEqual(realtime.transport.broker, broker);
+    assert.throws(() => new SlimeTalksSDK({ apiUrl: 'https://api.test', secretKey: 'sk' }).initRealtime({}), /Pusher key/);
+    realtime.disconnect();
+});
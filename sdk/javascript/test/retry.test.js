@@ -0,0 +1,131 @@
+/**
+ * Tests for the retry policy
+ *
+ * Runs the SDK against a stub fetch that answers from a list of responses,
+ * and records the delays chosen between attempts instead of waiting them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SlimeTalksSDK, RateLimitError } = require('../slime-talks-sdk');
+const { createSDK, json } = require('./helpers');
+
+/**
+ * Create an SDK whose attempts are answered with `statuses`, then 200
+ *
+ * @param {Array<number|Object>} statuses - Status, or { status, headers }, per attempt
+ * @param {Object|false} [retry] - Retry policy
+ * @returns {{ sdk: SlimeTalksSDK, attempts: Object[], delays: number[] }} SDK, sent requests and retry delays
+ */
+function stubbed(statuses, retry = {}) {
+    const attempts = [];
+    const delays = [];
+    const sdk = createSDK(async (url, options) => {
+        attempts.push(options);
+
+        const next = statuses[attempts.length - 1] ?? 200;
+        const { status, headers = {} } = typeof next === 'number' ? { status: next } : next;
+
+        return json(status === 200 ? { object: 'customer', id: 'cus_1' } : { error: 'Failed' }, status, headers);
+    }, { retry: retry && { jitter: false, ...retry, onRetry: ({ delay }) => delays.push(delay) } });
+
+    sdk._sleep = async () => {};
+
+    return { sdk, attempts, delays };
+}
+
+test('backs off exponentially up to maxDelay', async () => {
+    const { sdk, attempts, delays } = stubbed([503, 503, 503, 503], { maxAttempts: 5, baseDelay: 100, maxDelay: 300 });
+
+    const customer = await sdk.getCustomer('cus_1');
+
+    assert.strictEqual(customer.id, 'cus_1');
+    assert.strictEqual(attempts.length, 5);
+    assert.deepStrictEqual(delays, [100, 200, 300, 300]);
+});
+
+test('gives up after maxAttempts', async () => {
+    const { sdk, attempts } = stubbed([500, 500, 500], { maxAttempts: 3, baseDelay: 1 });
+
+    await assert.rejects(sdk.getCustomer('cus_1'), (error) => error.status === 500);
+    assert.strictEqual(attempts.length, 3);
+});
+
+test('keeps jittered delays between zero and the backoff delay', async (t) => {
+    const random = t.mock.method(Math, 'random', () => 0.5);
+    const { sdk, delays } = stubbed([503, 503, 503], { maxAttempts: 4, baseDelay: 100, maxDelay: 300, jitter: true });
+
+    await sdk.getCustomer('cus_1');
+
+    assert.deepStrictEqual(delays, [50, 100, 150]);
+
+    for (const value of [0, 0.999999]) {
+        random.mock.mockImplementation(() => value);
+
+        const bounded = stubbed([503, 503, 503], { maxAttempts: 4, baseDelay: 100, maxDelay: 300, jitter: true });
+        await bounded.sdk.getCustomer('cus_1');
+
+        bounded.delays.forEach((delay, index) => {
+            assert.ok(delay >= 0 && delay <= [100, 200, 300][index], `delay ${delay} out of bounds`);
+        });
+    }
+});
+
+test('waits as long as Retry-After asks, up to maxRetryAfter', async () => {
+    const { sdk, delays } = stubbed([
+        { status: 429, headers: { 'Retry-After': '2' } },
+        { status: 503, headers: { 'Retry-After': '86400' } },
+    ], { maxAttempts: 3, maxRetryAfter: 30000 });
+
+    await sdk.getCustomer('cus_1');
+
+    assert.deepStrictEqual(delays, [2000, 30000]);
+});
+
+test('caps Retry-After at one minute by default', async () => {
+    const { sdk, delays } = stubbed([{ status: 429, headers: { 'Retry-After': '86400' } }]);
+
+    await sdk.getCustomer('cus_1');
+
+    assert.deepStrictEqual(delays, [SlimeTalksSDK.DEFAULT_RETRY.maxRetryAfter]);
+    assert.strictEqual(SlimeTalksSDK.DEFAULT_RETRY.maxRetryAfter, 60000);
+});
+
+test('does not retry POST requests without an Idempotency-Key', async () => {
+    const { sdk, attempts } = stubbed([503], { baseDelay: 1 });
+
+    await assert.rejects(
+        sdk.markChannelRead('ch_1', { customer_uuid: 'cus_1', message_id: 'msg_1' }),
+        (error) => error.status === 503
+    );
+    assert.strictEqual(attempts.length, 1);
+});
+
+test('retries creates, which carry an Idempotency-Key', async () => {
+    const { sdk, attempts } = stubbed([503], { baseDelay: 1 });
+
+    await sdk.createCustomer({ name: 'John', email: 'john@example.com' });
+
+    assert.strictEqual(attempts.length, 2);
+    assert.strictEqual(attempts[0].headers['Idempotency-Key'], attempts[1].headers['Idempotency-Key']);
+});
+
+test('does not retry statuses outside retryOnStatus', async () => {
+    const { sdk, attempts } = stubbed([404], { baseDelay: 1 });
+
+    await assert.rejects(sdk.getCustomer('cus_1'), (error) => error.status === 404);
+    assert.strictEqual(attempts.length, 1);
+});
+
+test('sends once when retries are disabled', async () => {
+    const disabled = stubbed([{ status: 429, headers: { 'Retry-After': '1' } }], false);
+
+    await assert.rejects(disabled.sdk.getCustomer('cus_1'), RateLimitError);
+    assert.strictEqual(disabled.attempts.length, 1);
+
+    const perCall = stubbed([503], { baseDelay: 1 });
+
+    await assert.rejects(perCall.sdk.getCustomer('cus_1', { retry: false }), (error) => error.status === 503);
+    assert.strictEqual(perCall.attempts.length, 1);
+    assert.deepStrictEqual(perCall.delays, []);
+});
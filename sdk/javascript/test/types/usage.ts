@@ -0,0 +1,289 @@
+/**
+ * Type-check test for the SDK declarations
+ *
+ * Compiled with `npm test` (tsc --noEmit); never executed. Lines marked
+ * @ts-expect-error must fail to compile, so the declarations stay strict.
+ */
+
+import {
+    SlimeTalksSDK,
+    SlimeTalksError,
+    ValidationError,
+    RateLimitError,
+    NotFoundError,
+    SlimeTalksMessageCache,
+    SlimeTalksMemoryStore,
+    SlimeTalksOutbox,
+    type Customer,
+    type Channel,
+    type Message,
+    type MessageSnapshot,
+    type Attachment,
+    type ListEnvelope,
+    type MessageSentEvent,
+} from 'slime-talks-sdk';
+import { SlimeTalksRealtime, SlimeTalksMemoryBroker, SlimeTalksMemoryTransport } from 'slime-talks-sdk/realtime';
+
+async function server(): Promise<void> {
+    const sdk = new SlimeTalksSDK({
+        apiUrl: 'https://api.slime-talks.com/api/v1',
+        secretKey: 'sk_test',
+        publicKey: 'pk_test',
+        retry: { maxAttempts: 5, onRetry: ({ attempt, delay }) => console.log(attempt, delay) },
+    });
+
+    const session = await sdk.createSession({ customer_uuid: 'cus_1', ttl: 600 });
+    const token: string = session.token;
+    const expiresAt: number = session.expires_at;
+
+    const customer: Customer = await sdk.createCustomer(
+        { name: 'John', email: 'john@example.com', metadata: { plan: 'pro' } },
+        { idempotencyKey: 'key-1' }
+    );
+    const channel: Channel = await sdk.createChannel({ type: 'general', customer_uuids: [customer.id, 'cus_2'] });
+    const message: Message = await sdk.sendMessage({
+        channel_uuid: channel.id,
+        sender_uuid: customer.id,
+        type: 'text',
+        content: 'Hello',
+    });
+    const created: number = message.created;
+
+    // @ts-expect-error message type is a closed set
+    await sdk.sendMessage({ channel_uuid: channel.id, sender_uuid: customer.id, type: 'video', content: 'x' });
+
+    // @ts-expect-error email is required
+    await sdk.createCustomer({ name: 'No Email' });
+
+    console.log(token, expiresAt, created);
+}
+
+async function browser(): Promise<void> {
+    const sdk = new SlimeTalksSDK({
+        apiUrl: 'https://api.slime-talks.com/api/v1',
+        publicKey: 'pk_test',
+        origin: 'https://example.com',
+        pusherKey: 'pusher-key',
+        realtime: { transport: 'soketi', host: 'ws.example.com' },
+        tokenProvider: async () => {
+            const response = await fetch('/slime-talks/session');
+            return (await response.json()) as { token: string; expires_at: number };
+        },
+    });
+
+    // Awaiting a list resolves to the first page
+    const page: ListEnvelope<Customer> = await sdk.listCustomers({ limit: 20 });
+    const hasMore: boolean = page.has_more;
+
+    // Iterating walks every item
+    for await (const message of sdk.getChannelMessages('ch_1', { limit: 50 }, { timeout: 5000, retry: { maxAttempts: 5 } })) {
+        const content: string = message.content;
+        console.log(content);
+    }
+
+    const active = await sdk.getActiveCustomersForSender('john@example.com').toArray({ max: 100 });
+    const latest: number | null = active[0].latest_message_at;
+
+    const conversations = await sdk.getChannelsByEmail('john@example.com');
+    const recipientEmail: string = conversations.data[0].recipient.email;
+    const unread: number = conversations.data[0].unread_count + (active[0].unread_count ?? 0);
+
+    const receipt = await sdk.markChannelRead('ch_1', { customer_uuid: 'cus_1', message_id: 'msg_1' });
+    const seen: string[] = (await sdk.getReadReceipts('ch_1')).data
+        .filter(other => other.message_id === receipt.message_id)
+        .map(other => other.customer_id);
+
+    const edited = await sdk.updateMessage('msg_1', { sender_uuid: 'cus_1', content: 'Fixed a typo' });
+    const tombstone = await sdk.deleteMessage(edited.id, 'cus_1');
+    const editedAt: number | null = edited.edited;
+    const deleted: boolean = tombstone.deleted;
+
+    const reacted = await sdk.addReaction('msg_1', { customer_uuid: 'cus_1', emoji: '👍' });
+    const mine: boolean = reacted.reactions.some(reaction => reaction.customer_ids.includes('cus_1'));
+    await sdk.removeReaction('msg_1', 'cus_1', '👍');
+
+    const reply = await sdk.replyToMessage('msg_1', { sender_uuid: 'cus_1', type: 'text', content: 'In the thread' });
+    const parentId: string | null = reply.parent_id;
+    const replies: Message[] = await sdk.getReplies('msg_1', { limit: 20 }).toArray();
+    const replyCount: number = edited.reply_count + replies.length;
+    await sdk.sendMessage({ channel_uuid: 'ch_1', sender_uuid: 'cus_1', type: 'text', content: 'Also in it', parent_uuid: 'msg_1' });
+
+    const quote = await sdk.sendMessage({ channel_uuid: 'ch_1', sender_uuid: 'cus_1', type: 'text', content: 'Which one?', reply_to: 'msg_1' });
+    const quoted: MessageSnapshot | null = quote.reply_to;
+    const quotedBy: string | undefined = quote.reply_to?.sender_name;
+    const forward = await sdk.sendToCustomer({ sender_email: 'a@example.com', recipient_email: 'b@example.com', forwarded_from: 'msg_1' });
+    const forwardedDeleted: boolean | undefined = forward.forwarded_from?.deleted;
+
+    const file = new File(['Meeting notes'], 'notes.txt', { type: 'text/plain' });
+    const uploaded: Attachment = await sdk.uploadAttachment(file, {
+        customerUuid: 'cus_1',
+        onProgress: ({ loaded, total }) => console.log(Math.round(loaded / total * 100)),
+    });
+    const photo = await sdk.sendMessage({ channel_uuid: 'ch_1', sender_uuid: 'cus_1', attachment_uuids: [uploaded.id] });
+    const photoUrl: string | null = (await sdk.getAttachment(photo.attachments[0].id)).url;
+
+    // @ts-expect-error the uploading customer is required
+    await sdk.uploadAttachment(file, {});
+
+    sdk.use(async (request, next) => {
+        request.headers['X-Trace'] = '1';
+        const response = await next(request);
+        return response;
+    }, { name: 'trace' });
+
+    sdk.use({
+        name: 'refresh',
+        error: async (error, request, { retry }) => {
+            if (error instanceof SlimeTalksError && error.status === 401) {
+                return retry(request);
+            }
+        },
+    });
+
+    try {
+        await sdk.getCustomer('cus_missing');
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            const emailErrors: string[] = error.errors.email;
+            const first: string | null = error.fieldError('email');
+            console.log(emailErrors, first);
+        } else if (error instanceof RateLimitError) {
+            const retryAfter: number | null = error.retryAfter;
+            console.log(retryAfter);
+        } else if (error instanceof NotFoundError) {
+            const requestId: string | null = error.requestId;
+            console.log(requestId, error.method, error.endpoint);
+        }
+    }
+
+    const realtime = sdk.initRealtime({ id: 'cus_1', name: 'John' });
+    realtime.onConnected = () => console.log('connected');
+
+    const handle = realtime.joinChannel('ch_1', {
+        onMessage: (event: MessageSentEvent) => console.log(event.message.content),
+        onTypingStarted: (event) => console.log(event.typing.user.name, event.typing.started_at),
+        onUserJoined: (event) => console.log(event.user.email, event.channel.type),
+    });
+    void handle.startTyping();
+    handle.on('typing.changed', (users, { channelUuid }) => {
+        console.log(channelUuid, SlimeTalksRealtime.formatTypingUsers(users), users[0]?.name);
+    });
+    const typingNames: string[] = handle.getTypingUsers().map(user => user.name);
+    console.log(typingNames);
+    handle.leave();
+
+    const onMessage = (event: MessageSentEvent, { channelUuid }: { channelUuid: string }) => {
+        console.log(channelUuid, event.message.id);
+    };
+    realtime
+        .on('message.sent', onMessage)
+        .once('connected', () => console.log('connected once'))
+        .on('reconnecting', ({ attempt, delay }) => console.log(attempt, delay))
+        .on('error', (error, { event }) => console.error(event, error));
+    realtime.off('message.sent', onMessage);
+    realtime.joinChannel('ch_4', {}, { lastMessageId: 'msg_1' });
+    realtime.joinChannel('ch_2').on('typing.stopped', (event) => console.log(event.typing.stopped_at));
+    realtime.joinChannel('ch_5', {
+        onMessageRead: (event) => console.log(event.read.user.id, event.read.message_id),
+        onMessageUpdated: (event) => console.log(event.message.edited),
+        onMessageReaction: ({ reaction, message }) => console.log(reaction.action, message.reactions[0]?.count),
+        onThreadReply: ({ message, parent }) => console.log(message.parent_id === parent.id, parent.reply_count),
+    }).on('message.deleted', ({ message }) => console.log(message.deleted)).markRead('msg_1').then(receipt => console.log(receipt?.unread_count));
+    realtime.joinPresenceChannel('ch_2').on('member.added', (member) => console.log(member.id));
+
+    // @ts-expect-error unknown events are rejected
+    realtime.on('message.created', () => undefined);
+
+    // @ts-expect-error presence handles do not emit message events
+    realtime.joinPresenceChannel('ch_3').on('message.sent', () => undefined);
+
+    realtime.joinChannel('ch_1', {
+        // @ts-expect-error message payloads wrap the message resource
+        onMessage: (event: Message) => console.log(event.content),
+    });
+
+    console.log(hasMore, latest, recipientEmail, unread, seen, editedAt, deleted, mine, photoUrl);
+}
+
+function selfHosted(): SlimeTalksRealtime[] {
+    const broker = new SlimeTalksMemoryBroker();
+    broker.publish('private-channel.ch_1', 'message.sent', { message: { id: 'msg_1' } });
+
+    return [
+        new SlimeTalksRealtime({ transport: 'reverb', pusherKey: 'app-key', host: 'ws.example.test', port: 8080, tls: false }),
+        new SlimeTalksRealtime({ transport: 'echo', echo: {} }),
+        new SlimeTalksRealtime({ transport: 'memory', broker }),
+        new SlimeTalksRealtime({ transport: new SlimeTalksMemoryTransport(broker), fallback: false }),
+        // @ts-expect-error unknown transports are rejected
+        new SlimeTalksRealtime({ transport: 'socket.io' }),
+    ];
+}
+
+function standaloneRealtime(): SlimeTalksRealtime {
+    const realtime = new SlimeTalksRealtime({
+        pusherKey: 'pusher-key',
+        publicKey: 'pk_test',
+        tokenProvider: () => 'session-token',
+        user: { id: 'cus_1', name: 'John' },
+        typingTimeout: 5000,
+        pollWait: 10,
+    });
+
+    realtime.on('polling.started', () => console.log('long-polling'));
+
+    const sent: Promise<boolean> = realtime.startTyping('ch_1');
+    console.log(sent, realtime.getTypingUsers('ch_1').length);
+
+    const state: 'connected' | 'disconnected' | 'polling' = realtime.getConnectionState();
+    console.log(state);
+
+    return realtime;
+}
+
+function outbox(sdk: SlimeTalksSDK, realtime: SlimeTalksRealtime): SlimeTalksOutbox {
+    const outbox = new SlimeTalksOutbox({
+        send: (data, options) => sdk.sendMessage(data, options),
+        storage: null,
+        onChange: entry => console.log(entry.status, SlimeTalksOutbox.toMessage(entry).content),
+        onSent: (entry, message: Message) => console.log(entry.id, message.id),
+    });
+
+    realtime.on('message.sent', ({ message }) => {
+        outbox.reconcile(message);
+    });
+
+    const entry = outbox.add({ channel_uuid: 'ch_1', sender_uuid: 'cus_1', type: 'text', content: 'Hi' });
+    void outbox.retry(entry.id);
+
+    // @ts-expect-error messages need a sender
+    outbox.add({ channel_uuid: 'ch_1', type: 'text', content: 'Hi' });
+
+    return outbox;
+}
+
+async function messageCache(sdk: SlimeTalksSDK, realtime: SlimeTalksRealtime): Promise<Message[]> {
+    const cache = new SlimeTalksMessageCache(sdk, { store: new SlimeTalksMemoryStore(), maxMessagesPerChannel: 200 });
+
+    realtime.on('message.sent', ({ message }) => {
+        void cache.addMessage(message);
+    });
+    realtime.on('message.updated', ({ message }) => {
+        void cache.updateMessage(message);
+    });
+
+    const cached: Message[] = await cache.getMessages('ch_1');
+    const newer = await cache.sync('ch_1', { signal: AbortSignal.timeout(5000) });
+    const reset: boolean = newer.reset;
+    const channels: Channel[] | null = await cache.getChannels();
+
+    await cache.putChannels(channels ?? []);
+    // @ts-expect-error stores must be async key-value stores
+    new SlimeTalksMessageCache(sdk, { store: new Map() });
+
+    return reset ? cached : [...cached, ...newer];
+}
+
+// @ts-expect-error a credential is required at the type level too
+new SlimeTalksSDK({ apiUrl: 'https://api.slime-talks.com/api/v1', publicKey: 'pk_test' });
+
+export { server, browser, selfHosted, standaloneRealtime, outbox, messageCache };
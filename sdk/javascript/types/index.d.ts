@@ -0,0 +1,960 @@
+/**
+ * Slime Talks JavaScript SDK type definitions
+ *
+ * Declarations for slime-talks-sdk.js and slime-talks-realtime.js. Resource and
+ * request shapes and the endpoint method signatures are generated from
+ * swagger.yaml (`npm run generate`); the rest is hand-written.
+ *
+ * @package SlimeTalks\SDK\JavaScript
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+
+import { SlimeTalksRealtime, SlimeTalksRealtimeConfig, RealtimeUser } from './realtime';
+
+export * from './realtime';
+
+// ==================== Resources ====================
+
+/** Arbitrary JSON metadata attached to customers and messages */
+export type Metadata = Record<string, unknown>;
+
+// <generated:resources> Generated from swagger.yaml by scripts/generate.js; do not edit.
+
+export interface Client {
+    /** Internal identifier of the client */
+    id: number;
+    /** Unique identifier for the client */
+    uuid: string;
+    /** Client name */
+    name: string;
+    /** Client domain */
+    domain: string;
+    /** Client public key */
+    public_key: string;
+    /** Allowed IP addresses */
+    allowed_ips: string[] | null;
+    /** Allowed subdomains */
+    allowed_subdomains: string[] | null;
+    /** Creation time */
+    created_at: string;
+    /** Last update time */
+    updated_at: string;
+    /** Deletion time, if the client was deleted */
+    deleted_at: string | null;
+}
+
+export interface Customer {
+    /** String representing the object's type */
+    object: 'customer';
+    /** Unique identifier for the customer */
+    id: string;
+    /** Customer name */
+    name: string;
+    /** Customer email address */
+    email: string;
+    /** Additional customer metadata */
+    metadata: Metadata;
+    /** Unix timestamp of creation */
+    created: number;
+    /** Whether this is a live mode customer */
+    livemode: boolean;
+}
+
+export interface Channel {
+    /** String representing the object's type */
+    object: 'channel';
+    /** Unique identifier for the channel */
+    id: string;
+    /** Channel type */
+    type: 'general' | 'custom';
+    /** Channel name */
+    name: string;
+    /** Customers participating in the channel (only included when loaded) */
+    customers?: Customer[];
+    /** Unix timestamp of creation */
+    created: number;
+    /** Whether this is a live mode channel */
+    livemode: boolean;
+}
+
+export interface Message {
+    /** String representing the object's type */
+    object: 'message';
+    /** Unique identifier for the message */
+    id: string;
+    /** UUID of the channel the message was sent to */
+    channel_id: string;
+    /** UUID of the customer who sent the message */
+    sender_id: string;
+    /** UUID of the message whose thread this message replies in, null for other messages */
+    parent_id: string | null;
+    /** The message this message quotes, null if it quotes none */
+    reply_to: MessageSnapshot | null;
+    /** The message this message forwards, null if it is not a forward */
+    forwarded_from: MessageSnapshot | null;
+    /** Message type */
+    type: 'text' | 'image' | 'file' | 'system';
+    /** Message content */
+    content: string;
+    /** Additional message metadata */
+    metadata: Metadata | null;
+    /** Files sent with the message, in the order they were uploaded */
+    attachments: Attachment[];
+    /** Reactions per emoji, in the order the emojis were first used */
+    reactions: MessageReaction[];
+    /** Number of replies in the thread the message started, always 0 for replies */
+    reply_count: number;
+    /** Unix timestamp of creation */
+    created: number;
+    /** Unix timestamp of the last edit, null if never edited */
+    edited: number | null;
+    /** Whether the message was deleted; deleted messages have empty content and no metadata */
+    deleted: boolean;
+    /** Whether this is a live mode message */
+    livemode: boolean;
+}
+
+export interface Session {
+    object: 'session';
+    /** Bearer token; only returned when the session is created */
+    token: string;
+    /** UUID of the customer the token acts as */
+    customer_id: string;
+    scopes: string[];
+    /** Unix timestamp of expiry */
+    expires_at: number;
+}
+
+export interface ActiveCustomer {
+    /** String representing the object's type */
+    object: 'customer';
+    /** Unique identifier for the customer */
+    id: string;
+    /** Customer name */
+    name: string;
+    /** Customer email address */
+    email: string;
+    /** Additional customer metadata */
+    metadata: Metadata | null;
+    /** Unix timestamp of the latest message in the conversation */
+    latest_message_at: number | null;
+    /** Messages from this customer the reader has not read yet. Present on active customers for a sender, and on active customers when `email` is given. */
+    unread_count?: number;
+    /** Unix timestamp of creation */
+    created: number;
+    /** Whether this is a live mode customer */
+    livemode: boolean;
+}
+
+export interface Conversation {
+    recipient: {
+        object: 'customer';
+        id: string;
+        name: string;
+        email: string;
+    };
+    channels: Array<{
+        object: 'channel';
+        id: string;
+        type: 'general' | 'custom';
+        name: string;
+        /** Unix timestamp of the latest activity */
+        updated_at: number;
+        /** Messages in the channel the customer has not read yet */
+        unread_count: number;
+    }>;
+    /** Unix timestamp of the latest activity with this recipient */
+    latest_message_at: number;
+    /** Sum of the unread counts of the conversation's channels */
+    unread_count: number;
+}
+
+export interface TypingIndicator {
+    /** String representing the object's type */
+    object: 'typing_indicator';
+    channel_id: string;
+    sender_id: string;
+    typing: boolean;
+}
+
+export interface MessageReaction {
+    /** The emoji */
+    emoji: string;
+    /** Number of customers who reacted with the emoji */
+    count: number;
+    /** UUIDs of the customers who reacted with the emoji, first reaction first */
+    customer_ids: string[];
+}
+
+/** Compact copy of a quoted or forwarded message, as it is now */
+export interface MessageSnapshot {
+    /** UUID of the message */
+    id: string;
+    /** UUID of the channel the message was sent to */
+    channel_id: string;
+    /** UUID of the customer who sent the message */
+    sender_id: string;
+    /** Name of the customer who sent the message */
+    sender_name: string;
+    /** Message type */
+    type: 'text' | 'image' | 'file' | 'system';
+    /** Message content, shortened to 200 characters; empty once the message is deleted */
+    content: string;
+    /** Unix timestamp of creation */
+    created: number;
+    /** Whether the message was deleted since */
+    deleted: boolean;
+}
+
+/** A file uploaded by a customer */
+export interface Attachment {
+    /** String representing the object's type */
+    object: 'attachment';
+    /** Unique identifier for the attachment */
+    id: string;
+    /** UUID of the customer who uploaded the file */
+    customer_id: string;
+    /** UUID of the message the file was sent with, null until it is sent */
+    message_id: string | null;
+    /** Name of the file */
+    filename: string;
+    /** MIME type of the file */
+    mime_type: string;
+    /** Size of the file in bytes */
+    size: number;
+    /** Bytes uploaded so far; the offset the next chunk of a chunked upload starts at */
+    received: number;
+    /** `pending` until every byte of a chunked upload has arrived */
+    status: 'pending' | 'ready';
+    /** Signed URL the file can be downloaded from without credentials, null while pending. Images are served inline, other files as downloads. Fetch the attachment again for a new URL once it expires. */
+    url: string | null;
+    /** Unix timestamp at which the URL stops working, null while pending */
+    url_expires: number | null;
+    /** Unix timestamp of creation */
+    created: number;
+}
+
+export interface ReadReceipt {
+    /** String representing the object's type */
+    object: 'read_receipt';
+    channel_id: string;
+    customer_id: string;
+    /** Newest message the customer has read, null if they never marked the channel read */
+    message_id: string | null;
+    /** Unix timestamp of when the read position last moved */
+    read_at: number | null;
+    /** Messages from other participants after the read position */
+    unread_count: number;
+}
+
+export type ReadReceiptList = ListEnvelope<ReadReceipt>;
+
+export interface RealtimeEvent {
+    /** String representing the object's type */
+    object: 'event';
+    /** Name of the event, as broadcast over WebSockets */
+    type: 'message.sent';
+    channel_id: string;
+    data: {
+        message: Message;
+    };
+}
+
+export interface RealtimeEventList {
+    /** String representing the object's type */
+    object: 'list';
+    data: RealtimeEvent[];
+    /** Cursor to pass to the next poll */
+    cursor: string;
+}
+
+export type CustomerList = ListEnvelope<Customer>;
+
+export type ChannelList = ListEnvelope<Channel>;
+
+export type MessageList = ListEnvelope<Message>;
+
+export type ActiveCustomerList = ListEnvelope<ActiveCustomer>;
+
+export interface ConversationList {
+    /** String representing the object's type */
+    object: 'list';
+    /** Conversations grouped by recipient */
+    data: Conversation[];
+    /** Total number of conversations */
+    total_count: number;
+}
+// </generated:resources>
+
+export type ChannelType = Channel['type'];
+
+export type MessageType = Message['type'];
+
+// ==================== Lists ====================
+
+export interface ListEnvelope<T> {
+    object: 'list';
+    data: T[];
+    has_more: boolean;
+    total_count: number;
+}
+
+export interface ListParams {
+    /** Items per page (1-100) */
+    limit?: number;
+    /** Id of the last item of the previous page */
+    starting_after?: string;
+    [key: string]: string | number | boolean | null | undefined;
+}
+
+/** List options; the request options apply to every page */
+export interface ListOptions<T> extends RequestOptions {
+    /** Stops paging and cancels in-flight requests */
+    signal?: AbortSignal;
+    /** Called with every fetched page envelope */
+    onPage?: (page: ListEnvelope<T>) => void;
+}
+
+export interface ToArrayOptions {
+    /** Stop after this many items */
+    max?: number;
+    signal?: AbortSignal;
+}
+
+/**
+ * Lazily fetched, cursor-paginated list. Awaiting it resolves to the first page;
+ * `for await` walks every item across pages.
+ */
+export declare class SlimeTalksList<T> implements PromiseLike<ListEnvelope<T>>, AsyncIterable<T> {
+    constructor(
+        fetchPage: (params: ListParams, signal?: AbortSignal) => Promise<ListEnvelope<T>>,
+        params?: ListParams,
+        options?: ListOptions<T>
+    );
+
+    then<TResult1 = ListEnvelope<T>, TResult2 = never>(
+        onFulfilled?: ((value: ListEnvelope<T>) => TResult1 | PromiseLike<TResult1>) | null,
+        onRejected?: ((reason: unknown) => TResult2 | PromiseLike<TResult2>) | null
+    ): Promise<TResult1 | TResult2>;
+    catch<TResult = never>(
+        onRejected?: ((reason: unknown) => TResult | PromiseLike<TResult>) | null
+    ): Promise<ListEnvelope<T> | TResult>;
+    finally(onFinally?: (() => void) | null): Promise<ListEnvelope<T>>;
+
+    pages(options?: ListOptions<T>): AsyncGenerator<ListEnvelope<T>, void, undefined>;
+    [Symbol.asyncIterator](): AsyncGenerator<T, void, undefined>;
+    toArray(options?: ToArrayOptions): Promise<T[]>;
+    eachPage(
+        callback: (page: ListEnvelope<T>, index: number) => boolean | void | Promise<boolean | void>,
+        options?: ListOptions<T>
+    ): Promise<void>;
+}
+
+// ==================== Message Cache ====================
+
+/** Async key-value store holding structured-cloneable values */
+export interface MessageCacheStore {
+    get(key: string): Promise<unknown>;
+    set(key: string, value: unknown): Promise<void>;
+    delete(key: string): Promise<void>;
+}
+
+export interface SlimeTalksMessageCacheOptions {
+    /** Defaults to IndexedDB in browsers and memory elsewhere */
+    store?: MessageCacheStore;
+    /** Key prefix separating clients (defaults to the public key) */
+    namespace?: string;
+    /** Channels kept in the store (default 100) */
+    maxChannels?: number;
+    /** Channels also kept in memory (default 10) */
+    memoryChannels?: number;
+    /** Newest messages kept per channel (default 500) */
+    maxMessagesPerChannel?: number;
+    /** Messages fetched when a channel is not cached yet (default 50) */
+    initialLimit?: number;
+    /** Newer messages a sync fetches before it starts the channel over (defaults to maxMessagesPerChannel) */
+    maxSyncMessages?: number;
+}
+
+/** Messages a sync added, oldest first */
+export interface SyncedMessages extends Array<Message> {
+    /** The channel was too far behind, so its cached messages were dropped */
+    reset: boolean;
+}
+
+/**
+ * Persistent per-client message cache with least-recently-used eviction.
+ * `sync()` only fetches messages newer than the newest cached one.
+ */
+export declare class SlimeTalksMessageCache {
+    constructor(sdk: SlimeTalksSDK, options?: SlimeTalksMessageCacheOptions);
+
+    readonly store: MessageCacheStore;
+    readonly namespace: string;
+
+    getMessages(channelUuid: string): Promise<Message[]>;
+    sync(channelUuid: string, options?: { signal?: AbortSignal }): Promise<SyncedMessages>;
+    addMessage(message: Message): Promise<boolean>;
+    updateMessage(message: Message): Promise<boolean>;
+    putMessages(channelUuid: string, messages: Message[]): Promise<Message[]>;
+    getChannels(key?: string): Promise<Channel[] | null>;
+    putChannels(channels: Channel[], key?: string): Promise<void>;
+    removeChannel(channelUuid: string): Promise<void>;
+    clear(): Promise<void>;
+}
+
+export declare class SlimeTalksMemoryStore implements MessageCacheStore {
+    get(key: string): Promise<unknown>;
+    set(key: string, value: unknown): Promise<void>;
+    delete(key: string): Promise<void>;
+}
+
+export declare class SlimeTalksIndexedDBStore implements MessageCacheStore {
+    constructor(options?: { name?: string; indexedDB?: IDBFactory });
+
+    static isSupported(): boolean;
+
+    get(key: string): Promise<unknown>;
+    set(key: string, value: unknown): Promise<void>;
+    delete(key: string): Promise<void>;
+}
+
+// ==================== Outbox ====================
+
+export type OutboxStatus = 'pending' | 'sending' | 'failed';
+
+export interface OutboxEntry {
+    /** Client message id, also sent as Idempotency-Key and `metadata.client_message_id` */
+    id: string;
+    status: OutboxStatus;
+    /** Send attempts since the message was queued or last retried */
+    attempts: number;
+    /** Message of the last failure */
+    error: string | null;
+    data: SendMessageRequest;
+    /** Milliseconds since the epoch */
+    createdAt: number;
+}
+
+/** Web Storage subset used to keep queued messages */
+export interface OutboxStorage {
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+}
+
+export interface SlimeTalksOutboxOptions {
+    send: (data: SendMessageRequest, options: { idempotencyKey: string }) => Promise<Message>;
+    /** Defaults to localStorage when available; null keeps messages in memory only */
+    storage?: OutboxStorage | null;
+    /** Default `slime-talks-outbox`; include the user id when customers share a browser */
+    storageKey?: string;
+    /** Milliseconds before the first retry, doubled after every failure up to a minute (default 1000) */
+    retryDelay?: number;
+    /** A message was queued or its status changed */
+    onChange?: (entry: OutboxEntry) => void;
+    /** The API stored a queued message; it left the outbox */
+    onSent?: (entry: OutboxEntry, message: Message) => void;
+    /** remove() dropped a queued message */
+    onRemoved?: (entry: OutboxEntry) => void;
+}
+
+/**
+ * Persistent queue of outgoing messages, sent in order and retried until the
+ * API stores them or rejects them for good
+ */
+export declare class SlimeTalksOutbox {
+    constructor(options: SlimeTalksOutboxOptions);
+
+    add(data: SendMessageRequest): OutboxEntry;
+    entries(channelUuid?: string | null): OutboxEntry[];
+    flush(): Promise<void>;
+    /** Send a failed message again */
+    retry(id: string): Promise<void>;
+    remove(id: string): boolean;
+    /** Match a message from the API (e.g. a `message.sent` payload) with its queued message */
+    reconcile(message: Message): boolean;
+    destroy(): void;
+
+    /** The message to render while an entry is queued, with the entry id as id */
+    static toMessage(entry: OutboxEntry): Message;
+    /** True for 4xx responses other than 408, 409 and 429 */
+    static isPermanentError(error: unknown): boolean;
+    static generateId(): string;
+}
+
+// ==================== Requests ====================
+
+// <generated:requests> Generated from swagger.yaml by scripts/generate.js; do not edit.
+
+export interface CreateSessionRequest {
+    /** UUID of the customer the token acts as */
+    customer_uuid: string;
+    /** Token lifetime in seconds */
+    ttl?: number;
+}
+
+export interface CreateCustomerRequest {
+    /** Customer name */
+    name: string;
+    /** Customer email address */
+    email: string;
+    /** Additional customer metadata */
+    metadata?: Metadata | null;
+}
+
+export interface CreateChannelRequest {
+    /** Channel type */
+    type: 'general' | 'custom';
+    /** Channel name (required for custom channels) */
+    name?: string;
+    /** Array of customer UUIDs */
+    customer_uuids: string[];
+}
+
+/** `type` and `content` are required unless `forwarded_from` or `attachment_uuids` is given */
+export interface SendMessageRequest {
+    /** UUID of the channel */
+    channel_uuid: string;
+    /** UUID of the sender */
+    sender_uuid: string;
+    /** Message type */
+    type?: 'text' | 'image' | 'file';
+    /** Message content */
+    content?: string;
+    /** Additional message metadata */
+    metadata?: Metadata | null;
+    /** UUID of a message in the same channel to reply to in its thread */
+    parent_uuid?: string | null;
+    /** UUID of a message in the same channel to quote */
+    reply_to?: string | null;
+    /** UUID of a message to forward, from a channel the sender participates in. The type, content and metadata left out are copied from it. */
+    forwarded_from?: string | null;
+    /** UUIDs of files the sender uploaded to send with the message. Without a `type`, the message is an `image` when every file is an image and a `file` otherwise; without `content` it has none. */
+    attachment_uuids?: string[] | null;
+}
+
+export interface ReplyMessageRequest {
+    /** UUID of the sender, a participant in the message's channel */
+    sender_uuid: string;
+    /** Message type */
+    type: 'text' | 'image' | 'file';
+    /** Reply content */
+    content: string;
+    /** Additional message metadata */
+    metadata?: Metadata | null;
+}
+
+/** `type` and `content` are required unless `forwarded_from` or `attachment_uuids` is given */
+export interface SendToCustomerRequest {
+    /** Email of the sending customer */
+    sender_email: string;
+    /** Email of the receiving customer */
+    recipient_email: string;
+    /** Message type */
+    type?: 'text' | 'image' | 'file' | 'system';
+    /** Message content */
+    content?: string;
+    /** Additional message metadata */
+    metadata?: Metadata;
+    /** UUID of a message in the customers' general channel to quote */
+    reply_to?: string | null;
+    /** UUID of a message to forward, from a channel the sender participates in. The type, content and metadata left out are copied from it. */
+    forwarded_from?: string | null;
+    /** UUIDs of files the sender uploaded to send with the message. Without a `type`, the message is an `image` when every file is an image and a `file` otherwise; without `content` it has none. */
+    attachment_uuids?: string[] | null;
+}
+
+export interface TypingIndicatorRequest {
+    /** UUID of the typing customer (must be a channel participant) */
+    sender_uuid: string;
+    /** True when the customer started typing, false when they stopped */
+    typing: boolean;
+}
+
+export interface UpdateMessageRequest {
+    /** UUID of the customer editing the message (must be its sender) */
+    sender_uuid: string;
+    /** New message content */
+    content: string;
+    /** New message metadata; left unchanged when omitted */
+    metadata?: Metadata | null;
+}
+
+export interface UploadAttachmentRequest {
+    /** UUID of the uploading customer */
+    customer_uuid: string;
+    /** The file, up to 25 MB (and the server's upload limit) */
+    file: Blob;
+    /** Name of the file, defaults to the name of the uploaded file */
+    filename?: string;
+}
+
+export interface StartAttachmentUploadRequest {
+    /** UUID of the uploading customer */
+    customer_uuid: string;
+    /** Name of the file */
+    filename: string;
+    /** MIME type of the file */
+    mime_type: string;
+    /** Size of the whole file in bytes, up to 25 MB */
+    size: number;
+}
+
+export interface AttachmentChunkRequest {
+    /** UUID of the customer who started the upload */
+    customer_uuid: string;
+    /** Byte offset the chunk starts at; must equal the attachment's `received` */
+    offset: number;
+    /** The next bytes of the file, up to 5 MB */
+    chunk: Blob;
+}
+
+export interface ReactionRequest {
+    /** UUID of the reacting customer (must be a channel participant) */
+    customer_uuid: string;
+    /** The emoji, without whitespace */
+    emoji: string;
+}
+
+export interface MarkChannelReadRequest {
+    /** UUID of the reading customer (must be a channel participant) */
+    customer_uuid: string;
+    /** UUID of the newest message the customer has seen (must belong to the channel) */
+    message_id: string;
+}
+// </generated:requests>
+
+export type CreateCustomerParams = CreateCustomerRequest;
+export type CreateChannelParams = CreateChannelRequest;
+export type SendMessageParams = SendMessageRequest;
+export type SendToCustomerParams = SendToCustomerRequest;
+export type CreateSessionParams = CreateSessionRequest;
+
+export interface RequestOptions {
+    signal?: AbortSignal;
+    retry?: Partial<RetryPolicy> | false;
+    headers?: Record<string, string>;
+    timeout?: number;
+}
+
+export interface CreateOptions extends RequestOptions {
+    /** Idempotency key; generated when omitted */
+    idempotencyKey?: string;
+}
+
+export interface UploadProgress {
+    /** Bytes uploaded so far */
+    loaded: number;
+    /** Size of the file in bytes */
+    total: number;
+}
+
+export interface UploadAttachmentOptions {
+    /** UUID of the uploading customer */
+    customerUuid: string;
+    /** File name; defaults to the File's name */
+    filename?: string;
+    /** MIME type; defaults to the Blob's type */
+    mimeType?: string;
+    onProgress?: (progress: UploadProgress) => void;
+    /** Bytes per request (default SlimeTalksSDK.ATTACHMENT_CHUNK_SIZE); larger files are chunked */
+    chunkSize?: number;
+    signal?: AbortSignal;
+}
+
+// ==================== Configuration ====================
+
+export interface RetryContext {
+    attempt: number;
+    delay: number;
+    error: SlimeTalksError;
+    method: string;
+    endpoint: string;
+}
+
+export interface RetryPolicy {
+    maxAttempts: number;
+    baseDelay: number;
+    maxDelay: number;
+    /** Upper bound in ms for a delay requested by a Retry-After header */
+    maxRetryAfter: number;
+    jitter: boolean;
+    retryOnStatus: number[];
+    retryMethods: string[];
+    retryOnNetworkError: boolean;
+    onRetry: ((context: RetryContext) => void) | null;
+}
+
+/** Result of a tokenProvider: a token string or a session-like object */
+export type SessionTokenResult = string | { token: string; expires_at?: number | string | Date | null };
+
+export type TokenProvider = () => SessionTokenResult | Promise<SessionTokenResult>;
+
+interface SlimeTalksBaseConfig {
+    apiUrl: string;
+    publicKey: string;
+    origin?: string;
+    pusherKey?: string;
+    pusherCluster?: string;
+    /** Request timeout in milliseconds (default 30000) */
+    timeout?: number;
+    fetch?: typeof fetch;
+    Realtime?: typeof SlimeTalksRealtime;
+    Pusher?: unknown;
+    /** Extra realtime client options, e.g. `{ transport: 'reverb', host, port, tls }` */
+    realtime?: Partial<SlimeTalksRealtimeConfig>;
+    retry?: Partial<RetryPolicy> | false;
+}
+
+/** Either secretKey (server-side only, never ship it to browsers) or tokenProvider is required */
+export type SlimeTalksConfig = SlimeTalksBaseConfig & (
+    | { secretKey: string; tokenProvider?: TokenProvider }
+    | { tokenProvider: TokenProvider; secretKey?: string }
+);
+
+// ==================== Middleware ====================
+
+export interface SlimeTalksRequest {
+    method: string;
+    endpoint: string;
+    baseUrl: string;
+    headers: Record<string, string>;
+    data: unknown;
+    signal?: AbortSignal;
+    options: CreateOptions & { idempotent?: boolean };
+    /** 1-based attempt number, set by the retry middleware */
+    attempt: number;
+}
+
+export interface SlimeTalksResponse<T = unknown> {
+    status: number;
+    ok?: boolean;
+    headers?: Headers;
+    data: T;
+}
+
+export type MiddlewareFunction = (
+    request: SlimeTalksRequest,
+    next: (request?: SlimeTalksRequest) => Promise<SlimeTalksResponse>
+) => Promise<SlimeTalksResponse>;
+
+export interface MiddlewareInterceptor {
+    name?: string;
+    request?: (
+        request: SlimeTalksRequest
+    ) => SlimeTalksRequest | SlimeTalksResponse | void | Promise<SlimeTalksRequest | SlimeTalksResponse | void>;
+    response?: (
+        response: SlimeTalksResponse,
+        request: SlimeTalksRequest
+    ) => SlimeTalksResponse | void | Promise<SlimeTalksResponse | void>;
+    error?: (
+        error: unknown,
+        request: SlimeTalksRequest,
+        helpers: { retry: (request?: SlimeTalksRequest) => Promise<SlimeTalksResponse> }
+    ) => SlimeTalksResponse | void | Promise<SlimeTalksResponse | void>;
+}
+
+export interface UseOptions {
+    name?: string;
+    /** Insert before the middleware with this name */
+    before?: string;
+    /** Insert after the middleware with this name */
+    after?: string;
+}
+
+// ==================== SDK ====================
+
+export declare class SlimeTalksSDK {
+    static DEFAULT_RETRY: RetryPolicy;
+    static SESSION_REFRESH_MARGIN: number;
+    static ATTACHMENT_CHUNK_SIZE: number;
+
+    constructor(config: SlimeTalksConfig);
+
+    config: SlimeTalksBaseConfig & {
+        secretKey?: string;
+        tokenProvider: TokenProvider | null;
+        pusherCluster: string;
+        timeout: number;
+        realtime: Partial<SlimeTalksRealtimeConfig>;
+        retry: RetryPolicy | false;
+    };
+    realtime: SlimeTalksRealtime | null;
+
+    initRealtime(user: RealtimeUser): SlimeTalksRealtime;
+    getRealtime(): SlimeTalksRealtime | null;
+
+    use(middleware: MiddlewareFunction | MiddlewareInterceptor, options?: UseOptions): this;
+    removeMiddleware(name: string): this;
+
+    getSessionToken(options?: { forceRefresh?: boolean }): Promise<string>;
+
+    /** Upload a File, Blob, Buffer or ArrayBuffer, in chunks when it is larger than `chunkSize` */
+    uploadAttachment(
+        file: Blob | ArrayBuffer | ArrayBufferView,
+        options: UploadAttachmentOptions
+    ): Promise<Attachment>;
+}
+
+/** Endpoint methods, merged into the class above */
+// <generated:methods> Generated from swagger.yaml by scripts/generate.js; do not edit.
+
+export interface SlimeTalksSDK {
+    /** Get client information */
+    getClient(clientUuid: string, options?: RequestOptions): Promise<Client>;
+    /** Create customer */
+    createCustomer(data: CreateCustomerRequest, options?: CreateOptions): Promise<Customer>;
+    /** List customers */
+    listCustomers(params?: ListParams, options?: ListOptions<Customer>): SlimeTalksList<Customer>;
+    /** Get customer */
+    getCustomer(customerUuid: string, options?: RequestOptions): Promise<Customer>;
+    /** Get active customers */
+    getActiveCustomers(params?: ListParams, options?: ListOptions<ActiveCustomer>): SlimeTalksList<ActiveCustomer>;
+    /** Get active customers for sender */
+    getActiveCustomersForSender(
+        senderEmail: string,
+        params?: ListParams,
+        options?: ListOptions<ActiveCustomer>
+    ): SlimeTalksList<ActiveCustomer>;
+    /** Create channel */
+    createChannel(data: CreateChannelRequest, options?: CreateOptions): Promise<Channel>;
+    /** List channels */
+    listChannels(params?: ListParams, options?: ListOptions<Channel>): SlimeTalksList<Channel>;
+    /** Get channel */
+    getChannel(channelUuid: string, options?: RequestOptions): Promise<Channel>;
+    /** Get customer channels */
+    getCustomerChannels(customerUuid: string, options?: RequestOptions): Promise<ChannelList>;
+    /** Get channels by email */
+    getChannelsByEmail(email: string, options?: RequestOptions): Promise<ConversationList>;
+    /** Send typing indicator */
+    sendTypingIndicator(
+        channelUuid: string,
+        data: TypingIndicatorRequest,
+        options?: RequestOptions
+    ): Promise<TypingIndicator>;
+    /** List read receipts */
+    getReadReceipts(channelUuid: string, options?: RequestOptions): Promise<ReadReceiptList>;
+    /** Mark channel read */
+    markChannelRead(channelUuid: string, data: MarkChannelReadRequest, options?: RequestOptions): Promise<ReadReceipt>;
+    /** Send message */
+    sendMessage(data: SendMessageRequest, options?: CreateOptions): Promise<Message>;
+    /** Get channel messages */
+    getChannelMessages(
+        channelUuid: string,
+        params?: ListParams,
+        options?: ListOptions<Message>
+    ): SlimeTalksList<Message>;
+    /** Get customer messages */
+    getCustomerMessages(
+        customerUuid: string,
+        params?: ListParams,
+        options?: ListOptions<Message>
+    ): SlimeTalksList<Message>;
+    /** Get messages between customers */
+    getMessagesBetweenCustomers(
+        email1: string,
+        email2: string,
+        params?: ListParams,
+        options?: ListOptions<Message>
+    ): SlimeTalksList<Message>;
+    /** Update message */
+    updateMessage(messageUuid: string, data: UpdateMessageRequest, options?: RequestOptions): Promise<Message>;
+    /** Delete message */
+    deleteMessage(messageUuid: string, senderUuid: string, options?: RequestOptions): Promise<Message>;
+    /** Get replies */
+    getReplies(messageUuid: string, params?: ListParams, options?: ListOptions<Message>): SlimeTalksList<Message>;
+    /** Reply to message */
+    replyToMessage(messageUuid: string, data: ReplyMessageRequest, options?: CreateOptions): Promise<Message>;
+    /** Add reaction */
+    addReaction(messageUuid: string, data: ReactionRequest, options?: RequestOptions): Promise<Message>;
+    /** Remove reaction */
+    removeReaction(
+        messageUuid: string,
+        customerUuid: string,
+        emoji: string,
+        options?: RequestOptions
+    ): Promise<Message>;
+    /** Send to customer */
+    sendToCustomer(data: SendToCustomerRequest, options?: CreateOptions): Promise<Message>;
+    /** Create attachment */
+    createAttachment(data: UploadAttachmentRequest, options?: CreateOptions): Promise<Attachment>;
+    /** Start attachment upload */
+    startAttachmentUpload(data: StartAttachmentUploadRequest, options?: CreateOptions): Promise<Attachment>;
+    /** Upload attachment chunk */
+    uploadAttachmentChunk(
+        attachmentUuid: string,
+        data: AttachmentChunkRequest,
+        options?: CreateOptions
+    ): Promise<Attachment>;
+    /** Get attachment */
+    getAttachment(attachmentUuid: string, options?: RequestOptions): Promise<Attachment>;
+    /** Poll for messages */
+    pollRealtimeEvents(channels: string, params?: {
+        cursor?: string;
+        wait?: number;
+    }, options?: RequestOptions): Promise<RealtimeEventList>;
+    /** Create session */
+    createSession(data: CreateSessionRequest, options?: RequestOptions): Promise<Session>;
+}
+// </generated:methods>
+
+// ==================== Errors ====================
+
+export interface ErrorContext {
+    requestId?: string | null;
+    method?: string | null;
+    endpoint?: string | null;
+    retryAfter?: number | null;
+}
+
+/** Laravel error body: `{ error }` or `{ message, errors }` */
+export interface ErrorBody {
+    error?: string | { message?: string };
+    message?: string;
+    errors?: Record<string, string[]>;
+    [key: string]: unknown;
+}
+
+export declare class SlimeTalksError extends Error {
+    constructor(message: string, status: number, data?: unknown, context?: ErrorContext);
+
+    /** HTTP status, or 0 when no response was received */
+    status: number;
+    /** Response body (text when it is not JSON), or the underlying error for network failures */
+    data: ErrorBody | string | Error | null;
+    requestId: string | null;
+    method: string | null;
+    endpoint: string | null;
+    /** Seconds to wait before retrying, from Retry-After */
+    retryAfter: number | null;
+
+    static fromResponse(message: string, status: number, data?: unknown, context?: ErrorContext): SlimeTalksError;
+
+    static ValidationError: typeof ValidationError;
+    static AuthenticationError: typeof AuthenticationError;
+    static NotFoundError: typeof NotFoundError;
+    static RateLimitError: typeof RateLimitError;
+    static TimeoutError: typeof TimeoutError;
+    static NetworkError: typeof NetworkError;
+    static ServerError: typeof ServerError;
+}
+
+export declare class ValidationError extends SlimeTalksError {
+    /** Messages per field, from Laravel's error bag */
+    errors: Record<string, string[]>;
+    fieldError(field: string): string | null;
+    static parseErrors(data: unknown): Record<string, string[]>;
+}
+
+export declare class AuthenticationError extends SlimeTalksError {}
+export declare class NotFoundError extends SlimeTalksError {}
+export declare class RateLimitError extends SlimeTalksError {}
+export declare class TimeoutError extends SlimeTalksError {}
+
+export declare class NetworkError extends SlimeTalksError {
+    constructor(message: string, status: number, cause?: Error | null, context?: ErrorContext);
+    cause: Error | null;
+}
+
+export declare class ServerError extends SlimeTalksError {}
@@ -0,0 +1,391 @@
+/**
+ * Slime Talks Realtime Client type definitions
+ *
+ * Event payloads mirror the broadcast events in app/Events (MessageSent,
+ * MessageUpdated, MessageDeleted, MessageReacted, MessageRead, TypingStarted,
+ * TypingStopped, UserJoinedChannel, UserLeftChannel).
+ *
+ * @package SlimeTalks\SDK\JavaScript
+ * @author Laravel Slime Talks
+ * @version 1.0.0
+ */
+
+import type { ChannelType, Message, ReadReceipt, SessionTokenResult } from './index';
+
+// ==================== Event payloads ====================
+
+export interface RealtimeUser {
+    id: string;
+    name: string;
+    [key: string]: unknown;
+}
+
+/** Payload of `message.sent` */
+export interface MessageSentEvent {
+    message: Message;
+}
+
+/** Payload of `message.updated`, with the edited message */
+export interface MessageUpdatedEvent {
+    message: Message;
+}
+
+/** Payload of `message.deleted`, with the tombstone of the message */
+export interface MessageDeletedEvent {
+    message: Message;
+}
+
+/** Payload of `message.reaction`, with the message and its reactions after the change */
+export interface MessageReactionEvent {
+    reaction: {
+        user: { id: string; name: string };
+        message_id: string;
+        emoji: string;
+        action: 'added' | 'removed';
+    };
+    message: Message;
+}
+
+/** Payload of `thread.reply`, with the reply and the message that started the thread */
+export interface ThreadReplyEvent {
+    message: Message;
+    /** Parent message, with its updated reply_count */
+    parent: Message;
+}
+
+/** Payload of `message.read` */
+export interface MessageReadEvent {
+    read: {
+        user: { id: string; name: string };
+        channel: { id: string; name: string };
+        /** Newest message the user has read */
+        message_id: string;
+        read_at: string;
+    };
+}
+
+/** A user shown as typing */
+export interface TypingUser {
+    id: string;
+    name: string;
+}
+
+interface TypingEventBase {
+    user: TypingUser;
+    channel: { id: string; name: string };
+}
+
+/** Payload of `typing.started` */
+export interface TypingStartedEvent {
+    typing: TypingEventBase & { started_at: string };
+}
+
+/** Payload of `typing.stopped` */
+export interface TypingStoppedEvent {
+    typing: TypingEventBase & { stopped_at: string };
+}
+
+interface ChannelMembershipEventBase {
+    channel: { id: string; name: string; type: ChannelType };
+}
+
+/** Payload of `user.joined` */
+export interface UserJoinedEvent extends ChannelMembershipEventBase {
+    user: { id: string; name: string; email: string; joined_at: string };
+}
+
+/** Payload of `user.left` */
+export interface UserLeftEvent extends ChannelMembershipEventBase {
+    user: { id: string; name: string; email: string; left_at: string };
+}
+
+// ==================== Callbacks ====================
+
+export interface ChannelCallbacks {
+    onMessage?: (event: MessageSentEvent, context: ChannelEventContext) => void;
+    onMessageUpdated?: (event: MessageUpdatedEvent, context: ChannelEventContext) => void;
+    onMessageDeleted?: (event: MessageDeletedEvent, context: ChannelEventContext) => void;
+    onMessageReaction?: (event: MessageReactionEvent, context: ChannelEventContext) => void;
+    onMessageRead?: (event: MessageReadEvent, context: ChannelEventContext) => void;
+    onThreadReply?: (event: ThreadReplyEvent, context: ChannelEventContext) => void;
+    onTypingStarted?: (event: TypingStartedEvent, context: ChannelEventContext) => void;
+    onTypingStopped?: (event: TypingStoppedEvent, context: ChannelEventContext) => void;
+    onUserJoined?: (event: UserJoinedEvent, context: ChannelEventContext) => void;
+    onUserLeft?: (event: UserLeftEvent, context: ChannelEventContext) => void;
+}
+
+export interface JoinChannelOptions {
+    /**
+     * Latest message the app already shows; messages after it are backfilled
+     * on reconnect even if no live `message.sent` arrived yet
+     */
+    lastMessageId?: string;
+}
+
+/** Presence member as returned by the presence channel authorization */
+export interface PresenceMember {
+    id: string | number;
+    info: Record<string, unknown>;
+}
+
+export interface PresenceCallbacks {
+    onSubscriptionSucceeded?: (members: unknown, context: ChannelEventContext) => void;
+    onMemberAdded?: (member: PresenceMember, context: ChannelEventContext) => void;
+    onMemberRemoved?: (member: PresenceMember, context: ChannelEventContext) => void;
+}
+
+// ==================== Events ====================
+
+/** Second argument of every channel event */
+export interface ChannelEventContext {
+    channelUuid: string;
+}
+
+/**
+ * Second argument of `error`: set to the failing event for listener errors,
+ * and to the channel for failed typing indicators, read receipts and backfills
+ */
+export interface ErrorEventContext {
+    event?: string;
+    channelUuid?: string;
+}
+
+/** Listener argument tuples by event name */
+export interface ChannelEvents {
+    'message.sent': [event: MessageSentEvent, context: ChannelEventContext];
+    'message.updated': [event: MessageUpdatedEvent, context: ChannelEventContext];
+    'message.deleted': [event: MessageDeletedEvent, context: ChannelEventContext];
+    'message.reaction': [event: MessageReactionEvent, context: ChannelEventContext];
+    'message.read': [event: MessageReadEvent, context: ChannelEventContext];
+    'thread.reply': [event: ThreadReplyEvent, context: ChannelEventContext];
+    'typing.started': [event: TypingStartedEvent, context: ChannelEventContext];
+    'typing.stopped': [event: TypingStoppedEvent, context: ChannelEventContext];
+    /** Other users typing in the channel, in the order they started */
+    'typing.changed': [users: TypingUser[], context: ChannelEventContext];
+    'user.joined': [event: UserJoinedEvent, context: ChannelEventContext];
+    'user.left': [event: UserLeftEvent, context: ChannelEventContext];
+    error: [error: unknown, context: ErrorEventContext];
+}
+
+export interface PresenceEvents {
+    'presence.subscribed': [members: unknown, context: ChannelEventContext];
+    'member.added': [member: PresenceMember, context: ChannelEventContext];
+    'member.removed': [member: PresenceMember, context: ChannelEventContext];
+    error: [error: unknown, context: ErrorEventContext];
+}
+
+export interface RealtimeEvents extends ChannelEvents, PresenceEvents {
+    connected: [];
+    disconnected: [];
+    reconnecting: [info: { attempt: number; delay: number }];
+    reconnect_failed: [];
+    /** WebSockets cannot connect; `message.sent` events now arrive through long-polling */
+    'polling.started': [];
+    /** Long-polling stopped, usually because WebSockets connected again */
+    'polling.stopped': [];
+    error: [error: unknown, context: ErrorEventContext];
+}
+
+export type EventListener<Args extends unknown[]> = (...args: Args) => void | Promise<void>;
+
+/**
+ * Event emitter with any number of listeners per event. Errors thrown by a
+ * listener are emitted as `error` instead of reaching the other listeners.
+ */
+export declare class SlimeTalksEmitter<Events extends { [K in keyof Events]: unknown[] }> {
+    on<K extends keyof Events & string>(event: K, listener: EventListener<Events[K]>): this;
+    once<K extends keyof Events & string>(event: K, listener: EventListener<Events[K]>): this;
+    off<K extends keyof Events & string>(event?: K, listener?: EventListener<Events[K]>): this;
+    emit<K extends keyof Events & string>(event: K, ...args: Events[K]): boolean;
+    listenerCount(event: keyof Events & string): number;
+}
+
+/** Handle returned by joinChannel() and joinPresenceChannel() */
+export declare class SlimeTalksChannel<Events extends { [K in keyof Events]: unknown[] } = ChannelEvents>
+    extends SlimeTalksEmitter<Events> {
+    channelUuid: string;
+    /** Underlying transport channel */
+    channel: TransportChannel | null;
+    presence: boolean;
+    leave(): void;
+    startTyping(): Promise<boolean>;
+    /** @deprecated Use startTyping() */
+    sendTyping(): Promise<boolean>;
+    stopTyping(): Promise<boolean>;
+    getTypingUsers(): TypingUser[];
+    /** Mark the channel read up to a message; null if nothing was sent or the request failed */
+    markRead(messageId: string): Promise<ReadReceipt | null>;
+}
+
+export type ChannelHandle = SlimeTalksChannel<ChannelEvents>;
+
+export type PresenceChannelHandle = SlimeTalksChannel<PresenceEvents>;
+
+// ==================== Transports ====================
+
+/** Channel returned by RealtimeTransport#subscribe (a Pusher channel fits) */
+export interface TransportChannel {
+    bind(event: string, handler: (data?: any) => void): unknown;
+}
+
+/**
+ * What the realtime client needs from a transport: the subset of the
+ * pusher-js client it uses, so a Pusher instance is a transport as-is
+ */
+export interface RealtimeTransport {
+    connection: {
+        /** Events: `connected`, `disconnected`, `error`, `state_change` ({ previous, current }) */
+        bind(event: string, handler: (data?: any) => void): unknown;
+        socket_id?: string;
+    };
+    subscribe(name: string): TransportChannel;
+    unsubscribe(name: string): void;
+    connect(): void;
+    disconnect(): void;
+}
+
+export type TransportName = 'pusher' | 'reverb' | 'soketi' | 'echo' | 'memory';
+
+/** Adapts an existing Laravel Echo instance */
+export declare class SlimeTalksEchoTransport implements RealtimeTransport {
+    constructor(echo: unknown);
+    echo: unknown;
+    connection: RealtimeTransport['connection'];
+    subscribe(name: string): TransportChannel;
+    unsubscribe(name: string): void;
+    connect(): void;
+    disconnect(): void;
+}
+
+/** In-memory broadcasting server for tests and offline development */
+export declare class SlimeTalksMemoryBroker {
+    transports: Set<SlimeTalksMemoryTransport>;
+    /**
+     * Deliver an event to the connected subscribers of a channel (e.g. `private-channel.{uuid}`)
+     *
+     * @returns Number of transports the event was delivered to
+     */
+    publish(channelName: string, event: string, data: unknown, options?: { except?: string }): number;
+}
+
+export declare class SlimeTalksMemoryTransport implements RealtimeTransport {
+    /** Defaults to a broker shared by every memory transport */
+    constructor(broker?: SlimeTalksMemoryBroker);
+    static sharedBroker(): SlimeTalksMemoryBroker;
+    broker: SlimeTalksMemoryBroker;
+    state: 'initialized' | 'connecting' | 'connected' | 'disconnected';
+    connection: RealtimeTransport['connection'];
+    subscribe(name: string): TransportChannel;
+    unsubscribe(name: string): void;
+    connect(): void;
+    disconnect(): void;
+}
+
+// ==================== Client ====================
+
+/** `polling` while the long-polling fallback delivers messages */
+export type ConnectionState = 'connected' | 'disconnected' | 'polling';
+
+export interface SlimeTalksRealtimeConfig {
+    apiUrl?: string;
+    /** Transport name or object (default `pusher`) */
+    transport?: TransportName | RealtimeTransport;
+    /** Pusher (or Reverb/Soketi app) key; required by the pusher, reverb and soketi transports */
+    pusherKey?: string;
+    pusherCluster?: string;
+    /** Reverb/Soketi host */
+    host?: string;
+    /** Reverb/Soketi port (defaults to 443 with TLS, 80 without) */
+    port?: number;
+    /** Connect to Reverb/Soketi over TLS (default true) */
+    tls?: boolean;
+    /** Laravel Echo instance for the echo transport (defaults to the global Echo) */
+    echo?: unknown;
+    /** Broker for the memory transport */
+    broker?: SlimeTalksMemoryBroker;
+    /** Relative endpoints resolve against the page in browsers and the API URL's origin elsewhere */
+    authEndpoint?: string;
+    token?: string | null;
+    tokenProvider?: (() => SessionTokenResult | Promise<SessionTokenResult>) | null;
+    publicKey?: string;
+    origin?: string;
+    user?: RealtimeUser;
+    Pusher?: unknown;
+    fetch?: typeof fetch;
+    /** Milliseconds without startTyping() calls after which typing stops (default 3000) */
+    typingTimeout?: number;
+    /** Minimum milliseconds between typing requests (default 2000) */
+    typingThrottle?: number;
+    /** Milliseconds after which another user stops being shown as typing without `typing.stopped` (default 6000) */
+    typingExpiry?: number;
+    /** Poll the API while the transport cannot connect (default `polling`), or false to disable */
+    fallback?: 'polling' | false;
+    /** Seconds each poll waits on the server for a message (default 20, at most 25) */
+    pollWait?: number;
+    /** Milliseconds between polls without joined channels, doubled after failures (default 1000) */
+    pollInterval?: number;
+}
+
+export declare class SlimeTalksRealtime extends SlimeTalksEmitter<RealtimeEvents> {
+    constructor(config: SlimeTalksRealtimeConfig);
+
+    config: SlimeTalksRealtimeConfig & {
+        apiUrl: string;
+        pusherCluster: string;
+        authEndpoint: string;
+        typingTimeout: number;
+        typingThrottle: number;
+        typingExpiry: number;
+        fallback: 'polling' | false;
+        pollWait: number;
+        pollInterval: number;
+    };
+    /** Transport in use, or null when its library is not available */
+    transport: RealtimeTransport | null;
+    /** Underlying Pusher client for the pusher, reverb and soketi transports, otherwise null */
+    pusher: unknown;
+    connectionState: ConnectionState;
+
+    /** @deprecated Use `on('connected', ...)` */
+    onConnected?: () => void;
+    /** @deprecated Use `on('disconnected', ...)` */
+    onDisconnected?: () => void;
+    /** @deprecated Use `on('error', ...)` */
+    onError?: (error: unknown) => void;
+    /** @deprecated Use `on('reconnect_failed', ...)` */
+    onMaxReconnectAttempts?: () => void;
+
+    init(): void;
+    getToken(): Promise<string | null | undefined>;
+    authorizeChannel(
+        params: { socketId: string; channelName: string },
+        callback: (error: Error | null, authData: { auth: string; channel_data?: string } | null) => void
+    ): Promise<void>;
+
+    joinChannel(channelUuid: string, callbacks?: ChannelCallbacks, options?: JoinChannelOptions): ChannelHandle;
+    joinPresenceChannel(channelUuid: string, callbacks?: PresenceCallbacks): PresenceChannelHandle;
+    leaveChannel(channelUuid: string): void;
+
+    startTyping(channelUuid: string): Promise<boolean>;
+    /** @deprecated Use startTyping() */
+    sendTyping(channelUuid: string): Promise<boolean>;
+    stopTyping(channelUuid: string): Promise<boolean>;
+    getTypingUsers(channelUuid: string): TypingUser[];
+    /** Describe who is typing, e.g. "Ana and 2 others are typing"; empty when nobody is */
+    static formatTypingUsers(users: TypingUser[]): string;
+    /** Mark a channel read up to a message; null if nothing was sent or the request failed */
+    markRead(channelUuid: string, messageId: string): Promise<ReadReceipt | null>;
+    sendMessage(
+        channelUuid: string,
+        messageData: { sender_uuid: string; type: Message['type']; content: string; metadata?: Record<string, unknown> | null }
+    ): Promise<Message>;
+
+    getConnectionState(): ConnectionState;
+    /** Disconnect from Pusher; joined channels are kept and restored by reconnect() */
+    disconnect(): void;
+    /** Reconnect, resubscribe joined channels and backfill the messages missed meanwhile */
+    reconnect(): void;
+
+    /** Message ids remembered per channel to drop duplicate `message.sent` events */
+    static SEEN_MESSAGES_LIMIT: number;
+}
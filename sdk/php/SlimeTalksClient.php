@@ -114,6 +114,25 @@ public function getClient(string $clientUuid): array
         return $this->request('GET', "/client/{$clientUuid}");
     }
 
+    /**
+     * Create a short-lived session token for a customer
+     *
+     * Hand the returned token to the browser instead of the secret key; it can
+     * only read and send messages as this customer.
+     *
+     * @param string $customerUuid Customer UUID
+     * @param int $ttl Token lifetime in seconds (60-3600)
+     * @return array<string, mixed> Session with token, customer_id, scopes and expires_at
+     * @throws SlimeTalksException When request fails
+     */
+    public function createSession(string $customerUuid, int $ttl = 900): array
+    {
+        return $this->request('POST', '/sessions', [
+            'customer_uuid' => $customerUuid,
+            'ttl' => $ttl,
+        ]);
+    }
+
     /**
      * Create a new customer
      *
@@ -157,6 +176,42 @@ public function listCustomers(array $params = []): array
         return $this->request('GET', '/customers', null, $params);
     }
 
+    /**
+     * Get active customers ordered by their latest message
+     *
+     * Pass `email` to add each customer's `unread_count` for that reader.
+     *
+     * @param array{
+     *     limit?: int,
+     *     starting_after?: string,
+     *     email?: string
+     * } $params Query parameters
+     * @return array<string, mixed> Paginated active customers
+     * @throws SlimeTalksException When request fails
+     */
+    public function getActiveCustomers(array $params = []): array
+    {
+        return $this->request('GET', '/customers/active', null, $params);
+    }
+
+    /**
+     * Get customers who have exchanged messages with a sender
+     *
+     * @param string $senderEmail Email of the sender
+     * @param array{
+     *     limit?: int,
+     *     starting_after?: string
+     * } $params Query parameters
+     * @return array<string, mixed> Paginated active customers
+     * @throws SlimeTalksException When request fails
+     */
+    public function getActiveCustomersForSender(string $senderEmail, array $params = []): array
+    {
+        return $this->request('GET', '/customers/active-for-sender', null, array_merge($params, [
+            'email' => $senderEmail,
+        ]));
+    }
+
     /**
      * Create a channel
      *
@@ -212,15 +267,105 @@ public function getCustomerChannels(string $customerUuid): array
         return $this->request('GET', "/channels/customer/{$customerUuid}");
     }
 
+    /**
+     * Get channels for a customer by email, grouped by recipient
+     *
+     * @param string $email Customer email
+     * @return array<string, mixed> Conversations grouped by recipient
+     * @throws SlimeTalksException When request fails
+     */
+    public function getChannelsByEmail(string $email): array
+    {
+        return $this->request('GET', '/channels/by-email', null, ['email' => $email]);
+    }
+
+    /**
+     * Broadcast that a customer started or stopped typing in a channel
+     *
+     * @param string $channelUuid Channel UUID
+     * @param string $senderUuid UUID of the typing customer
+     * @param bool $typing True when typing started, false when it stopped
+     * @return array<string, mixed> Typing indicator data
+     * @throws SlimeTalksException When request fails
+     */
+    public function sendTypingIndicator(string $channelUuid, string $senderUuid, bool $typing = true): array
+    {
+        return $this->request('POST', "/channels/{$channelUuid}/typing", [
+            'sender_uuid' => $senderUuid,
+            'typing' => $typing,
+        ]);
+    }
+
+    /**
+     * Mark a channel read up to a message for a customer
+     *
+     * @param string $channelUuid Channel UUID
+     * @param string $customerUuid UUID of the reading customer
+     * @param string $messageUuid UUID of the newest message the customer has seen
+     * @return array<string, mixed> The customer's read receipt
+     * @throws SlimeTalksException When request fails
+     */
+    public function markChannelRead(string $channelUuid, string $customerUuid, string $messageUuid): array
+    {
+        return $this->request('POST', "/channels/{$channelUuid}/read", [
+            'customer_uuid' => $customerUuid,
+            'message_id' => $messageUuid,
+        ]);
+    }
+
+    /**
+     * Get the read receipts of every participant of a channel
+     *
+     * @param string $channelUuid Channel UUID
+     * @return array<string, mixed> List of read receipts
+     * @throws SlimeTalksException When request fails
+     */
+    public function getReadReceipts(string $channelUuid): array
+    {
+        return $this->request('GET', "/channels/{$channelUuid}/read");
+    }
+
+    /**
+     * Poll channels for messages sent after a cursor
+     *
+     * Long-polling fallback for clients that cannot use WebSockets. Without a
+     * cursor only the cursor to start from is returned.
+     *
+     * @param array<int, string> $channelUuids Channel UUIDs (at most 50)
+     * @param string|null $cursor Cursor returned by the previous poll
+     * @param int $wait Seconds to wait for a new message (at most 25)
+     * @return array<string, mixed> `message.sent` events and the next cursor
+     * @throws SlimeTalksException When request fails
+     */
+    public function pollRealtimeEvents(array $channelUuids, ?string $cursor = null, int $wait = 0): array
+    {
+        return $this->request('GET', '/realtime/poll', null, array_filter([
+            'channels' => implode(',', $channelUuids),
+            'cursor' => $cursor,
+            'wait' => $wait,
+        ], fn ($value) => $value !== null && $value !== 0));
+    }
+
     /**
      * Send a message to a channel
      *
+     * With parent_uuid the message is a reply in the thread of that message.
+     * With reply_to it quotes a message of the same channel, and with
+     * forwarded_from it forwards a message; forwards may leave out the type
+     * and content, which are then copied from the forwarded message.
+     * attachment_uuids sends files uploaded with uploadAttachment(); type
+     * and content may then be left out too.
+     *
      * @param array{
      *     channel_uuid: string,
      *     sender_uuid: string,
-     *     type: string,
-     *     content: string,
-     *     metadata?: array<string, mixed>
+     *     type?: string,
+     *     content?: string,
+     *     metadata?: array<string, mixed>,
+     *     parent_uuid?: string,
+     *     reply_to?: string,
+     *     forwarded_from?: string,
+     *     attachment_uuids?: string[]
      * } $data Message data
      * @return array<string, mixed> Sent message
      * @throws SlimeTalksException When request fails
@@ -233,10 +378,14 @@ public function sendMessage(array $data): array
     /**
      * Get messages from a channel
      *
+     * Oldest first by default; with order 'desc' the newest come first and
+     * starting_after pages towards older messages.
+     *
      * @param string $channelUuid Channel UUID
      * @param array{
      *     limit?: int,
-     *     starting_after?: string
+     *     starting_after?: string,
+     *     order?: 'asc'|'desc'
      * } $params Query parameters
      * @return array<string, mixed> Paginated messages
      * @throws SlimeTalksException When request fails
@@ -262,13 +411,202 @@ public function getCustomerMessages(string $customerUuid, array $params = []): a
         return $this->request('GET', "/messages/customer/{$customerUuid}", null, $params);
     }
 
+    /**
+     * Get messages exchanged between two customers
+     *
+     * @param string $email1 First customer email
+     * @param string $email2 Second customer email
+     * @param array{
+     *     limit?: int,
+     *     starting_after?: string
+     * } $params Query parameters
+     * @return array<string, mixed> Paginated messages
+     * @throws SlimeTalksException When request fails
+     */
+    public function getMessagesBetweenCustomers(string $email1, string $email2, array $params = []): array
+    {
+        return $this->request('GET', '/messages/between', null, array_merge($params, [
+            'email1' => $email1,
+            'email2' => $email2,
+        ]));
+    }
+
+    /**
+     * Send a message directly to a customer through their general channel
+     *
+     * Accepts reply_to, forwarded_from and attachment_uuids like sendMessage().
+     *
+     * @param array{
+     *     sender_email: string,
+     *     recipient_email: string,
+     *     type?: string,
+     *     content?: string,
+     *     metadata?: array<string, mixed>,
+     *     reply_to?: string,
+     *     forwarded_from?: string,
+     *     attachment_uuids?: string[]
+     * } $data Message data
+     * @return array<string, mixed> Sent message
+     * @throws SlimeTalksException When request fails
+     */
+    public function sendToCustomer(array $data): array
+    {
+        return $this->request('POST', '/messages/send-to-customer', $data);
+    }
+
+    /**
+     * Edit a message (only its sender may)
+     *
+     * @param string $messageUuid Message UUID
+     * @param array{
+     *     sender_uuid: string,
+     *     content: string,
+     *     metadata?: array<string, mixed>|null
+     * } $data New content, and metadata to replace the current metadata
+     * @return array<string, mixed> Updated message
+     * @throws SlimeTalksException When request fails
+     */
+    public function updateMessage(string $messageUuid, array $data): array
+    {
+        return $this->request('PATCH', "/messages/{$messageUuid}", $data);
+    }
+
+    /**
+     * Delete a message, leaving a tombstone in its place (only its sender may)
+     *
+     * @param string $messageUuid Message UUID
+     * @param string $senderUuid UUID of the message's sender
+     * @return array<string, mixed> Tombstone of the message
+     * @throws SlimeTalksException When request fails
+     */
+    public function deleteMessage(string $messageUuid, string $senderUuid): array
+    {
+        return $this->request('DELETE', "/messages/{$messageUuid}?" . http_build_query([
+            'sender_uuid' => $senderUuid,
+        ]));
+    }
+
+    /**
+     * Reply to a message in its thread
+     *
+     * @param string $messageUuid UUID of the message to reply to
+     * @param array{
+     *     sender_uuid: string,
+     *     type: string,
+     *     content: string,
+     *     metadata?: array<string, mixed>
+     * } $data Reply data
+     * @return array<string, mixed> Sent reply
+     * @throws SlimeTalksException When request fails
+     */
+    public function replyToMessage(string $messageUuid, array $data): array
+    {
+        return $this->request('POST', "/messages/{$messageUuid}/replies", $data);
+    }
+
+    /**
+     * Get the replies in the thread of a message, oldest first
+     *
+     * @param string $messageUuid UUID of the message that started the thread
+     * @param array{
+     *     limit?: int,
+     *     starting_after?: string
+     * } $params Query parameters
+     * @return array<string, mixed> Paginated replies
+     * @throws SlimeTalksException When request fails
+     */
+    public function getReplies(string $messageUuid, array $params = []): array
+    {
+        return $this->request('GET', "/messages/{$messageUuid}/replies", null, $params);
+    }
+
+    /**
+     * React to a message as a customer in its channel
+     *
+     * Reacting again with the same emoji changes nothing.
+     *
+     * @param string $messageUuid Message UUID
+     * @param string $customerUuid UUID of the reacting customer
+     * @param string $emoji The emoji
+     * @return array<string, mixed> Message with its aggregated reactions
+     * @throws SlimeTalksException When request fails
+     */
+    public function addReaction(string $messageUuid, string $customerUuid, string $emoji): array
+    {
+        return $this->request('POST', "/messages/{$messageUuid}/reactions", [
+            'customer_uuid' => $customerUuid,
+            'emoji' => $emoji,
+        ]);
+    }
+
+    /**
+     * Remove a customer's reaction from a message
+     *
+     * @param string $messageUuid Message UUID
+     * @param string $customerUuid UUID of the reacting customer
+     * @param string $emoji The emoji
+     * @return array<string, mixed> Message with its aggregated reactions
+     * @throws SlimeTalksException When request fails
+     */
+    public function removeReaction(string $messageUuid, string $customerUuid, string $emoji): array
+    {
+        return $this->request('DELETE', "/messages/{$messageUuid}/reactions?" . http_build_query([
+            'customer_uuid' => $customerUuid,
+            'emoji' => $emoji,
+        ]));
+    }
+
+    /**
+     * Upload a file to send with a message
+     *
+     * The file is sent in one request, so it must fit the API server's upload
+     * limit; the JavaScript SDK uploads larger files in chunks. Pass the `id`
+     * of the result in `attachment_uuids` when sending the message.
+     *
+     * @param string $customerUuid UUID of the uploading customer
+     * @param string $path Path of the file to upload
+     * @param string|null $filename File name shown to recipients (defaults to the file's name)
+     * @return array<string, mixed> Attachment with its signed download URL
+     * @throws SlimeTalksException When the file cannot be read or the request fails
+     */
+    public function uploadAttachment(string $customerUuid, string $path, ?string $filename = null): array
+    {
+        $contents = @file_get_contents($path);
+
+        if ($contents === false) {
+            throw new SlimeTalksException("Unable to read file: {$path}");
+        }
+
+        $filename ??= basename($path);
+
+        return $this->request('POST', '/attachments', [
+            'customer_uuid' => $customerUuid,
+            'filename' => $filename,
+        ], [], ['file' => [$contents, $filename]]);
+    }
+
+    /**
+     * Get an attachment with a freshly signed download URL
+     *
+     * @param string $attachmentUuid Attachment UUID
+     * @return array<string, mixed> Attachment data
+     * @throws SlimeTalksException When request fails
+     */
+    public function getAttachment(string $attachmentUuid): array
+    {
+        return $this->request('GET', "/attachments/{$attachmentUuid}");
+    }
+
     /**
      * Make an HTTP request to the API
      *
+     * Requests with files are sent as multipart form data.
+     *
      * @param string $method HTTP method
      * @param string $endpoint API endpoint
      * @param array<string, mixed>|null $data Request data
      * @param array<string, mixed> $queryParams Query parameters
+     * @param array<string, array{0: string, 1: string}> $files File contents and names, by field
      * @return array<string, mixed> Response data
      * @throws SlimeTalksException When request fails
      */
@@ -276,15 +614,23 @@ private function request(
         string $method,
         string $endpoint,
         ?array $data = null,
-        array $queryParams = []
+        array $queryParams = [],
+        array $files = []
     ): array {
         try {
+            // Attaching files changes the body format, so keep it off the shared client
+            $client = $files ? clone $this->httpClient : $this->httpClient;
+
+            foreach ($files as $name => [$contents, $filename]) {
+                $client->attach($name, $contents, $filename);
+            }
+
             $response = match (strtoupper($method)) {
-                'GET' => $this->httpClient->get($endpoint, $queryParams),
-                'POST' => $this->httpClient->post($endpoint, $data),
-                'PUT' => $this->httpClient->put($endpoint, $data),
-                'PATCH' => $this->httpClient->patch($endpoint, $data),
-                'DELETE' => $this->httpClient->delete($endpoint, $data),
+                'GET' => $client->get($endpoint, $queryParams),
+                'POST' => $client->post($endpoint, $data),
+                'PUT' => $client->put($endpoint, $data),
+                'PATCH' => $client->patch($endpoint, $data),
+                'DELETE' => $client->delete($endpoint, $data),
                 default => throw new SlimeTalksException("Unsupported HTTP method: {$method}"),
             };
 
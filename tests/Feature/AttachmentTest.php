@@ -0,0 +1,350 @@
+<?php
+
+use App\Events\MessageDeleted;
+use App\Events\MessageSent;
+use App\Models\Attachment;
+use App\Models\Channel;
+use App\Models\Client;
+use App\Models\Customer;
+use App\Models\Message;
+use App\Repositories\AttachmentRepository;
+use App\Repositories\AttachmentRepositoryInterface;
+use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Event;
+use Illuminate\Support\Facades\Storage;
+
+beforeEach(function () {
+    $this->client = Client::factory()->create([
+        'name' => 'Test Client',
+        'domain' => 'test.com',
+        'public_key' => 'test-public-key',
+    ]);
+
+    $this->token = $this->client->createToken('test-token')->plainTextToken;
+
+    $this->headers = [
+        'Authorization' => 'Bearer ' . $this->token,
+        'X-Public-Key' => $this->client->public_key,
+        'Origin' => $this->client->domain,
+    ];
+
+    $this->customer = Customer::factory()->create(['client_id' => $this->client->id]);
+    $this->otherCustomer = Customer::factory()->create(['client_id' => $this->client->id]);
+
+    $this->channel = Channel::factory()->create([
+        'client_id' => $this->client->id,
+        'type' => 'general',
+        'name' => 'general',
+    ]);
+    $this->channel->customers()->attach([$this->customer->id, $this->otherCustomer->id]);
+
+    // A 1x1 transparent PNG
+    $this->png = base64_decode('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=');
+
+    Storage::fake(config('filesystems.default'));
+    Event::fake([MessageSent::class, MessageDeleted::class]);
+});
+
+function uploadAttachment(object $test, Customer $customer, UploadedFile $file): array
+{
+    return $test->withHeaders($test->headers)
+        ->postJson('/api/v1/attachments', [
+            'customer_uuid' => $customer->uuid,
+            'file' => $file,
+        ])
+        ->assertStatus(201)
+        ->json();
+}
+
+describe('Upload Attachment', function () {
+    it('uploads a file and returns a signed download URL', function () {
+        $response = $this->withHeaders($this->headers)
+            ->postJson('/api/v1/attachments', [
+                'customer_uuid' => $this->customer->uuid,
+                'file' => UploadedFile::fake()->createWithContent('photo.png', $this->png),
+            ]);
+
+        $response->assertStatus(201)
+            ->assertJson([
+                'object' => 'attachment',
+                'customer_id' => $this->customer->uuid,
+                'message_id' => null,
+                'filename' => 'photo.png',
+                'mime_type' => 'image/png',
+                'size' => strlen($this->png),
+                'received' => strlen($this->png),
+                'status' => 'ready',
+            ]);
+
+        expect($response->json('url'))->toContain('signature=');
+        expect($response->json('url_expires'))->toBeGreaterThan(now()->timestamp);
+
+        $download = $this->get($response->json('url'));
+
+        $download->assertStatus(200)
+            ->assertHeader('Content-Type', 'image/png')
+            ->assertHeader('X-Content-Type-Options', 'nosniff');
+
+        expect($download->headers->get('Content-Disposition'))->toStartWith('inline');
+        expect($download->streamedContent())->toBe($this->png);
+    });
+
+    it('downloads files that are not images as attachments', function () {
+        $attachment = uploadAttachment($this, $this->customer, UploadedFile::fake()->createWithContent('notes.txt', 'Meeting notes'));
+
+        $download = $this->get($attachment['url']);
+
+        $download->assertStatus(200);
+        expect($download->headers->get('Content-Disposition'))->toStartWith('attachment');
+        expect($download->streamedContent())->toBe('Meeting notes');
+    });
+
+    it('refuses downloads without a valid signature', function () {
+        $attachment = uploadAttachment($this, $this->customer, UploadedFile::fake()->createWithContent('notes.txt', 'Meeting notes'));
+
+        $this->getJson(preg_replace('/signature=\w+/', 'signature=forged', $attachment['url']))
+            ->assertStatus(403);
+
+        $this->getJson('/api/v1/attachments/' . $attachment['id'] . '/download')
+            ->assertStatus(403);
+    });
+
+    it('requires a customer of the client', function () {
+        $foreignCustomer = Customer::factory()->create(['client_id' => Client::factory()->create()->id]);
+
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/attachments', [
+                'customer_uuid' => $foreignCustomer->uuid,
+                'file' => UploadedFile::fake()->createWithContent('notes.txt', 'Meeting notes'),
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['customer_uuid']);
+    });
+
+    it('returns the attachment with a fresh URL', function () {
+        $attachment = uploadAttachment($this, $this->customer, UploadedFile::fake()->createWithContent('notes.txt', 'Meeting notes'));
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/attachments/' . $attachment['id'])
+            ->assertStatus(200)
+            ->assertJson(['id' => $attachment['id'], 'status' => 'ready']);
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/attachments/att_missing')
+            ->assertStatus(404)
+            ->assertJson(['error' => 'Attachment not found']);
+    });
+});
+
+describe('Chunked Upload', function () {
+    beforeEach(function () {
+        $this->upload = $this->withHeaders($this->headers)
+            ->postJson('/api/v1/attachments/uploads', [
+                'customer_uuid' => $this->customer->uuid,
+                'filename' => 'report.txt',
+                'mime_type' => 'text/plain',
+                'size' => 11,
+            ])
+            ->assertStatus(201)
+            ->json();
+
+        $this->sendChunk = fn (int $offset, string $bytes, ?Customer $customer = null) => $this->withHeaders($this->headers)
+            ->postJson('/api/v1/attachments/' . $this->upload['id'] . '/chunks', [
+                'customer_uuid' => ($customer ?? $this->customer)->uuid,
+                'offset' => $offset,
+                'chunk' => UploadedFile::fake()->createWithContent('blob', $bytes),
+            ]);
+    });
+
+    it('assembles the chunks and becomes ready after the last one', function () {
+        expect($this->upload)->toMatchArray([
+            'status' => 'pending',
+            'size' => 11,
+            'received' => 0,
+            'url' => null,
+        ]);
+
+        ($this->sendChunk)(0, 'Hello')
+            ->assertStatus(200)
+            ->assertJson(['status' => 'pending', 'received' => 5, 'url' => null]);
+
+        $response = ($this->sendChunk)(5, ' world');
+
+        $response->assertStatus(200)
+            ->assertJson(['status' => 'ready', 'received' => 11, 'filename' => 'report.txt']);
+
+        expect($this->get($response->json('url'))->streamedContent())->toBe('Hello world');
+    });
+
+    it('only accepts the chunk at the offset reached so far', function () {
+        ($this->sendChunk)(0, 'Hello')->assertStatus(200);
+
+        ($this->sendChunk)(0, 'Hello')
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['offset'])
+            ->assertJsonPath('errors.offset.0', 'The upload continues at offset 5.');
+    });
+
+    it('rejects chunks past the declared size', function () {
+        ($this->sendChunk)(0, 'Hello wonderful world')
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['chunk']);
+
+        expect(Attachment::where('uuid', $this->upload['id'])->first()->received)->toBe(0);
+    });
+
+    it('only lets the uploader continue the upload', function () {
+        ($this->sendChunk)(0, 'Hello', $this->otherCustomer)
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['customer_uuid']);
+    });
+});
+
+describe('Messages With Attachments', function () {
+    it('sends uploaded files with a message', function () {
+        $photo = uploadAttachment($this, $this->customer, UploadedFile::fake()->createWithContent('photo.png', $this->png));
+
+        $response = $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages', [
+                'channel_uuid' => $this->channel->uuid,
+                'sender_uuid' => $this->customer->uuid,
+                'attachment_uuids' => [$photo['id']],
+            ]);
+
+        $response->assertStatus(201)
+            ->assertJson([
+                'type' => 'image',
+                'content' => '',
+                'attachments' => [
+                    ['id' => $photo['id'], 'filename' => 'photo.png', 'status' => 'ready'],
+                ],
+            ]);
+
+        expect($response->json('attachments.0.message_id'))->toBe($response->json('id'));
+        expect($response->json('attachments.0.url'))->toContain('signature=');
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/messages/channel/' . $this->channel->uuid)
+            ->assertStatus(200)
+            ->assertJsonPath('data.0.attachments.0.id', $photo['id']);
+    });
+
+    it('types messages with other files as file and keeps their caption', function () {
+        $photo = uploadAttachment($this, $this->customer, UploadedFile::fake()->createWithContent('photo.png', $this->png));
+        $notes = uploadAttachment($this, $this->customer, UploadedFile::fake()->createWithContent('notes.txt', 'Meeting notes'));
+
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages/send-to-customer', [
+                'sender_email' => $this->customer->email,
+                'recipient_email' => $this->otherCustomer->email,
+                'content' => 'Notes from today',
+                'attachment_uuids' => [$photo['id'], $notes['id']],
+            ])
+            ->assertStatus(201)
+            ->assertJson([
+                'type' => 'file',
+                'content' => 'Notes from today',
+            ])
+            ->assertJsonCount(2, 'attachments');
+    });
+
+    it('only sends complete uploads of the sender once', function () {
+        $notes = uploadAttachment($this, $this->otherCustomer, UploadedFile::fake()->createWithContent('notes.txt', 'Meeting notes'));
+        $pending = $this->withHeaders($this->headers)
+            ->postJson('/api/v1/attachments/uploads', [
+                'customer_uuid' => $this->customer->uuid,
+                'filename' => 'report.txt',
+                'mime_type' => 'text/plain',
+                'size' => 11,
+            ])
+            ->json();
+
+        $send = fn (Customer $sender, string $attachmentUuid) => $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages', [
+                'channel_uuid' => $this->channel->uuid,
+                'sender_uuid' => $sender->uuid,
+                'attachment_uuids' => [$attachmentUuid],
+            ]);
+
+        $send($this->customer, $notes['id'])
+            ->assertStatus(422)
+            ->assertJsonPath('errors.attachment_uuids.0', 'Attachment does not exist or was not uploaded by the sender.');
+
+        $send($this->customer, $pending['id'])
+            ->assertStatus(422)
+            ->assertJsonPath('errors.attachment_uuids.0', 'Attachment upload is not complete.');
+
+        $send($this->otherCustomer, $notes['id'])->assertStatus(201);
+
+        $send($this->otherCustomer, $notes['id'])
+            ->assertStatus(422)
+            ->assertJsonPath('errors.attachment_uuids.0', 'Attachment was already sent with another message.');
+    });
+
+    it('rolls the message back when a concurrent send linked its attachments first', function () {
+        $notes = uploadAttachment($this, $this->customer, UploadedFile::fake()->createWithContent('notes.txt', 'Meeting notes'));
+        $earlier = Message::factory()->create([
+            'client_id' => $this->client->id,
+            'channel_id' => $this->channel->id,
+            'sender_id' => $this->customer->id,
+        ]);
+
+        // Links the attachments to another message right before this send does
+        $this->app->bind(AttachmentRepositoryInterface::class, fn () => new class ($earlier) extends AttachmentRepository {
+            public function __construct(private readonly Message $earlier) {}
+
+            public function attachToMessage(Collection $attachments, Message $message): int
+            {
+                parent::attachToMessage($attachments, $this->earlier);
+
+                return parent::attachToMessage($attachments, $message);
+            }
+        });
+
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages', [
+                'channel_uuid' => $this->channel->uuid,
+                'sender_uuid' => $this->customer->uuid,
+                'attachment_uuids' => [$notes['id']],
+            ])
+            ->assertStatus(422)
+            ->assertJsonPath('errors.attachment_uuids.0', 'Attachment was already sent with another message.');
+
+        expect(Message::where('channel_id', $this->channel->id)->pluck('id')->all())->toBe([$earlier->id]);
+        expect(Attachment::where('uuid', $notes['id'])->first()->message_id)->toBe($earlier->id);
+        Event::assertNotDispatched(MessageSent::class);
+    });
+
+    it('still requires content for messages without attachments', function () {
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages', [
+                'channel_uuid' => $this->channel->uuid,
+                'sender_uuid' => $this->customer->uuid,
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['type', 'content']);
+    });
+
+    it('removes the files when the message is deleted', function () {
+        $notes = uploadAttachment($this, $this->customer, UploadedFile::fake()->createWithContent('notes.txt', 'Meeting notes'));
+        $path = Attachment::where('uuid', $notes['id'])->first()->path;
+
+        $message = $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages', [
+                'channel_uuid' => $this->channel->uuid,
+                'sender_uuid' => $this->customer->uuid,
+                'attachment_uuids' => [$notes['id']],
+            ])
+            ->json();
+
+        $this->withHeaders($this->headers)
+            ->deleteJson('/api/v1/messages/' . $message['id'] . '?sender_uuid=' . $this->customer->uuid)
+            ->assertStatus(200)
+            ->assertJson(['deleted' => true, 'attachments' => []]);
+
+        Storage::disk(config('filesystems.default'))->assertMissing($path);
+        expect(Attachment::where('uuid', $notes['id'])->exists())->toBeFalse();
+        $this->get($notes['url'])->assertStatus(404);
+    });
+});
@@ -279,4 +279,20 @@
             $response->assertStatus(401);
         });
     });
+
+    describe('Active Customers', function () {
+        it('is not shadowed by the customer show route', function () {
+            $response = $this->withHeaders([
+                'Authorization' => 'Bearer ' . $this->token,
+                'X-Public-Key' => $this->client->public_key,
+                'Origin' => $this->client->domain,
+            ])->getJson('/api/v1/customers/active');
+
+            $response->assertStatus(200)
+                ->assertJson([
+                    'object' => 'list',
+                    'total_count' => 0,
+                ]);
+        });
+    });
 });
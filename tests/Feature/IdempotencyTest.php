@@ -0,0 +1,143 @@
+<?php
+
+use App\Models\Channel;
+use App\Models\Client;
+use App\Models\Customer;
+use App\Models\Message;
+
+beforeEach(function () {
+    $this->client = Client::factory()->create([
+        'name' => 'Test Client',
+        'domain' => 'test.com',
+        'public_key' => 'test-public-key',
+    ]);
+
+    $this->token = $this->client->createToken('test-token')->plainTextToken;
+
+    $this->headers = [
+        'Authorization' => 'Bearer ' . $this->token,
+        'X-Public-Key' => $this->client->public_key,
+        'Origin' => $this->client->domain,
+    ];
+});
+
+describe('Idempotency Keys', function () {
+    it('replays the original response for a repeated key', function () {
+        $customer1 = Customer::factory()->create(['client_id' => $this->client->id]);
+        $customer2 = Customer::factory()->create(['client_id' => $this->client->id]);
+
+        $channel = Channel::factory()->create([
+            'client_id' => $this->client->id,
+            'type' => 'general',
+            'name' => 'general',
+        ]);
+        $channel->customers()->attach([$customer1->id, $customer2->id]);
+
+        $messageData = [
+            'channel_uuid' => $channel->uuid,
+            'sender_uuid' => $customer1->uuid,
+            'type' => 'text',
+            'content' => 'Hello once',
+        ];
+
+        $headers = array_merge($this->headers, ['Idempotency-Key' => 'key-123']);
+
+        $first = $this->withHeaders($headers)->postJson('/api/v1/messages', $messageData);
+        $second = $this->withHeaders($headers)->postJson('/api/v1/messages', $messageData);
+
+        $first->assertStatus(201);
+        $second->assertStatus(201)
+            ->assertHeader('Idempotent-Replayed', 'true')
+            ->assertJson(['id' => $first->json('id')]);
+
+        expect(Message::where('content', 'Hello once')->count())->toBe(1);
+    });
+
+    it('treats different keys as separate requests', function () {
+        $customer1 = Customer::factory()->create(['client_id' => $this->client->id]);
+        $customer2 = Customer::factory()->create(['client_id' => $this->client->id]);
+
+        $channel = Channel::factory()->create([
+            'client_id' => $this->client->id,
+            'type' => 'general',
+            'name' => 'general',
+        ]);
+        $channel->customers()->attach([$customer1->id, $customer2->id]);
+
+        $messageData = [
+            'channel_uuid' => $channel->uuid,
+            'sender_uuid' => $customer1->uuid,
+            'type' => 'text',
+            'content' => 'Hello twice',
+        ];
+
+        $this->withHeaders(array_merge($this->headers, ['Idempotency-Key' => 'key-a']))
+            ->postJson('/api/v1/messages', $messageData)
+            ->assertStatus(201);
+
+        $this->withHeaders(array_merge($this->headers, ['Idempotency-Key' => 'key-b']))
+            ->postJson('/api/v1/messages', $messageData)
+            ->assertStatus(201)
+            ->assertHeaderMissing('Idempotent-Replayed');
+
+        expect(Message::where('content', 'Hello twice')->count())->toBe(2);
+    });
+
+    it('rejects reusing a key with different parameters', function () {
+        $headers = array_merge($this->headers, ['Idempotency-Key' => 'key-123']);
+
+        $this->withHeaders($headers)
+            ->postJson('/api/v1/customers', ['name' => 'John Doe', 'email' => 'john@example.com'])
+            ->assertStatus(201);
+
+        $this->withHeaders($headers)
+            ->postJson('/api/v1/customers', ['name' => 'Jane Doe', 'email' => 'jane@example.com'])
+            ->assertStatus(422)
+            ->assertJson([
+                'error' => 'This Idempotency-Key was already used with different request parameters.',
+            ]);
+
+        $this->assertDatabaseMissing('customers', ['email' => 'jane@example.com']);
+    });
+
+    it('scopes keys to the authenticated client', function () {
+        $otherClient = Client::factory()->create([
+            'domain' => 'other.com',
+            'public_key' => 'other-public-key',
+        ]);
+        $otherToken = $otherClient->createToken('test-token')->plainTextToken;
+
+        $customerData = ['name' => 'John Doe', 'email' => 'john@example.com'];
+
+        $this->withHeaders(array_merge($this->headers, ['Idempotency-Key' => 'shared-key']))
+            ->postJson('/api/v1/customers', $customerData)
+            ->assertStatus(201);
+
+        $this->withHeaders([
+            'Authorization' => 'Bearer ' . $otherToken,
+            'X-Public-Key' => $otherClient->public_key,
+            'Origin' => $otherClient->domain,
+            'Idempotency-Key' => 'shared-key',
+        ])->postJson('/api/v1/customers', $customerData)
+            ->assertStatus(201)
+            ->assertHeaderMissing('Idempotent-Replayed');
+
+        expect(Customer::where('email', 'john@example.com')->count())->toBe(2);
+        expect(Customer::where('client_id', $otherClient->id)->count())->toBe(1);
+    });
+
+    it('rejects keys that are too long', function () {
+        $this->withHeaders(array_merge($this->headers, ['Idempotency-Key' => str_repeat('a', 256)]))
+            ->postJson('/api/v1/customers', ['name' => 'John Doe', 'email' => 'john@example.com'])
+            ->assertStatus(400);
+    });
+
+    it('ignores requests without a key', function () {
+        $customerData = ['name' => 'John Doe', 'email' => 'john@example.com'];
+
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/customers', $customerData)
+            ->assertStatus(201)
+            ->assertHeaderMissing('Idempotent-Replayed');
+    });
+});
@@ -0,0 +1,163 @@
+<?php
+
+use App\Events\MessageDeleted;
+use App\Events\MessageUpdated;
+use App\Models\Channel;
+use App\Models\Client;
+use App\Models\Customer;
+use App\Models\Message;
+use Illuminate\Support\Facades\Event;
+
+beforeEach(function () {
+    $this->client = Client::factory()->create([
+        'name' => 'Test Client',
+        'domain' => 'test.com',
+        'public_key' => 'test-public-key',
+    ]);
+
+    $this->token = $this->client->createToken('test-token')->plainTextToken;
+
+    $this->headers = [
+        'Authorization' => 'Bearer ' . $this->token,
+        'X-Public-Key' => $this->client->public_key,
+        'Origin' => $this->client->domain,
+    ];
+
+    $this->customer = Customer::factory()->create(['client_id' => $this->client->id]);
+    $this->otherCustomer = Customer::factory()->create(['client_id' => $this->client->id]);
+
+    $this->channel = Channel::factory()->create([
+        'client_id' => $this->client->id,
+        'type' => 'general',
+        'name' => 'general',
+    ]);
+    $this->channel->customers()->attach([$this->customer->id, $this->otherCustomer->id]);
+
+    $this->message = Message::factory()->create([
+        'client_id' => $this->client->id,
+        'channel_id' => $this->channel->id,
+        'sender_id' => $this->customer->id,
+        'type' => 'text',
+        'content' => 'Helo',
+        'metadata' => ['priority' => 'high'],
+    ]);
+
+    Event::fake([MessageUpdated::class, MessageDeleted::class]);
+});
+
+describe('Update Message', function () {
+    it('edits a message and broadcasts message.updated', function () {
+        $response = $this->withHeaders($this->headers)
+            ->patchJson('/api/v1/messages/' . $this->message->uuid, [
+                'sender_uuid' => $this->customer->uuid,
+                'content' => 'Hello',
+            ]);
+
+        $response->assertStatus(200)
+            ->assertJson([
+                'object' => 'message',
+                'id' => $this->message->uuid,
+                'content' => 'Hello',
+                'metadata' => ['priority' => 'high'],
+                'deleted' => false,
+            ]);
+
+        expect($response->json('edited'))->not->toBeNull();
+
+        Event::assertDispatched(MessageUpdated::class, function ($event) {
+            return $event->message->is($this->message) && $event->message->content === 'Hello';
+        });
+    });
+
+    it('does not mark unchanged messages as edited', function () {
+        $this->withHeaders($this->headers)
+            ->patchJson('/api/v1/messages/' . $this->message->uuid, [
+                'sender_uuid' => $this->customer->uuid,
+                'content' => 'Helo',
+            ])
+            ->assertStatus(200)
+            ->assertJson(['edited' => null]);
+
+        Event::assertNotDispatched(MessageUpdated::class);
+    });
+
+    it('only lets the sender edit a message', function () {
+        $this->withHeaders($this->headers)
+            ->patchJson('/api/v1/messages/' . $this->message->uuid, [
+                'sender_uuid' => $this->otherCustomer->uuid,
+                'content' => 'Hello',
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['sender_uuid']);
+
+        expect($this->message->fresh()->content)->toBe('Helo');
+    });
+
+    it('returns 404 for unknown messages', function () {
+        $this->withHeaders($this->headers)
+            ->patchJson('/api/v1/messages/msg_missing', [
+                'sender_uuid' => $this->customer->uuid,
+                'content' => 'Hello',
+            ])
+            ->assertStatus(404)
+            ->assertJson(['error' => 'Message not found']);
+    });
+});
+
+describe('Delete Message', function () {
+    it('leaves a tombstone in the channel and broadcasts message.deleted', function () {
+        $this->withHeaders($this->headers)
+            ->deleteJson('/api/v1/messages/' . $this->message->uuid . '?sender_uuid=' . $this->customer->uuid)
+            ->assertStatus(200)
+            ->assertJson([
+                'id' => $this->message->uuid,
+                'content' => '',
+                'metadata' => null,
+                'deleted' => true,
+            ]);
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/messages/channel/' . $this->channel->uuid)
+            ->assertStatus(200)
+            ->assertJsonPath('data.0.id', $this->message->uuid)
+            ->assertJsonPath('data.0.deleted', true);
+
+        Event::assertDispatched(MessageDeleted::class, function ($event) {
+            return $event->message->is($this->message);
+        });
+    });
+
+    it('deletes a message only once', function () {
+        foreach (range(1, 2) as $attempt) {
+            $this->withHeaders($this->headers)
+                ->deleteJson('/api/v1/messages/' . $this->message->uuid . '?sender_uuid=' . $this->customer->uuid)
+                ->assertStatus(200);
+        }
+
+        Event::assertDispatchedTimes(MessageDeleted::class, 1);
+    });
+
+    it('only lets the sender delete a message', function () {
+        $this->withHeaders($this->headers)
+            ->deleteJson('/api/v1/messages/' . $this->message->uuid . '?sender_uuid=' . $this->otherCustomer->uuid)
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['sender_uuid']);
+
+        Event::assertNotDispatched(MessageDeleted::class);
+    });
+
+    it('does not edit deleted messages', function () {
+        $this->withHeaders($this->headers)
+            ->deleteJson('/api/v1/messages/' . $this->message->uuid . '?sender_uuid=' . $this->customer->uuid);
+
+        $this->withHeaders($this->headers)
+            ->patchJson('/api/v1/messages/' . $this->message->uuid, [
+                'sender_uuid' => $this->customer->uuid,
+                'content' => 'Back again',
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['content']);
+
+        Event::assertNotDispatched(MessageUpdated::class);
+    });
+});
@@ -0,0 +1,283 @@
+<?php
+
+use App\Events\MessageSent;
+use App\Models\Channel;
+use App\Models\Client;
+use App\Models\Customer;
+use App\Models\Message;
+use Illuminate\Support\Facades\Event;
+
+beforeEach(function () {
+    $this->client = Client::factory()->create([
+        'name' => 'Test Client',
+        'domain' => 'test.com',
+        'public_key' => 'test-public-key',
+    ]);
+
+    $this->token = $this->client->createToken('test-token')->plainTextToken;
+
+    $this->headers = [
+        'Authorization' => 'Bearer ' . $this->token,
+        'X-Public-Key' => $this->client->public_key,
+        'Origin' => $this->client->domain,
+    ];
+
+    $this->customer = Customer::factory()->create(['client_id' => $this->client->id, 'name' => 'Sarah']);
+    $this->otherCustomer = Customer::factory()->create(['client_id' => $this->client->id]);
+    $this->thirdCustomer = Customer::factory()->create(['client_id' => $this->client->id]);
+
+    $this->channel = Channel::factory()->create([
+        'client_id' => $this->client->id,
+        'type' => 'general',
+        'name' => 'general',
+    ]);
+    $this->channel->customers()->attach([$this->customer->id, $this->otherCustomer->id]);
+
+    $this->otherChannel = Channel::factory()->create([
+        'client_id' => $this->client->id,
+        'type' => 'general',
+        'name' => 'general',
+    ]);
+    $this->otherChannel->customers()->attach([$this->customer->id, $this->thirdCustomer->id]);
+
+    $this->message = Message::factory()->create([
+        'client_id' => $this->client->id,
+        'channel_id' => $this->channel->id,
+        'sender_id' => $this->customer->id,
+        'type' => 'text',
+        'content' => 'The invoice is attached',
+        'metadata' => ['invoice' => 'INV-42'],
+    ]);
+
+    Event::fake([MessageSent::class]);
+});
+
+describe('Quoted Replies', function () {
+    it('quotes an earlier message of the channel', function () {
+        $response = $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages', [
+                'channel_uuid' => $this->channel->uuid,
+                'sender_uuid' => $this->otherCustomer->uuid,
+                'type' => 'text',
+                'content' => 'Which invoice?',
+                'reply_to' => $this->message->uuid,
+            ]);
+
+        $response->assertStatus(201)
+            ->assertJson([
+                'content' => 'Which invoice?',
+                'parent_id' => null,
+                'reply_to' => [
+                    'id' => $this->message->uuid,
+                    'channel_id' => $this->channel->uuid,
+                    'sender_id' => $this->customer->uuid,
+                    'sender_name' => 'Sarah',
+                    'type' => 'text',
+                    'content' => 'The invoice is attached',
+                    'deleted' => false,
+                ],
+                'forwarded_from' => null,
+            ]);
+
+        Event::assertDispatched(MessageSent::class, function ($event) {
+            return $event->message->replyTo->is($this->message);
+        });
+    });
+
+    it('embeds the quote when listing the channel', function () {
+        Message::factory()->create([
+            'client_id' => $this->client->id,
+            'channel_id' => $this->channel->id,
+            'sender_id' => $this->otherCustomer->id,
+            'reply_to_id' => $this->message->id,
+        ]);
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/messages/channel/' . $this->channel->uuid)
+            ->assertStatus(200)
+            ->assertJsonPath('data.0.reply_to', null)
+            ->assertJsonPath('data.1.reply_to.id', $this->message->uuid);
+    });
+
+    it('shortens long quotes and empties deleted ones', function () {
+        $this->message->update(['content' => str_repeat('a', 500)]);
+
+        $reply = Message::factory()->create([
+            'client_id' => $this->client->id,
+            'channel_id' => $this->channel->id,
+            'sender_id' => $this->otherCustomer->id,
+            'reply_to_id' => $this->message->id,
+        ]);
+
+        expect(mb_strlen($reply->replyTo->snapshot()['content']))->toBe(Message::SNAPSHOT_CONTENT_LENGTH + 3);
+
+        $this->withHeaders($this->headers)
+            ->deleteJson('/api/v1/messages/' . $this->message->uuid . '?sender_uuid=' . $this->customer->uuid)
+            ->assertStatus(200);
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/messages/channel/' . $this->channel->uuid)
+            ->assertJsonPath('data.1.reply_to.content', '')
+            ->assertJsonPath('data.1.reply_to.deleted', true);
+    });
+
+    it('only quotes messages of the same channel', function () {
+        $elsewhere = Message::factory()->create([
+            'client_id' => $this->client->id,
+            'channel_id' => $this->otherChannel->id,
+            'sender_id' => $this->customer->id,
+        ]);
+
+        foreach ([$elsewhere->uuid, 'msg_missing'] as $replyTo) {
+            $this->withHeaders($this->headers)
+                ->postJson('/api/v1/messages', [
+                    'channel_uuid' => $this->channel->uuid,
+                    'sender_uuid' => $this->customer->uuid,
+                    'type' => 'text',
+                    'content' => 'See above',
+                    'reply_to' => $replyTo,
+                ])
+                ->assertStatus(422)
+                ->assertJsonValidationErrors(['reply_to']);
+        }
+
+        Event::assertNotDispatched(MessageSent::class);
+    });
+
+    it('does not quote deleted messages', function () {
+        $this->message->forceFill(['content' => '', 'deleted_at' => now()])->save();
+
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages', [
+                'channel_uuid' => $this->channel->uuid,
+                'sender_uuid' => $this->otherCustomer->uuid,
+                'type' => 'text',
+                'content' => 'What was that?',
+                'reply_to' => $this->message->uuid,
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['reply_to']);
+    });
+});
+
+describe('Forwarded Messages', function () {
+    it('forwards a message to another channel, copying it', function () {
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages', [
+                'channel_uuid' => $this->otherChannel->uuid,
+                'sender_uuid' => $this->customer->uuid,
+                'forwarded_from' => $this->message->uuid,
+            ])
+            ->assertStatus(201)
+            ->assertJson([
+                'channel_id' => $this->otherChannel->uuid,
+                'type' => 'text',
+                'content' => 'The invoice is attached',
+                'metadata' => ['invoice' => 'INV-42'],
+                'reply_to' => null,
+                'forwarded_from' => [
+                    'id' => $this->message->uuid,
+                    'channel_id' => $this->channel->uuid,
+                    'sender_id' => $this->customer->uuid,
+                ],
+            ]);
+    });
+
+    it('forwards with a comment through send to customer', function () {
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages/send-to-customer', [
+                'sender_email' => $this->customer->email,
+                'recipient_email' => $this->thirdCustomer->email,
+                'type' => 'text',
+                'content' => 'FYI',
+                'forwarded_from' => $this->message->uuid,
+            ])
+            ->assertStatus(201)
+            ->assertJson([
+                'channel_id' => $this->otherChannel->uuid,
+                'content' => 'FYI',
+                'forwarded_from' => ['id' => $this->message->uuid],
+            ]);
+    });
+
+    it('quotes through send to customer', function () {
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages/send-to-customer', [
+                'sender_email' => $this->otherCustomer->email,
+                'recipient_email' => $this->customer->email,
+                'type' => 'text',
+                'content' => 'Thanks',
+                'reply_to' => $this->message->uuid,
+            ])
+            ->assertStatus(201)
+            ->assertJsonPath('reply_to.id', $this->message->uuid);
+
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages/send-to-customer', [
+                'sender_email' => $this->thirdCustomer->email,
+                'recipient_email' => $this->customer->email,
+                'type' => 'text',
+                'content' => 'Thanks',
+                'reply_to' => $this->message->uuid,
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['reply_to']);
+    });
+
+    it('only forwards messages the sender can see', function () {
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages', [
+                'channel_uuid' => $this->otherChannel->uuid,
+                'sender_uuid' => $this->thirdCustomer->uuid,
+                'forwarded_from' => $this->message->uuid,
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['forwarded_from']);
+
+        Event::assertNotDispatched(MessageSent::class);
+    });
+
+    it('does not forward messages of other clients', function () {
+        $otherClient = Client::factory()->create();
+        $foreignCustomer = Customer::factory()->create(['client_id' => $otherClient->id]);
+        $foreignChannel = Channel::factory()->create(['client_id' => $otherClient->id, 'type' => 'general']);
+        $foreignChannel->customers()->attach($foreignCustomer->id);
+        $foreign = Message::factory()->create([
+            'client_id' => $otherClient->id,
+            'channel_id' => $foreignChannel->id,
+            'sender_id' => $foreignCustomer->id,
+        ]);
+
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages', [
+                'channel_uuid' => $this->otherChannel->uuid,
+                'sender_uuid' => $this->customer->uuid,
+                'forwarded_from' => $foreign->uuid,
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['forwarded_from']);
+    });
+
+    it('does not forward deleted messages', function () {
+        $this->message->forceFill(['content' => '', 'deleted_at' => now()])->save();
+
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages', [
+                'channel_uuid' => $this->otherChannel->uuid,
+                'sender_uuid' => $this->customer->uuid,
+                'forwarded_from' => $this->message->uuid,
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['forwarded_from']);
+    });
+
+    it('still requires content unless forwarding', function () {
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages', [
+                'channel_uuid' => $this->channel->uuid,
+                'sender_uuid' => $this->customer->uuid,
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['type', 'content']);
+    });
+});
@@ -596,6 +596,67 @@
             expect($secondPageMessages[0]['content'])->toBe('Third message');
         });
 
+        it('pages from the newest messages back with order=desc', function () {
+            $customer = Customer::factory()->create(['client_id' => $this->client->id]);
+
+            $channel = Channel::factory()->create([
+                'client_id' => $this->client->id,
+                'type' => 'general',
+                'name' => 'general',
+            ]);
+
+            $channel->customers()->attach([$customer->id]);
+
+            foreach (['First', 'Second', 'Third'] as $i => $content) {
+                Message::factory()->create([
+                    'client_id' => $this->client->id,
+                    'channel_id' => $channel->id,
+                    'sender_id' => $customer->id,
+                    'content' => "{$content} message",
+                    'created_at' => now()->subMinutes(3 - $i),
+                ]);
+            }
+
+            $headers = [
+                'Authorization' => 'Bearer ' . $this->token,
+                'X-Public-Key' => $this->client->public_key,
+                'Origin' => $this->client->domain,
+            ];
+
+            $response = $this->withHeaders($headers)
+                ->getJson("/api/v1/messages/channel/{$channel->uuid}?limit=2&order=desc");
+
+            $response->assertStatus(200)
+                ->assertJson(['has_more' => true, 'total_count' => 3]);
+            expect(array_column($response->json('data'), 'content'))->toBe(['Third message', 'Second message']);
+
+            // starting_after walks towards older messages
+            $oldest = $response->json('data.1.id');
+            $response = $this->withHeaders($headers)
+                ->getJson("/api/v1/messages/channel/{$channel->uuid}?limit=2&order=desc&starting_after={$oldest}");
+
+            $response->assertStatus(200)
+                ->assertJson(['has_more' => false]);
+            expect(array_column($response->json('data'), 'content'))->toBe(['First message']);
+        });
+
+        it('rejects an unknown order', function () {
+            $channel = Channel::factory()->create([
+                'client_id' => $this->client->id,
+                'type' => 'general',
+                'name' => 'general',
+            ]);
+
+            $response = $this->withHeaders([
+                'Authorization' => 'Bearer ' . $this->token,
+                'X-Public-Key' => $this->client->public_key,
+                'Origin' => $this->client->domain,
+            ])->getJson("/api/v1/messages/channel/{$channel->uuid}?order=newest");
+
+            $response->assertStatus(422)
+                ->assertJson(['error' => 'The order parameter must be asc or desc.']);
+        });
+
         it('requires authentication', function () {
             $channelUuid = \Illuminate\Support\Str::uuid();
 
@@ -0,0 +1,209 @@
+<?php
+
+use App\Events\MessageReacted;
+use App\Models\Channel;
+use App\Models\Client;
+use App\Models\Customer;
+use App\Models\Message;
+use Illuminate\Support\Facades\Event;
+
+beforeEach(function () {
+    $this->client = Client::factory()->create([
+        'name' => 'Test Client',
+        'domain' => 'test.com',
+        'public_key' => 'test-public-key',
+    ]);
+
+    $this->token = $this->client->createToken('test-token')->plainTextToken;
+
+    $this->headers = [
+        'Authorization' => 'Bearer ' . $this->token,
+        'X-Public-Key' => $this->client->public_key,
+        'Origin' => $this->client->domain,
+    ];
+
+    $this->customer = Customer::factory()->create(['client_id' => $this->client->id]);
+    $this->otherCustomer = Customer::factory()->create(['client_id' => $this->client->id]);
+    $this->outsider = Customer::factory()->create(['client_id' => $this->client->id]);
+
+    $this->channel = Channel::factory()->create([
+        'client_id' => $this->client->id,
+        'type' => 'general',
+        'name' => 'general',
+    ]);
+    $this->channel->customers()->attach([$this->customer->id, $this->otherCustomer->id]);
+
+    $this->message = Message::factory()->create([
+        'client_id' => $this->client->id,
+        'channel_id' => $this->channel->id,
+        'sender_id' => $this->customer->id,
+        'type' => 'text',
+        'content' => 'Hello',
+    ]);
+
+    $this->reactionsUrl = '/api/v1/messages/' . $this->message->uuid . '/reactions';
+
+    Event::fake([MessageReacted::class]);
+});
+
+describe('Add Reaction', function () {
+    it('aggregates reactions per emoji and broadcasts message.reaction', function () {
+        foreach ([$this->customer, $this->otherCustomer] as $customer) {
+            $this->withHeaders($this->headers)
+                ->postJson($this->reactionsUrl, [
+                    'customer_uuid' => $customer->uuid,
+                    'emoji' => '👍',
+                ])
+                ->assertStatus(200);
+        }
+
+        $response = $this->withHeaders($this->headers)
+            ->postJson($this->reactionsUrl, [
+                'customer_uuid' => $this->customer->uuid,
+                'emoji' => '🎉',
+            ]);
+
+        $response->assertStatus(200)
+            ->assertJson([
+                'id' => $this->message->uuid,
+                'reactions' => [
+                    [
+                        'emoji' => '👍',
+                        'count' => 2,
+                        'customer_ids' => [$this->customer->uuid, $this->otherCustomer->uuid],
+                    ],
+                    [
+                        'emoji' => '🎉',
+                        'count' => 1,
+                        'customer_ids' => [$this->customer->uuid],
+                    ],
+                ],
+            ]);
+
+        Event::assertDispatchedTimes(MessageReacted::class, 3);
+        Event::assertDispatched(MessageReacted::class, function ($event) {
+            return $event->message->is($this->message)
+                && $event->customer->is($this->otherCustomer)
+                && $event->emoji === '👍'
+                && $event->action === 'added';
+        });
+    });
+
+    it('counts a customer reacting twice with the same emoji once', function () {
+        foreach (range(1, 2) as $attempt) {
+            $this->withHeaders($this->headers)
+                ->postJson($this->reactionsUrl, [
+                    'customer_uuid' => $this->customer->uuid,
+                    'emoji' => '👍',
+                ])
+                ->assertStatus(200)
+                ->assertJsonPath('reactions.0.count', 1);
+        }
+
+        Event::assertDispatchedTimes(MessageReacted::class, 1);
+    });
+
+    it('includes reactions when listing channel messages', function () {
+        $this->withHeaders($this->headers)
+            ->postJson($this->reactionsUrl, [
+                'customer_uuid' => $this->otherCustomer->uuid,
+                'emoji' => '❤️',
+            ]);
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/messages/channel/' . $this->channel->uuid)
+            ->assertStatus(200)
+            ->assertJsonPath('data.0.reactions.0.emoji', '❤️')
+            ->assertJsonPath('data.0.reactions.0.customer_ids', [$this->otherCustomer->uuid]);
+    });
+
+    it('only lets channel participants react', function () {
+        $this->withHeaders($this->headers)
+            ->postJson($this->reactionsUrl, [
+                'customer_uuid' => $this->outsider->uuid,
+                'emoji' => '👍',
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['customer_uuid']);
+
+        Event::assertNotDispatched(MessageReacted::class);
+    });
+
+    it('validates the emoji', function () {
+        $this->withHeaders($this->headers)
+            ->postJson($this->reactionsUrl, [
+                'customer_uuid' => $this->customer->uuid,
+                'emoji' => 'thumbs up',
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['emoji']);
+    });
+
+    it('does not react to deleted messages', function () {
+        $this->withHeaders($this->headers)
+            ->deleteJson('/api/v1/messages/' . $this->message->uuid . '?sender_uuid=' . $this->customer->uuid);
+
+        $this->withHeaders($this->headers)
+            ->postJson($this->reactionsUrl, [
+                'customer_uuid' => $this->otherCustomer->uuid,
+                'emoji' => '👍',
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['emoji']);
+    });
+
+    it('returns 404 for unknown messages', function () {
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages/msg_missing/reactions', [
+                'customer_uuid' => $this->customer->uuid,
+                'emoji' => '👍',
+            ])
+            ->assertStatus(404)
+            ->assertJson(['error' => 'Message not found']);
+    });
+});
+
+describe('Remove Reaction', function () {
+    it('removes only the customer\'s own reaction and broadcasts it', function () {
+        foreach ([$this->customer, $this->otherCustomer] as $customer) {
+            $this->withHeaders($this->headers)
+                ->postJson($this->reactionsUrl, [
+                    'customer_uuid' => $customer->uuid,
+                    'emoji' => '👍',
+                ]);
+        }
+
+        $this->withHeaders($this->headers)
+            ->deleteJson($this->reactionsUrl . '?' . http_build_query([
+                'customer_uuid' => $this->customer->uuid,
+                'emoji' => '👍',
+            ]))
+            ->assertStatus(200)
+            ->assertJsonPath('reactions.0.count', 1)
+            ->assertJsonPath('reactions.0.customer_ids', [$this->otherCustomer->uuid]);
+
+        Event::assertDispatched(MessageReacted::class, function ($event) {
+            return $event->customer->is($this->customer) && $event->action === 'removed';
+        });
+    });
+
+    it('drops emojis nobody reacts with any more', function () {
+        $this->withHeaders($this->headers)
+            ->postJson($this->reactionsUrl, [
+                'customer_uuid' => $this->customer->uuid,
+                'emoji' => '👍',
+            ]);
+
+        foreach (range(1, 2) as $attempt) {
+            $this->withHeaders($this->headers)
+                ->deleteJson($this->reactionsUrl . '?' . http_build_query([
+                    'customer_uuid' => $this->customer->uuid,
+                    'emoji' => '👍',
+                ]))
+                ->assertStatus(200)
+                ->assertJson(['reactions' => []]);
+        }
+
+        Event::assertDispatchedTimes(MessageReacted::class, 2);
+    });
+});
@@ -0,0 +1,222 @@
+<?php
+
+use App\Events\MessageRead;
+use App\Models\Channel;
+use App\Models\Client;
+use App\Models\Customer;
+use App\Models\Message;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Event;
+
+beforeEach(function () {
+    $this->client = Client::factory()->create([
+        'name' => 'Test Client',
+        'domain' => 'test.com',
+        'public_key' => 'test-public-key',
+    ]);
+
+    $this->token = $this->client->createToken('test-token')->plainTextToken;
+
+    $this->headers = [
+        'Authorization' => 'Bearer ' . $this->token,
+        'X-Public-Key' => $this->client->public_key,
+        'Origin' => $this->client->domain,
+    ];
+
+    $this->customer = Customer::factory()->create(['client_id' => $this->client->id]);
+    $this->otherCustomer = Customer::factory()->create(['client_id' => $this->client->id]);
+
+    $this->channel = Channel::factory()->create([
+        'client_id' => $this->client->id,
+        'type' => 'general',
+        'name' => 'general',
+    ]);
+    $this->channel->customers()->attach([$this->customer->id, $this->otherCustomer->id]);
+
+    $this->messages = collect(range(1, 3))->map(fn () => Message::factory()->create([
+        'client_id' => $this->client->id,
+        'channel_id' => $this->channel->id,
+        'sender_id' => $this->otherCustomer->id,
+    ]));
+
+    Event::fake([MessageRead::class]);
+});
+
+describe('Read Receipt API', function () {
+    it('marks a channel read and broadcasts message.read', function () {
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/channels/' . $this->channel->uuid . '/read', [
+                'customer_uuid' => $this->customer->uuid,
+                'message_id' => $this->messages[1]->uuid,
+            ])
+            ->assertStatus(200)
+            ->assertJson([
+                'object' => 'read_receipt',
+                'channel_id' => $this->channel->uuid,
+                'customer_id' => $this->customer->uuid,
+                'message_id' => $this->messages[1]->uuid,
+                'unread_count' => 1,
+            ]);
+
+        Event::assertDispatched(MessageRead::class, function ($event) {
+            return $event->customer->is($this->customer) && $event->message->is($this->messages[1]);
+        });
+    });
+
+    it('only moves the read position forward', function () {
+        foreach ([2, 0] as $index) {
+            $response = $this->withHeaders($this->headers)
+                ->postJson('/api/v1/channels/' . $this->channel->uuid . '/read', [
+                    'customer_uuid' => $this->customer->uuid,
+                    'message_id' => $this->messages[$index]->uuid,
+                ]);
+        }
+
+        $response->assertStatus(200)
+            ->assertJson([
+                'message_id' => $this->messages[2]->uuid,
+                'unread_count' => 0,
+            ]);
+
+        Event::assertDispatchedTimes(MessageRead::class, 1);
+    });
+
+    it('lists the read receipts of every participant', function () {
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/channels/' . $this->channel->uuid . '/read', [
+                'customer_uuid' => $this->customer->uuid,
+                'message_id' => $this->messages[0]->uuid,
+            ]);
+
+        $response = $this->withHeaders($this->headers)
+            ->getJson('/api/v1/channels/' . $this->channel->uuid . '/read')
+            ->assertStatus(200)
+            ->assertJson(['object' => 'list', 'total_count' => 2]);
+
+        expect($response->json('data.0'))->toMatchArray([
+            'customer_id' => $this->customer->uuid,
+            'message_id' => $this->messages[0]->uuid,
+            'unread_count' => 2,
+        ]);
+        expect($response->json('data.1'))->toMatchArray([
+            'customer_id' => $this->otherCustomer->uuid,
+            'message_id' => null,
+            'read_at' => null,
+            'unread_count' => 0,
+        ]);
+    });
+
+    it('counts unread messages without a query per participant', function () {
+        $queriesFor = function () {
+            DB::flushQueryLog();
+            DB::enableQueryLog();
+
+            $response = $this->withHeaders($this->headers)
+                ->getJson('/api/v1/channels/' . $this->channel->uuid . '/read')
+                ->assertStatus(200);
+
+            DB::disableQueryLog();
+
+            return [count(DB::getQueryLog()), $response];
+        };
+
+        [$twoParticipants] = $queriesFor();
+
+        $this->channel->customers()->attach(
+            Customer::factory()->count(3)->create(['client_id' => $this->client->id])->pluck('id')
+        );
+
+        [$fiveParticipants, $response] = $queriesFor();
+
+        expect($fiveParticipants)->toBe($twoParticipants);
+        expect($response->json('total_count'))->toBe(5);
+        expect(collect($response->json('data'))->pluck('unread_count')->all())->toBe([3, 0, 3, 3, 3]);
+    });
+
+    it('rejects messages from another channel', function () {
+        $otherChannel = Channel::factory()->create(['client_id' => $this->client->id]);
+        $otherChannel->customers()->attach([$this->customer->id]);
+        $message = Message::factory()->create([
+            'client_id' => $this->client->id,
+            'channel_id' => $otherChannel->id,
+            'sender_id' => $this->customer->id,
+        ]);
+
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/channels/' . $this->channel->uuid . '/read', [
+                'customer_uuid' => $this->customer->uuid,
+                'message_id' => $message->uuid,
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['message_id']);
+
+        Event::assertNotDispatched(MessageRead::class);
+    });
+
+    it('rejects customers who are not in the channel', function () {
+        $outsider = Customer::factory()->create(['client_id' => $this->client->id]);
+
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/channels/' . $this->channel->uuid . '/read', [
+                'customer_uuid' => $outsider->uuid,
+                'message_id' => $this->messages[0]->uuid,
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['customer_uuid']);
+    });
+
+    it('returns 404 for unknown channels', function () {
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/channels/ch_missing/read', [
+                'customer_uuid' => $this->customer->uuid,
+                'message_id' => $this->messages[0]->uuid,
+            ])
+            ->assertStatus(404)
+            ->assertJson(['error' => 'Channel not found']);
+    });
+});
+
+describe('Unread counts', function () {
+    it('counts unread messages per channel and conversation by email', function () {
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/channels/' . $this->channel->uuid . '/read', [
+                'customer_uuid' => $this->customer->uuid,
+                'message_id' => $this->messages[0]->uuid,
+            ]);
+
+        // The customer's own messages never count as unread
+        Message::factory()->create([
+            'client_id' => $this->client->id,
+            'channel_id' => $this->channel->id,
+            'sender_id' => $this->customer->id,
+        ]);
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/channels/by-email?email=' . urlencode($this->customer->email))
+            ->assertStatus(200)
+            ->assertJsonPath('data.conversations.0.channels.0.unread_count', 2)
+            ->assertJsonPath('data.conversations.0.unread_count', 2);
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/channels/by-email?email=' . urlencode($this->otherCustomer->email))
+            ->assertJsonPath('data.conversations.0.unread_count', 1);
+    });
+
+    it('counts unread messages per active customer for a reader', function () {
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/customers/active')
+            ->assertStatus(200)
+            ->assertJsonMissingPath('data.0.unread_count');
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/customers/active?email=' . urlencode($this->customer->email))
+            ->assertStatus(200)
+            ->assertJsonPath('data.0.id', $this->otherCustomer->uuid)
+            ->assertJsonPath('data.0.unread_count', 3);
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/customers/active-for-sender?email=' . urlencode($this->customer->email))
+            ->assertStatus(200)
+            ->assertJsonPath('data.0.unread_count', 3);
+    });
+});
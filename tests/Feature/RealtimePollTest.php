@@ -0,0 +1,135 @@
+<?php
+
+use App\Models\Channel;
+use App\Models\Client;
+use App\Models\Customer;
+use App\Models\Message;
+use Illuminate\Support\Sleep;
+
+beforeEach(function () {
+    $this->client = Client::factory()->create([
+        'name' => 'Test Client',
+        'domain' => 'test.com',
+        'public_key' => 'test-public-key',
+    ]);
+
+    $this->token = $this->client->createToken('test-token')->plainTextToken;
+
+    $this->headers = [
+        'Authorization' => 'Bearer ' . $this->token,
+        'X-Public-Key' => $this->client->public_key,
+        'Origin' => $this->client->domain,
+    ];
+
+    $this->customer = Customer::factory()->create(['client_id' => $this->client->id]);
+    $this->otherCustomer = Customer::factory()->create(['client_id' => $this->client->id]);
+
+    $this->channel = Channel::factory()->create([
+        'client_id' => $this->client->id,
+        'type' => 'general',
+        'name' => 'general',
+    ]);
+    $this->channel->customers()->attach([$this->customer->id, $this->otherCustomer->id]);
+
+    $this->otherChannel = Channel::factory()->create([
+        'client_id' => $this->client->id,
+        'type' => 'general',
+        'name' => 'other',
+    ]);
+    $this->otherChannel->customers()->attach([$this->customer->id, $this->otherCustomer->id]);
+
+    $this->sendMessage = fn (Channel $channel, string $content): Message => Message::factory()->create([
+        'client_id' => $this->client->id,
+        'channel_id' => $channel->id,
+        'sender_id' => $this->customer->id,
+        'content' => $content,
+    ]);
+
+    Sleep::fake();
+});
+
+describe('Realtime Poll API', function () {
+    it('returns only a cursor on the first poll', function () {
+        $message = ($this->sendMessage)($this->channel, 'Already delivered');
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/realtime/poll?channels=' . $this->channel->uuid)
+            ->assertStatus(200)
+            ->assertExactJson([
+                'object' => 'list',
+                'data' => [],
+                'cursor' => (string) $message->id,
+            ]);
+    });
+
+    it('returns messages sent after the cursor as message.sent events', function () {
+        $cursor = $this->withHeaders($this->headers)
+            ->getJson('/api/v1/realtime/poll?channels=' . $this->channel->uuid . ',' . $this->otherChannel->uuid)
+            ->json('cursor');
+
+        $first = ($this->sendMessage)($this->channel, 'First');
+        $second = ($this->sendMessage)($this->otherChannel, 'Second');
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/realtime/poll?channels=' . $this->channel->uuid . ',' . $this->otherChannel->uuid . '&cursor=' . $cursor)
+            ->assertStatus(200)
+            ->assertJsonPath('cursor', (string) $second->id)
+            ->assertJsonCount(2, 'data')
+            ->assertJsonPath('data.0.object', 'event')
+            ->assertJsonPath('data.0.type', 'message.sent')
+            ->assertJsonPath('data.0.channel_id', $this->channel->uuid)
+            ->assertJsonPath('data.0.data.message.id', $first->uuid)
+            ->assertJsonPath('data.0.data.message.content', 'First')
+            ->assertJsonPath('data.1.channel_id', $this->otherChannel->uuid)
+            ->assertJsonPath('data.1.data.message.id', $second->uuid);
+    });
+
+    it('only returns messages of the polled channels', function () {
+        ($this->sendMessage)($this->otherChannel, 'Not polled');
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/realtime/poll?channels=' . $this->channel->uuid . '&cursor=0')
+            ->assertStatus(200)
+            ->assertJsonCount(0, 'data')
+            ->assertJsonPath('cursor', '0');
+    });
+
+    it('waits for new messages up to the requested number of seconds', function () {
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/realtime/poll?channels=' . $this->channel->uuid . '&cursor=0&wait=3')
+            ->assertStatus(200)
+            ->assertJsonCount(0, 'data');
+
+        Sleep::assertSleptTimes(3);
+    });
+
+    it('returns immediately when messages are waiting', function () {
+        ($this->sendMessage)($this->channel, 'Waiting');
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/realtime/poll?channels=' . $this->channel->uuid . '&cursor=0&wait=20')
+            ->assertStatus(200)
+            ->assertJsonCount(1, 'data');
+
+        Sleep::assertNeverSlept();
+    });
+
+    it('returns 404 for unknown channels', function () {
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/realtime/poll?channels=' . $this->channel->uuid . ',ch_missing')
+            ->assertStatus(404)
+            ->assertJson(['error' => 'Channel not found']);
+    });
+
+    it('validates the poll parameters', function () {
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/realtime/poll?channels=' . $this->channel->uuid . '&cursor=abc&wait=60')
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['cursor', 'wait']);
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/realtime/poll')
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['channels']);
+    });
+});
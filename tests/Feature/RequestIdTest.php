@@ -0,0 +1,40 @@
+<?php
+
+use App\Models\Client;
+
+beforeEach(function () {
+    $this->client = Client::factory()->create([
+        'name' => 'Test Client',
+        'domain' => 'test.com',
+        'public_key' => 'test-public-key',
+    ]);
+
+    $this->token = $this->client->createToken('test-token')->plainTextToken;
+});
+
+describe('Request IDs', function () {
+    it('echoes a request id sent by the caller', function () {
+        $this->withHeaders([
+            'Authorization' => 'Bearer ' . $this->token,
+            'X-Public-Key' => $this->client->public_key,
+            'Origin' => $this->client->domain,
+            'X-Request-Id' => 'req-123',
+        ])->getJson('/api/v1/customers')
+            ->assertStatus(200)
+            ->assertHeader('X-Request-Id', 'req-123');
+    });
+
+    it('generates a request id for failed requests', function () {
+        $response = $this->getJson('/api/v1/customers');
+
+        $response->assertStatus(401);
+        expect($response->headers->get('X-Request-Id'))->toMatch('/^[0-9a-f-]{36}$/');
+    });
+
+    it('replaces malformed request ids', function () {
+        $response = $this->withHeaders(['X-Request-Id' => str_repeat('x', 200)])
+            ->getJson('/api/v1/customers');
+
+        expect($response->headers->get('X-Request-Id'))->not->toBe(str_repeat('x', 200));
+    });
+});
@@ -0,0 +1,460 @@
+<?php
+
+use App\Events\MessageDeleted;
+use App\Events\MessageReacted;
+use App\Events\MessageRead;
+use App\Events\MessageUpdated;
+use App\Events\ThreadReplySent;
+use App\Events\TypingStarted;
+use App\Models\Attachment;
+use App\Models\Channel;
+use App\Models\Client;
+use App\Models\Customer;
+use App\Models\Message;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Event;
+use Illuminate\Support\Facades\Storage;
+
+beforeEach(function () {
+    $this->client = Client::factory()->create([
+        'name' => 'Test Client',
+        'domain' => 'test.com',
+        'public_key' => 'test-public-key',
+    ]);
+
+    $this->token = $this->client->createToken('test-token')->plainTextToken;
+
+    $this->headers = [
+        'Authorization' => 'Bearer ' . $this->token,
+        'X-Public-Key' => $this->client->public_key,
+        'Origin' => $this->client->domain,
+    ];
+
+    $this->customer = Customer::factory()->create(['client_id' => $this->client->id]);
+    $this->otherCustomer = Customer::factory()->create(['client_id' => $this->client->id]);
+});
+
+function sessionHeaders(object $test, string $sessionToken): array
+{
+    return [
+        'Authorization' => 'Bearer ' . $sessionToken,
+        'X-Public-Key' => $test->client->public_key,
+        'Origin' => $test->client->domain,
+    ];
+}
+
+function mintSession(object $test, Customer $customer, array $extra = []): string
+{
+    return $test->withHeaders($test->headers)
+        ->postJson('/api/v1/sessions', array_merge(['customer_uuid' => $customer->uuid], $extra))
+        ->assertStatus(201)
+        ->json('token');
+}
+
+describe('Session API', function () {
+    describe('Create Session', function () {
+        it('mints a short-lived token scoped to a customer', function () {
+            $response = $this->withHeaders($this->headers)
+                ->postJson('/api/v1/sessions', ['customer_uuid' => $this->customer->uuid]);
+
+            $response->assertStatus(201)
+                ->assertJsonStructure(['object', 'token', 'customer_id', 'scopes', 'expires_at'])
+                ->assertJson([
+                    'object' => 'session',
+                    'customer_id' => $this->customer->uuid,
+                    'scopes' => ['session', 'customer:' . $this->customer->uuid],
+                ]);
+
+            expect($response->json('expires_at'))->toBe(now()->addSeconds(900)->timestamp);
+        });
+
+        it('accepts a custom ttl', function () {
+            $response = $this->withHeaders($this->headers)
+                ->postJson('/api/v1/sessions', ['customer_uuid' => $this->customer->uuid, 'ttl' => 120]);
+
+            $response->assertStatus(201);
+            expect($response->json('expires_at'))->toBe(now()->addSeconds(120)->timestamp);
+        });
+
+        it('rejects a ttl above the maximum', function () {
+            $this->withHeaders($this->headers)
+                ->postJson('/api/v1/sessions', ['customer_uuid' => $this->customer->uuid, 'ttl' => 86400])
+                ->assertStatus(422)
+                ->assertJsonValidationErrors(['ttl']);
+        });
+
+        it('returns 404 for a customer of another client', function () {
+            $otherClient = Client::factory()->create(['domain' => 'other.com', 'public_key' => 'other-public-key']);
+            $foreignCustomer = Customer::factory()->create(['client_id' => $otherClient->id]);
+
+            $this->withHeaders($this->headers)
+                ->postJson('/api/v1/sessions', ['customer_uuid' => $foreignCustomer->uuid])
+                ->assertStatus(404)
+                ->assertJson(['error' => 'Customer not found']);
+        });
+
+        it('cannot be called with a session token', function () {
+            $sessionToken = mintSession($this, $this->customer);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->postJson('/api/v1/sessions', ['customer_uuid' => $this->otherCustomer->uuid])
+                ->assertStatus(403);
+        });
+    });
+
+    describe('Using a Session Token', function () {
+        beforeEach(function () {
+            $this->channel = Channel::factory()->create([
+                'client_id' => $this->client->id,
+                'type' => 'general',
+                'name' => 'general',
+            ]);
+            $this->channel->customers()->attach([$this->customer->id, $this->otherCustomer->id]);
+
+            $this->privateChannel = Channel::factory()->create([
+                'client_id' => $this->client->id,
+                'type' => 'general',
+                'name' => 'private',
+            ]);
+            $this->privateChannel->customers()->attach([$this->otherCustomer->id]);
+        });
+
+        it('can send messages as its customer', function () {
+            $sessionToken = mintSession($this, $this->customer);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->postJson('/api/v1/messages', [
+                    'channel_uuid' => $this->channel->uuid,
+                    'sender_uuid' => $this->customer->uuid,
+                    'type' => 'text',
+                    'content' => 'Hello from the browser',
+                ])
+                ->assertStatus(201);
+        });
+
+        it('cannot send messages as another customer', function () {
+            $sessionToken = mintSession($this, $this->customer);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->postJson('/api/v1/messages', [
+                    'channel_uuid' => $this->channel->uuid,
+                    'sender_uuid' => $this->otherCustomer->uuid,
+                    'type' => 'text',
+                    'content' => 'Impersonation',
+                ])
+                ->assertStatus(403)
+                ->assertJson(['error' => 'Forbidden - This session token is not allowed to perform this request']);
+        });
+
+        it('can only send typing indicators as its customer', function () {
+            Event::fake([TypingStarted::class]);
+            $sessionToken = mintSession($this, $this->customer);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->postJson('/api/v1/channels/' . $this->channel->uuid . '/typing', [
+                    'sender_uuid' => $this->customer->uuid,
+                    'typing' => true,
+                ])
+                ->assertStatus(202);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->postJson('/api/v1/channels/' . $this->channel->uuid . '/typing', [
+                    'sender_uuid' => $this->otherCustomer->uuid,
+                    'typing' => true,
+                ])
+                ->assertStatus(403);
+        });
+
+        it('can only mark channels read as its customer', function () {
+            Event::fake([MessageRead::class]);
+            $sessionToken = mintSession($this, $this->customer);
+            $message = Message::factory()->create([
+                'client_id' => $this->client->id,
+                'channel_id' => $this->channel->id,
+                'sender_id' => $this->otherCustomer->id,
+            ]);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->postJson('/api/v1/channels/' . $this->channel->uuid . '/read', [
+                    'customer_uuid' => $this->customer->uuid,
+                    'message_id' => $message->uuid,
+                ])
+                ->assertStatus(200);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->postJson('/api/v1/channels/' . $this->channel->uuid . '/read', [
+                    'customer_uuid' => $this->otherCustomer->uuid,
+                    'message_id' => $message->uuid,
+                ])
+                ->assertStatus(403);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->getJson('/api/v1/channels/' . $this->privateChannel->uuid . '/read')
+                ->assertStatus(403);
+        });
+
+        it('can only edit and delete its customer\'s messages', function () {
+            Event::fake([MessageUpdated::class, MessageDeleted::class]);
+            $sessionToken = mintSession($this, $this->customer);
+            $message = Message::factory()->create([
+                'client_id' => $this->client->id,
+                'channel_id' => $this->channel->id,
+                'sender_id' => $this->customer->id,
+            ]);
+            $otherMessage = Message::factory()->create([
+                'client_id' => $this->client->id,
+                'channel_id' => $this->channel->id,
+                'sender_id' => $this->otherCustomer->id,
+            ]);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->patchJson('/api/v1/messages/' . $message->uuid, [
+                    'sender_uuid' => $this->customer->uuid,
+                    'content' => 'Edited',
+                ])
+                ->assertStatus(200);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->patchJson('/api/v1/messages/' . $otherMessage->uuid, [
+                    'sender_uuid' => $this->otherCustomer->uuid,
+                    'content' => 'Edited',
+                ])
+                ->assertStatus(403);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->deleteJson('/api/v1/messages/' . $otherMessage->uuid . '?sender_uuid=' . $this->customer->uuid)
+                ->assertStatus(422);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->deleteJson('/api/v1/messages/' . $message->uuid . '?sender_uuid=' . $this->customer->uuid)
+                ->assertStatus(200)
+                ->assertJson(['deleted' => true]);
+        });
+
+        it('can only react as its customer', function () {
+            Event::fake([MessageReacted::class]);
+            $sessionToken = mintSession($this, $this->customer);
+            $message = Message::factory()->create([
+                'client_id' => $this->client->id,
+                'channel_id' => $this->channel->id,
+                'sender_id' => $this->otherCustomer->id,
+            ]);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->postJson('/api/v1/messages/' . $message->uuid . '/reactions', [
+                    'customer_uuid' => $this->customer->uuid,
+                    'emoji' => '👍',
+                ])
+                ->assertStatus(200);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->postJson('/api/v1/messages/' . $message->uuid . '/reactions', [
+                    'customer_uuid' => $this->otherCustomer->uuid,
+                    'emoji' => '👍',
+                ])
+                ->assertStatus(403);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->deleteJson('/api/v1/messages/' . $message->uuid . '/reactions?customer_uuid=' . $this->otherCustomer->uuid . '&emoji=%F0%9F%91%8D')
+                ->assertStatus(403);
+        });
+
+        it('can only read and reply to threads of its customer\'s channels', function () {
+            Event::fake([ThreadReplySent::class]);
+            $sessionToken = mintSession($this, $this->customer);
+            $message = Message::factory()->create([
+                'client_id' => $this->client->id,
+                'channel_id' => $this->channel->id,
+                'sender_id' => $this->otherCustomer->id,
+            ]);
+            $privateMessage = Message::factory()->create([
+                'client_id' => $this->client->id,
+                'channel_id' => $this->privateChannel->id,
+                'sender_id' => $this->otherCustomer->id,
+            ]);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->postJson('/api/v1/messages/' . $message->uuid . '/replies', [
+                    'sender_uuid' => $this->customer->uuid,
+                    'type' => 'text',
+                    'content' => 'Reply',
+                ])
+                ->assertStatus(201);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->postJson('/api/v1/messages/' . $message->uuid . '/replies', [
+                    'sender_uuid' => $this->otherCustomer->uuid,
+                    'type' => 'text',
+                    'content' => 'Reply',
+                ])
+                ->assertStatus(403);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->getJson('/api/v1/messages/' . $message->uuid . '/replies')
+                ->assertStatus(200)
+                ->assertJsonCount(1, 'data');
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->getJson('/api/v1/messages/' . $privateMessage->uuid . '/replies')
+                ->assertStatus(403);
+        });
+
+        it('can only forward messages of its customer\'s channels', function () {
+            $sessionToken = mintSession($this, $this->customer);
+            $message = Message::factory()->create([
+                'client_id' => $this->client->id,
+                'channel_id' => $this->channel->id,
+                'sender_id' => $this->otherCustomer->id,
+            ]);
+            $privateMessage = Message::factory()->create([
+                'client_id' => $this->client->id,
+                'channel_id' => $this->privateChannel->id,
+                'sender_id' => $this->otherCustomer->id,
+            ]);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->postJson('/api/v1/messages', [
+                    'channel_uuid' => $this->channel->uuid,
+                    'sender_uuid' => $this->customer->uuid,
+                    'forwarded_from' => $message->uuid,
+                ])
+                ->assertStatus(201);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->postJson('/api/v1/messages', [
+                    'channel_uuid' => $this->channel->uuid,
+                    'sender_uuid' => $this->customer->uuid,
+                    'forwarded_from' => $privateMessage->uuid,
+                ])
+                ->assertStatus(422)
+                ->assertJsonValidationErrors(['forwarded_from']);
+        });
+
+        it('can only upload files as its customer and see attachments of its channels', function () {
+            Storage::fake(config('filesystems.default'));
+            $sessionToken = mintSession($this, $this->customer);
+
+            $upload = fn (Customer $customer) => $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->postJson('/api/v1/attachments', [
+                    'customer_uuid' => $customer->uuid,
+                    'file' => UploadedFile::fake()->createWithContent('notes.txt', 'Meeting notes'),
+                ]);
+
+            $upload($this->customer)->assertStatus(201);
+            $upload($this->otherCustomer)->assertStatus(403);
+
+            $sent = Attachment::create([
+                'client_id' => $this->client->id,
+                'customer_id' => $this->otherCustomer->id,
+                'message_id' => Message::factory()->create([
+                    'client_id' => $this->client->id,
+                    'channel_id' => $this->channel->id,
+                    'sender_id' => $this->otherCustomer->id,
+                ])->id,
+                'disk' => 'local',
+                'path' => 'attachments/shared',
+                'filename' => 'shared.txt',
+                'mime_type' => 'text/plain',
+                'size' => 6,
+                'received' => 6,
+                'completed_at' => now(),
+            ]);
+            $private = $sent->replicate()->fill([
+                'uuid' => null,
+                'message_id' => Message::factory()->create([
+                    'client_id' => $this->client->id,
+                    'channel_id' => $this->privateChannel->id,
+                    'sender_id' => $this->otherCustomer->id,
+                ])->id,
+            ]);
+            $private->save();
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->getJson('/api/v1/attachments/' . $sent->uuid)
+                ->assertStatus(200);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->getJson('/api/v1/attachments/' . $private->uuid)
+                ->assertStatus(403);
+        });
+
+        it('can read channels its customer participates in', function () {
+            $sessionToken = mintSession($this, $this->customer);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->getJson('/api/v1/messages/channel/' . $this->channel->uuid)
+                ->assertStatus(200);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->getJson('/api/v1/messages/channel/' . $this->privateChannel->uuid)
+                ->assertStatus(403);
+        });
+
+        it('can only poll channels its customer participates in', function () {
+            $sessionToken = mintSession($this, $this->customer);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->getJson('/api/v1/realtime/poll?channels=' . $this->channel->uuid)
+                ->assertStatus(200);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->getJson('/api/v1/realtime/poll?channels=' . $this->channel->uuid . ',' . $this->privateChannel->uuid)
+                ->assertStatus(403);
+        });
+
+        it('can only list its own channels', function () {
+            $sessionToken = mintSession($this, $this->customer);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->getJson('/api/v1/channels/customer/' . $this->customer->uuid)
+                ->assertStatus(200);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->getJson('/api/v1/channels/customer/' . $this->otherCustomer->uuid)
+                ->assertStatus(403);
+        });
+
+        it('leaves client keys with every ability unscoped', function () {
+            $clientKey = $this->client->createToken('client-api-token')->plainTextToken;
+
+            expect($this->client->tokens()->latest('id')->first()->abilities)->toBe(['*']);
+
+            $this->withHeaders(sessionHeaders($this, $clientKey))
+                ->getJson('/api/v1/customers')
+                ->assertStatus(200);
+        });
+
+        it('cannot reach client-wide endpoints', function () {
+            $sessionToken = mintSession($this, $this->customer);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->getJson('/api/v1/customers')
+                ->assertStatus(403);
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->postJson('/api/v1/customers', ['name' => 'Mallory', 'email' => 'mallory@example.com'])
+                ->assertStatus(403);
+        });
+
+        it('stops working once expired', function () {
+            $sessionToken = mintSession($this, $this->customer, ['ttl' => 60]);
+
+            $this->travel(61)->seconds();
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->getJson('/api/v1/channels/customer/' . $this->customer->uuid)
+                ->assertStatus(401)
+                ->assertJson(['error' => 'Unauthorized - Token expired']);
+        });
+
+        it('stops working once its customer is deleted', function () {
+            $sessionToken = mintSession($this, $this->customer);
+
+            $this->customer->delete();
+
+            $this->withHeaders(sessionHeaders($this, $sessionToken))
+                ->getJson('/api/v1/channels/customer/' . $this->customer->uuid)
+                ->assertStatus(401);
+        });
+    });
+});
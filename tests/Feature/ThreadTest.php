@@ -0,0 +1,197 @@
+<?php
+
+use App\Events\MessageSent;
+use App\Events\ThreadReplySent;
+use App\Models\Channel;
+use App\Models\Client;
+use App\Models\Customer;
+use App\Models\Message;
+use Illuminate\Support\Facades\Event;
+
+beforeEach(function () {
+    $this->client = Client::factory()->create([
+        'name' => 'Test Client',
+        'domain' => 'test.com',
+        'public_key' => 'test-public-key',
+    ]);
+
+    $this->token = $this->client->createToken('test-token')->plainTextToken;
+
+    $this->headers = [
+        'Authorization' => 'Bearer ' . $this->token,
+        'X-Public-Key' => $this->client->public_key,
+        'Origin' => $this->client->domain,
+    ];
+
+    $this->customer = Customer::factory()->create(['client_id' => $this->client->id]);
+    $this->otherCustomer = Customer::factory()->create(['client_id' => $this->client->id]);
+
+    $this->channel = Channel::factory()->create([
+        'client_id' => $this->client->id,
+        'type' => 'general',
+        'name' => 'general',
+    ]);
+    $this->channel->customers()->attach([$this->customer->id, $this->otherCustomer->id]);
+
+    $this->message = Message::factory()->create([
+        'client_id' => $this->client->id,
+        'channel_id' => $this->channel->id,
+        'sender_id' => $this->customer->id,
+        'type' => 'text',
+        'content' => 'Who can look into the outage?',
+    ]);
+
+    Event::fake([MessageSent::class, ThreadReplySent::class]);
+});
+
+describe('Reply To Message', function () {
+    it('sends a reply in the thread and broadcasts thread.reply', function () {
+        $response = $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages/' . $this->message->uuid . '/replies', [
+                'sender_uuid' => $this->otherCustomer->uuid,
+                'type' => 'text',
+                'content' => 'On it',
+            ]);
+
+        $response->assertStatus(201)
+            ->assertJson([
+                'object' => 'message',
+                'channel_id' => $this->channel->uuid,
+                'sender_id' => $this->otherCustomer->uuid,
+                'parent_id' => $this->message->uuid,
+                'content' => 'On it',
+                'reply_count' => 0,
+            ]);
+
+        Event::assertDispatched(ThreadReplySent::class, function ($event) use ($response) {
+            return $event->message->uuid === $response->json('id')
+                && $event->parent->is($this->message);
+        });
+        Event::assertNotDispatched(MessageSent::class);
+    });
+
+    it('replies through the send message endpoint with parent_uuid', function () {
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages', [
+                'channel_uuid' => $this->channel->uuid,
+                'sender_uuid' => $this->otherCustomer->uuid,
+                'type' => 'text',
+                'content' => 'On it',
+                'parent_uuid' => $this->message->uuid,
+            ])
+            ->assertStatus(201)
+            ->assertJson(['parent_id' => $this->message->uuid]);
+
+        Event::assertDispatched(ThreadReplySent::class);
+        Event::assertNotDispatched(MessageSent::class);
+    });
+
+    it('does not reply to replies', function () {
+        $reply = Message::factory()->create([
+            'client_id' => $this->client->id,
+            'channel_id' => $this->channel->id,
+            'sender_id' => $this->otherCustomer->id,
+            'parent_id' => $this->message->id,
+        ]);
+
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages/' . $reply->uuid . '/replies', [
+                'sender_uuid' => $this->customer->uuid,
+                'type' => 'text',
+                'content' => 'Thanks',
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['parent_uuid']);
+    });
+
+    it('does not reply to messages of another channel', function () {
+        $otherChannel = Channel::factory()->create([
+            'client_id' => $this->client->id,
+            'type' => 'custom',
+            'name' => 'random',
+        ]);
+        $otherChannel->customers()->attach([$this->customer->id]);
+
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages', [
+                'channel_uuid' => $otherChannel->uuid,
+                'sender_uuid' => $this->customer->uuid,
+                'type' => 'text',
+                'content' => 'Wrong thread',
+                'parent_uuid' => $this->message->uuid,
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['parent_uuid']);
+    });
+
+    it('returns 404 for unknown messages', function () {
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/messages/msg_missing/replies', [
+                'sender_uuid' => $this->customer->uuid,
+                'type' => 'text',
+                'content' => 'Hello',
+            ])
+            ->assertStatus(404)
+            ->assertJson(['error' => 'Message not found']);
+    });
+});
+
+describe('Get Replies', function () {
+    beforeEach(function () {
+        $this->replies = collect(range(1, 3))->map(fn (int $number) => Message::factory()->create([
+            'client_id' => $this->client->id,
+            'channel_id' => $this->channel->id,
+            'sender_id' => $this->otherCustomer->id,
+            'parent_id' => $this->message->id,
+            'content' => "Reply {$number}",
+            'created_at' => now()->addMinutes($number),
+        ]));
+    });
+
+    it('lists the replies oldest first with pagination', function () {
+        $response = $this->withHeaders($this->headers)
+            ->getJson('/api/v1/messages/' . $this->message->uuid . '/replies?limit=2');
+
+        $response->assertStatus(200)
+            ->assertJson([
+                'object' => 'list',
+                'has_more' => true,
+                'total_count' => 3,
+            ])
+            ->assertJsonPath('data.0.content', 'Reply 1')
+            ->assertJsonPath('data.0.parent_id', $this->message->uuid)
+            ->assertJsonPath('data.1.content', 'Reply 2');
+
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/messages/' . $this->message->uuid . '/replies?limit=2&starting_after=' . $response->json('data.1.id'))
+            ->assertStatus(200)
+            ->assertJson(['has_more' => false])
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.content', 'Reply 3');
+    });
+
+    it('counts replies on the parent and keeps them out of the channel messages', function () {
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/messages/channel/' . $this->channel->uuid)
+            ->assertStatus(200)
+            ->assertJson(['total_count' => 1])
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.id', $this->message->uuid)
+            ->assertJsonPath('data.0.reply_count', 3);
+    });
+
+    it('does not count replies as unread', function () {
+        // The replies come from the other customer; the parent is the customer's own
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/channels/by-email?email=' . urlencode($this->customer->email))
+            ->assertStatus(200)
+            ->assertJsonPath('data.conversations.0.unread_count', 0);
+    });
+
+    it('returns 404 for unknown messages', function () {
+        $this->withHeaders($this->headers)
+            ->getJson('/api/v1/messages/msg_missing/replies')
+            ->assertStatus(404)
+            ->assertJson(['error' => 'Message not found']);
+    });
+});
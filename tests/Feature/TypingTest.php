@@ -0,0 +1,117 @@
+<?php
+
+use App\Events\TypingStarted;
+use App\Events\TypingStopped;
+use App\Models\Channel;
+use App\Models\Client;
+use App\Models\Customer;
+use Illuminate\Support\Facades\Event;
+
+beforeEach(function () {
+    $this->client = Client::factory()->create([
+        'name' => 'Test Client',
+        'domain' => 'test.com',
+        'public_key' => 'test-public-key',
+    ]);
+
+    $this->token = $this->client->createToken('test-token')->plainTextToken;
+
+    $this->headers = [
+        'Authorization' => 'Bearer ' . $this->token,
+        'X-Public-Key' => $this->client->public_key,
+        'Origin' => $this->client->domain,
+    ];
+
+    $this->customer = Customer::factory()->create(['client_id' => $this->client->id]);
+    $this->otherCustomer = Customer::factory()->create(['client_id' => $this->client->id]);
+
+    $this->channel = Channel::factory()->create([
+        'client_id' => $this->client->id,
+        'type' => 'general',
+        'name' => 'general',
+    ]);
+    $this->channel->customers()->attach([$this->customer->id, $this->otherCustomer->id]);
+
+    Event::fake([TypingStarted::class, TypingStopped::class]);
+});
+
+describe('Typing Indicator API', function () {
+    it('broadcasts typing started for a participant', function () {
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/channels/' . $this->channel->uuid . '/typing', [
+                'sender_uuid' => $this->customer->uuid,
+                'typing' => true,
+            ])
+            ->assertStatus(202)
+            ->assertJson([
+                'object' => 'typing_indicator',
+                'channel_id' => $this->channel->uuid,
+                'sender_id' => $this->customer->uuid,
+                'typing' => true,
+            ]);
+
+        Event::assertDispatched(TypingStarted::class, function ($event) {
+            return $event->customer->is($this->customer) && $event->channel->is($this->channel);
+        });
+    });
+
+    it('broadcasts typing started once per throttle window', function () {
+        foreach (range(1, 3) as $attempt) {
+            $this->withHeaders($this->headers)
+                ->postJson('/api/v1/channels/' . $this->channel->uuid . '/typing', [
+                    'sender_uuid' => $this->customer->uuid,
+                    'typing' => true,
+                ])
+                ->assertStatus(202);
+        }
+
+        Event::assertDispatchedTimes(TypingStarted::class, 1);
+    });
+
+    it('broadcasts typing stopped and resets the throttle', function () {
+        foreach ([true, false, true] as $typing) {
+            $this->withHeaders($this->headers)
+                ->postJson('/api/v1/channels/' . $this->channel->uuid . '/typing', [
+                    'sender_uuid' => $this->customer->uuid,
+                    'typing' => $typing,
+                ])
+                ->assertStatus(202);
+        }
+
+        Event::assertDispatchedTimes(TypingStarted::class, 2);
+        Event::assertDispatchedTimes(TypingStopped::class, 1);
+    });
+
+    it('rejects senders who are not in the channel', function () {
+        $outsider = Customer::factory()->create(['client_id' => $this->client->id]);
+
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/channels/' . $this->channel->uuid . '/typing', [
+                'sender_uuid' => $outsider->uuid,
+                'typing' => true,
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['sender_uuid']);
+
+        Event::assertNotDispatched(TypingStarted::class);
+    });
+
+    it('returns 404 for unknown channels', function () {
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/channels/ch_missing/typing', [
+                'sender_uuid' => $this->customer->uuid,
+                'typing' => true,
+            ])
+            ->assertStatus(404)
+            ->assertJson(['error' => 'Channel not found']);
+    });
+
+    it('requires the typing state', function () {
+        $this->withHeaders($this->headers)
+            ->postJson('/api/v1/channels/' . $this->channel->uuid . '/typing', [
+                'sender_uuid' => $this->customer->uuid,
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['typing']);
+    });
+});